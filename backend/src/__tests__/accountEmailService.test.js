@@ -0,0 +1,127 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../utils/notificationService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const notificationService = require('../utils/notificationService');
+const accountEmailService = require('../services/accountEmailService');
+
+// The raw token only ever appears in the emailed link
+const lastEmailedToken = () => {
+    const { textContent } = notificationService.sendEmail.mock.calls.at(-1)[0];
+    return textContent.match(/token=([a-f0-9]{64})/)[1];
+};
+
+describe('AccountEmailService', () => {
+    let user;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        user = await User.create({ email: 'holder@example.com', password: 'password123', name: 'Holder' });
+    });
+
+    describe('email verification', () => {
+        it('should verify the email with the emailed token and store only its hash', async () => {
+            await accountEmailService.sendVerificationEmail(user);
+
+            expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'holder@example.com',
+                subject: 'Verify Your Email - ServicePass',
+            }));
+            const token = lastEmailedToken();
+            const stored = await User.findById(user._id);
+            expect(stored.emailVerificationToken).toBeDefined();
+            expect(stored.emailVerificationToken).not.toBe(token);
+
+            const verified = await accountEmailService.verifyEmail(token);
+
+            expect(verified.isVerified).toBe(true);
+            expect(verified.emailVerificationToken).toBeUndefined();
+        });
+
+        it('should only accept a verification token once', async () => {
+            await accountEmailService.sendVerificationEmail(user);
+            const token = lastEmailedToken();
+
+            await accountEmailService.verifyEmail(token);
+
+            await expect(accountEmailService.verifyEmail(token)).rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+        });
+
+        it('should reject expired verification tokens', async () => {
+            await accountEmailService.sendVerificationEmail(user);
+            const token = lastEmailedToken();
+            await User.updateOne({ _id: user._id }, { emailVerificationExpires: new Date(Date.now() - 1000) });
+
+            await expect(accountEmailService.verifyEmail(token)).rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+        });
+
+        it('should ask wallet sign-in accounts for a real email first', async () => {
+            const walletUser = await User.create({
+                email: '0xabc@wallet.servicepass.invalid',
+                password: 'password123',
+                name: 'Wallet 0xabc',
+            });
+
+            await expect(accountEmailService.sendVerificationEmail(walletUser))
+                .rejects.toMatchObject({ code: 'EMAIL_REQUIRED' });
+
+            await accountEmailService.sendVerificationEmail(walletUser, { email: 'wallet@example.com' });
+
+            expect((await User.findById(walletUser._id)).email).toBe('wallet@example.com');
+            expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'wallet@example.com' }));
+        });
+    });
+
+    describe('password reset', () => {
+        it('should set the new password and sign out every session', async () => {
+            await Session.create({ userId: user._id, tokenHash: 'old-refresh-token-hash', expiresAt: new Date(Date.now() + 60000) });
+
+            await accountEmailService.requestPasswordReset('holder@example.com');
+            const token = lastEmailedToken();
+
+            await accountEmailService.resetPassword(token, 'new-password-456');
+
+            const updated = await User.findById(user._id).select('+password');
+            expect(await updated.comparePassword('new-password-456')).toBe(true);
+            expect(await Session.countDocuments({ userId: user._id, revokedAt: null })).toBe(0);
+            expect(updated.passwordResetToken).toBeUndefined();
+        });
+
+        it('should only accept a reset token once', async () => {
+            await accountEmailService.requestPasswordReset('holder@example.com');
+            const token = lastEmailedToken();
+
+            await accountEmailService.resetPassword(token, 'new-password-456');
+
+            await expect(accountEmailService.resetPassword(token, 'another-password-789'))
+                .rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+        });
+
+        it('should reject expired reset tokens', async () => {
+            await accountEmailService.requestPasswordReset('holder@example.com');
+            const token = lastEmailedToken();
+            await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+            await expect(accountEmailService.resetPassword(token, 'new-password-456'))
+                .rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+        });
+
+        it('should quietly ignore unknown emails', async () => {
+            await expect(accountEmailService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+            expect(notificationService.sendEmail).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const express = require('express');
+require('./setup');
+
+jest.mock('../queues/eventProcessor', () => ({
+    getDeadLetterJobs: jest.fn(),
+    replayDeadLetterJob: jest.fn(),
+}));
+
+jest.mock('../config/sui', () => ({
+    suiClient: {},
+    PACKAGE_ID: 'mock-package-id',
+    REGISTRY_ID: 'mock-registry',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../utils/notificationManager', () => ({
+    sendNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../middleware/auth', () => ({
+    verifyToken: (req, res, next) => {
+        req.user = { _id: 'user-1', email: 'admin@example.com', role: req.get('x-test-role') || 'admin' };
+        next();
+    },
+    adminOnly: (req, res, next) => {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    },
+    requirePermission: () => (req, res, next) => next(),
+}));
+
+jest.mock('../middleware/rateLimiter', () => ({
+    readLimiter: (req, res, next) => next(),
+    writeLimiter: (req, res, next) => next(),
+}));
+
+const { getDeadLetterJobs, replayDeadLetterJob } = require('../queues/eventProcessor');
+const adminRouter = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+describe('Admin Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('GET /api/admin/events/dead-letter', () => {
+        it('should list dead-letter jobs with pagination', async () => {
+            getDeadLetterJobs.mockResolvedValue({
+                total: 12,
+                jobs: [{ id: 'tx1-0', name: 'VoucherRedeemed', failedReason: 'boom' }],
+            });
+
+            const response = await request(app)
+                .get('/api/admin/events/dead-letter?page=2&limit=5')
+                .expect(200);
+
+            expect(getDeadLetterJobs).toHaveBeenCalledWith(5, 9);
+            expect(response.body.jobs).toHaveLength(1);
+            expect(response.body.pagination).toEqual({ page: 2, limit: 5, total: 12, pages: 3 });
+        });
+
+        it('should default to the first 50 jobs', async () => {
+            getDeadLetterJobs.mockResolvedValue({ total: 0, jobs: [] });
+
+            await request(app)
+                .get('/api/admin/events/dead-letter')
+                .expect(200);
+
+            expect(getDeadLetterJobs).toHaveBeenCalledWith(0, 49);
+        });
+
+        it('should reject an out-of-range limit', async () => {
+            const response = await request(app)
+                .get('/api/admin/events/dead-letter?limit=500')
+                .expect(400);
+
+            expect(response.body.error).toBe('Validation failed');
+            expect(getDeadLetterJobs).not.toHaveBeenCalled();
+        });
+
+        it('should refuse non-admins', async () => {
+            await request(app)
+                .get('/api/admin/events/dead-letter')
+                .set('x-test-role', 'merchant')
+                .expect(403);
+
+            expect(getDeadLetterJobs).not.toHaveBeenCalled();
+        });
+
+        it('should return 500 when the queue is unavailable', async () => {
+            getDeadLetterJobs.mockRejectedValue(new Error('Redis connection lost'));
+
+            const response = await request(app)
+                .get('/api/admin/events/dead-letter')
+                .expect(500);
+
+            expect(response.body.error).toBe('Failed to fetch dead-letter jobs');
+        });
+    });
+
+    describe('POST /api/admin/events/dead-letter/:jobId/replay', () => {
+        it('should re-queue the event', async () => {
+            replayDeadLetterJob.mockResolvedValue({ jobId: 'tx1-0', eventType: 'VoucherRedeemed' });
+
+            const response = await request(app)
+                .post('/api/admin/events/dead-letter/tx1-0/replay')
+                .expect(200);
+
+            expect(replayDeadLetterJob).toHaveBeenCalledWith('tx1-0');
+            expect(response.body).toEqual({
+                message: 'Event re-queued for processing',
+                jobId: 'tx1-0',
+                eventType: 'VoucherRedeemed',
+            });
+        });
+
+        it('should return 404 for an unknown job', async () => {
+            replayDeadLetterJob.mockResolvedValue(null);
+
+            const response = await request(app)
+                .post('/api/admin/events/dead-letter/missing/replay')
+                .expect(404);
+
+            expect(response.body.error).toBe('Dead-letter job not found');
+        });
+
+        it('should refuse non-admins', async () => {
+            await request(app)
+                .post('/api/admin/events/dead-letter/tx1-0/replay')
+                .set('x-test-role', 'merchant')
+                .expect(403);
+
+            expect(replayDeadLetterJob).not.toHaveBeenCalled();
+        });
+
+        it('should return 500 when the replay fails', async () => {
+            replayDeadLetterJob.mockRejectedValue(new Error('Redis connection lost'));
+
+            await request(app)
+                .post('/api/admin/events/dead-letter/tx1-0/replay')
+                .expect(500);
+        });
+    });
+});
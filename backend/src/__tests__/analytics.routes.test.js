@@ -29,7 +29,8 @@ const mockRateLimit = (req, res, next) => {
 // Mock all middleware dependencies
 jest.mock('../middleware/auth', () => ({
     verifyToken: mockAuth,
-    adminOnly: mockAuth
+    adminOnly: mockAuth,
+    requirePermission: () => mockAuth
 }));
 
 jest.mock('../middleware/rateLimiter', () => ({
@@ -0,0 +1,176 @@
+const Merchant = require('../models/Merchant');
+const MerchantApiKey = require('../models/MerchantApiKey');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const apiKeyManager = require('../utils/apiKeyManager');
+
+describe('API Key Manager', () => {
+    let merchant;
+
+    beforeEach(async () => {
+        merchant = await Merchant.create({
+            merchantId: 'merchant-001',
+            name: 'Corner Clinic',
+            walletAddress: '0x' + 'a'.repeat(64),
+        });
+    });
+
+    const createKey = (overrides = {}) => apiKeyManager.createApiKey(merchant._id, {
+        name: 'Front desk',
+        scopes: ['redemptions:write'],
+        createdBy: 'user-001',
+        ...overrides,
+    });
+
+    it('should store only a hash and verify the issued key', async () => {
+        const { apiKey, key } = await createKey();
+
+        expect(apiKey).toMatch(/^spk_[0-9a-f]{12}_[0-9a-f]{64}$/);
+        expect(key.keyHash).toBeUndefined();
+        expect(key.status).toBe('active');
+
+        const stored = await MerchantApiKey.findById(key._id).select('+keyHash');
+        expect(stored.keyHash).toBe(apiKeyManager.hashApiKey(apiKey));
+        expect(stored.keyHash).not.toContain(apiKey.split('_')[2]);
+
+        const result = await apiKeyManager.verifyApiKeyString(apiKey);
+        expect(result.valid).toBe(true);
+        expect(result.merchant.merchantId).toBe('merchant-001');
+        expect(result.key.scopes).toEqual(['redemptions:write']);
+    });
+
+    it('should reject keys with a known prefix but the wrong secret', async () => {
+        const { apiKey } = await createKey();
+        const forged = apiKey.slice(0, -4) + (apiKey.endsWith('0000') ? '1111' : '0000');
+
+        expect(await apiKeyManager.verifyApiKeyString(forged)).toEqual({ valid: false, reason: 'invalid' });
+        expect(await apiKeyManager.verifyApiKeyString('not-a-key')).toEqual({ valid: false, reason: 'invalid' });
+    });
+
+    it('should keep several keys per merchant and revoke them one at a time', async () => {
+        const first = await createKey({ name: 'Terminal 1' });
+        const second = await createKey({ name: 'Terminal 2', scopes: ['reports:read'] });
+
+        await apiKeyManager.revokeApiKey(merchant._id, first.key._id, 'user-001');
+
+        expect(await apiKeyManager.verifyApiKeyString(first.apiKey)).toEqual({ valid: false, reason: 'revoked' });
+        expect((await apiKeyManager.verifyApiKeyString(second.apiKey)).valid).toBe(true);
+
+        const keys = await apiKeyManager.listApiKeys(merchant._id);
+        expect(keys.map((key) => [key.name, key.status]).sort()).toEqual([['Terminal 1', 'revoked'], ['Terminal 2', 'active']]);
+
+        await expect(apiKeyManager.revokeApiKey(merchant._id, first.key._id, 'user-001'))
+            .rejects.toMatchObject({ code: 'ALREADY_REVOKED' });
+    });
+
+    it('should not revoke another merchant\'s key', async () => {
+        const other = await Merchant.create({ merchantId: 'merchant-002', name: 'Bus Depot', walletAddress: '0x' + 'b'.repeat(64) });
+        const { key } = await createKey();
+
+        await expect(apiKeyManager.revokeApiKey(other._id, key._id, 'user-002'))
+            .rejects.toMatchObject({ code: 'KEY_NOT_FOUND' });
+    });
+
+    it('should reject expired keys and keys of deactivated merchants', async () => {
+        const expired = await createKey();
+        await MerchantApiKey.updateOne({ _id: expired.key._id }, { expiresAt: new Date(Date.now() - 1000) });
+        expect(await apiKeyManager.verifyApiKeyString(expired.apiKey)).toEqual({ valid: false, reason: 'expired' });
+
+        const active = await createKey();
+        await Merchant.updateOne({ _id: merchant._id }, { isActive: false });
+        expect((await apiKeyManager.verifyApiKeyString(active.apiKey)).valid).toBe(false);
+    });
+
+    it('should record when a key was last used', async () => {
+        const { apiKey } = await createKey();
+        const { key } = await apiKeyManager.verifyApiKeyString(apiKey);
+
+        await apiKeyManager.touchApiKey(key, '203.0.113.7');
+
+        const stored = await MerchantApiKey.findById(key._id);
+        expect(stored.lastUsedAt).toBeInstanceOf(Date);
+        expect(stored.lastUsedIp).toBe('203.0.113.7');
+    });
+
+    describe('migrateLegacyApiKeys', () => {
+        const legacyKey = 'f'.repeat(64);
+
+        const setLegacyFields = (id, fields) => Merchant.collection.updateOne({ _id: id }, { $set: fields });
+
+        it('should move a legacy key so terminals can keep using it', async () => {
+            const apiKeyExpiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+            await setLegacyFields(merchant._id, { apiKey: legacyKey, apiKeyExpiry, apiKeyCreatedAt: new Date() });
+
+            const summary = await apiKeyManager.migrateLegacyApiKeys();
+
+            expect(summary).toEqual({ merchants: 1, migrated: 1, cleared: 1 });
+
+            const result = await apiKeyManager.verifyApiKeyString(legacyKey);
+            expect(result.valid).toBe(true);
+            expect(result.merchant.merchantId).toBe('merchant-001');
+            expect(result.key.prefix).toMatch(/^legacy_[0-9a-f]{12}$/);
+            expect(result.key.scopes).toEqual(['redemptions:write', 'reports:read']);
+            expect(result.key.expiresAt).toEqual(apiKeyExpiry);
+
+            const stored = await MerchantApiKey.findById(result.key._id).select('+keyHash');
+            expect(stored.keyHash).toBe(apiKeyManager.hashApiKey(legacyKey));
+        });
+
+        it('should remove the old fields from the merchant', async () => {
+            await setLegacyFields(merchant._id, { apiKey: legacyKey, apiKeyRevokedAt: new Date() });
+
+            await apiKeyManager.migrateLegacyApiKeys();
+
+            const raw = await Merchant.collection.findOne({ _id: merchant._id });
+            expect(raw).not.toHaveProperty('apiKey');
+            expect(raw).not.toHaveProperty('apiKeyRevokedAt');
+        });
+
+        it('should give keys without an expiry a grace period', async () => {
+            await setLegacyFields(merchant._id, { apiKey: legacyKey });
+
+            await apiKeyManager.migrateLegacyApiKeys();
+
+            const { key } = await apiKeyManager.verifyApiKeyString(legacyKey);
+            const graceDays = (key.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(graceDays).toBeGreaterThan(89);
+            expect(graceDays).toBeLessThanOrEqual(90);
+        });
+
+        it('should carry over keys already stored as a hash', async () => {
+            await setLegacyFields(merchant._id, { apiKeyHash: apiKeyManager.hashApiKey(legacyKey) });
+
+            await apiKeyManager.migrateLegacyApiKeys();
+
+            expect((await apiKeyManager.verifyApiKeyString(legacyKey)).valid).toBe(true);
+        });
+
+        it('should only clear the fields when the legacy key was revoked', async () => {
+            await setLegacyFields(merchant._id, { apiKeyRevokedAt: new Date(), apiKeyCreatedAt: new Date() });
+
+            const summary = await apiKeyManager.migrateLegacyApiKeys();
+
+            expect(summary).toEqual({ merchants: 1, migrated: 0, cleared: 1 });
+            expect(await MerchantApiKey.countDocuments()).toBe(0);
+        });
+
+        it('should be safe to run again', async () => {
+            await setLegacyFields(merchant._id, { apiKey: legacyKey });
+
+            await apiKeyManager.migrateLegacyApiKeys();
+            const summary = await apiKeyManager.migrateLegacyApiKeys();
+
+            expect(summary).toEqual({ merchants: 0, migrated: 0, cleared: 0 });
+            expect(await MerchantApiKey.countDocuments()).toBe(1);
+        });
+    });
+});
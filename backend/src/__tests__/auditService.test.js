@@ -0,0 +1,85 @@
+const AuditEvent = require('../models/AuditEvent');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const auditService = require('../services/auditService');
+
+describe('AuditService', () => {
+    const record = (n) => auditService.recordEvent({
+        action: 'PUT /api/templates/:templateId',
+        actor: { type: 'user', userId: 'admin-001', role: 'admin' },
+        request: { method: 'PUT', body: { name: `Template ${n}` } },
+        statusCode: 200,
+        resource: { type: 'templates', id: `template-${n}` },
+        before: { name: 'Old', isActive: true },
+        after: { name: `Template ${n}`, isActive: true },
+    });
+
+    it('should link events into a chain that verifies', async () => {
+        const first = await record(1);
+        await Promise.all([record(2), record(3)]);
+
+        const events = await AuditEvent.find().sort({ sequence: 1 }).lean();
+        expect(events.map((event) => event.sequence)).toEqual([1, 2, 3]);
+        expect(first.prevHash).toBe(auditService.GENESIS_HASH);
+        expect(events[1].prevHash).toBe(events[0].hash);
+        expect(events[0].changes).toEqual([{ path: 'name', from: 'Old', to: 'Template 1' }]);
+
+        const result = await auditService.verifyChain();
+        expect(result).toMatchObject({ valid: true, checked: 3, lastSequence: 3, lastHash: events[2].hash });
+    });
+
+    it('should detect edited events', async () => {
+        await record(1);
+        await record(2);
+
+        await AuditEvent.collection.updateOne({ sequence: 1 }, { $set: { 'actor.userId': 'someone-else' } });
+
+        const result = await auditService.verifyChain();
+        expect(result.valid).toBe(false);
+        expect(result.issues).toEqual([expect.objectContaining({ sequence: 1, type: 'modified' })]);
+    });
+
+    it('should detect removed events', async () => {
+        await record(1);
+        await record(2);
+        await record(3);
+
+        await AuditEvent.collection.deleteOne({ sequence: 2 });
+
+        const result = await auditService.verifyChain();
+        expect(result.valid).toBe(false);
+        expect(result.issues.map((issue) => issue.type)).toEqual(['missing', 'broken_link']);
+    });
+
+    it('should refuse updates through the model', async () => {
+        await record(1);
+
+        await expect(AuditEvent.updateOne({ sequence: 1 }, { $set: { action: 'nothing' } }))
+            .rejects.toThrow('append-only');
+    });
+
+    it('should redact secrets from recorded data', () => {
+        const clean = auditService.sanitize({
+            email: 'admin@example.com',
+            password: 'hunter2',
+            twoFactorCode: '123456',
+            nested: { privateKey: 'abc', keep: 1 },
+        });
+
+        expect(clean).toEqual({
+            email: 'admin@example.com',
+            password: '[REDACTED]',
+            twoFactorCode: '[REDACTED]',
+            nested: { privateKey: '[REDACTED]', keep: 1 },
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const IndexerCursor = require('../models/IndexerCursor');
+require('./setup');
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        queryEvents: jest.fn(),
+        subscribeEvent: jest.fn(),
+    },
+    PACKAGE_ID: 'mock-package-id',
+}));
+
+jest.mock('../queues/eventProcessor', () => ({
+    eventQueue: { add: jest.fn().mockResolvedValue() },
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const { suiClient } = require('../config/sui');
+const { eventQueue } = require('../queues/eventProcessor');
+const { startListening, stopListening, backfill } = require('../services/blockchainListener');
+
+const event = (txDigest, eventSeq = '0', type = 'VoucherMinted') => ({
+    id: { txDigest, eventSeq },
+    type: `mock-package-id::voucher_system::${type}`,
+    parsedJson: { voucher_id: `0x${txDigest}` },
+    sender: '0xsender',
+    timestampMs: '1760000000000',
+});
+
+const page = (data, hasNextPage = false) => ({
+    data,
+    hasNextPage,
+    nextCursor: data.length ? data[data.length - 1].id : null,
+});
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+const waitFor = async (check) => {
+    for (let i = 0; i < 100; i++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise(r => setTimeout(r, 10));
+    }
+    throw new Error('Condition not met in time');
+};
+
+const storedCursor = async () => (await IndexerCursor.findOne({ name: 'voucher_system' }))?.cursor;
+
+describe('BlockchainListener', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        suiClient.queryEvents.mockResolvedValue(page([]));
+    });
+
+    describe('backfill', () => {
+        it('should enqueue events and persist the cursor after each one', async () => {
+            suiClient.queryEvents.mockResolvedValueOnce(page([event('tx1'), event('tx2')]));
+
+            const replayed = await backfill();
+
+            expect(replayed).toBe(2);
+            expect(suiClient.queryEvents).toHaveBeenCalledWith(expect.objectContaining({ cursor: null, order: 'ascending' }));
+            expect(eventQueue.add).toHaveBeenCalledWith('VoucherMinted', expect.objectContaining({
+                eventType: 'VoucherMinted',
+                data: { voucher_id: '0xtx1', transactionId: 'tx1' },
+            }), { jobId: 'tx1-0' });
+
+            const cursor = await IndexerCursor.findOne({ name: 'voucher_system' });
+            expect(cursor.cursor).toMatchObject({ txDigest: 'tx2', eventSeq: '0' });
+            expect(cursor.eventsIndexed).toBe(2);
+            expect(cursor.lastBackfillAt).toBeDefined();
+        });
+
+        it('should move the cursor past events it does not index', async () => {
+            suiClient.queryEvents.mockResolvedValueOnce(page([event('tx1', '0', 'MerchantSignerChanged')]));
+
+            await backfill();
+
+            expect(eventQueue.add).not.toHaveBeenCalled();
+            expect(await storedCursor()).toMatchObject({ txDigest: 'tx1', eventSeq: '0' });
+        });
+
+        it('should resume from the stored cursor', async () => {
+            await IndexerCursor.create({
+                name: 'voucher_system',
+                packageId: 'mock-package-id',
+                cursor: { txDigest: 'tx5', eventSeq: '1' },
+            });
+            suiClient.queryEvents.mockResolvedValueOnce(page([event('tx6')]));
+
+            await backfill();
+
+            expect(suiClient.queryEvents).toHaveBeenCalledWith(expect.objectContaining({
+                cursor: { txDigest: 'tx5', eventSeq: '1' },
+            }));
+            expect(await storedCursor()).toMatchObject({ txDigest: 'tx6' });
+        });
+
+        it('should resume after the last enqueued event when a run fails', async () => {
+            suiClient.queryEvents
+                .mockResolvedValueOnce(page([event('tx1'), event('tx2')], true))
+                .mockRejectedValueOnce(new Error('fullnode unavailable'));
+
+            await expect(backfill()).rejects.toThrow('fullnode unavailable');
+            expect(await storedCursor()).toMatchObject({ txDigest: 'tx2' });
+
+            suiClient.queryEvents.mockResolvedValueOnce(page([event('tx3')]));
+            await backfill();
+
+            expect(suiClient.queryEvents).toHaveBeenLastCalledWith(expect.objectContaining({
+                cursor: { txDigest: 'tx2', eventSeq: '0' },
+            }));
+            expect(eventQueue.add).toHaveBeenCalledTimes(3);
+            expect(await storedCursor()).toMatchObject({ txDigest: 'tx3' });
+        });
+
+        it('should pick up requests made while a run is in progress', async () => {
+            const firstPage = deferred();
+            suiClient.queryEvents
+                .mockReturnValueOnce(firstPage.promise)
+                .mockResolvedValueOnce(page([event('tx2')]));
+
+            const running = backfill();
+            await waitFor(() => suiClient.queryEvents.mock.calls.length === 1);
+
+            // e.g. a live event arriving mid-run
+            expect(await backfill()).toBe(0);
+
+            firstPage.resolve(page([event('tx1')]));
+
+            expect(await running).toBe(2);
+            expect(suiClient.queryEvents).toHaveBeenCalledTimes(2);
+            expect(suiClient.queryEvents.mock.calls[1][0].cursor).toEqual({ txDigest: 'tx1', eventSeq: '0' });
+            expect(await storedCursor()).toMatchObject({ txDigest: 'tx2' });
+        });
+    });
+
+    describe('startListening', () => {
+        afterEach(async () => {
+            await stopListening();
+        });
+
+        it('should return before the startup backfill finishes', async () => {
+            const firstPage = deferred();
+            suiClient.subscribeEvent.mockResolvedValue(jest.fn().mockResolvedValue());
+            suiClient.queryEvents.mockReturnValueOnce(firstPage.promise);
+
+            await startListening();
+
+            expect(suiClient.subscribeEvent).toHaveBeenCalled();
+            expect(eventQueue.add).not.toHaveBeenCalled();
+
+            firstPage.resolve(page([event('tx1')]));
+            await waitFor(async () => (await IndexerCursor.findOne({ name: 'voucher_system' }))?.lastBackfillAt);
+
+            expect(eventQueue.add).toHaveBeenCalledTimes(1);
+        });
+
+        it('should catch up when a live event arrives during the startup backfill', async () => {
+            const firstPage = deferred();
+            let onMessage;
+            suiClient.subscribeEvent.mockImplementation(async (options) => {
+                onMessage = options.onMessage;
+                return jest.fn().mockResolvedValue();
+            });
+            suiClient.queryEvents
+                .mockReturnValueOnce(firstPage.promise)
+                .mockResolvedValueOnce(page([event('tx2')]));
+
+            await startListening();
+            await waitFor(() => suiClient.queryEvents.mock.calls.length === 1);
+
+            onMessage(event('tx2'));
+            firstPage.resolve(page([event('tx1')]));
+
+            await waitFor(async () => (await storedCursor())?.txDigest === 'tx2');
+            expect(eventQueue.add).toHaveBeenCalledTimes(2);
+        });
+    });
+});
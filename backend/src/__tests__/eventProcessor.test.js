@@ -0,0 +1,407 @@
+const Voucher = require('../models/Voucher');
+const Redemption = require('../models/Redemption');
+const Merchant = require('../models/Merchant');
+require('./setup');
+
+const mockQueues = {};
+const mockWorker = { handlers: {} };
+
+jest.mock('bullmq', () => ({
+    Queue: jest.fn().mockImplementation((name) => {
+        const queue = {
+            name,
+            add: jest.fn().mockResolvedValue(),
+            getJobs: jest.fn(),
+            count: jest.fn(),
+            getJob: jest.fn(),
+        };
+        mockQueues[name] = queue;
+        return queue;
+    }),
+    Worker: jest.fn().mockImplementation((name, processor) => {
+        mockWorker.processor = processor;
+        return {
+            on: (event, handler) => {
+                mockWorker.handlers[event] = handler;
+            },
+        };
+    }),
+}));
+
+jest.mock('ioredis', () => jest.fn());
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        getObject: jest.fn(),
+        getTransactionBlock: jest.fn(),
+    },
+    PACKAGE_ID: 'mock-package-id',
+    REGISTRY_ID: 'mock-registry',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../utils/notificationManager', () => ({
+    sendNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../services/webhookService', () => ({
+    publishEvent: jest.fn().mockResolvedValue(),
+    publishRedemption: jest.fn().mockResolvedValue(),
+}));
+
+const { suiClient } = require('../config/sui');
+const webhookService = require('../services/webhookService');
+const notificationManager = require('../utils/notificationManager');
+const { getDeadLetterJobs, replayDeadLetterJob } = require('../queues/eventProcessor');
+
+const holder = '0x' + '1'.repeat(64);
+const newHolder = '0x' + '2'.repeat(64);
+
+// Runs an event through the worker the way BullMQ would, once per call
+const processEvent = (eventType, data, extra = {}) => mockWorker.processor({
+    id: `${data.transactionId}-0`,
+    data: { eventType, data, sender: holder, timestampMs: '1760000000000', ...extra },
+});
+
+// Processing the same event twice must leave the same state as processing it once
+const processTwice = async (eventType, data) => {
+    await processEvent(eventType, data);
+    await processEvent(eventType, data);
+};
+
+const createVoucher = (overrides = {}) => Voucher.create({
+    voucherId: '0xvoucher1',
+    voucherType: '1',
+    amount: 100,
+    originalAmount: 100,
+    remainingAmount: 100,
+    recipient: holder,
+    merchantId: 'merchant-001',
+    expiryTimestamp: 1000,
+    transactionDigest: 'mint-digest',
+    ...overrides
+});
+
+const createMerchant = (overrides = {}) => Merchant.create({
+    merchantId: 'merchant-001',
+    name: 'Test Merchant',
+    walletAddress: '0x' + '3'.repeat(64),
+    ...overrides
+});
+
+describe('EventProcessor', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('VoucherMinted', () => {
+        const minted = { voucher_id: '0xvoucher1', voucher_type: 1, amount: '100', recipient: holder, transactionId: 'mint-digest' };
+
+        beforeEach(() => {
+            suiClient.getObject.mockResolvedValue({
+                data: { content: { fields: { amount: '100', merchant_id: 'merchant-001', expiry_timestamp: '1000' } } },
+            });
+        });
+
+        it('should index a voucher minted outside the API once', async () => {
+            await processTwice('VoucherMinted', minted);
+
+            const vouchers = await Voucher.find({ voucherId: '0xvoucher1' });
+            expect(vouchers).toHaveLength(1);
+            expect(vouchers[0]).toMatchObject({ merchantId: 'merchant-001', remainingAmount: 100, expiryTimestamp: 1000, status: 'active' });
+            expect(webhookService.publishEvent).toHaveBeenCalledTimes(1);
+            expect(webhookService.publishEvent).toHaveBeenCalledWith('voucher.minted', expect.objectContaining({ voucherId: '0xvoucher1' }), { merchantId: 'merchant-001' });
+            expect(notificationManager.sendNotification).toHaveBeenCalledTimes(1);
+        });
+
+        it('should index an already redeemed voucher as fully redeemed', async () => {
+            suiClient.getObject.mockResolvedValue({ error: { code: 'deleted' } });
+
+            await processEvent('VoucherMinted', minted);
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.status).toBe('fully_redeemed');
+        });
+    });
+
+    describe('VoucherRedeemed', () => {
+        const redeemed = { voucher_id: '0xvoucher1', voucher_type: 1, amount: '100', merchant_id: 'merchant-001', transactionId: 'redeem-digest' };
+
+        it('should record the redemption once', async () => {
+            await createVoucher();
+            await createMerchant();
+
+            await processTwice('VoucherRedeemed', redeemed);
+
+            const redemptions = await Redemption.find({ voucherObjectId: '0xvoucher1' });
+            expect(redemptions).toHaveLength(1);
+            expect(redemptions[0]).toMatchObject({ amount: 100, redeemedBy: holder, transactionDigest: 'redeem-digest' });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher).toMatchObject({ status: 'fully_redeemed', remainingAmount: 0 });
+
+            const merchant = await Merchant.findOne({ merchantId: 'merchant-001' });
+            expect(merchant.totalRedemptions).toBe(1);
+            expect(webhookService.publishRedemption).toHaveBeenCalledTimes(1);
+        });
+
+        it('should skip redemptions the API already recorded', async () => {
+            await Redemption.create({
+                voucherObjectId: '0xvoucher1',
+                transactionDigest: 'redeem-digest',
+                merchantId: 'merchant-001',
+                voucherType: 1,
+                amount: 100,
+                redeemedBy: holder,
+            });
+
+            await processEvent('VoucherRedeemed', redeemed);
+
+            expect(await Redemption.countDocuments()).toBe(1);
+            expect(webhookService.publishRedemption).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('VoucherPartiallyRedeemed', () => {
+        it('should take the remaining balance from the event once', async () => {
+            await createVoucher();
+            await createMerchant();
+
+            await processTwice('VoucherPartiallyRedeemed', {
+                voucher_id: '0xvoucher1',
+                voucher_type: 1,
+                amount: '40',
+                remaining_amount: '60',
+                merchant_id: 'merchant-001',
+                transactionId: 'partial-digest',
+            });
+
+            const redemptions = await Redemption.find({ voucherObjectId: '0xvoucher1' });
+            expect(redemptions).toHaveLength(1);
+            expect(redemptions[0]).toMatchObject({ amount: 40, isPartial: true });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher).toMatchObject({ status: 'partially_redeemed', remainingAmount: 60 });
+            expect(voucher.partialRedemptions).toHaveLength(1);
+        });
+    });
+
+    describe('VoucherRevoked', () => {
+        it('should cancel the voucher once', async () => {
+            await createVoucher();
+
+            await processTwice('VoucherRevoked', { voucher_id: '0xvoucher1', reason: 'fraud', transactionId: 'revoke-digest' });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.status).toBe('cancelled');
+            expect(voucher.revocation).toMatchObject({ reason: 'fraud', transactionDigest: 'revoke-digest' });
+        });
+    });
+
+    describe('VoucherExtended', () => {
+        it('should extend the expiry once', async () => {
+            await createVoucher();
+
+            await processTwice('VoucherExtended', { voucher_id: '0xvoucher1', expiry_timestamp: '2000', transactionId: 'extend-digest' });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.expiryTimestamp).toBe(2000);
+            expect(voucher.amendments).toHaveLength(1);
+            expect(voucher.amendments[0]).toMatchObject({ type: 'extend', previousExpiryTimestamp: 1000 });
+        });
+    });
+
+    describe('VoucherToppedUp', () => {
+        it('should add the value once', async () => {
+            await createVoucher();
+
+            await processTwice('VoucherToppedUp', { voucher_id: '0xvoucher1', amount: '50', total_top_up: '50', transactionId: 'top-up-digest' });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher).toMatchObject({ amount: 150, originalAmount: 150, remainingAmount: 150 });
+            expect(voucher.amendments).toHaveLength(1);
+        });
+    });
+
+    describe('VoucherTransferred', () => {
+        it('should move the voucher to its new holder once', async () => {
+            await createVoucher();
+
+            await processTwice('VoucherTransferred', {
+                voucher_id: '0xvoucher1',
+                from: holder,
+                to: newHolder,
+                amount: '100',
+                transactionId: 'transfer-digest',
+            });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.recipient).toBe(newHolder);
+            expect(voucher.transferRestrictions.transferCount).toBe(1);
+            expect(voucher.qrPayload).toBeDefined();
+        });
+    });
+
+    describe('VoucherSplit', () => {
+        it('should record the split voucher once', async () => {
+            await createVoucher();
+
+            await processTwice('VoucherSplit', {
+                original_voucher_id: '0xvoucher1',
+                new_voucher_id: '0xvoucher2',
+                amount: '30',
+                remaining_amount: '70',
+                recipient: newHolder,
+                transactionId: 'split-digest',
+            });
+
+            const split = await Voucher.find({ voucherId: '0xvoucher2' });
+            expect(split).toHaveLength(1);
+            expect(split[0]).toMatchObject({ recipient: newHolder, remainingAmount: 30, merchantId: 'merchant-001', expiryTimestamp: 1000 });
+
+            // Splitting is not a redemption
+            const source = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(source).toMatchObject({ status: 'active', amount: 70, remainingAmount: 70, originalAmount: 100 });
+
+            const source = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(source.remainingAmount).toBe(70);
+        });
+
+        it('should retry until the original voucher is indexed', async () => {
+            await expect(processEvent('VoucherSplit', {
+                original_voucher_id: '0xmissing',
+                new_voucher_id: '0xvoucher2',
+                amount: '30',
+                remaining_amount: '70',
+                recipient: newHolder,
+                transactionId: 'split-digest',
+            })).rejects.toThrow('Voucher 0xmissing not found');
+        });
+    });
+
+    describe('MerchantRegistered', () => {
+        const registered = { merchant_id: 'merchant-001', name: 'Test Merchant', transactionId: 'register-digest' };
+
+        beforeEach(() => {
+            suiClient.getTransactionBlock.mockResolvedValue({
+                effects: { status: { status: 'success' } },
+                objectChanges: [{ type: 'created', objectType: 'mock-package-id::voucher_system::Merchant', objectId: '0xmerchant' }],
+            });
+        });
+
+        it('should link an existing merchant to its on-chain object', async () => {
+            await createMerchant();
+
+            await processTwice('MerchantRegistered', registered);
+
+            const merchant = await Merchant.findOne({ merchantId: 'merchant-001' });
+            expect(merchant.onChainObjectId).toBe('0xmerchant');
+            expect(merchant.isActive).toBe(true);
+        });
+
+        it('should create one inactive placeholder for merchants unknown to the API', async () => {
+            await processTwice('MerchantRegistered', registered);
+
+            const merchants = await Merchant.find({ merchantId: 'merchant-001' });
+            expect(merchants).toHaveLength(1);
+            expect(merchants[0]).toMatchObject({ onChainObjectId: '0xmerchant', isActive: false });
+        });
+
+        it('should fail the job when the transaction did not succeed', async () => {
+            suiClient.getTransactionBlock.mockResolvedValue({ effects: { status: { status: 'failure' } } });
+
+            await expect(processEvent('MerchantRegistered', registered)).rejects.toThrow('failed or not found');
+        });
+    });
+
+    it('should ignore event types it does not handle', async () => {
+        await expect(processEvent('MerchantSignerChanged', { transactionId: 'signer-digest' })).resolves.toBeUndefined();
+    });
+
+    describe('dead-letter queue', () => {
+        const deadLetterQueue = () => mockQueues['blockchain-events-dlq'];
+        const eventQueue = () => mockQueues['blockchain-events'];
+        const failedJob = (attemptsMade) => ({
+            id: 'tx1-0',
+            name: 'VoucherRedeemed',
+            attemptsMade,
+            opts: { attempts: 5 },
+            data: { eventType: 'VoucherRedeemed', data: { voucher_id: '0xvoucher1', transactionId: 'tx1' } },
+        });
+
+        it('should leave jobs with retries left on the main queue', async () => {
+            await mockWorker.handlers.failed(failedJob(4), new Error('boom'));
+
+            expect(deadLetterQueue().add).not.toHaveBeenCalled();
+        });
+
+        it('should move a job to the dead-letter queue after its last attempt', async () => {
+            const job = failedJob(5);
+
+            await mockWorker.handlers.failed(job, new Error('Transaction tx1 failed or not found.'));
+
+            expect(deadLetterQueue().add).toHaveBeenCalledWith('VoucherRedeemed', expect.objectContaining({
+                originalJobId: 'tx1-0',
+                eventType: 'VoucherRedeemed',
+                payload: job.data,
+                failedReason: 'Transaction tx1 failed or not found.',
+                attemptsMade: 5,
+            }), { jobId: 'tx1-0' });
+        });
+
+        it('should list dead-letter jobs with their payloads', async () => {
+            deadLetterQueue().getJobs.mockResolvedValue([
+                { id: 'tx1-0', name: 'VoucherRedeemed', data: { originalJobId: 'tx1-0', failedReason: 'boom' } },
+            ]);
+            deadLetterQueue().count.mockResolvedValue(1);
+
+            const result = await getDeadLetterJobs(0, 49);
+
+            expect(deadLetterQueue().getJobs).toHaveBeenCalledWith(['waiting', 'delayed', 'paused'], 0, 49);
+            expect(result).toEqual({
+                total: 1,
+                jobs: [{ id: 'tx1-0', name: 'VoucherRedeemed', originalJobId: 'tx1-0', failedReason: 'boom' }],
+            });
+        });
+
+        it('should retry the original job when it is still held as failed', async () => {
+            const deadJob = { name: 'VoucherRedeemed', data: { originalJobId: 'tx1-0', payload: failedJob(5).data }, remove: jest.fn() };
+            const originalJob = { isFailed: jest.fn().mockResolvedValue(true), retry: jest.fn(), remove: jest.fn() };
+            deadLetterQueue().getJob.mockResolvedValue(deadJob);
+            eventQueue().getJob.mockResolvedValue(originalJob);
+
+            const result = await replayDeadLetterJob('tx1-0');
+
+            expect(result).toEqual({ jobId: 'tx1-0', eventType: 'VoucherRedeemed' });
+            expect(originalJob.retry).toHaveBeenCalled();
+            expect(eventQueue().add).not.toHaveBeenCalled();
+            expect(deadJob.remove).toHaveBeenCalled();
+        });
+
+        it('should re-enqueue the event when the original job is gone', async () => {
+            const payload = failedJob(5).data;
+            const deadJob = { name: 'VoucherRedeemed', data: { originalJobId: 'tx1-0', payload }, remove: jest.fn() };
+            deadLetterQueue().getJob.mockResolvedValue(deadJob);
+            eventQueue().getJob.mockResolvedValue(null);
+
+            await replayDeadLetterJob('tx1-0');
+
+            expect(eventQueue().add).toHaveBeenCalledWith('VoucherRedeemed', payload, { jobId: 'tx1-0' });
+            expect(deadJob.remove).toHaveBeenCalled();
+        });
+
+        it('should return null for an unknown dead-letter job', async () => {
+            deadLetterQueue().getJob.mockResolvedValue(null);
+
+            expect(await replayDeadLetterJob('missing')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const Voucher = require('../models/Voucher');
+const ReclaimedFund = require('../models/ReclaimedFund');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../utils/notificationManager', () => ({
+    sendNotification: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const notificationManager = require('../utils/notificationManager');
+const expirySweepService = require('../services/expirySweepService');
+
+const ownerAddress = '0x' + '1'.repeat(64);
+let sequence = 0;
+
+const createVoucher = (overrides = {}) => {
+    sequence += 1;
+    return Voucher.create({
+        voucherId: `0xvoucher${sequence}`,
+        voucherType: '1',
+        amount: 100,
+        originalAmount: 100,
+        remainingAmount: 100,
+        recipient: ownerAddress,
+        merchantId: 'merchant_123',
+        transactionDigest: `mint-digest-${sequence}`,
+        expiryTimestamp: Date.now() - 60000,
+        ...overrides
+    });
+};
+
+describe('ExpirySweepService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should expire past-due vouchers and reclaim their remaining balance', async () => {
+        const expired = await createVoucher({ remainingAmount: 40, status: 'partially_redeemed' });
+        const current = await createVoucher({ expiryTimestamp: Date.now() + 86400000 });
+
+        const run = await expirySweepService.runSweep();
+
+        expect(run.status).toBe('completed');
+        expect(run.summary.vouchersExpired).toBe(1);
+        expect(run.summary.amountReclaimed).toBe(40);
+        expect(run.summary.byVoucherType.get('1')).toBe(40);
+
+        expect((await Voucher.findById(expired._id)).status).toBe('expired');
+        expect((await Voucher.findById(current._id)).status).toBe('active');
+
+        const entry = await ReclaimedFund.findOne({ voucherId: expired.voucherId });
+        expect(entry).toMatchObject({ amount: 40, originalAmount: 100, sweepRunId: run.runId });
+
+        expect(notificationManager.sendNotification).toHaveBeenCalledWith(
+            ownerAddress,
+            'voucher_expired',
+            expect.objectContaining({ voucherId: expired.voucherId, amount: 40 })
+        );
+    });
+
+    it('should leave redeemed and revoked vouchers alone', async () => {
+        await createVoucher({ status: 'fully_redeemed', remainingAmount: 0 });
+        await createVoucher({ status: 'cancelled' });
+
+        const run = await expirySweepService.runSweep();
+
+        expect(run.summary.vouchersExpired).toBe(0);
+        expect(await ReclaimedFund.countDocuments()).toBe(0);
+        expect(notificationManager.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not reclaim the same voucher twice', async () => {
+        const voucher = await createVoucher();
+        await expirySweepService.runSweep();
+
+        // Simulate a status rollback; the ledger entry must still be unique
+        await Voucher.updateOne({ _id: voucher._id }, { status: 'active' });
+        const run = await expirySweepService.runSweep();
+
+        expect(run.summary.amountReclaimed).toBe(0);
+        expect(await ReclaimedFund.countDocuments({ voucherId: voucher.voucherId })).toBe(1);
+    });
+
+    it('should reject a second sweep while one is running', async () => {
+        const { completion } = await expirySweepService.startSweep();
+
+        await expect(expirySweepService.startSweep()).rejects.toMatchObject({ code: 'SWEEP_IN_PROGRESS' });
+
+        await completion;
+    });
+
+    it('should total reclaimed funds by month', async () => {
+        await ReclaimedFund.create([
+            { voucherId: '0xa', voucherType: '1', originalAmount: 100, amount: 30, expiredAt: new Date('2026-01-10'), reclaimedAt: new Date('2026-01-10T01:00:00Z') },
+            { voucherId: '0xb', voucherType: '1', originalAmount: 100, amount: 20, expiredAt: new Date('2026-01-20'), reclaimedAt: new Date('2026-01-20T01:00:00Z') },
+            { voucherId: '0xc', voucherType: '2', originalAmount: 50, amount: 50, expiredAt: new Date('2026-02-02'), reclaimedAt: new Date('2026-02-02T01:00:00Z') },
+        ]);
+
+        const rows = await ReclaimedFund.getMonthlySummary({ from: new Date('2026-01-01'), to: new Date('2026-01-31') });
+
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ _id: { year: 2026, month: 1, voucherType: '1' }, amount: 50, vouchers: 2 });
+    });
+});
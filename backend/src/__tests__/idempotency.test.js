@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const IdempotencyKey = require('../models/IdempotencyKey');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+    },
+}));
+
+const { idempotent } = require('../middleware/idempotency');
+const { executeTransactionWithRetry } = require('../utils/blockchainRetry');
+
+describe('Idempotency middleware', () => {
+    let handler;
+    let app;
+
+    beforeEach(() => {
+        handler = jest.fn((req, res) => res.status(201).json({ mintedAt: Date.now(), amount: req.body.amount }));
+
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.merchant = { _id: req.get('x-test-merchant') || 'merchant-a' };
+            next();
+        });
+        app.post('/api/vouchers/mint', idempotent, (req, res) => handler(req, res));
+    });
+
+    // The response is stored after it is sent
+    const completed = async (key) => {
+        for (let i = 0; i < 50; i++) {
+            const record = await IdempotencyKey.findOne({ key }).lean();
+            if (record?.status === 'completed') return record;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        throw new Error(`Key ${key} was not completed`);
+    };
+
+    const mint = (key, body = { amount: 100 }) => request(app)
+        .post('/api/vouchers/mint')
+        .set('Idempotency-Key', key)
+        .send(body);
+
+    it('should run the request once and replay the original response', async () => {
+        const first = await mint('retry-1');
+        await completed('retry-1');
+        const second = await mint('retry-1');
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(second.status).toBe(201);
+        expect(second.body).toEqual(first.body);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+    });
+
+    it('should treat a reordered body as the same request', async () => {
+        await mint('retry-2', { amount: 100, note: 'x' });
+        await completed('retry-2');
+        const second = await mint('retry-2', { note: 'x', amount: 100 });
+
+        expect(second.status).toBe(201);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a key reused with a different body', async () => {
+        await mint('retry-3');
+        await completed('retry-3');
+        const second = await mint('retry-3', { amount: 200 });
+
+        expect(second.status).toBe(422);
+        expect(second.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep keys separate per caller', async () => {
+        await mint('shared');
+        const other = await request(app)
+            .post('/api/vouchers/mint')
+            .set('Idempotency-Key', 'shared')
+            .set('X-Test-Merchant', 'merchant-b')
+            .send({ amount: 100 });
+
+        expect(other.headers['idempotent-replayed']).toBeUndefined();
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should answer 409 while the first request is still running', async () => {
+        await mint('busy');
+        await completed('busy');
+        await IdempotencyKey.updateOne({ key: 'busy' }, { status: 'processing', lockedAt: new Date() });
+
+        const res = await mint('busy');
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+        expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('should take over a key whose request never finished', async () => {
+        await mint('stale');
+        await completed('stale');
+        await IdempotencyKey.updateOne(
+            { key: 'stale' },
+            { status: 'processing', lockedAt: new Date(Date.now() - 10 * 60 * 1000) }
+        );
+
+        const res = await mint('stale');
+
+        expect(res.status).toBe(201);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should release the key after a server error so the client can retry', async () => {
+        handler.mockImplementationOnce((req, res) => res.status(502).json({ error: 'Chain unavailable' }));
+
+        const first = await mint('retry-5xx');
+        for (let i = 0; i < 50 && await IdempotencyKey.exists({ key: 'retry-5xx' }); i++) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        const second = await mint('retry-5xx');
+
+        expect(first.status).toBe(502);
+        expect(second.status).toBe(201);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep a server error once a transaction was sent and replay it with the digest', async () => {
+        const suiClient = { signAndExecuteTransactionBlock: jest.fn().mockResolvedValue({ digest: 'minted-digest' }) };
+        handler.mockImplementation(async (req, res) => {
+            await executeTransactionWithRetry(suiClient, {});
+            res.status(500).json({ error: 'Failed to save voucher' });
+        });
+
+        const first = await mint('retry-after-chain');
+        await completed('retry-after-chain');
+        const second = await mint('retry-after-chain');
+
+        expect(first.status).toBe(500);
+        expect(first.body).toEqual({ error: 'Failed to save voucher', transactionDigest: 'minted-digest' });
+        expect(second.status).toBe(500);
+        expect(second.body).toEqual(first.body);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(suiClient.signAndExecuteTransactionBlock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep a server error when the transaction outcome is unknown', async () => {
+        const suiClient = { signAndExecuteTransactionBlock: jest.fn().mockRejectedValue(new Error('Request aborted')) };
+        handler.mockImplementation(async (req, res) => {
+            try {
+                await executeTransactionWithRetry(suiClient, {});
+            } catch (error) {
+                res.status(503).json({ error: 'Blockchain unavailable' });
+            }
+        });
+
+        await mint('retry-after-timeout');
+        await completed('retry-after-timeout');
+        const second = await mint('retry-after-timeout');
+
+        expect(second.status).toBe(503);
+        expect(suiClient.signAndExecuteTransactionBlock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass requests without a key straight through and reject malformed keys', async () => {
+        await request(app).post('/api/vouchers/mint').send({ amount: 100 });
+        await request(app).post('/api/vouchers/mint').send({ amount: 100 });
+        const bad = await mint('has spaces');
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(bad.status).toBe(400);
+        expect(await IdempotencyKey.countDocuments()).toBe(0);
+    });
+});
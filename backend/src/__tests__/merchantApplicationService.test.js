@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const MerchantApplication = require('../models/MerchantApplication');
+const User = require('../models/User');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+    },
+}));
+
+jest.mock('../services/merchantService', () => ({
+    registerMerchant: jest.fn(),
+}));
+
+const merchantService = require('../services/merchantService');
+const merchantApplicationService = require('../services/merchantApplicationService');
+
+describe('MerchantApplicationService', () => {
+    let applicant;
+    let reviewer;
+
+    const wallet = (digit) => `0x${String(digit).repeat(64)}`;
+
+    const details = (overrides = {}) => ({
+        businessName: 'Kibera Pharmacy',
+        registrationNumber: 'PVT-2024-0192',
+        walletAddress: wallet(1),
+        voucherTypesAccepted: [2],
+        contactEmail: 'owner@kiberapharmacy.example',
+        location: { city: 'Nairobi', coordinates: [36.79, -1.31] },
+        documents: [{ type: 'business_registration', name: 'certificate.pdf', url: 'https://docs.example.com/cert.pdf' }],
+        ...overrides,
+    });
+
+    beforeEach(async () => {
+        merchantService.registerMerchant.mockReset();
+        merchantService.registerMerchant.mockImplementation(async ({ merchantId, userId }) => ({
+            merchant: { _id: new mongoose.Types.ObjectId(), merchantId, userId },
+            signingAddress: wallet('a'),
+            transactionDigest: 'digest-1',
+        }));
+
+        applicant = await User.create({ email: 'owner@kiberapharmacy.example', password: 'password123', name: 'Owner', isVerified: true });
+        reviewer = await User.create({ email: 'reviewer@example.com', password: 'password123', name: 'Reviewer', role: 'admin' });
+    });
+
+    it('should queue a submitted application and ignore fields the applicant cannot set', async () => {
+        const application = await merchantApplicationService.submitApplication(applicant, details({ status: 'approved', merchantId: 'self-approved' }));
+
+        expect(application.status).toBe('submitted');
+        expect(application.merchantId).toBeUndefined();
+        expect(application.applicantId.equals(applicant._id)).toBe(true);
+    });
+
+    it('should refuse a second open application for the same wallet', async () => {
+        await merchantApplicationService.submitApplication(applicant, details());
+
+        await expect(merchantApplicationService.submitApplication(applicant, details()))
+            .rejects.toMatchObject({ code: 'APPLICATION_EXISTS' });
+    });
+
+    it('should send an application back to the queue once the applicant answers a request for information', async () => {
+        const submitted = await merchantApplicationService.submitApplication(applicant, details({ documents: [] }));
+
+        const needsInfo = await merchantApplicationService.requestInfo(submitted._id, reviewer, 'Please attach your business registration');
+        expect(needsInfo.status).toBe('needs_info');
+
+        const resubmitted = await merchantApplicationService.updateApplication(
+            needsInfo,
+            applicant,
+            { documents: details().documents },
+            'Certificate attached'
+        );
+
+        expect(resubmitted.status).toBe('submitted');
+        expect(resubmitted.documents).toHaveLength(1);
+        expect(resubmitted.comments.map((comment) => [comment.authorRole, comment.status])).toEqual([
+            ['reviewer', 'needs_info'],
+            ['applicant', 'submitted'],
+        ]);
+    });
+
+    it('should close rejected applications to further changes', async () => {
+        const submitted = await merchantApplicationService.submitApplication(applicant, details());
+        const rejected = await merchantApplicationService.rejectApplication(submitted._id, reviewer, 'Registration number does not match');
+
+        await expect(merchantApplicationService.updateApplication(rejected, applicant, { businessName: 'Renamed' }))
+            .rejects.toMatchObject({ code: 'APPLICATION_CLOSED' });
+        await expect(merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' }))
+            .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+        expect(merchantService.registerMerchant).not.toHaveBeenCalled();
+    });
+
+    it('should register the merchant on approval and link the applicant account', async () => {
+        const submitted = await merchantApplicationService.submitApplication(applicant, details());
+
+        const { application, merchant } = await merchantApplicationService.approveApplication(
+            submitted._id,
+            reviewer,
+            { merchantId: 'merchant-100', comment: 'KYC complete' }
+        );
+
+        expect(merchantService.registerMerchant).toHaveBeenCalledWith(expect.objectContaining({
+            merchantId: 'merchant-100',
+            name: 'Kibera Pharmacy',
+            walletAddress: wallet(1),
+            voucherTypesAccepted: [2],
+            coordinates: [36.79, -1.31],
+            userId: applicant._id,
+        }));
+        expect(application.status).toBe('approved');
+        expect(application.transactionDigest).toBe('digest-1');
+        expect(application.approvalStartedAt).toBeUndefined();
+
+        const linked = await User.findById(applicant._id);
+        expect(linked.role).toBe('merchant');
+        expect(linked.merchantId.equals(merchant._id)).toBe(true);
+    });
+
+    it('should link the account named by a field team member rather than the field team member', async () => {
+        const fieldAgent = await User.create({ email: 'agent@example.com', password: 'password123', name: 'Agent' });
+        const submitted = await merchantApplicationService.submitApplication(
+            fieldAgent,
+            details({ accountEmail: 'owner@kiberapharmacy.example' })
+        );
+        await merchantApplicationService.confirmAccountLink(await MerchantApplication.findById(submitted._id), applicant);
+
+        const { application } = await merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' });
+
+        expect(application.linkedUserId.equals(applicant._id)).toBe(true);
+        expect((await User.findById(fieldAgent._id)).merchantId).toBeUndefined();
+    });
+
+    it('should not link an account named by a field team member until its owner confirms', async () => {
+        const fieldAgent = await User.create({ email: 'agent@example.com', password: 'password123', name: 'Agent' });
+        const submitted = await merchantApplicationService.submitApplication(
+            fieldAgent,
+            details({ accountEmail: 'owner@kiberapharmacy.example' })
+        );
+
+        await expect(merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' }))
+            .rejects.toMatchObject({ code: 'ACCOUNT_NOT_CONFIRMED' });
+        await expect(merchantApplicationService.confirmAccountLink(await MerchantApplication.findById(submitted._id), fieldAgent))
+            .rejects.toMatchObject({ code: 'APPLICATION_NOT_FOUND' });
+        expect(merchantService.registerMerchant).not.toHaveBeenCalled();
+        expect((await User.findById(applicant._id)).merchantId).toBeUndefined();
+    });
+
+    it('should clear the confirmation when the field team member changes the account email', async () => {
+        const fieldAgent = await User.create({ email: 'agent@example.com', password: 'password123', name: 'Agent' });
+        const submitted = await merchantApplicationService.submitApplication(
+            fieldAgent,
+            details({ accountEmail: 'owner@kiberapharmacy.example' })
+        );
+        const confirmed = await merchantApplicationService.confirmAccountLink(await MerchantApplication.findById(submitted._id), applicant);
+
+        const updated = await merchantApplicationService.updateApplication(confirmed, fieldAgent, { accountEmail: 'other@example.com' });
+
+        expect(updated.accountConfirmedAt).toBeUndefined();
+    });
+
+    it('should refuse to link unverified accounts and accounts holding custom roles', async () => {
+        const unverified = await User.create({ email: 'unverified@example.com', password: 'password123', name: 'Unverified' });
+        const privileged = await User.create({
+            email: 'privileged@example.com', password: 'password123', name: 'Privileged', isVerified: true, roles: ['auditor'],
+        });
+
+        const first = await merchantApplicationService.submitApplication(unverified, details());
+        await expect(merchantApplicationService.approveApplication(first._id, reviewer, { merchantId: 'merchant-100' }))
+            .rejects.toMatchObject({ code: 'ACCOUNT_NOT_VERIFIED' });
+
+        const second = await merchantApplicationService.submitApplication(applicant, details({
+            walletAddress: wallet(2), accountEmail: 'privileged@example.com',
+        }));
+        await expect(merchantApplicationService.confirmAccountLink(await MerchantApplication.findById(second._id), privileged))
+            .rejects.toMatchObject({ code: 'ACCOUNT_HAS_ROLES' });
+        expect(merchantService.registerMerchant).not.toHaveBeenCalled();
+    });
+
+    it('should register an application only once when approved twice at the same time', async () => {
+        const submitted = await merchantApplicationService.submitApplication(applicant, details());
+
+        const results = await Promise.allSettled([
+            merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' }),
+            merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' }),
+        ]);
+
+        expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find((result) => result.status === 'rejected').reason.code).toMatch(/APPROVAL_IN_PROGRESS|INVALID_STATUS/);
+        expect(merchantService.registerMerchant).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the application in the queue when on-chain registration fails', async () => {
+        const submitted = await merchantApplicationService.submitApplication(applicant, details());
+        merchantService.registerMerchant.mockRejectedValueOnce(Object.assign(new Error('RPC unavailable'), { isBlockchainError: true }));
+
+        await expect(merchantApplicationService.approveApplication(submitted._id, reviewer, { merchantId: 'merchant-100' }))
+            .rejects.toThrow('RPC unavailable');
+
+        const stored = await MerchantApplication.findById(submitted._id);
+        expect(stored.status).toBe('submitted');
+        expect(stored.approvalStartedAt).toBeUndefined();
+        expect((await User.findById(applicant._id)).merchantId).toBeUndefined();
+    });
+});
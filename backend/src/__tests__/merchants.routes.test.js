@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+const Merchant = require('../models/Merchant');
+require('./setup');
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        signAndExecuteTransactionBlock: jest.fn(),
+        multiGetObjects: jest.fn(),
+    },
+    getAdminKeypair: jest.fn(() => ({ /* mock keypair */ })),
+    PACKAGE_ID: 'mock-package-id',
+    ADMIN_CAP_ID: 'mock-admin-cap',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+    },
+}));
+
+jest.mock('../middleware/auth', () => ({
+    verifyToken: (req, res, next) => {
+        req.user = { userId: 'admin-user', role: 'admin' };
+        next();
+    },
+    requirePermission: () => (req, res, next) => next(),
+    adminOnly: (req, res, next) => next(),
+    adminOrMerchant: (req, res, next) => next(),
+}));
+
+jest.mock('../middleware/rateLimiter', () => ({
+    writeLimiter: (req, res, next) => next(),
+    readLimiter: (req, res, next) => next(),
+}));
+
+const { suiClient } = require('../config/sui');
+const { getMerchantKeypair } = require('../utils/merchantKeyManager');
+const merchantsRouter = require('../routes/merchants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/merchants', merchantsRouter);
+
+const walletAddress = '0x' + 'a'.repeat(64);
+
+const merchantDetails = (merchantId) => ({
+    merchantId,
+    name: `Merchant ${merchantId}`,
+    walletAddress,
+    voucherTypesAccepted: [1, 2],
+    contactEmail: `${merchantId}@example.com`,
+});
+
+// The signing address is the last argument of each register_merchant call
+const registeredSigners = (tx) => tx.blockData.transactions
+    .filter((call) => call.target === 'mock-package-id::voucher_system::register_merchant')
+    .map((call) => tx.blockData.inputs[call.arguments[4].index].value);
+
+describe('Merchants Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('POST /api/merchants/register', () => {
+        it('should provision a signing key and register it on-chain', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'register-txn-001',
+                objectChanges: [{
+                    type: 'created',
+                    objectType: 'mock-package-id::voucher_system::Merchant',
+                    objectId: '0xmerchantobject001',
+                }],
+            });
+
+            const response = await request(app)
+                .post('/api/merchants/register')
+                .send(merchantDetails('merchant-001'));
+
+            expect(response.status).toBe(201);
+            const { signingAddress } = response.body.merchant;
+            expect(signingAddress).toMatch(/^0x[a-f0-9]{64}$/);
+            expect(response.body.merchant.encryptedSigningKey).toBeUndefined();
+
+            const tx = suiClient.signAndExecuteTransactionBlock.mock.calls[0][0].transactionBlock;
+            expect(registeredSigners(tx)).toEqual([signingAddress]);
+
+            const merchant = await Merchant.findOne({ merchantId: 'merchant-001' });
+            expect(merchant.onChainObjectId).toBe('0xmerchantobject001');
+            expect(merchant.signingKeyCreatedAt).toBeDefined();
+
+            const keypair = await getMerchantKeypair('merchant-001');
+            expect(keypair.toSuiAddress()).toBe(signingAddress);
+        });
+    });
+
+    describe('POST /api/merchants/batch-register', () => {
+        it('should provision and register a signing key for every merchant', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'batch-txn-001',
+                objectChanges: [
+                    { type: 'created', objectType: 'mock-package-id::voucher_system::Merchant', objectId: '0xmerchantobject002' },
+                    { type: 'created', objectType: 'mock-package-id::voucher_system::Merchant', objectId: '0xmerchantobject003' },
+                ],
+            });
+            suiClient.multiGetObjects.mockResolvedValue([
+                { data: { objectId: '0xmerchantobject003', content: { fields: { merchant_id: 'merchant-003' } } } },
+                { data: { objectId: '0xmerchantobject002', content: { fields: { merchant_id: 'merchant-002' } } } },
+            ]);
+
+            const response = await request(app)
+                .post('/api/merchants/batch-register')
+                .send({ merchants: [merchantDetails('merchant-002'), merchantDetails('merchant-003')] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.transactionDigest).toBe('batch-txn-001');
+
+            const tx = suiClient.signAndExecuteTransactionBlock.mock.calls[0][0].transactionBlock;
+            const signers = registeredSigners(tx);
+            expect(signers).toHaveLength(2);
+            expect(signers[0]).not.toBe(signers[1]);
+
+            for (const [index, merchantId] of ['merchant-002', 'merchant-003'].entries()) {
+                const merchant = await Merchant.findOne({ merchantId });
+                expect(merchant.signingAddress).toBe(signers[index]);
+                expect(merchant.signingKeyCreatedAt).toBeDefined();
+
+                const keypair = await getMerchantKeypair(merchantId);
+                expect(keypair.toSuiAddress()).toBe(signers[index]);
+            }
+
+            expect((await Merchant.findOne({ merchantId: 'merchant-002' })).onChainObjectId).toBe('0xmerchantobject002');
+            expect((await Merchant.findOne({ merchantId: 'merchant-003' })).onChainObjectId).toBe('0xmerchantobject003');
+        });
+
+        it('should not save any merchant when registration fails on-chain', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockRejectedValue(new Error('Insufficient gas'));
+
+            const response = await request(app)
+                .post('/api/merchants/batch-register')
+                .send({ merchants: [merchantDetails('merchant-004')] });
+
+            expect(response.status).toBe(500);
+            expect(await Merchant.countDocuments({ merchantId: 'merchant-004' })).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const MultiSigOperation = require('../models/MultiSigOperation');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+    },
+}));
+
+const multiSigManager = require('../utils/multiSigManager');
+
+describe('MultiSigManager.executeOperation', () => {
+    const approvedOperation = () => MultiSigOperation.create({
+        operationId: 'MSIG_TOPUP0001',
+        operationType: 'top_up_voucher',
+        operationData: { voucherId: '0xvoucher', amount: 20000 },
+        requiredSignatures: 2,
+        signatures: [
+            { adminId: 'admin-2', adminEmail: 'a2@example.com' },
+            { adminId: 'admin-3', adminEmail: 'a3@example.com' },
+        ],
+        status: 'approved',
+        createdBy: 'admin-1',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    it('should run the executor once when executed concurrently', async () => {
+        await approvedOperation();
+        let finish;
+        const executor = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+
+        const first = multiSigManager.executeOperation('MSIG_TOPUP0001', 'admin-2', executor);
+        // Let the first request claim the operation before the second arrives
+        for (let i = 0; i < 50 && executor.mock.calls.length === 0; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        const second = multiSigManager.executeOperation('MSIG_TOPUP0001', 'admin-3', executor);
+
+        await expect(second).rejects.toThrow('Operation is already being executed');
+        finish({ digest: 'topup-digest' });
+        await expect(first).resolves.toMatchObject({ success: true });
+
+        expect(executor).toHaveBeenCalledTimes(1);
+        expect(await MultiSigOperation.findOne({ operationId: 'MSIG_TOPUP0001' }))
+            .toMatchObject({ status: 'executed', executedBy: 'admin-2' });
+    });
+
+    it('should record a failed execution', async () => {
+        await approvedOperation();
+
+        await expect(multiSigManager.executeOperation('MSIG_TOPUP0001', 'admin-2', async () => {
+            throw new Error('Insufficient gas');
+        })).rejects.toThrow('Insufficient gas');
+
+        const operation = await MultiSigOperation.findOne({ operationId: 'MSIG_TOPUP0001' });
+        expect(operation.status).toBe('executed');
+        expect(operation.result).toMatchObject({ success: false, error: 'Insufficient gas' });
+    });
+});
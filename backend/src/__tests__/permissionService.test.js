@@ -0,0 +1,70 @@
+const User = require('../models/User');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const permissionService = require('../services/permissionService');
+const { PERMISSION_NAMES } = require('../config/permissions');
+
+describe('PermissionService', () => {
+    let auditor;
+
+    beforeEach(async () => {
+        auditor = await User.create({ email: 'auditor@example.com', password: 'password123', name: 'Auditor' });
+        await permissionService.createRole({
+            name: 'finance-auditor',
+            description: 'Read-only finance access',
+            permissions: ['finance:read', 'analytics:read'],
+        }, 'admin-001');
+    });
+
+    it('should give admins every permission and plain users none', async () => {
+        const admin = await User.create({ email: 'admin@example.com', password: 'password123', name: 'Admin', role: 'admin' });
+
+        expect([...await permissionService.getPermissions(admin)].sort()).toEqual([...PERMISSION_NAMES].sort());
+        expect((await permissionService.getPermissions(auditor)).size).toBe(0);
+    });
+
+    it('should grant the union of the permissions of assigned roles', async () => {
+        await permissionService.createRole({ name: 'field-officer', permissions: ['voucher:mint'] }, 'admin-001');
+
+        const updated = await permissionService.assignRoles(auditor._id.toString(), ['finance-auditor', 'Field-Officer'], 'admin@example.com');
+
+        expect(updated.roles).toEqual(['finance-auditor', 'field-officer']);
+        expect(await permissionService.hasPermission(updated, 'voucher:mint')).toBe(true);
+        expect(await permissionService.hasPermission(updated, 'finance:read')).toBe(true);
+        expect(await permissionService.hasPermission(updated, 'multisig:sign')).toBe(false);
+    });
+
+    it('should reject unknown permissions and roles', async () => {
+        await expect(permissionService.createRole({ name: 'bad', permissions: ['voucher:destroy'] }, 'admin-001'))
+            .rejects.toMatchObject({ code: 'INVALID_PERMISSION', unknown: ['voucher:destroy'] });
+
+        await expect(permissionService.assignRoles(auditor._id.toString(), ['nonexistent'], 'admin@example.com'))
+            .rejects.toMatchObject({ code: 'ROLE_NOT_FOUND', unknown: ['nonexistent'] });
+    });
+
+    it('should not allow custom roles named after base roles', async () => {
+        await expect(permissionService.createRole({ name: 'admin', permissions: [] }, 'admin-001'))
+            .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    it('should apply role changes to holders and remove deleted roles from them', async () => {
+        await permissionService.assignRoles(auditor._id.toString(), ['finance-auditor'], 'admin@example.com');
+
+        await permissionService.updateRole('finance-auditor', { permissions: ['finance:read'] }, 'admin-001');
+        let holder = await User.findById(auditor._id);
+        expect(await permissionService.hasPermission(holder, 'analytics:read')).toBe(false);
+
+        expect(await permissionService.deleteRole('finance-auditor')).toBe(1);
+        holder = await User.findById(auditor._id);
+        expect(holder.roles).toHaveLength(0);
+    });
+});
@@ -0,0 +1,49 @@
+const User = require('../models/User');
+require('./setup');
+
+const recipientPolicyService = require('../services/recipientPolicyService');
+
+const verifiedAddress = '0x' + 'a'.repeat(64);
+const unverifiedAddress = '0x' + 'b'.repeat(64);
+
+describe('RecipientPolicyService', () => {
+    beforeEach(async () => {
+        await User.create([
+            {
+                email: 'verified@example.com',
+                password: 'password123',
+                name: 'Verified',
+                isVerified: true,
+                walletAddress: verifiedAddress,
+                walletVerifiedAt: new Date(),
+            },
+            {
+                // Email verified, but the wallet was only typed in
+                email: 'unlinked@example.com',
+                password: 'password123',
+                name: 'Unlinked',
+                isVerified: true,
+                walletAddress: unverifiedAddress,
+            },
+        ]);
+    });
+
+    it('should be off until an admin enables it', async () => {
+        expect(await recipientPolicyService.isEnforced()).toBe(false);
+        await expect(recipientPolicyService.assertRecipientsVerified([unverifiedAddress])).resolves.toBeUndefined();
+    });
+
+    it('should reject recipients without a verified email and wallet once enabled', async () => {
+        await recipientPolicyService.setEnforced(true, 'admin-001');
+
+        await expect(recipientPolicyService.assertRecipientsVerified([verifiedAddress])).resolves.toBeUndefined();
+        await expect(recipientPolicyService.assertRecipientsVerified([verifiedAddress, unverifiedAddress]))
+            .rejects.toMatchObject({ code: 'RECIPIENT_UNVERIFIED', unverified: [unverifiedAddress] });
+    });
+
+    it('should match recipient addresses regardless of case', async () => {
+        const unverified = await recipientPolicyService.findUnverifiedRecipients([verifiedAddress.toUpperCase().replace('0X', '0x')]);
+
+        expect(unverified).toHaveLength(0);
+    });
+});
@@ -0,0 +1,229 @@
+const Voucher = require('../models/Voucher');
+const Redemption = require('../models/Redemption');
+require('./setup');
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        multiGetObjects: jest.fn(),
+        getDynamicFieldObject: jest.fn(),
+        getTransactionBlock: jest.fn(),
+        queryEvents: jest.fn(),
+    },
+    getAdminKeypair: jest.fn(() => ({ /* mock keypair */ })),
+    PACKAGE_ID: 'mock-package-id',
+    ADMIN_CAP_ID: 'mock-admin-cap',
+    REGISTRY_ID: 'mock-registry',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../queues/eventProcessor', () => ({
+    handleVoucherMinted: jest.fn().mockResolvedValue(),
+    handleVoucherRedemption: jest.fn().mockResolvedValue(),
+}));
+
+const { suiClient } = require('../config/sui');
+const { handleVoucherMinted } = require('../queues/eventProcessor');
+const reconciliationService = require('../services/reconciliationService');
+
+const ownerAddress = '0x' + '1'.repeat(64);
+const otherAddress = '0x' + '2'.repeat(64);
+
+const createVoucher = (overrides = {}) => Voucher.create({
+    voucherId: '0xvoucher1',
+    voucherType: '1',
+    amount: 100,
+    originalAmount: 100,
+    remainingAmount: 100,
+    recipient: ownerAddress,
+    merchantId: 'merchant_123',
+    transactionDigest: 'mint-digest',
+    ...overrides
+});
+
+const onChainVoucher = (owner, amount) => ({
+    data: {
+        owner: { Shared: { initial_shared_version: 1 } },
+        content: { fields: { issued_to: owner, amount: String(amount) } },
+    },
+});
+
+describe('ReconciliationService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        suiClient.queryEvents.mockResolvedValue({ data: [], hasNextPage: false, nextCursor: null });
+        suiClient.getTransactionBlock.mockResolvedValue({ effects: { status: { status: 'success' } } });
+        suiClient.getDynamicFieldObject.mockResolvedValue({ error: { code: 'dynamicFieldNotFound' } });
+    });
+
+    describe('topped-up vouchers', () => {
+        const pendingTopUp = (topUp) => ({
+            data: { content: { fields: { value: { fields: { top_up: String(topUp), expiry_timestamp: '0' } } } } },
+        });
+
+        // The DB applies the top-up at once; on-chain it waits on the registry
+        const createToppedUpVoucher = () => createVoucher({
+            amount: 150,
+            originalAmount: 150,
+            remainingAmount: 150,
+            amendments: [{ type: 'top_up', amount: 50, transactionDigest: 'top-up-digest' }],
+        });
+
+        it('should count a pending top-up towards the on-chain amount', async () => {
+            await createToppedUpVoucher();
+            suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(ownerAddress, 100)]);
+            suiClient.getDynamicFieldObject.mockResolvedValue(pendingTopUp(50));
+
+            const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+            expect(report.summary.discrepancies).toBe(0);
+            expect(suiClient.getDynamicFieldObject).toHaveBeenCalledWith({
+                parentId: 'mock-registry',
+                name: {
+                    type: 'mock-package-id::voucher_system::AmendmentKey',
+                    value: { voucher_id: '0xvoucher1' },
+                },
+            });
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.remainingAmount).toBe(150);
+            expect(voucher.status).toBe('active');
+        });
+
+        it('should match once the top-up has been folded into the voucher', async () => {
+            await createToppedUpVoucher();
+            suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(ownerAddress, 150)]);
+
+            const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+            expect(report.summary.discrepancies).toBe(0);
+            expect(suiClient.getDynamicFieldObject).not.toHaveBeenCalled();
+        });
+
+        it('should repair a partial redemption without rolling back the top-up', async () => {
+            await createToppedUpVoucher();
+            suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(ownerAddress, 70)]);
+            suiClient.getDynamicFieldObject.mockResolvedValue(pendingTopUp(50));
+
+            const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+            expect(report.discrepancies.map(d => d.type)).toEqual(['amount_mismatch']);
+            expect(report.summary.repaired).toBe(1);
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.remainingAmount).toBe(120);
+            expect(voucher.status).toBe('partially_redeemed');
+        });
+    });
+
+    it('should report no discrepancies when both ledgers match', async () => {
+        await createVoucher();
+        suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(ownerAddress, 100)]);
+
+        const report = await reconciliationService.runReconciliation();
+
+        expect(report.status).toBe('completed');
+        expect(report.summary.vouchersChecked).toBe(1);
+        expect(report.summary.discrepancies).toBe(0);
+    });
+
+    it('should classify owner and amount mismatches without repairing by default', async () => {
+        await createVoucher();
+        suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(otherAddress, 40)]);
+
+        const report = await reconciliationService.runReconciliation();
+
+        const types = report.discrepancies.map(d => d.type);
+        expect(types).toEqual(expect.arrayContaining(['owner_mismatch', 'amount_mismatch']));
+        expect(report.summary.repaired).toBe(0);
+
+        const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+        expect(voucher.recipient).toBe(ownerAddress);
+        expect(voucher.remainingAmount).toBe(100);
+    });
+
+    it('should repair safe discrepancies in auto-repair mode', async () => {
+        await createVoucher();
+        suiClient.multiGetObjects.mockResolvedValue([onChainVoucher(otherAddress, 40)]);
+
+        const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+        expect(report.summary.repaired).toBe(2);
+
+        const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+        expect(voucher.recipient).toBe(otherAddress);
+        expect(voucher.remainingAmount).toBe(40);
+        expect(voucher.status).toBe('partially_redeemed');
+    });
+
+    it('should flag vouchers consumed on-chain but still active in the database', async () => {
+        await createVoucher();
+        await Redemption.create({
+            voucherObjectId: '0xvoucher1',
+            transactionDigest: 'redeem-digest',
+            merchantId: 'merchant_123',
+            voucherType: 1,
+            amount: 100,
+            redeemedBy: ownerAddress,
+        });
+        suiClient.multiGetObjects.mockResolvedValue([{ error: { code: 'deleted' } }]);
+
+        const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+        expect(report.discrepancies[0].type).toBe('redeemed_but_active');
+        expect(report.discrepancies[0].repaired).toBe(true);
+
+        const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+        expect(voucher.status).toBe('fully_redeemed');
+    });
+
+    it('should flag redemptions without a successful transaction', async () => {
+        await Redemption.create({
+            voucherObjectId: '0xvoucher2',
+            transactionDigest: 'unknown-digest',
+            merchantId: 'merchant_123',
+            voucherType: 1,
+            amount: 50,
+            redeemedBy: ownerAddress,
+        });
+        suiClient.getTransactionBlock.mockRejectedValue(new Error('Could not find the referenced transaction'));
+
+        const report = await reconciliationService.runReconciliation();
+
+        expect(report.discrepancies).toHaveLength(1);
+        expect(report.discrepancies[0]).toMatchObject({
+            type: 'missing_on_chain',
+            entity: 'redemption',
+            transactionDigest: 'unknown-digest',
+        });
+    });
+
+    it('should backfill minted vouchers missing from the database', async () => {
+        suiClient.queryEvents.mockImplementation(({ query }) => Promise.resolve({
+            data: query.MoveEventType.endsWith('::VoucherMinted') ? [{
+                id: { txDigest: 'mint-digest-2', eventSeq: '0' },
+                type: 'mock-package-id::voucher_system::VoucherMinted',
+                sender: ownerAddress,
+                timestampMs: '1700000000000',
+                parsedJson: { voucher_id: '0xvoucher3', voucher_type: 1, amount: '75', recipient: ownerAddress },
+            }] : [],
+            hasNextPage: false,
+            nextCursor: null,
+        }));
+
+        const report = await reconciliationService.runReconciliation({ autoRepair: true });
+
+        expect(report.discrepancies[0]).toMatchObject({ type: 'missing_in_db', voucherId: '0xvoucher3', repaired: true });
+        expect(handleVoucherMinted).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'VoucherMinted',
+            data: expect.objectContaining({ voucher_id: '0xvoucher3', transactionId: 'mint-digest-2' }),
+        }));
+    });
+});
@@ -1,8 +1,15 @@
+// Legacy HMAC and static codes are off by default; these tests cover the opted-in paths
+process.env.QR_SIGNING_SECRET = 'test-qr-signing-secret';
+process.env.QR_LEGACY_HMAC_ENABLED = 'true';
+process.env.QR_REQUIRE_DYNAMIC = 'false';
+
 const request = require('supertest');
 const express = require('express');
 const crypto = require('crypto');
+const { normalizeSuiObjectId } = require('@mysten/sui.js/utils');
 const Redemption = require('../models/Redemption');
 const Merchant = require('../models/Merchant');
+const Voucher = require('../models/Voucher');
 require('./setup');
 
 // Mock dependencies
@@ -33,6 +40,7 @@ jest.mock('../middleware/auth', () => ({
         req.merchant = { merchantId: 'merchant-001' };
         next();
     },
+    requireScope: () => (req, res, next) => next(),
     adminOrMerchant: (req, res, next) => next(),
 }));
 
@@ -41,23 +49,32 @@ jest.mock('../middleware/rateLimiter', () => ({
     readLimiter: (req, res, next) => next(),
 }));
 
-const { suiClient } = require('../config/sui');
+jest.mock('../utils/merchantKeyManager', () => ({
+    executeAsMerchant: jest.fn(),
+}));
+
+const { executeAsMerchant } = require('../utils/merchantKeyManager');
+const { signVoucherToken, issueDynamicQrCode } = require('../services/voucherService');
 const redemptionsRouter = require('../routes/redemptions');
 
 const app = express();
 app.use(express.json());
 app.use('/api/redemptions', redemptionsRouter);
 
-const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET || 'default-secret';
+const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET;
 
 describe('Redemptions Routes - QR Code Functionality', () => {
     beforeEach(async () => {
+        jest.clearAllMocks();
+
         // Create a test merchant
         await Merchant.create({
             merchantId: 'merchant-001',
             name: 'Test Merchant',
+            walletAddress: '0x' + 'a'.repeat(64),
             businessType: 'EDU',
             apiKey: 'test-api-key',
+            onChainObjectId: '0xmerchantobject001',
             totalRedemptions: 0,
         });
     });
@@ -79,8 +96,9 @@ describe('Redemptions Routes - QR Code Functionality', () => {
 
             const qrPayload = JSON.stringify({ ...payload, signature });
 
-            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+            executeAsMerchant.mockResolvedValue({
                 digest: 'redemption-txn-001',
+                signerAddress: '0xmerchantsigner001',
             });
 
             const response = await request(app)
@@ -97,6 +115,8 @@ describe('Redemptions Routes - QR Code Functionality', () => {
             expect(redemption.merchantId).toBe('merchant-001');
             expect(redemption.voucherType).toBe('EDU');
             expect(redemption.amount).toBe(1000);
+            expect(redemption.signedBy).toBe('0xmerchantsigner001');
+            expect(executeAsMerchant).toHaveBeenCalledWith('merchant-001', expect.anything(), { showEvents: true });
 
             // Verify merchant stats updated
             const merchant = await Merchant.findOne({ merchantId: 'merchant-001' });
@@ -169,8 +189,9 @@ describe('Redemptions Routes - QR Code Functionality', () => {
             const qrPayload = JSON.stringify({ ...payload, signature });
 
             // First redemption
-            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+            executeAsMerchant.mockResolvedValue({
                 digest: 'redemption-txn-004',
+                signerAddress: '0xmerchantsigner001',
             });
 
             const firstResponse = await request(app)
@@ -192,6 +213,91 @@ describe('Redemptions Routes - QR Code Functionality', () => {
             expect(redemptions).toHaveLength(1);
         });
 
+        it('should pass the merchant on-chain object to redeem_voucher', async () => {
+            const payload = {
+                voucherId: 'voucher-qr-006',
+                voucherType: 'EDU',
+                amount: 300,
+                recipient: '0xrecipient006',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+            };
+
+            const signature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
+                .update(JSON.stringify(payload))
+                .digest('hex');
+
+            executeAsMerchant.mockResolvedValue({
+                digest: 'redemption-txn-006',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify({ ...payload, signature }) });
+
+            const tx = executeAsMerchant.mock.calls[0][1];
+            const moveCall = tx.blockData.transactions[0];
+            const objectInputs = moveCall.arguments.map((arg) => tx.blockData.inputs[arg.index].value);
+
+            expect(moveCall.target).toBe('mock-package-id::voucher_system::redeem_voucher');
+            expect(objectInputs).toEqual(
+                ['mock-registry', '0xmerchantobject001', 'voucher-qr-006'].map(normalizeSuiObjectId)
+            );
+        });
+
+        it('should reject redemption when the merchant is not registered on-chain', async () => {
+            await Merchant.updateOne({ merchantId: 'merchant-001' }, { onChainObjectId: null });
+
+            const payload = {
+                voucherId: 'voucher-qr-007',
+                voucherType: 'EDU',
+                amount: 300,
+                recipient: '0xrecipient007',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+            };
+
+            const signature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
+                .update(JSON.stringify(payload))
+                .digest('hex');
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify({ ...payload, signature }) });
+
+            expect(response.status).toBe(409);
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject redemption when the merchant has no signing key', async () => {
+            executeAsMerchant.mockRejectedValue(Object.assign(
+                new Error('Merchant merchant-001 has no signing key; rotate it to provision one'),
+                { code: 'MERCHANT_KEY_MISSING' }
+            ));
+
+            const payload = {
+                voucherId: 'voucher-qr-008',
+                voucherType: 'EDU',
+                amount: 300,
+                recipient: '0xrecipient008',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+            };
+
+            const signature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
+                .update(JSON.stringify(payload))
+                .digest('hex');
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify({ ...payload, signature }) });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Merchant signing key missing');
+            expect(await Redemption.countDocuments({ voucherObjectId: 'voucher-qr-008' })).toBe(0);
+        });
+
         it('should handle blockchain transaction failure', async () => {
             const payload = {
                 voucherId: 'voucher-qr-005',
@@ -208,7 +314,7 @@ describe('Redemptions Routes - QR Code Functionality', () => {
 
             const qrPayload = JSON.stringify({ ...payload, signature });
 
-            suiClient.signAndExecuteTransactionBlock.mockRejectedValue(
+            executeAsMerchant.mockRejectedValue(
                 new Error('Blockchain transaction failed')
             );
 
@@ -225,6 +331,603 @@ describe('Redemptions Routes - QR Code Functionality', () => {
         });
     });
 
+    describe('Signed voucher tokens', () => {
+        const tokenPayload = (overrides = {}) => ({
+            voucherId: 'voucher-token-001',
+            voucherType: 1,
+            amount: 250,
+            recipient: '0xrecipient-token',
+            merchantId: 'merchant-001',
+            expiryTimestamp: Date.now() + 86400000,
+            ...overrides,
+        });
+
+        it('should publish the QR verification public key', async () => {
+            const response = await request(app).get('/api/redemptions/qr-public-key');
+
+            expect(response.status).toBe(200);
+            expect(response.body.algorithm).toBe('Ed25519');
+            expect(response.body.publicKey).toContain('BEGIN PUBLIC KEY');
+            expect(response.body.keyId).toBeDefined();
+        });
+
+        it('should redeem a signed voucher token and record its nonce', async () => {
+            const { token } = signVoucherToken(tokenPayload());
+            executeAsMerchant.mockResolvedValue({
+                digest: 'token-txn-001',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(200);
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'token-txn-001' });
+            expect(redemption.qrNonce).toBe(JSON.parse(token.payload).nonce);
+            expect(redemption.offline).toBe(false);
+        });
+
+        it('should record the amount redeemed on-chain rather than the QR amount', async () => {
+            await Voucher.create({
+                voucherId: 'voucher-token-001',
+                voucherType: '1',
+                amount: 250,
+                originalAmount: 250,
+                remainingAmount: 100,
+                recipient: '0xrecipient-token',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-token',
+                status: 'partially_redeemed',
+            });
+            const { token } = signVoucherToken(tokenPayload());
+            executeAsMerchant.mockResolvedValue({
+                digest: 'token-txn-002',
+                signerAddress: '0xmerchantsigner001',
+                // A pending top-up of 50 is folded in on-chain
+                events: [{
+                    type: 'mock-package-id::voucher_system::VoucherRedeemed',
+                    parsedJson: { voucher_id: 'voucher-token-001', amount: '150' },
+                }],
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(200);
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'token-txn-002' });
+            expect(redemption.amount).toBe(150);
+        });
+
+        it('should fall back to the remaining balance when the event is missing', async () => {
+            await Voucher.create({
+                voucherId: 'voucher-token-001',
+                voucherType: '1',
+                amount: 250,
+                originalAmount: 250,
+                remainingAmount: 100,
+                recipient: '0xrecipient-token',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-token',
+                status: 'partially_redeemed',
+            });
+            const { token } = signVoucherToken(tokenPayload());
+            executeAsMerchant.mockResolvedValue({
+                digest: 'token-txn-003',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) })
+                .expect(200);
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'token-txn-003' });
+            expect(redemption.amount).toBe(100);
+        });
+
+        it('should reject a tampered voucher token', async () => {
+            const { token } = signVoucherToken(tokenPayload());
+            const tampered = { ...token, payload: token.payload.replace('"amount":250', '"amount":25000') };
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(tampered) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid QR code signature');
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject a revoked voucher', async () => {
+            await Voucher.create({
+                voucherId: 'voucher-token-001',
+                voucherType: '1',
+                amount: 250,
+                remainingAmount: 250,
+                recipient: '0xrecipient-token',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-token',
+                status: 'cancelled',
+            });
+            const { token } = signVoucherToken(tokenPayload());
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher revoked');
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject a voucher swept to expired', async () => {
+            await Voucher.create({
+                voucherId: 'voucher-token-001',
+                voucherType: '1',
+                amount: 250,
+                remainingAmount: 250,
+                recipient: '0xrecipient-token',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-token',
+                status: 'expired',
+            });
+            const { token } = signVoucherToken(tokenPayload());
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher expired');
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject an expired voucher token', async () => {
+            const { token } = signVoucherToken(tokenPayload({ expiryTimestamp: Date.now() - 1000 }));
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('QR code expired');
+        });
+    });
+
+    describe('Dynamic QR codes', () => {
+        beforeEach(async () => {
+            await Voucher.create({
+                voucherId: 'voucher-dynamic-001',
+                voucherType: '1',
+                amount: 300,
+                remainingAmount: 300,
+                recipient: '0xrecipient-dynamic',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-dynamic',
+            });
+        });
+
+        it('should redeem a live dynamic QR code', async () => {
+            const { qrPayload } = await issueDynamicQrCode('voucher-dynamic-001');
+            executeAsMerchant.mockResolvedValue({
+                digest: 'dynamic-txn-001',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload });
+
+            expect(response.status).toBe(200);
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'dynamic-txn-001' });
+            expect(redemption.amount).toBe(300);
+            expect(redemption.redeemedBy).toBe('0xrecipient-dynamic');
+        });
+
+        it('should reject a dynamic code with a tampered time window', async () => {
+            const { qrPayload } = await issueDynamicQrCode('voucher-dynamic-001');
+            const stale = { ...JSON.parse(qrPayload) };
+            stale.step -= 5;
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(stale) });
+
+            expect(response.status).toBe(400);
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject a dynamic code after the voucher changes hands', async () => {
+            const { qrPayload } = await issueDynamicQrCode('voucher-dynamic-001');
+            await Voucher.updateOne({ voucherId: 'voucher-dynamic-001' }, { recipient: '0xnew-owner' });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('QR code no longer valid');
+        });
+
+        it('should not accept dynamic codes in offline sync', async () => {
+            const { qrPayload } = await issueDynamicQrCode('voucher-dynamic-001');
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [{ qrPayload, redeemedAt: new Date().toISOString() }] });
+
+            expect(response.body.results[0]).toMatchObject({ status: 'rejected', reason: 'unsupported_token' });
+        });
+    });
+
+    describe('POST /api/redemptions/sync', () => {
+        const scan = (payloadOverrides = {}, redeemedAt = new Date(Date.now() - 60000)) => {
+            const { token } = signVoucherToken({
+                voucherId: 'voucher-offline-001',
+                voucherType: 1,
+                amount: 400,
+                recipient: '0xrecipient-offline',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+                ...payloadOverrides,
+            });
+            return { qrPayload: JSON.stringify(token), redeemedAt: redeemedAt.toISOString() };
+        };
+
+        it('should redeem queued offline scans with their original scan time', async () => {
+            const entry = scan();
+            executeAsMerchant.mockResolvedValue({
+                digest: 'offline-txn-001',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [{ ...entry, localId: 'local-1' }] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results[0]).toMatchObject({
+                localId: 'local-1',
+                status: 'redeemed',
+                transactionDigest: 'offline-txn-001',
+            });
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'offline-txn-001' });
+            expect(redemption.offline).toBe(true);
+            expect(redemption.redeemedAt.toISOString()).toBe(entry.redeemedAt);
+        });
+
+        it('should treat a retried sync of the same scan as already synced', async () => {
+            const entry = scan();
+            executeAsMerchant.mockResolvedValue({
+                digest: 'offline-txn-002',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            await request(app).post('/api/redemptions/sync').send({ redemptions: [entry] });
+            const response = await request(app).post('/api/redemptions/sync').send({ redemptions: [entry] });
+
+            expect(response.body.results[0]).toMatchObject({
+                status: 'already_synced',
+                transactionDigest: 'offline-txn-002',
+            });
+            expect(executeAsMerchant).toHaveBeenCalledTimes(1);
+        });
+
+        it('should flag a voucher scanned twice as a double spend', async () => {
+            executeAsMerchant.mockResolvedValue({
+                digest: 'offline-txn-003',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [
+                    { ...scan(), localId: 'local-1' },
+                    { ...scan(), localId: 'local-2' },
+                ] });
+
+            expect(response.body.results.map(r => r.status)).toEqual(['redeemed', 'double_spend']);
+            expect(response.body.summary.double_spend).toBe(1);
+            expect(executeAsMerchant).toHaveBeenCalledTimes(1);
+        });
+
+        it('should flag a scan of a voucher already redeemed elsewhere as a double spend', async () => {
+            await Redemption.create({
+                voucherObjectId: 'voucher-offline-001',
+                transactionDigest: 'online-txn-001',
+                merchantId: 'merchant-001',
+                voucherType: 1,
+                amount: 400,
+                redeemedBy: '0xrecipient-offline',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [scan()] });
+
+            expect(response.body.results[0]).toMatchObject({
+                status: 'double_spend',
+                conflictsWith: { transactionDigest: 'online-txn-001' },
+            });
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject legacy QR codes and scans for other merchants', async () => {
+            const legacyPayload = {
+                voucherId: 'voucher-offline-002',
+                voucherType: 1,
+                amount: 100,
+                recipient: '0xrecipient-offline',
+                merchantId: 'merchant-001',
+            };
+            const signature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
+                .update(JSON.stringify(legacyPayload))
+                .digest('hex');
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [
+                    { qrPayload: JSON.stringify({ ...legacyPayload, signature }), redeemedAt: new Date().toISOString() },
+                    scan({ voucherId: 'voucher-offline-003', merchantId: 'merchant-999' }),
+                ] });
+
+            expect(response.body.results).toEqual([
+                expect.objectContaining({ status: 'rejected', reason: 'unsupported_token' }),
+                expect.objectContaining({ status: 'rejected', reason: 'merchant_mismatch' }),
+            ]);
+        });
+
+        it('should reject scans backdated beyond the offline window', async () => {
+            // Valid at the claimed scan time, but expired long before the sync
+            const entry = scan({ expiryTimestamp: Date.now() - 4 * 24 * 60 * 60 * 1000 }, new Date(Date.now() - 5 * 24 * 60 * 60 * 1000));
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [entry] });
+
+            expect(response.body.results[0]).toMatchObject({ status: 'rejected', reason: 'offline_window_exceeded' });
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should report merchants without a signing key as not retryable', async () => {
+            executeAsMerchant.mockRejectedValue(Object.assign(
+                new Error('Merchant merchant-001 has no signing key; rotate it to provision one'),
+                { code: 'MERCHANT_KEY_MISSING' }
+            ));
+
+            const response = await request(app)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [scan()] });
+
+            expect(response.body.results[0]).toMatchObject({
+                status: 'failed',
+                reason: 'merchant_key_missing',
+                retryable: false,
+            });
+        });
+    });
+
+    describe('QR signing configuration', () => {
+        const loadVoucherService = (env) => {
+            const saved = { ...process.env };
+            Object.assign(process.env, env);
+            Object.keys(env).filter((key) => env[key] === undefined).forEach((key) => delete process.env[key]);
+            try {
+                let service;
+                jest.isolateModules(() => {
+                    service = require('../services/voucherService');
+                });
+                return service;
+            } finally {
+                process.env = saved;
+            }
+        };
+
+        const legacyCode = (secret) => {
+            const payload = { voucherId: 'voucher-legacy-001', merchantId: 'merchant-001' };
+            const signature = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+            return { ...payload, signature };
+        };
+
+        it('should reject legacy QR codes unless explicitly enabled', () => {
+            const service = loadVoucherService({ QR_LEGACY_HMAC_ENABLED: undefined });
+
+            expect(service.verifyLegacyVoucherPayload(legacyCode(QR_SIGNING_SECRET)).valid).toBe(false);
+        });
+
+        it('should reject legacy QR codes when no secret is configured', () => {
+            const service = loadVoucherService({ QR_SIGNING_SECRET: undefined });
+
+            expect(service.verifyLegacyVoucherPayload(legacyCode('default-secret'))).toEqual({
+                valid: false,
+                reason: 'unsupported_token',
+            });
+        });
+
+        it('should refuse to start in production without a QR signing key', () => {
+            expect(() => loadVoucherService({ NODE_ENV: 'production', QR_SIGNING_PRIVATE_KEY: undefined }))
+                .toThrow('QR_SIGNING_PRIVATE_KEY must be set in production environment');
+        });
+    });
+
+    describe('Default QR policy', () => {
+        let defaultApp;
+        let defaultVoucherService;
+        let defaultExecuteAsMerchant;
+
+        beforeAll(() => {
+            const saved = { ...process.env };
+            delete process.env.QR_REQUIRE_DYNAMIC;
+            try {
+                jest.isolateModules(() => {
+                    defaultVoucherService = require('../services/voucherService');
+                    ({ executeAsMerchant: defaultExecuteAsMerchant } = require('../utils/merchantKeyManager'));
+                    defaultApp = express();
+                    defaultApp.use(express.json());
+                    defaultApp.use('/api/redemptions', require('../routes/redemptions'));
+                });
+            } finally {
+                process.env = saved;
+            }
+        });
+
+        it('should reject static signed tokens unless explicitly allowed', async () => {
+            const { token } = defaultVoucherService.signVoucherToken({
+                voucherId: 'voucher-static-001',
+                voucherType: 1,
+                amount: 250,
+                recipient: '0xrecipient-static',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+            });
+
+            const response = await request(defaultApp)
+                .post('/api/redemptions/redeem-qr')
+                .send({ qrPayload: JSON.stringify(token) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Dynamic QR code required');
+            expect(defaultExecuteAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should reject static signed tokens in offline sync unless offline sync is enabled', async () => {
+            const { token } = defaultVoucherService.signVoucherToken({
+                voucherId: 'voucher-static-002',
+                voucherType: 1,
+                amount: 250,
+                recipient: '0xrecipient-static',
+                merchantId: 'merchant-001',
+                expiryTimestamp: Date.now() + 86400000,
+            });
+
+            const response = await request(defaultApp)
+                .post('/api/redemptions/sync')
+                .send({ redemptions: [{
+                    localId: 'local-static',
+                    qrPayload: JSON.stringify(token),
+                    redeemedAt: new Date(Date.now() - 60000).toISOString(),
+                }] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results[0]).toMatchObject({ status: 'rejected', reason: 'dynamic_qr_required' });
+            expect(defaultExecuteAsMerchant).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/redemptions/redeem-partial', () => {
+        beforeEach(async () => {
+            await Voucher.create({
+                voucherId: 'voucher-partial-001',
+                voucherType: '2',
+                amount: 1000,
+                originalAmount: 1000,
+                remainingAmount: 1000,
+                recipient: '0xrecipient-partial',
+                merchantId: 'merchant-001',
+                transactionDigest: 'mint-txn-partial',
+                allowPartialRedemption: true,
+            });
+        });
+
+        it('should redeem part of the voucher on-chain with redeem_partial', async () => {
+            executeAsMerchant.mockResolvedValue({
+                digest: 'partial-txn-001',
+                signerAddress: '0xmerchantsigner001',
+            });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 400 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.remainingAmount).toBe(600);
+            expect(response.body.transactionDigest).toBe('partial-txn-001');
+
+            const tx = executeAsMerchant.mock.calls[0][1];
+            expect(tx.blockData.transactions[0].target).toBe('mock-package-id::voucher_system::redeem_partial');
+            expect(tx.blockData.inputs[tx.blockData.transactions[0].arguments[0].index].value)
+                .toBe(normalizeSuiObjectId('mock-registry'));
+
+            const redemption = await Redemption.findOne({ transactionDigest: 'partial-txn-001' });
+            expect(redemption.isPartial).toBe(true);
+            expect(redemption.amount).toBe(400);
+
+            const voucher = await Voucher.findOne({ voucherId: 'voucher-partial-001' });
+            expect(voucher.remainingAmount).toBe(600);
+            expect(voucher.status).toBe('partially_redeemed');
+            expect(voucher.partialRedemptions[0].transactionHash).toBe('partial-txn-001');
+        });
+
+        it('should allow repeated partial redemptions and burn the voucher on the final one', async () => {
+            executeAsMerchant
+                .mockResolvedValueOnce({ digest: 'partial-txn-002', signerAddress: '0xmerchantsigner001' })
+                .mockResolvedValueOnce({ digest: 'partial-txn-003', signerAddress: '0xmerchantsigner001' });
+
+            await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 300 });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 700 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.fullyRedeemed).toBe(true);
+
+            const finalTx = executeAsMerchant.mock.calls[1][1];
+            expect(finalTx.blockData.transactions[0].target).toBe('mock-package-id::voucher_system::redeem_voucher');
+
+            const redemptions = await Redemption.find({ voucherObjectId: 'voucher-partial-001' });
+            expect(redemptions).toHaveLength(2);
+        });
+
+        it('should reject a voucher past its expiry before the sweep marks it', async () => {
+            await Voucher.updateOne({ voucherId: 'voucher-partial-001' }, { expiryTimestamp: Date.now() - 1000 });
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 400 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher expired');
+            expect(executeAsMerchant).not.toHaveBeenCalled();
+        });
+
+        it('should not update balances when the chain call fails', async () => {
+            executeAsMerchant.mockRejectedValue(new Error('MoveAbort'));
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 400 });
+
+            expect(response.status).toBe(500);
+
+            const voucher = await Voucher.findOne({ voucherId: 'voucher-partial-001' });
+            expect(voucher.remainingAmount).toBe(1000);
+            expect(await Redemption.countDocuments({ voucherObjectId: 'voucher-partial-001' })).toBe(0);
+        });
+
+        it('should return 409 when the merchant has no signing key', async () => {
+            executeAsMerchant.mockRejectedValue(Object.assign(
+                new Error('Merchant merchant-001 has no signing key; rotate it to provision one'),
+                { code: 'MERCHANT_KEY_MISSING' }
+            ));
+
+            const response = await request(app)
+                .post('/api/redemptions/redeem-partial')
+                .send({ voucherId: 'voucher-partial-001', amount: 400 });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Merchant signing key missing');
+        });
+    });
+
     describe('GET /api/redemptions/merchant/:merchantId', () => {
         beforeEach(async () => {
             await Redemption.create([
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const ScheduledVoucher = require('../models/ScheduledVoucher');
+const Voucher = require('../models/Voucher');
+require('./setup');
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        signAndExecuteTransactionBlock: jest.fn(),
+    },
+    getAdminKeypair: jest.fn(() => ({ /* mock keypair */ })),
+    PACKAGE_ID: 'mock-package-id',
+    ADMIN_CAP_ID: 'mock-admin-cap',
+    REGISTRY_ID: 'mock-registry',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+jest.mock('../utils/notificationManager', () => ({
+    sendNotification: jest.fn().mockResolvedValue([]),
+}));
+
+const { suiClient } = require('../config/sui');
+const notificationManager = require('../utils/notificationManager');
+const scheduledVoucherProcessor = require('../utils/scheduledVoucherProcessor');
+const { verifyVoucherToken } = require('../services/voucherService');
+
+const createSchedule = (overrides = {}) => ScheduledVoucher.create({
+    scheduleId: `SCH_${new mongoose.Types.ObjectId().toString()}`,
+    scheduledFor: new Date(Date.now() - 1000),
+    voucherType: 2,
+    amount: 500,
+    recipient: '0x' + '1'.repeat(64),
+    merchantId: 'merchant_123',
+    expiryTimestamp: Date.now() + 2592000000,
+    createdBy: 'admin-1',
+    ...overrides
+});
+
+describe('ScheduledVoucherProcessor', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('processScheduledVoucher', () => {
+        it('should mint the voucher on-chain and link it to the schedule', async () => {
+            const mockObjectId = '0xscheduled123';
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'txn-digest-scheduled',
+                objectChanges: [
+                    {
+                        type: 'created',
+                        objectType: 'mock-package-id::voucher_system::Voucher',
+                        objectId: mockObjectId,
+                    },
+                ],
+            });
+
+            const schedule = await createSchedule();
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            expect(suiClient.signAndExecuteTransactionBlock).toHaveBeenCalledTimes(1);
+
+            const updated = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(updated.status).toBe('completed');
+            expect(updated.voucherId).toBe(mockObjectId);
+            expect(updated.transactionDigest).toBe('txn-digest-scheduled');
+
+            const voucher = await Voucher.findOne({ voucherId: mockObjectId });
+            expect(voucher).not.toBeNull();
+            expect(voucher.transactionDigest).toBe('txn-digest-scheduled');
+            expect(voucher.remainingAmount).toBe(500);
+            expect(voucher.qrCodeData).toMatch(/^data:image\/png;base64,/);
+            expect(verifyVoucherToken(JSON.parse(voucher.qrPayload)).valid).toBe(true);
+
+            expect(notificationManager.sendNotification).toHaveBeenCalledWith(
+                schedule.recipient,
+                'voucher_received',
+                expect.objectContaining({ voucherId: mockObjectId })
+            );
+        });
+
+        it('should create the next occurrence for recurring schedules', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'txn-digest-recurring',
+                objectChanges: [
+                    {
+                        type: 'created',
+                        objectType: 'mock-package-id::voucher_system::Voucher',
+                        objectId: '0xrecurring123',
+                    },
+                ],
+            });
+
+            const schedule = await createSchedule({
+                recurringSchedule: { enabled: true, frequency: 'monthly' }
+            });
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            const pending = await ScheduledVoucher.find({ status: 'pending' });
+            expect(pending).toHaveLength(1);
+            expect(pending[0].recurringSchedule.frequency).toBe('monthly');
+        });
+
+        it('should mark the schedule failed when the chain call fails', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockRejectedValue(new Error('MoveAbort'));
+
+            const schedule = await createSchedule();
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            const updated = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(updated.status).toBe('failed');
+            expect(updated.voucherId).toBeUndefined();
+            expect(await Voucher.countDocuments()).toBe(0);
+        });
+
+        it('should retry a failed schedule once its backoff has passed', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockRejectedValueOnce(new Error('MoveAbort'));
+
+            const schedule = await createSchedule();
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            const failed = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(failed.retryCount).toBe(1);
+            expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+            expect(await ScheduledVoucher.findReady()).toHaveLength(0);
+
+            await ScheduledVoucher.updateOne({ _id: schedule._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValueOnce({
+                digest: 'txn-digest-retry',
+                objectChanges: [
+                    {
+                        type: 'created',
+                        objectType: 'mock-package-id::voucher_system::Voucher',
+                        objectId: '0xretry123',
+                    },
+                ],
+            });
+            await scheduledVoucherProcessor.processReadyVouchers();
+
+            const completed = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(completed.status).toBe('completed');
+            expect(completed.voucherId).toBe('0xretry123');
+            expect(completed.nextAttemptAt).toBeUndefined();
+        });
+
+        it('should stop retrying once the retries are used up', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockRejectedValue(new Error('MoveAbort'));
+
+            const schedule = await createSchedule({ retryCount: 3 });
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            const updated = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(updated.status).toBe('failed');
+            expect(updated.nextAttemptAt).toBeUndefined();
+        });
+
+        it('should not retry a schedule whose mint landed before the failure', async () => {
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'txn-digest-landed',
+                objectChanges: [
+                    {
+                        type: 'created',
+                        objectType: 'mock-package-id::voucher_system::Voucher',
+                        objectId: '0xlanded123',
+                    },
+                ],
+            });
+            jest.spyOn(Voucher, 'findOneAndUpdate').mockRejectedValueOnce(new Error('write conflict'));
+
+            const schedule = await createSchedule();
+            await scheduledVoucherProcessor.processScheduledVoucher(schedule);
+
+            const updated = await ScheduledVoucher.findOne({ scheduleId: schedule.scheduleId });
+            expect(updated.status).toBe('failed');
+            expect(updated.nextAttemptAt).toBeUndefined();
+        });
+    });
+});
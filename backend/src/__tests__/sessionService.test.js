@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const sessionService = require('../services/sessionService');
+
+describe('SessionService', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = await User.create({ email: 'holder@example.com', password: 'password123', name: 'Holder' });
+    });
+
+    it('should store only a hash of the refresh token with device details', async () => {
+        const { refreshToken, session } = await sessionService.createSession(user, {
+            userAgent: 'Mozilla/5.0',
+            ipAddress: '203.0.113.7',
+        });
+
+        const stored = await Session.findById(session._id);
+        expect(stored.tokenHash).not.toBe(refreshToken);
+        expect(stored.userAgent).toBe('Mozilla/5.0');
+        expect(stored.ipAddress).toBe('203.0.113.7');
+        expect(stored.toJSON()).not.toHaveProperty('tokenHash');
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+        const first = await sessionService.createSession(user);
+
+        const second = await sessionService.rotateSession(first.refreshToken);
+
+        expect(second.refreshToken).not.toBe(first.refreshToken);
+        expect(second.session._id.toString()).toBe(first.session._id.toString());
+        await expect(sessionService.rotateSession(second.refreshToken)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('should revoke the whole session when an old refresh token is reused', async () => {
+        const first = await sessionService.createSession(user);
+        const second = await sessionService.rotateSession(first.refreshToken);
+
+        await expect(sessionService.rotateSession(first.refreshToken)).rejects.toMatchObject({ code: 'TOKEN_REUSED' });
+
+        const session = await Session.findById(first.session._id);
+        expect(session.revokedReason).toBe('reuse_detected');
+        await expect(sessionService.rotateSession(second.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    });
+
+    it('should list and revoke only the user\'s own sessions', async () => {
+        const other = await User.create({ email: 'other@example.com', password: 'password123', name: 'Other' });
+        const { session } = await sessionService.createSession(user);
+        await sessionService.createSession(user);
+        const otherSession = await sessionService.createSession(other);
+
+        expect(await sessionService.listSessions(user._id)).toHaveLength(2);
+
+        await expect(sessionService.revokeSession(user._id, otherSession.session._id.toString(), 'user_revoked'))
+            .rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+
+        await sessionService.revokeSession(user._id, session._id.toString(), 'user_revoked');
+
+        expect(await sessionService.listSessions(user._id)).toHaveLength(1);
+    });
+
+    it('should revoke every session except the one kept', async () => {
+        const { session: current } = await sessionService.createSession(user);
+        await sessionService.createSession(user);
+        await sessionService.createSession(user);
+
+        const revoked = await sessionService.revokeAllSessions(user._id, 'password_changed', { except: current._id });
+
+        expect(revoked).toBe(2);
+        const remaining = await sessionService.listSessions(user._id);
+        expect(remaining.map((session) => session._id.toString())).toEqual([current._id.toString()]);
+    });
+});
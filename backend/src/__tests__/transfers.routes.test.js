@@ -0,0 +1,375 @@
+const request = require('supertest');
+const express = require('express');
+const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { verifyTransactionBlock } = require('@mysten/sui.js/verify');
+const { fromB64 } = require('@mysten/sui.js/utils');
+const Voucher = require('../models/Voucher');
+const VoucherTransfer = require('../models/VoucherTransfer');
+require('./setup');
+
+const mockSponsor = Ed25519Keypair.generate();
+
+jest.mock('../config/sui', () => ({
+    suiClient: {
+        multiGetObjects: jest.fn(),
+        executeTransactionBlock: jest.fn(),
+    },
+    getAdminKeypair: jest.fn(() => mockSponsor),
+    PACKAGE_ID: 'mock-package-id',
+    ADMIN_CAP_ID: 'mock-admin-cap',
+    REGISTRY_ID: 'mock-registry',
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+let mockCurrentUser;
+
+jest.mock('../middleware/auth', () => ({
+    verifyToken: (req, res, next) => {
+        req.user = mockCurrentUser;
+        next();
+    },
+    adminOnly: (req, res, next) => next(),
+}));
+
+jest.mock('../middleware/rateLimiter', () => ({
+    writeLimiter: (req, res, next) => next(),
+    readLimiter: (req, res, next) => next(),
+}));
+
+jest.mock('../services/webhookService', () => ({
+    publishEvent: jest.fn().mockResolvedValue(),
+}));
+
+const { suiClient } = require('../config/sui');
+const transferValidator = require('../utils/transferValidator');
+const transfersRouter = require('../routes/transfers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/transfers', transfersRouter);
+
+const owner = Ed25519Keypair.generate();
+const stranger = Ed25519Keypair.generate();
+const recipientAddress = '0x' + 'e'.repeat(64);
+const gasCoin = { objectId: '0x' + '9'.repeat(64), version: '7', digest: '11111111111111111111111111111111' };
+
+// Shared objects can't be resolved without a node, so the built bytes stand in for the
+// requested call with the same sender and sponsor, and the request is kept for inspection
+const realBuild = TransactionBlock.prototype.build;
+let builtTransactions;
+
+const ownerUser = () => ({ _id: 'user-001', role: 'user', walletAddress: owner.toSuiAddress() });
+
+const createVoucher = (overrides = {}) => Voucher.create({
+    voucherId: '0xvoucher1',
+    voucherType: '1',
+    amount: 100,
+    originalAmount: 100,
+    remainingAmount: 100,
+    recipient: owner.toSuiAddress(),
+    merchantId: 'merchant-001',
+    transactionDigest: 'mint-digest',
+    allowPartialRedemption: true,
+    ...overrides
+});
+
+const createTransfer = (body) => request(app)
+    .post('/api/transfers')
+    .send({ voucherId: '0xvoucher1', toAddress: recipientAddress, transferType: 'full', ...body });
+
+const signBytes = async (keypair, transactionBytes) => {
+    const { signature } = await keypair.signTransactionBlock(fromB64(transactionBytes));
+    return signature;
+};
+
+const executed = (events = []) => ({
+    digest: 'transfer-digest',
+    effects: { status: { status: 'success' } },
+    events,
+});
+
+describe('Transfers Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCurrentUser = ownerUser();
+        builtTransactions = [];
+
+        jest.spyOn(TransactionBlock.prototype, 'build').mockImplementation(function () {
+            builtTransactions.push(this.blockData);
+
+            const standIn = new TransactionBlock();
+            standIn.moveCall({ target: '0x2::voucher_system::transfer_voucher', arguments: [standIn.pure.u64(1)] });
+            standIn.setSender(this.blockData.sender);
+            standIn.setGasOwner(this.blockData.gasConfig.owner);
+            standIn.setGasPrice(1000);
+            standIn.setGasBudget(10000000);
+            standIn.setGasPayment([gasCoin]);
+            return realBuild.call(standIn);
+        });
+
+        suiClient.multiGetObjects.mockResolvedValue([{ data: { objectId: gasCoin.objectId, version: gasCoin.version } }]);
+        suiClient.executeTransactionBlock.mockResolvedValue(executed());
+    });
+
+    afterEach(() => {
+        TransactionBlock.prototype.build.mockRestore();
+    });
+
+    describe('POST /api/transfers', () => {
+        it('should return bytes for the owner to sign when no approval is needed', async () => {
+            await createVoucher();
+
+            const response = await createTransfer();
+
+            expect(response.status).toBe(201);
+            expect(response.body.transactionBytes).toBeDefined();
+            expect(new Date(response.body.transactionExpiresAt).getTime()).toBeGreaterThan(Date.now());
+
+            const [built] = builtTransactions;
+            expect(built.sender).toBe(owner.toSuiAddress());
+            expect(built.gasConfig.owner).toBe(mockSponsor.toSuiAddress());
+            expect(built.transactions[0].target).toBe('mock-package-id::voucher_system::transfer_voucher');
+            expect(built.inputs[0].value).toBe('mock-registry');
+        });
+
+        it('should not build bytes for a transfer awaiting approval', async () => {
+            await createVoucher({ transferRestrictions: { requireApproval: true } });
+
+            const response = await createTransfer();
+
+            expect(response.status).toBe(201);
+            expect(response.body.transfer.status).toBe('pending');
+            expect(response.body.transactionBytes).toBeUndefined();
+            expect(builtTransactions).toHaveLength(0);
+        });
+    });
+
+    describe('approval gating', () => {
+        let transferId;
+
+        beforeEach(async () => {
+            await createVoucher({ transferRestrictions: { requireApproval: true } });
+            transferId = (await createTransfer()).body.transfer.transferId;
+        });
+
+        it('should refuse to prepare or sign a pending transfer', async () => {
+            const prepared = await request(app).post(`/api/transfers/${transferId}/transaction`);
+            expect(prepared.status).toBe(400);
+            expect(prepared.body.error).toBe('Transfer must be approved before it can be signed');
+
+            const signed = await request(app)
+                .post(`/api/transfers/${transferId}/sign`)
+                .send({ signature: 'AAAA' });
+            expect(signed.status).toBe(400);
+            expect(signed.body.error).toBe('Transfer is pending approval');
+            expect(suiClient.executeTransactionBlock).not.toHaveBeenCalled();
+        });
+
+        it('should let the owner sign fresh bytes once approved', async () => {
+            await transferValidator.approveTransfer(transferId, 'admin-001');
+
+            const prepared = await request(app).post(`/api/transfers/${transferId}/transaction`);
+            expect(prepared.status).toBe(200);
+
+            const signature = await signBytes(owner, prepared.body.transactionBytes);
+            const signed = await request(app)
+                .post(`/api/transfers/${transferId}/sign`)
+                .send({ signature });
+
+            expect(signed.status).toBe(200);
+            expect(signed.body.transfer.status).toBe('completed');
+        });
+
+        it('should only prepare bytes for the voucher owner', async () => {
+            await transferValidator.approveTransfer(transferId, 'admin-001');
+            mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: stranger.toSuiAddress() };
+
+            const response = await request(app).post(`/api/transfers/${transferId}/transaction`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Only the voucher owner can sign this transfer');
+        });
+    });
+
+    describe('POST /api/transfers/:transferId/sign', () => {
+        let transfer;
+
+        beforeEach(async () => {
+            await createVoucher();
+            transfer = (await createTransfer()).body;
+        });
+
+        it('should sponsor-sign at execution and move the voucher once confirmed', async () => {
+            let recipientDuringExecution;
+            suiClient.executeTransactionBlock.mockImplementation(async () => {
+                recipientDuringExecution = (await Voucher.findOne({ voucherId: '0xvoucher1' })).recipient;
+                return executed();
+            });
+
+            const signature = await signBytes(owner, transfer.transactionBytes);
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(200);
+            expect(response.body.transfer.transactionHash).toBe('transfer-digest');
+            expect(recipientDuringExecution).toBe(owner.toSuiAddress());
+
+            const [{ transactionBlock, signature: signatures }] = suiClient.executeTransactionBlock.mock.calls[0];
+            expect(signatures[0]).toBe(signature);
+            const sponsorKey = await verifyTransactionBlock(fromB64(transactionBlock), signatures[1]);
+            expect(sponsorKey.toSuiAddress()).toBe(mockSponsor.toSuiAddress());
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.recipient).toBe(recipientAddress);
+            expect(voucher.transferRestrictions.transferCount).toBe(1);
+        });
+
+        it('should reject a signature from another key', async () => {
+            const signature = await signBytes(stranger, transfer.transactionBytes);
+
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Signature does not match the transfer transaction');
+            expect(suiClient.executeTransactionBlock).not.toHaveBeenCalled();
+
+            const stored = await VoucherTransfer.findOne({ transferId: transfer.transfer.transferId });
+            expect(stored.status).toBe('approved');
+            expect(stored.ownerSignature).toBeUndefined();
+        });
+
+        it('should reject a malformed signature', async () => {
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature: 'not-a-signature' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Signature does not match the transfer transaction');
+        });
+
+        it('should only accept the owner as signer', async () => {
+            mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: stranger.toSuiAddress() };
+            const signature = await signBytes(stranger, transfer.transactionBytes);
+
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Only the voucher owner can sign this transfer');
+        });
+
+        it('should refuse expired bytes', async () => {
+            await VoucherTransfer.updateOne(
+                { transferId: transfer.transfer.transferId },
+                { transactionExpiresAt: new Date(Date.now() - 1000) }
+            );
+            const signature = await signBytes(owner, transfer.transactionBytes);
+
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Transfer transaction has expired; request a fresh one');
+        });
+
+        it('should not sponsor bytes whose gas coin has moved on', async () => {
+            suiClient.multiGetObjects.mockResolvedValue([{ data: { objectId: gasCoin.objectId, version: '8' } }]);
+            const signature = await signBytes(owner, transfer.transactionBytes);
+
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Transfer transaction is stale; request a fresh one');
+            expect(suiClient.executeTransactionBlock).not.toHaveBeenCalled();
+
+            const stored = await VoucherTransfer.findOne({ transferId: transfer.transfer.transferId });
+            expect(stored.status).toBe('approved');
+            expect(stored.ownerSignature).toBeUndefined();
+        });
+
+        it('should leave the voucher untouched when the chain rejects the transfer', async () => {
+            suiClient.executeTransactionBlock.mockResolvedValue({
+                digest: 'failed-digest',
+                effects: { status: { status: 'failure', error: 'EVoucherRevoked' } },
+            });
+            const signature = await signBytes(owner, transfer.transactionBytes);
+
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(503);
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.recipient).toBe(owner.toSuiAddress());
+            expect(voucher.transferRestrictions.transferCount).toBe(0);
+
+            const stored = await VoucherTransfer.findOne({ transferId: transfer.transfer.transferId });
+            expect(stored.status).toBe('failed');
+        });
+    });
+
+    describe('partial transfers', () => {
+        it('should record the split voucher from the confirmed event', async () => {
+            await createVoucher();
+            const transfer = (await createTransfer({ transferType: 'partial', amount: 30 })).body;
+            expect(builtTransactions[0].transactions[0].target).toBe('mock-package-id::voucher_system::split_voucher');
+
+            suiClient.executeTransactionBlock.mockResolvedValue(executed([{
+                type: 'mock-package-id::voucher_system::VoucherSplit',
+                parsedJson: {
+                    original_voucher_id: '0xvoucher1',
+                    new_voucher_id: '0xvoucher2',
+                    amount: '30',
+                    remaining_amount: '70',
+                    recipient: recipientAddress,
+                },
+            }]));
+
+            const signature = await signBytes(owner, transfer.transactionBytes);
+            const response = await request(app)
+                .post(`/api/transfers/${transfer.transfer.transferId}/sign`)
+                .send({ signature });
+
+            expect(response.status).toBe(200);
+            expect(response.body.transfer.newVoucherId).toBe('0xvoucher2');
+
+            const source = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(source.remainingAmount).toBe(70);
+
+            const split = await Voucher.findOne({ voucherId: '0xvoucher2' });
+            expect(split.recipient).toBe(recipientAddress);
+            expect(split.remainingAmount).toBe(30);
+            expect(split.transactionDigest).toBe('transfer-digest');
+        });
+    });
+
+    describe('indexed transfers', () => {
+        it('should apply a transfer only once', async () => {
+            await createVoucher();
+            const params = { voucherId: '0xvoucher1', fromAddress: owner.toSuiAddress(), toAddress: recipientAddress };
+
+            expect(await transferValidator.applyTransfer(params)).not.toBeNull();
+            expect(await transferValidator.applyTransfer(params)).toBeNull();
+
+            const voucher = await Voucher.findOne({ voucherId: '0xvoucher1' });
+            expect(voucher.transferRestrictions.transferCount).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const PlatformSetting = require('../models/PlatformSetting');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const twoFactorService = require('../services/twoFactorService');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / twoFactorService.TOTP_STEP_SECONDS);
+
+describe('TwoFactorService', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = await User.create({ email: 'admin@example.com', password: 'password123', name: 'Admin', role: 'admin' });
+    });
+
+    const enroll = async () => {
+        const { secret } = await twoFactorService.startEnrollment(user._id);
+        const backupCodes = await twoFactorService.confirmEnrollment(user._id, twoFactorService.generateTotp(secret, currentStep()));
+        return { secret, backupCodes };
+    };
+
+    it('should match the RFC 6238 SHA-1 test vector', () => {
+        // Base32 of the ASCII secret "12345678901234567890", T = 59s
+        expect(twoFactorService.generateTotp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1)).toBe('287082');
+    });
+
+    it('should provision an authenticator and enable 2FA once a code is confirmed', async () => {
+        const { secret, otpauthUri, qrCodeData } = await twoFactorService.startEnrollment(user._id);
+
+        expect(otpauthUri).toContain(`secret=${secret}`);
+        expect(otpauthUri).toContain('issuer=ServicePass');
+        expect(qrCodeData).toMatch(/^data:image\/png;base64,/);
+        expect((await User.findById(user._id)).twoFactor.enabled).toBe(false);
+
+        const code = twoFactorService.generateTotp(secret, currentStep());
+        const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+        await expect(twoFactorService.confirmEnrollment(user._id, wrongCode))
+            .rejects.toMatchObject({ code: 'INVALID_CODE' });
+
+        const backupCodes = await twoFactorService.confirmEnrollment(user._id, code);
+
+        expect(backupCodes).toHaveLength(10);
+        const stored = await User.findById(user._id).select('+twoFactor.secret +twoFactor.backupCodes');
+        expect(stored.twoFactor.enabled).toBe(true);
+        expect(stored.twoFactor.secret).not.toContain(secret);
+        expect(stored.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+        expect(stored.toJSON().twoFactor).not.toHaveProperty('secret');
+    });
+
+    it('should accept a TOTP code only once', async () => {
+        const { secret } = await enroll();
+        const code = twoFactorService.generateTotp(secret, currentStep() + 1);
+
+        expect(await twoFactorService.verifyCode(user._id, code)).toBe(true);
+        expect(await twoFactorService.verifyCode(user._id, code)).toBe(false);
+    });
+
+    it('should consume backup codes', async () => {
+        const { backupCodes } = await enroll();
+
+        expect(await twoFactorService.verifyCode(user._id, backupCodes[0])).toBe(true);
+        expect(await twoFactorService.verifyCode(user._id, backupCodes[0])).toBe(false);
+        expect((await twoFactorService.getStatus(user._id)).backupCodesRemaining).toBe(9);
+    });
+
+    it('should not let privileged users disable 2FA while it is mandatory', async () => {
+        const { backupCodes } = await enroll();
+        await PlatformSetting.setValue('requireTwoFactor', true, 'admin-001');
+
+        expect(await twoFactorService.isRequiredFor(user)).toBe(true);
+        await expect(twoFactorService.disable(user._id, backupCodes[0]))
+            .rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+
+        await twoFactorService.setRequired(false, 'admin-001');
+        await twoFactorService.disable(user._id, backupCodes[0]);
+
+        expect((await twoFactorService.getStatus(user._id)).enabled).toBe(false);
+    });
+});
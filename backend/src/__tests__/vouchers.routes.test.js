@@ -1,6 +1,5 @@
 const request = require('supertest');
 const express = require('express');
-const crypto = require('crypto');
 const Voucher = require('../models/Voucher');
 require('./setup');
 
@@ -24,13 +23,18 @@ jest.mock('../utils/logger', () => ({
     },
 }));
 
+const mockAdminUser = { _id: 'admin-001', userId: 'test-user', email: 'admin@example.com', role: 'admin' };
+let mockCurrentUser = mockAdminUser;
+
 jest.mock('../middleware/auth', () => ({
     verifyToken: (req, res, next) => {
-        req.user = { userId: 'test-user', role: 'admin' };
+        req.user = mockCurrentUser;
         next();
     },
     adminOnly: (req, res, next) => next(),
     optionalAuth: (req, res, next) => next(),
+    requireStepUp: (req, res, next) => next(),
+    requirePermission: () => (req, res, next) => next(),
 }));
 
 jest.mock('../middleware/rateLimiter', () => ({
@@ -38,8 +42,19 @@ jest.mock('../middleware/rateLimiter', () => ({
     readLimiter: (req, res, next) => next(),
 }));
 
+jest.mock('../utils/notificationManager', () => ({
+    sendNotification: jest.fn().mockResolvedValue(),
+}));
+
 const { suiClient } = require('../config/sui');
+const notificationManager = require('../utils/notificationManager');
+const MultiSigOperation = require('../models/MultiSigOperation');
+const VoucherTransfer = require('../models/VoucherTransfer');
+const Redemption = require('../models/Redemption');
+const Merchant = require('../models/Merchant');
+const PlatformSetting = require('../models/PlatformSetting');
 const vouchersRouter = require('../routes/vouchers');
+const { verifyVoucherToken, verifyDynamicQrPayload } = require('../services/voucherService');
 
 const app = express();
 app.use(express.json());
@@ -86,6 +101,55 @@ describe('Vouchers Routes - QR Code Functionality', () => {
             expect(savedVoucher.signature).toBeDefined();
         });
 
+        it('should complete a voucher the indexer stored first', async () => {
+            const webhookService = require('../services/webhookService');
+            const publishEvent = jest.spyOn(webhookService, 'publishEvent');
+            const mockObjectId = '0xvoucherindexed';
+            const expiryTimestamp = Date.now() + 86400000;
+            await Voucher.create({
+                voucherId: mockObjectId,
+                voucherType: 'EDU',
+                amount: 1000,
+                originalAmount: 1000,
+                remainingAmount: 1000,
+                recipient: '0xrecipient123',
+                merchantId: 'merchant-001',
+                expiryTimestamp,
+                transactionDigest: 'txn-digest-indexed',
+            });
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'txn-digest-indexed',
+                objectChanges: [
+                    {
+                        type: 'created',
+                        objectType: 'mock-package-id::voucher_system::Voucher',
+                        objectId: mockObjectId,
+                    },
+                ],
+            });
+
+            const response = await request(app)
+                .post('/api/vouchers/mint')
+                .send({
+                    voucherType: 'EDU',
+                    amount: 1000,
+                    recipient: '0xrecipient123',
+                    merchantId: 'merchant-001',
+                    expiryTimestamp,
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.voucherId).toBe(mockObjectId);
+            expect(await Voucher.countDocuments({ voucherId: mockObjectId })).toBe(1);
+            const savedVoucher = await Voucher.findOne({ voucherId: mockObjectId });
+            expect(savedVoucher.qrCodeData).toBe(response.body.qrCodeData);
+            expect(savedVoucher.signature).toBeDefined();
+            // The indexer announced it when it stored the voucher
+            expect(publishEvent).not.toHaveBeenCalledWith('voucher.minted', expect.anything(), expect.anything());
+
+            publishEvent.mockRestore();
+        });
+
         it('should fail without required fields', async () => {
             const response = await request(app)
                 .post('/api/vouchers/mint')
@@ -125,21 +189,77 @@ describe('Vouchers Routes - QR Code Functionality', () => {
 
             const savedVoucher = await Voucher.findOne({ voucherId: mockObjectId });
             
-            // Verify signature
-            const payload = {
+            // Verify the signed token embedded in the QR code
+            const token = JSON.parse(savedVoucher.qrPayload);
+            const verification = verifyVoucherToken(token);
+
+            expect(verification.valid).toBe(true);
+            expect(token.signature).toBe(savedVoucher.signature);
+            expect(verification.payload).toMatchObject({
                 voucherId: mockObjectId,
                 voucherType: voucherData.voucherType,
                 amount: voucherData.amount,
                 recipient: voucherData.recipient,
                 merchantId: voucherData.merchantId,
-                expiryTimestamp: voucherData.expiryTimestamp,
-            };
+                exp: voucherData.expiryTimestamp,
+            });
+            expect(verification.payload.nonce).toBeDefined();
+        });
+    });
+
+    describe('verified-recipient policy', () => {
+        const recipient = '0x' + 'c'.repeat(64);
+
+        beforeEach(async () => {
+            jest.clearAllMocks();
+            await PlatformSetting.setValue('requireVerifiedRecipients', true, 'admin-001');
+        });
+
+        it('should refuse to mint to a recipient who is not a verified user', async () => {
+            const response = await request(app)
+                .post('/api/vouchers/mint')
+                .send({ voucherType: '1', amount: 100, recipient, merchantId: 'merchant-001' });
+
+            expect(response.status).toBe(422);
+            expect(response.body.unverifiedRecipients).toEqual([recipient]);
+            expect(suiClient.signAndExecuteTransactionBlock).not.toHaveBeenCalled();
+        });
 
-            const expectedSignature = crypto.createHmac('sha256', process.env.QR_SIGNING_SECRET || 'default-secret')
-                .update(JSON.stringify(payload))
-                .digest('hex');
+        it('should refuse a bulk mint naming any unverified recipient', async () => {
+            const response = await request(app)
+                .post('/api/vouchers/bulk-mint')
+                .send({ vouchers: [{ voucherType: '1', amount: 100, recipient, merchantId: 'merchant-001' }] });
 
-            expect(savedVoucher.signature).toBe(expectedSignature);
+            expect(response.status).toBe(422);
+            expect(suiClient.signAndExecuteTransactionBlock).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/vouchers/bulk-mint', () => {
+        it('should leave voucher.minted to the indexer', async () => {
+            const webhookService = require('../services/webhookService');
+            const publishEvent = jest.spyOn(webhookService, 'publishEvent');
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'bulk-digest',
+                objectChanges: [
+                    { type: 'created', objectType: 'mock-package-id::voucher_system::Voucher', objectId: '0xbulk1' },
+                    { type: 'created', objectType: 'mock-package-id::voucher_system::Voucher', objectId: '0xbulk2' },
+                ],
+            });
+
+            const response = await request(app)
+                .post('/api/vouchers/bulk-mint')
+                .send({
+                    vouchers: [
+                        { voucherType: '1', amount: 100, recipient: '0xrecipient1', merchantId: 'merchant-001' },
+                        { voucherType: '1', amount: 200, recipient: '0xrecipient2', merchantId: 'merchant-001' },
+                    ],
+                });
+
+            expect(response.status).toBe(200);
+            expect(publishEvent.mock.calls.map(([event]) => event)).toEqual(['batch.completed']);
+
+            publishEvent.mockRestore();
         });
     });
 
@@ -174,24 +294,460 @@ describe('Vouchers Routes - QR Code Functionality', () => {
             expect(response.status).toBe(404);
             expect(response.body.error).toBe('Voucher not found');
         });
+
+        describe('ownership', () => {
+            beforeEach(async () => {
+                await Voucher.create({
+                    voucherId: 'test-voucher-owned',
+                    voucherType: '1',
+                    amount: 500,
+                    recipient: '0xRecipientOwned',
+                    merchantId: 'merchant-003',
+                    qrCodeData: 'data:image/png;base64,owned',
+                    transactionDigest: 'txn-owned',
+                });
+            });
+
+            afterEach(() => {
+                mockCurrentUser = mockAdminUser;
+            });
+
+            it('should serve the QR code to the verified holder', async () => {
+                mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: '0xrecipientowned', walletVerifiedAt: new Date() };
+
+                const response = await request(app).get('/api/vouchers/test-voucher-owned/qrcode');
+
+                expect(response.status).toBe(200);
+                expect(response.body.qrCodeData).toBe('data:image/png;base64,owned');
+            });
+
+            it('should refuse a holder whose wallet link is unverified', async () => {
+                mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: '0xrecipientowned' };
+
+                const response = await request(app).get('/api/vouchers/test-voucher-owned/qrcode');
+
+                expect(response.status).toBe(403);
+                expect(response.body.error).toBe('Access denied');
+            });
+
+            it('should refuse other users', async () => {
+                mockCurrentUser = { _id: 'user-003', role: 'user', walletAddress: '0xsomeone-else', walletVerifiedAt: new Date() };
+
+                const response = await request(app).get('/api/vouchers/test-voucher-owned/qrcode');
+
+                expect(response.status).toBe(403);
+            });
+        });
     });
 
-    describe('GET /api/vouchers/owner/:address', () => {
-        it('should retrieve vouchers owned by an address', async () => {
-            const mockAddress = '0xowner123';
-            suiClient.getOwnedObjects.mockResolvedValue({
-                data: [
-                    { objectId: 'voucher1', type: 'voucher' },
-                    { objectId: 'voucher2', type: 'voucher' },
-                ],
+    describe('GET /api/vouchers/:voucherId/qrcode/dynamic', () => {
+        const createVoucher = (overrides = {}) => Voucher.create({
+            voucherId: 'test-voucher-dynamic',
+            voucherType: '1',
+            amount: 500,
+            remainingAmount: 500,
+            recipient: '0xrecipient-dynamic',
+            merchantId: 'merchant-003',
+            transactionDigest: 'txn-dynamic',
+            ...overrides,
+        });
+
+        it('should issue a short-lived code bound to the voucher owner', async () => {
+            await createVoucher();
+
+            const response = await request(app)
+                .get('/api/vouchers/test-voucher-dynamic/qrcode/dynamic');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(response.body.qrCodeData).toMatch(/^data:image\/png;base64,/);
+            expect(new Date(response.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+            const parsed = JSON.parse(response.body.qrPayload);
+            expect(parsed.owner).toBe('0xrecipient-dynamic');
+
+            const verification = await verifyDynamicQrPayload(parsed);
+            expect(verification.valid).toBe(true);
+            expect(verification.payload).toMatchObject({ voucherId: 'test-voucher-dynamic', merchantId: 'merchant-003' });
+        });
+
+        it('should reject codes from an earlier time window', async () => {
+            await createVoucher();
+
+            const response = await request(app)
+                .get('/api/vouchers/test-voucher-dynamic/qrcode/dynamic');
+            const parsed = JSON.parse(response.body.qrPayload);
+
+            const verification = await verifyDynamicQrPayload(parsed, { at: Date.now() + 5 * 60 * 1000 });
+            expect(verification).toMatchObject({ valid: false, reason: 'expired' });
+        });
+
+        it('should not issue codes for redeemed vouchers', async () => {
+            await createVoucher({ status: 'fully_redeemed', remainingAmount: 0 });
+
+            const response = await request(app)
+                .get('/api/vouchers/test-voucher-dynamic/qrcode/dynamic');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher not redeemable');
+        });
+    });
+
+    describe('POST /api/vouchers/:voucherId/revoke', () => {
+        const createVoucher = (overrides = {}) => Voucher.create({
+            voucherId: 'test-voucher-revoke',
+            voucherType: '1',
+            amount: 500,
+            remainingAmount: 500,
+            recipient: '0xrecipient-revoke',
+            merchantId: 'merchant-003',
+            transactionDigest: 'txn-revoke',
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+        });
+
+        it('should revoke the voucher on-chain and notify the holder', async () => {
+            await createVoucher();
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'revoke-digest-001',
+                effects: { status: { status: 'success' } },
             });
 
             const response = await request(app)
-                .get(`/api/vouchers/owner/${mockAddress}`);
+                .post('/api/vouchers/test-voucher-revoke/revoke')
+                .send({ reason: 'Issued to the wrong beneficiary' });
 
             expect(response.status).toBe(200);
-            expect(response.body.address).toBe(mockAddress);
-            expect(response.body.vouchers).toHaveLength(2);
+            expect(response.body.transactionDigest).toBe('revoke-digest-001');
+
+            const { transactionBlock } = suiClient.signAndExecuteTransactionBlock.mock.calls[0][0];
+            expect(transactionBlock.blockData.transactions[0].target).toBe('mock-package-id::voucher_system::revoke_voucher');
+
+            const voucher = await Voucher.findOne({ voucherId: 'test-voucher-revoke' });
+            expect(voucher.status).toBe('cancelled');
+            expect(voucher.revocation).toMatchObject({
+                reason: 'Issued to the wrong beneficiary',
+                revokedBy: 'admin-001',
+                transactionDigest: 'revoke-digest-001',
+            });
+
+            expect(notificationManager.sendNotification).toHaveBeenCalledWith(
+                '0xrecipient-revoke',
+                'voucher_revoked',
+                expect.objectContaining({ voucherId: 'test-voucher-revoke', reason: 'Issued to the wrong beneficiary' })
+            );
+        });
+
+        it('should reject pending transfers of the revoked voucher', async () => {
+            await createVoucher();
+            await VoucherTransfer.create({
+                transferId: 'TRANSFER_REVOKE_1',
+                voucherId: 'test-voucher-revoke',
+                fromAddress: '0xrecipient-revoke',
+                toAddress: '0xsomeone-else',
+                transferType: 'full',
+                amount: 500,
+            });
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'revoke-digest-002',
+                effects: { status: { status: 'success' } },
+            });
+
+            await request(app)
+                .post('/api/vouchers/test-voucher-revoke/revoke')
+                .send({ reason: 'Issued to the wrong beneficiary' });
+
+            const transfer = await VoucherTransfer.findOne({ transferId: 'TRANSFER_REVOKE_1' });
+            expect(transfer.status).toBe('rejected');
+        });
+
+        it('should require multi-sig approval for high-value vouchers', async () => {
+            await createVoucher({ amount: 50000, remainingAmount: 50000 });
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-revoke/revoke')
+                .send({ reason: 'Issued to the wrong beneficiary' });
+
+            expect(response.status).toBe(202);
+            expect(suiClient.signAndExecuteTransactionBlock).not.toHaveBeenCalled();
+
+            const operation = await MultiSigOperation.findOne({ operationId: response.body.operationId });
+            expect(operation.operationType).toBe('delete_vouchers');
+            expect(operation.operationData.voucherIds).toEqual(['test-voucher-revoke']);
+
+            const voucher = await Voucher.findOne({ voucherId: 'test-voucher-revoke' });
+            expect(voucher.status).toBe('active');
+
+            // A second request while the first awaits approval is a conflict
+            const duplicate = await request(app)
+                .post('/api/vouchers/test-voucher-revoke/revoke')
+                .send({ reason: 'Issued to the wrong beneficiary' });
+            expect(duplicate.status).toBe(409);
+        });
+
+        it('should not revoke a voucher that is already redeemed', async () => {
+            await createVoucher({ status: 'fully_redeemed', remainingAmount: 0 });
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-revoke/revoke')
+                .send({ reason: 'Issued to the wrong beneficiary' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher cannot be revoked');
+        });
+    });
+
+    describe('POST /api/vouchers/:voucherId/extend and /top-up', () => {
+        const expiryTimestamp = Date.now() + 86400000;
+
+        const createVoucher = (overrides = {}) => Voucher.create({
+            voucherId: 'test-voucher-amend',
+            voucherType: '1',
+            amount: 500,
+            originalAmount: 500,
+            remainingAmount: 300,
+            recipient: '0xrecipient-amend',
+            merchantId: 'merchant-004',
+            transactionDigest: 'txn-amend',
+            status: 'partially_redeemed',
+            expiryTimestamp,
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            suiClient.signAndExecuteTransactionBlock.mockResolvedValue({
+                digest: 'amend-digest-001',
+                effects: { status: { status: 'success' } },
+            });
+        });
+
+        it('should extend the expiry and reissue the QR code', async () => {
+            await createVoucher();
+            const newExpiry = expiryTimestamp + 30 * 86400000;
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-amend/extend')
+                .send({ expiryTimestamp: newExpiry, reason: 'Programme extended' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.expiryTimestamp).toBe(newExpiry);
+
+            const { transactionBlock } = suiClient.signAndExecuteTransactionBlock.mock.calls[0][0];
+            expect(transactionBlock.blockData.transactions[0].target).toBe('mock-package-id::voucher_system::extend_voucher');
+
+            const voucher = await Voucher.findOne({ voucherId: 'test-voucher-amend' });
+            expect(voucher.expiryTimestamp).toBe(newExpiry);
+            expect(voucher.amendments[0]).toMatchObject({
+                type: 'extend',
+                previousExpiryTimestamp: expiryTimestamp,
+                expiryTimestamp: newExpiry,
+                amendedBy: 'admin-001',
+                transactionDigest: 'amend-digest-001',
+            });
+
+            const verification = verifyVoucherToken(JSON.parse(voucher.qrPayload));
+            expect(verification.valid).toBe(true);
+            expect(verification.payload.exp).toBe(newExpiry);
+        });
+
+        it('should not shorten the expiry', async () => {
+            await createVoucher();
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-amend/extend')
+                .send({ expiryTimestamp: expiryTimestamp - 1000, reason: 'Programme extended' });
+
+            expect(response.status).toBe(400);
+            expect(suiClient.signAndExecuteTransactionBlock).not.toHaveBeenCalled();
+        });
+
+        it('should add value to all voucher amounts', async () => {
+            await createVoucher();
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-amend/top-up')
+                .send({ amount: 250, reason: 'Additional fees approved' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ originalAmount: 750, remainingAmount: 550 });
+
+            const voucher = await Voucher.findOne({ voucherId: 'test-voucher-amend' });
+            expect(voucher.amount).toBe(750);
+            expect(voucher.amendments[0]).toMatchObject({ type: 'top_up', amount: 250 });
+        });
+
+        it('should require multi-sig approval for large top-ups', async () => {
+            await createVoucher();
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-amend/top-up')
+                .send({ amount: 20000, reason: 'Additional fees approved' });
+
+            expect(response.status).toBe(202);
+            expect(suiClient.signAndExecuteTransactionBlock).not.toHaveBeenCalled();
+
+            const operation = await MultiSigOperation.findOne({ operationId: response.body.operationId });
+            expect(operation.operationType).toBe('top_up_voucher');
+            expect(operation.operationData).toMatchObject({ voucherId: 'test-voucher-amend', amount: 20000 });
+
+            const voucher = await Voucher.findOne({ voucherId: 'test-voucher-amend' });
+            expect(voucher.remainingAmount).toBe(300);
+        });
+
+        it('should not amend a redeemed voucher', async () => {
+            await createVoucher({ status: 'fully_redeemed', remainingAmount: 0 });
+
+            const response = await request(app)
+                .post('/api/vouchers/test-voucher-amend/top-up')
+                .send({ amount: 250, reason: 'Additional fees approved' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Voucher cannot be amended');
+        });
+    });
+
+    describe('GET /api/vouchers/:voucherId and /timeline', () => {
+        beforeEach(async () => {
+            await Voucher.create({
+                voucherId: 'test-voucher-timeline',
+                voucherType: '1',
+                amount: 400,
+                originalAmount: 400,
+                remainingAmount: 150,
+                recipient: '0xRecipient-Timeline',
+                merchantId: 'merchant-005',
+                transactionDigest: 'txn-timeline-mint',
+                status: 'partially_redeemed',
+                qrPayload: '{"secret":"token"}',
+            });
+            await Redemption.create({
+                voucherObjectId: 'test-voucher-timeline',
+                transactionDigest: 'txn-timeline-partial',
+                merchantId: 'merchant-005',
+                voucherType: 1,
+                amount: 250,
+                redeemedBy: '0xRecipient-Timeline',
+                isPartial: true,
+                redeemedAt: new Date(Date.now() + 1000),
+                metadata: { remainingAmount: '150' },
+            });
+        });
+
+        afterEach(() => {
+            mockCurrentUser = mockAdminUser;
+        });
+
+        it('should return voucher details without QR material', async () => {
+            const response = await request(app).get('/api/vouchers/test-voucher-timeline');
+
+            expect(response.status).toBe(200);
+            expect(response.body.voucher).toMatchObject({ voucherId: 'test-voucher-timeline', remainingAmount: 150 });
+            expect(response.body.voucher.qrPayload).toBeUndefined();
+        });
+
+        it('should list lifecycle events in order with their digests', async () => {
+            const response = await request(app).get('/api/vouchers/test-voucher-timeline/timeline');
+
+            expect(response.status).toBe(200);
+            expect(response.body.events.map(e => e.type)).toEqual(['minted', 'partially_redeemed']);
+            expect(response.body.events[1]).toMatchObject({
+                transactionDigest: 'txn-timeline-partial',
+                details: { amount: 250, remainingAmount: '150' },
+            });
+        });
+
+        it('should let the holder view the timeline', async () => {
+            mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: '0xrecipient-timeline', walletVerifiedAt: new Date() };
+
+            const response = await request(app).get('/api/vouchers/test-voucher-timeline/timeline');
+
+            expect(response.status).toBe(200);
+        });
+
+        it('should hide the voucher from other users', async () => {
+            mockCurrentUser = { _id: 'user-003', role: 'user', walletAddress: '0xsomeone-else' };
+
+            const detail = await request(app).get('/api/vouchers/test-voucher-timeline');
+            const timeline = await request(app).get('/api/vouchers/test-voucher-timeline/timeline');
+
+            expect(detail.status).toBe(403);
+            expect(timeline.status).toBe(403);
+        });
+
+        it('should return 404 for an unknown voucher', async () => {
+            const response = await request(app).get('/api/vouchers/unknown-voucher/timeline');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/vouchers/owner/:address', () => {
+        const holderAddress = '0x' + 'a'.repeat(64);
+        const heldVoucher = (voucherId, merchantId, recipient = holderAddress) => Voucher.create({
+            voucherId,
+            voucherType: '1',
+            amount: 100,
+            originalAmount: 100,
+            remainingAmount: 100,
+            recipient,
+            merchantId,
+        });
+
+        beforeEach(async () => {
+            await heldVoucher('voucher1', 'merchant-003');
+            await heldVoucher('voucher2', 'merchant-004');
+            await heldVoucher('voucher3', 'merchant-003', '0x' + 'c'.repeat(64));
+        });
+
+        it('should retrieve the indexed vouchers held by an address', async () => {
+            const response = await request(app)
+                .get(`/api/vouchers/owner/${holderAddress}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.address).toBe(holderAddress);
+            expect(response.body.vouchers.map(v => v.voucherId).sort()).toEqual(['voucher1', 'voucher2']);
+            expect(suiClient.getOwnedObjects).not.toHaveBeenCalled();
+        });
+
+        describe('access control', () => {
+            afterEach(() => {
+                mockCurrentUser = mockAdminUser;
+            });
+
+            it('should let the verified wallet owner list its vouchers', async () => {
+                mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: holderAddress, walletVerifiedAt: new Date() };
+
+                const response = await request(app).get(`/api/vouchers/owner/${holderAddress}`);
+
+                expect(response.status).toBe(200);
+                expect(response.body.vouchers).toHaveLength(2);
+            });
+
+            it('should refuse users who have not verified the wallet', async () => {
+                mockCurrentUser = { _id: 'user-002', role: 'user', walletAddress: holderAddress };
+
+                const response = await request(app).get(`/api/vouchers/owner/${holderAddress}`);
+
+                expect(response.status).toBe(403);
+            });
+
+            it('should only show a merchant the vouchers assigned to it', async () => {
+                const merchant = await Merchant.create({
+                    merchantId: 'merchant-003',
+                    name: 'Test Merchant',
+                    walletAddress: '0x' + 'b'.repeat(64),
+                });
+                mockCurrentUser = { _id: 'user-004', role: 'merchant', merchantId: merchant._id };
+
+                const response = await request(app).get(`/api/vouchers/owner/${holderAddress}`);
+
+                expect(response.status).toBe(200);
+                expect(response.body.vouchers.map(v => v.voucherId)).toEqual(['voucher1']);
+            });
         });
     });
 
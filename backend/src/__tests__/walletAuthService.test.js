@@ -0,0 +1,146 @@
+const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
+const User = require('../models/User');
+const WalletChallenge = require('../models/WalletChallenge');
+require('./setup');
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn(),
+    },
+}));
+
+const walletAuthService = require('../services/walletAuthService');
+
+const signChallenge = async (keypair, message) => {
+    const { signature } = await keypair.signPersonalMessage(new TextEncoder().encode(message));
+    return signature;
+};
+
+describe('WalletAuthService', () => {
+    let user;
+    let keypair;
+    let address;
+
+    beforeEach(async () => {
+        user = await User.create({ email: 'holder@example.com', password: 'password123', name: 'Holder' });
+        keypair = new Ed25519Keypair();
+        address = keypair.getPublicKey().toSuiAddress();
+    });
+
+    it('should link a wallet once the challenge is signed by it', async () => {
+        const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+        const signature = await signChallenge(keypair, message);
+
+        await walletAuthService.linkWallet(user, { address, nonce, signature });
+
+        const updated = await User.findById(user._id);
+        expect(updated.walletAddress).toBe(address);
+        expect(updated.walletVerifiedAt).toBeInstanceOf(Date);
+        expect(walletAuthService.ownsAddress(updated, address.toUpperCase().replace('0X', '0x'))).toBe(true);
+    });
+
+    it('should reject a signature from a different wallet', async () => {
+        const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+        const signature = await signChallenge(new Ed25519Keypair(), message);
+
+        await expect(walletAuthService.linkWallet(user, { address, nonce, signature }))
+            .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+        expect((await User.findById(user._id)).walletVerifiedAt).toBeUndefined();
+    });
+
+    it('should only accept each challenge once', async () => {
+        const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+        const signature = await signChallenge(keypair, message);
+
+        await walletAuthService.linkWallet(user, { address, nonce, signature });
+
+        await expect(walletAuthService.linkWallet(user, { address, nonce, signature }))
+            .rejects.toMatchObject({ code: 'CHALLENGE_INVALID' });
+    });
+
+    it('should reject expired challenges', async () => {
+        const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+        await WalletChallenge.updateOne({ nonce }, { expiresAt: new Date(Date.now() - 1000) });
+        const signature = await signChallenge(keypair, message);
+
+        await expect(walletAuthService.linkWallet(user, { address, nonce, signature }))
+            .rejects.toMatchObject({ code: 'CHALLENGE_INVALID' });
+    });
+
+    it('should not link a wallet already verified by another account', async () => {
+        await User.create({
+            email: 'other@example.com',
+            password: 'password123',
+            name: 'Other',
+            walletAddress: address,
+            walletVerifiedAt: new Date(),
+        });
+        const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+        const signature = await signChallenge(keypair, message);
+
+        await expect(walletAuthService.linkWallet(user, { address, nonce, signature }))
+            .rejects.toMatchObject({ code: 'WALLET_IN_USE' });
+    });
+
+    it('should not treat an unverified wallet address as owned', () => {
+        expect(walletAuthService.ownsAddress({ walletAddress: address }, address)).toBe(false);
+    });
+
+    describe('signInWithWallet', () => {
+        const signIn = async (signer = keypair) => {
+            const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'login' });
+            const signature = await signChallenge(signer, message);
+            return walletAuthService.signInWithWallet({ address, nonce, signature });
+        };
+
+        it('should provision an account the first time a wallet signs in', async () => {
+            const { user: created, created: isNew } = await signIn();
+
+            expect(isNew).toBe(true);
+            expect(created.walletAddress).toBe(address);
+            expect(created.walletVerifiedAt).toBeInstanceOf(Date);
+            expect(created.email).toBe(`${address}@${walletAuthService.WALLET_EMAIL_DOMAIN}`);
+
+            const again = await signIn();
+            expect(again.created).toBe(false);
+            expect(again.user._id.toString()).toBe(created._id.toString());
+        });
+
+        it('should sign in to the account that verified the wallet', async () => {
+            user.walletAddress = address;
+            user.walletVerifiedAt = new Date();
+            await user.save();
+
+            const { user: signedIn, created } = await signIn();
+
+            expect(created).toBe(false);
+            expect(signedIn._id.toString()).toBe(user._id.toString());
+        });
+
+        it('should not hand over an account that only typed the address in', async () => {
+            user.walletAddress = address;
+            await user.save();
+
+            const { user: signedIn, created } = await signIn();
+
+            expect(created).toBe(true);
+            expect(signedIn._id.toString()).not.toBe(user._id.toString());
+        });
+
+        it('should not accept a link challenge for sign-in', async () => {
+            const { nonce, message } = await walletAuthService.createChallenge({ address, purpose: 'link', userId: user._id.toString() });
+            const signature = await signChallenge(keypair, message);
+
+            await expect(walletAuthService.signInWithWallet({ address, nonce, signature }))
+                .rejects.toMatchObject({ code: 'CHALLENGE_INVALID' });
+        });
+
+        it('should reject a signature from another wallet', async () => {
+            await expect(signIn(new Ed25519Keypair())).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+            expect(await User.countDocuments()).toBe(1);
+        });
+    });
+});
@@ -14,6 +14,7 @@ const requiredEnvVars = [
     'ADMIN_CAP_ID',
     'REGISTRY_ID',
     'SUI_NETWORK',
+    'QR_SIGNING_PRIVATE_KEY',
 ];
 
 const optionalEnvVars = [
@@ -22,6 +23,15 @@ const optionalEnvVars = [
     'REDIS_URL',
     'VOUCHER_PACKAGE_ID',
     'QR_SIGNING_SECRET',
+    'QR_LEGACY_HMAC_ENABLED',
+    'DYNAMIC_QR_STEP_SECONDS',
+    'QR_REQUIRE_DYNAMIC',
+    'QR_OFFLINE_SYNC_ENABLED',
+    'OFFLINE_REDEMPTION_MAX_AGE_HOURS',
+    'REVOCATION_MULTISIG_THRESHOLD',
+    'TOP_UP_MULTISIG_THRESHOLD',
+    'EXPIRY_SWEEP_CRON',
+    'FRONTEND_URL',
     'ENCRYPTION_KEY',
     'LOG_LEVEL',
     'RATE_LIMIT_WINDOW_MS',
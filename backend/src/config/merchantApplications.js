@@ -0,0 +1,18 @@
+// Review states of a merchant application; approved and rejected are final
+const APPLICATION_STATUSES = ['submitted', 'needs_info', 'approved', 'rejected'];
+
+// Documents an applicant can attach for KYC review
+const DOCUMENT_TYPES = {
+    business_registration: 'Certificate of incorporation or business registration',
+    tax_certificate: 'Tax registration certificate',
+    owner_id: 'Government ID of the owner or director',
+    proof_of_address: 'Utility bill or lease for the business premises',
+    bank_statement: 'Recent bank statement',
+    other: 'Any other supporting document',
+};
+
+module.exports = {
+    APPLICATION_STATUSES,
+    DOCUMENT_TYPES,
+    DOCUMENT_TYPE_NAMES: Object.keys(DOCUMENT_TYPES),
+};
@@ -0,0 +1,33 @@
+/**
+ * Permissions that can be granted through custom roles.
+ * Admins hold all of them; merchants and users hold none unless given a role.
+ */
+const PERMISSIONS = {
+    'voucher:mint': 'Mint vouchers, individually, in bulk or on a schedule',
+    'voucher:manage': 'Revoke, extend and top up vouchers',
+    'merchant:approve': 'Register merchants and review merchant applications',
+    'analytics:read': 'View platform-wide analytics',
+    'finance:read': 'View reconciliation reports, expiry sweeps and reclaimed funds',
+    'multisig:read': 'View multi-signature operations',
+    'multisig:create': 'Propose multi-signature operations',
+    'multisig:sign': 'Sign, reject and execute multi-signature operations',
+    'template:manage': 'Create and edit voucher templates',
+    'audit:read': 'View and verify the audit log',
+};
+
+// What a merchant API key may be used for; each terminal's key gets only what it needs
+const API_KEY_SCOPES = {
+    'redemptions:write': 'Redeem vouchers and sync offline redemptions',
+    'reports:read': 'Read the merchant\'s redemption history',
+};
+
+// Base roles on User.role; custom roles cannot reuse these names
+const BASE_ROLES = ['admin', 'merchant', 'user'];
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_NAMES: Object.keys(PERMISSIONS),
+    BASE_ROLES,
+    API_KEY_SCOPES,
+    API_KEY_SCOPE_NAMES: Object.keys(API_KEY_SCOPES),
+};
@@ -59,8 +59,8 @@ const getCorsConfig = () => {
         credentials: true,
         optionsSuccessStatus: 200,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
-        exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+        exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Idempotent-Replayed'],
         maxAge: 86400, // 24 hours
     };
 };
@@ -0,0 +1,15 @@
+/**
+ * Events that webhook subscriptions can receive.
+ * Merchant subscriptions only receive events for their own merchant.
+ */
+const WEBHOOK_EVENTS = {
+    'voucher.minted': 'A voucher was minted; sent once, by whichever of the API or indexer stores it first',
+    'voucher.redeemed': 'A voucher was redeemed in full or in part',
+    'transfer.approved': 'A voucher transfer was approved and can be executed',
+    'batch.completed': 'A bulk mint finished',
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_EVENT_NAMES: Object.keys(WEBHOOK_EVENTS),
+};
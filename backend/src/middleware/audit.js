@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const auditService = require('../services/auditService');
+const { logger } = require('../utils/logger');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const PRIVILEGED_ROLES = ['admin', 'merchant'];
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Tag each request with an ID, keeping the caller's X-Request-Id when it looks sane
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+    next();
+};
+
+/**
+ * Add details to this request's audit event
+ * @param {Object} req - Express request
+ * @param {Object} context - Any of { action, resource: { type, id }, before, after }
+ */
+const setAuditContext = (req, context) => {
+    req.audit = Object.assign(req.audit || {}, context);
+};
+
+function isPrivileged(req) {
+    if (req.merchant) {
+        return true;
+    }
+    return !!req.user && (PRIVILEGED_ROLES.includes(req.user.role) || req.user.roles?.length > 0);
+}
+
+function actorOf(req) {
+    if (req.user) {
+        const merchantId = req.user.merchantId?._id || req.user.merchantId;
+        return {
+            type: 'user',
+            userId: String(req.user._id),
+            email: req.user.email || null,
+            role: req.user.role,
+            roles: [...(req.user.roles || [])],
+            merchantId: merchantId ? String(merchantId) : null,
+        };
+    }
+    return {
+        type: 'api_key',
+        merchantId: req.merchant.merchantId,
+        keyId: req.apiKey ? String(req.apiKey._id) : null,
+        keyPrefix: req.apiKey?.prefix || null,
+    };
+}
+
+// e.g. POST /api/templates/:templateId/activate -> { type: 'templates', id: <templateId> }
+function defaultResource(req) {
+    const id = Object.values(req.params || {})[0];
+    return {
+        type: req.baseUrl.split('/').pop() || null,
+        id: id === undefined ? null : String(id),
+    };
+}
+
+// Record every write by an admin, merchant, custom role holder or merchant API key once it is answered.
+// Runs before authentication, so it decides whether to record only when the response finishes.
+const auditTrail = (req, res, next) => {
+    if (!WRITE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    res.on('finish', () => {
+        if (!isPrivileged(req)) {
+            return;
+        }
+
+        const context = req.audit || {};
+        const path = req.originalUrl.split('?')[0];
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : path;
+
+        auditService.recordEvent({
+            action: context.action || `${req.method} ${route}`,
+            actor: actorOf(req),
+            ipAddress: req.ip,
+            requestId: req.requestId,
+            request: {
+                method: req.method,
+                path,
+                params: req.params,
+                query: req.query,
+                body: req.body,
+            },
+            statusCode: res.statusCode,
+            outcome: res.statusCode < 400 ? 'success' : 'failure',
+            resource: context.resource || defaultResource(req),
+            before: context.before,
+            after: context.after,
+        }).catch((error) => {
+            logger.error(`Failed to record audit event for ${req.method} ${path}: ${error.message}`);
+        });
+    });
+
+    next();
+};
+
+module.exports = {
+    requestId,
+    auditTrail,
+    setAuditContext,
+};
@@ -1,29 +1,44 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Merchant = require('../models/Merchant');
+const Session = require('../models/Session');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+const { verifyApiKeyString, touchApiKey } = require('../utils/apiKeyManager');
 const { logger } = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+const STEP_UP_EXPIRE_SECONDS = 5 * 60;
 
-// Generate JWT tokens
-const generateTokens = (userId, role) => {
+// Generate JWT tokens for a session (see services/sessionService)
+const generateTokens = (userId, role, sessionId) => {
     const accessToken = jwt.sign(
-        { userId, role },
+        { userId, role, sid: sessionId },
         JWT_SECRET,
         { expiresIn: JWT_EXPIRE }
     );
 
+    // jwtid keeps tokens issued within the same second distinct
     const refreshToken = jwt.sign(
-        { userId, role, type: 'refresh' },
+        { userId, role, sid: sessionId, type: 'refresh' },
         JWT_SECRET,
-        { expiresIn: JWT_REFRESH_EXPIRE }
+        { expiresIn: JWT_REFRESH_EXPIRE, jwtid: crypto.randomUUID() }
     );
 
     return { accessToken, refreshToken };
 };
 
+// Short-lived proof that the user just entered a 2FA code
+const generateStepUpToken = (userId) => {
+    return jwt.sign(
+        { userId, type: 'step_up' },
+        JWT_SECRET,
+        { expiresIn: STEP_UP_EXPIRE_SECONDS }
+    );
+};
+
 // Verify JWT token middleware
 const verifyToken = async (req, res, next) => {
     try {
@@ -35,11 +50,16 @@ const verifyToken = async (req, res, next) => {
 
         const decoded = jwt.verify(token, JWT_SECRET);
 
-        // Check if it's a refresh token being used as access token
-        if (decoded.type === 'refresh') {
+        // Refresh and step-up tokens are typed; only access tokens are not
+        if (decoded.type) {
             return res.status(401).json({ error: 'Invalid token type' });
         }
 
+        // Logging out, or an admin forcing it, ends the session's access tokens too
+        if (decoded.sid && !await Session.exists({ _id: decoded.sid, revokedAt: null })) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
         const user = await User.findById(decoded.userId).select('-password');
 
         if (!user) {
@@ -53,6 +73,7 @@ const verifyToken = async (req, res, next) => {
         req.user = user;
         req.userId = decoded.userId;
         req.userRole = decoded.role;
+        req.sessionId = decoded.sid;
 
         next();
     } catch (error) {
@@ -88,6 +109,33 @@ const authorizeRoles = (...roles) => {
     };
 };
 
+// Permission-based authorization middleware; admins hold every permission
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            req.permissions = req.permissions || await permissionService.getPermissions(req.user);
+
+            const missing = permissions.filter((permission) => !req.permissions.has(permission));
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    requiredPermissions: permissions,
+                    missingPermissions: missing,
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error(`Permission check error: ${error.message}`);
+            res.status(500).json({ error: 'Authorization failed' });
+        }
+    };
+};
+
 // Admin only middleware
 const adminOnly = authorizeRoles('admin');
 
@@ -103,6 +151,47 @@ const adminOrMerchant = authorizeRoles('admin', 'merchant');
 // All authenticated users
 const authenticated = authorizeRoles('admin', 'merchant', 'user');
 
+// Require a fresh 2FA step-up token (X-Step-Up-Token) for sensitive actions.
+// Applies to users with 2FA enabled, and to every admin, merchant and custom role holder once 2FA is mandatory.
+const requireStepUp = async (req, res, next) => {
+    try {
+        if (!req.user.twoFactor?.enabled) {
+            if (!await twoFactorService.isRequiredFor(req.user)) {
+                return next();
+            }
+            return res.status(403).json({
+                error: 'Two-factor authentication required',
+                message: 'Enable two-factor authentication to perform this action',
+                code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+            });
+        }
+
+        const token = req.headers['x-step-up-token'];
+        const decoded = token ? jwt.verify(token, JWT_SECRET) : null;
+
+        if (!decoded || decoded.type !== 'step_up' || String(decoded.userId) !== String(req.userId)) {
+            return res.status(403).json({
+                error: 'Step-up verification required',
+                message: 'Confirm a two-factor code via POST /api/auth/2fa/step-up',
+                code: 'STEP_UP_REQUIRED',
+            });
+        }
+
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(403).json({
+                error: 'Step-up verification required',
+                message: 'Step-up token is invalid or has expired',
+                code: 'STEP_UP_REQUIRED',
+            });
+        }
+
+        logger.error(`Step-up verification error: ${error.message}`);
+        res.status(500).json({ error: 'Step-up verification failed' });
+    }
+};
+
 // Verify API key for merchants
 const verifyApiKey = async (req, res, next) => {
     try {
@@ -112,22 +201,23 @@ const verifyApiKey = async (req, res, next) => {
             return res.status(401).json({ error: 'API key required' });
         }
 
-        const merchant = await Merchant.findOne({ 
-            apiKey,
-            isActive: true 
-        });
+        const result = await verifyApiKeyString(apiKey);
 
-        if (!merchant) {
-            return res.status(401).json({ error: 'Invalid API key' });
+        if (!result.valid) {
+            const messages = {
+                expired: 'API key expired',
+                revoked: 'API key revoked',
+            };
+            return res.status(401).json({ error: messages[result.reason] || 'Invalid API key' });
         }
 
-        // Check if API key is expired
-        if (merchant.apiKeyExpiry && merchant.apiKeyExpiry < Date.now()) {
-            return res.status(401).json({ error: 'API key expired' });
-        }
+        req.merchant = result.merchant;
+        req.merchantId = result.merchant._id;
+        req.apiKey = result.key;
 
-        req.merchant = merchant;
-        req.merchantId = merchant._id;
+        touchApiKey(result.key, req.ip).catch((error) => {
+            logger.error(`Failed to record API key use: ${error.message}`);
+        });
 
         next();
     } catch (error) {
@@ -136,6 +226,26 @@ const verifyApiKey = async (req, res, next) => {
     }
 };
 
+// Require scopes on the API key used for this request (use after verifyApiKey)
+const requireScope = (...scopes) => {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+
+        const missing = scopes.filter((scope) => !req.apiKey.scopes.includes(scope));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                error: 'API key lacks required scope',
+                requiredScopes: scopes,
+                missingScopes: missing,
+            });
+        }
+
+        next();
+    };
+};
+
 // Optional authentication - continues even if no token
 const optionalAuth = async (req, res, next) => {
     try {
@@ -144,8 +254,9 @@ const optionalAuth = async (req, res, next) => {
         if (token) {
             const decoded = jwt.verify(token, JWT_SECRET);
             const user = await User.findById(decoded.userId).select('-password');
+            const sessionActive = !decoded.sid || await Session.exists({ _id: decoded.sid, revokedAt: null });
             
-            if (user && user.isActive) {
+            if (!decoded.type && sessionActive && user && user.isActive) {
                 req.user = user;
                 req.userId = decoded.userId;
                 req.userRole = decoded.role;
@@ -161,14 +272,19 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
     generateTokens,
+    generateStepUpToken,
     verifyToken,
     authorizeRoles,
+    requirePermission,
     adminOnly,
     merchantOnly,
     userOnly,
     adminOrMerchant,
     authenticated,
     verifyApiKey,
+    requireScope,
     optionalAuth,
+    requireStepUp,
+    STEP_UP_EXPIRE_SECONDS,
     JWT_SECRET,
 };
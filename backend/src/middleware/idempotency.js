@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { trackTransactions } = require('../utils/blockchainRetry');
+const { logger } = require('../utils/logger');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request whose lock has not been renewed for this long is assumed to have died with its process
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with object keys sorted, so the same body always has the same fingerprint
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+async function fingerprintOf(req) {
+    const hash = crypto.createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+        .update(stableStringify(req.body || {}));
+
+    // Uploads (multer) are part of the request too
+    if (req.file?.path) {
+        hash.update('\n').update(await fs.promises.readFile(req.file.path));
+    }
+
+    return hash.digest('hex');
+}
+
+function scopeOf(req) {
+    if (req.user) {
+        return `user:${req.user._id}`;
+    }
+    if (req.merchant) {
+        return `merchant:${req.merchant._id}`;
+    }
+    return null;
+}
+
+// Take over a key whose first request died without answering
+async function reclaimStaleKey(existing, fingerprint) {
+    return IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { lockedAt: new Date(), fingerprint },
+        { new: true }
+    );
+}
+
+// Keep the response so a retry gets it back. A server error releases the key so the client
+// can try again, unless a transaction was sent: it may have landed, so the error is kept too.
+function recordResponse(req, res, record, transactions) {
+    const originalJson = res.json.bind(res);
+    let stored = false;
+
+    // Renew the lock while the request runs, so a slow chain call is not taken over
+    const renewal = setInterval(() => {
+        IdempotencyKey.updateOne({ _id: record._id, status: 'processing' }, { lockedAt: new Date() })
+            .catch((error) => logger.warn(`Failed to renew idempotency lock for ${req.method} ${req.originalUrl}: ${error.message}`));
+    }, LOCK_RENEW_INTERVAL_MS);
+    renewal.unref();
+
+    const store = (update) => {
+        stored = true;
+        clearInterval(renewal);
+        update.catch((error) => {
+            logger.error(`Failed to store idempotent response for ${req.method} ${req.originalUrl}: ${error.message}`);
+        });
+    };
+
+    const complete = (body) => IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: body === undefined ? null : JSON.parse(JSON.stringify(body)),
+        }
+    );
+
+    res.json = (body) => {
+        if (!stored) {
+            if (res.statusCode < 500) {
+                store(complete(body));
+            } else if (!transactions.submitted) {
+                store(IdempotencyKey.deleteOne({ _id: record._id }));
+            } else {
+                const digest = transactions.digests[transactions.digests.length - 1];
+                if (digest && body && typeof body === 'object' && !Array.isArray(body) && !body.transactionDigest) {
+                    body = { ...body, transactionDigest: digest };
+                }
+                store(complete(body));
+            }
+        }
+        return originalJson(body);
+    };
+
+    // Answered without JSON: nothing to replay, so free the key if nothing reached the chain.
+    // A dropped connection is left alone; the handler is still running and will answer.
+    res.on('finish', () => {
+        if (!stored) {
+            store(transactions.submitted ? complete(null) : IdempotencyKey.deleteOne({ _id: record._id }));
+        }
+    });
+}
+
+/**
+ * Make a write endpoint safe to retry. Requests carrying an Idempotency-Key header
+ * are run once per key and caller; retries get the stored response back for 24 hours.
+ * Use after authentication (keys are per caller) and any upload parsing.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            error: 'Invalid Idempotency-Key',
+            message: 'Idempotency-Key must be 1 to 255 printable ASCII characters',
+        });
+    }
+
+    const scope = scopeOf(req);
+    if (!scope) {
+        return next();
+    }
+
+    try {
+        const fingerprint = await fingerprintOf(req);
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                scope,
+                key,
+                fingerprint,
+                expiresAt: new Date(Date.now() + KEY_TTL_MS),
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            const existing = await IdempotencyKey.findOne({ scope, key });
+            if (!existing) {
+                // Expired between the insert and the lookup
+                return idempotent(req, res, next);
+            }
+
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: 'Idempotency key reused',
+                    message: 'This Idempotency-Key was already used for a different request',
+                    code: 'IDEMPOTENCY_KEY_REUSED',
+                });
+            }
+
+            if (existing.status === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            record = await reclaimStaleKey(existing, fingerprint);
+            if (!record) {
+                res.set('Retry-After', '5');
+                return res.status(409).json({
+                    error: 'Request in progress',
+                    message: 'A request with this Idempotency-Key is still being processed',
+                    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                });
+            }
+        }
+
+        trackTransactions((transactions) => {
+            recordResponse(req, res, record, transactions);
+            next();
+        });
+    } catch (error) {
+        logger.error(`Idempotency check error: ${error.message}`);
+        res.status(500).json({ error: 'Idempotency check failed' });
+    }
+};
+
+module.exports = {
+    idempotent,
+};
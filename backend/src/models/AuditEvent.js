@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a privileged write. Each event's hash covers the previous
+// event's hash, so an edited, removed or reordered event breaks the chain.
+const auditEventSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    action: {
+        type: String, // e.g. "POST /api/vouchers/mint"
+        required: true,
+        index: true
+    },
+    // Mixed fields are stored exactly as hashed, without casting or defaults
+    actor: {
+        type: mongoose.Schema.Types.Mixed // { type: 'user' | 'api_key', userId, email, role, roles, merchantId }
+    },
+    ipAddress: String,
+    requestId: {
+        type: String,
+        index: true
+    },
+    request: {
+        type: mongoose.Schema.Types.Mixed // { method, path, params, query, body } with secrets redacted
+    },
+    statusCode: Number,
+    outcome: {
+        type: String,
+        enum: ['success', 'failure']
+    },
+    resource: {
+        type: mongoose.Schema.Types.Mixed // { type, id }
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    changes: mongoose.Schema.Types.Mixed, // [{ path, from, to }] between before and after
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, {
+    // Empty objects are hashed, so they must be stored as written
+    minimize: false
+});
+
+auditEventSchema.index({ 'actor.userId': 1, timestamp: -1 });
+auditEventSchema.index({ 'resource.type': 1, 'resource.id': 1, timestamp: -1 });
+auditEventSchema.index({ timestamp: -1 });
+
+// Refuse edits through the model; tampering below it is caught by verification
+const rejectWrite = function() {
+    throw new Error('Audit events are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach((operation) => auditEventSchema.pre(operation, rejectWrite));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const expirySweepRunSchema = new mongoose.Schema({
+    runId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running',
+        index: true
+    },
+    trigger: {
+        type: String,
+        enum: ['scheduled', 'manual'],
+        required: true
+    },
+    initiatedBy: {
+        type: String
+    },
+    cutoff: {
+        type: Date, // Vouchers expiring at or before this instant are swept
+        required: true
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date
+    },
+    summary: {
+        vouchersExpired: { type: Number, default: 0 },
+        amountReclaimed: { type: Number, default: 0 },
+        notificationsSent: { type: Number, default: 0 },
+        failures: { type: Number, default: 0 },
+        byVoucherType: {
+            type: Map,
+            of: Number, // Amount reclaimed per voucher type
+            default: {}
+        }
+    },
+    error: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+expirySweepRunSchema.index({ createdAt: -1 });
+
+// Method to record an expired voucher and the value it returned
+expirySweepRunSchema.methods.addReclaim = function(voucherType, amount) {
+    this.summary.vouchersExpired += 1;
+    this.summary.amountReclaimed += amount;
+    this.summary.byVoucherType.set(voucherType, (this.summary.byVoucherType.get(voucherType) || 0) + amount);
+};
+
+// Method to mark as completed
+expirySweepRunSchema.methods.complete = async function() {
+    this.status = 'completed';
+    this.completedAt = new Date();
+    return this.save();
+};
+
+// Method to mark as failed
+expirySweepRunSchema.methods.fail = async function(error) {
+    this.status = 'failed';
+    this.completedAt = new Date();
+    this.error = error.message;
+    return this.save();
+};
+
+module.exports = mongoose.model('ExpirySweepRun', expirySweepRunSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response given to the first request that used it
+const idempotencyKeySchema = new mongoose.Schema({
+    scope: {
+        type: String, // Whose key it is, e.g. "user:<id>" or "merchant:<id>"
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    fingerprint: {
+        type: String, // SHA-256 of method, path and body
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    lockedAt: {
+        type: Date, // When the request holding the key started
+        default: Date.now
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
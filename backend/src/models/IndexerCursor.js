@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const indexerCursorSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    packageId: {
+        type: String,
+        required: true
+    },
+    cursor: {
+        txDigest: String,
+        eventSeq: String
+    },
+    lastEventTimestamp: {
+        type: Date
+    },
+    eventsIndexed: {
+        type: Number,
+        default: 0
+    },
+    lastBackfillAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to advance the cursor past a processed event
+indexerCursorSchema.statics.advance = function(name, event) {
+    const update = {
+        $set: {
+            cursor: {
+                txDigest: event.id.txDigest,
+                eventSeq: event.id.eventSeq
+            }
+        },
+        $inc: { eventsIndexed: 1 }
+    };
+    if (event.timestampMs) {
+        update.$set.lastEventTimestamp = new Date(Number(event.timestampMs));
+    }
+    return this.updateOne({ name }, update);
+};
+
+// Static method to load (or create) the cursor for an indexer
+indexerCursorSchema.statics.getOrCreate = async function(name, packageId) {
+    const existing = await this.findOne({ name });
+    if (existing) {
+        return existing;
+    }
+    return this.create({ name, packageId });
+};
+
+module.exports = mongoose.model('IndexerCursor', indexerCursorSchema);
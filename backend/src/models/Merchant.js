@@ -43,19 +43,16 @@ const merchantSchema = new mongoose.Schema({
             type: [Number], // [longitude, latitude]
         },
     },
-    // API Key fields
-    apiKey: {
+    // Managed Sui signing key used for on-chain redemptions
+    signingAddress: {
         type: String,
-        sparse: true,
-        index: true,
-    },
-    apiKeyExpiry: {
-        type: Date,
+        default: null,
     },
-    apiKeyCreatedAt: {
-        type: Date,
+    encryptedSigningKey: {
+        type: String, // Encrypted with secureKeyManagement.encrypt
+        select: false,
     },
-    apiKeyRevokedAt: {
+    signingKeyCreatedAt: {
         type: Date,
     },
     // Owner reference
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPE_NAMES } = require('../config/permissions');
+
+// One of a merchant's API keys, e.g. one per POS terminal. Only a hash of the key is kept;
+// the public prefix finds the record so the hash can be compared in constant time.
+const merchantApiKeySchema = new mongoose.Schema({
+    merchantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Merchant',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String, // e.g. "Front desk terminal"
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keyHash: {
+        type: String, // SHA-256 of the full key
+        required: true,
+        select: false
+    },
+    scopes: [{
+        type: String,
+        enum: API_KEY_SCOPE_NAMES
+    }],
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    createdBy: {
+        type: String // User ID
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: String // User ID
+    }
+}, {
+    timestamps: true
+});
+
+merchantApiKeySchema.methods.isUsable = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+merchantApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('MerchantApiKey', merchantApiKeySchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { APPLICATION_STATUSES, DOCUMENT_TYPE_NAMES } = require('../config/merchantApplications');
+
+// One message in the review thread between the applicant and reviewers
+const reviewCommentSchema = new mongoose.Schema({
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    authorRole: {
+        type: String,
+        enum: ['applicant', 'reviewer'],
+        required: true,
+    },
+    message: {
+        type: String,
+        required: true,
+        maxlength: 2000,
+    },
+    // Set when the comment came with a status change
+    status: {
+        type: String,
+        enum: APPLICATION_STATUSES,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Self-service merchant application, reviewed (KYC) before the merchant is registered on-chain
+const merchantApplicationSchema = new mongoose.Schema({
+    applicantId: {
+        type: mongoose.Schema.Types.ObjectId, // Who submitted it: the merchant or a field team member
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    accountEmail: {
+        type: String, // Account to link to the merchant when a field team member applies on its behalf
+        lowercase: true,
+        trim: true,
+    },
+    accountConfirmedAt: {
+        type: Date, // When the accountEmail owner, signed in, agreed to be linked; cleared if accountEmail changes
+    },
+    businessName: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    registrationNumber: {
+        type: String,
+        trim: true,
+    },
+    businessType: {
+        type: String,
+        trim: true,
+    },
+    walletAddress: {
+        type: String,
+        required: true,
+    },
+    voucherTypesAccepted: [{
+        type: Number,
+        enum: [1, 2, 3, 4], // EDUCATION, HEALTHCARE, TRANSPORT, AGRICULTURE
+    }],
+    contactEmail: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    contactPhone: String,
+    location: {
+        address: String,
+        city: String,
+        region: String,
+        country: String,
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined,
+        },
+    },
+    // References to files kept in document storage; the files themselves are not stored here
+    documents: [{
+        type: {
+            type: String,
+            enum: DOCUMENT_TYPE_NAMES,
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+        },
+        url: {
+            type: String,
+            required: true,
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }],
+    status: {
+        type: String,
+        enum: APPLICATION_STATUSES,
+        default: 'submitted',
+        index: true,
+    },
+    comments: [reviewCommentSchema],
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reviewedAt: Date,
+    // Set while an approval is registering the merchant on-chain, so it runs once
+    approvalStartedAt: Date,
+    // Filled in on approval
+    merchantId: String,
+    linkedUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    transactionDigest: String,
+}, {
+    timestamps: true,
+});
+
+merchantApplicationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('MerchantApplication', merchantApplicationSchema);
@@ -18,7 +18,8 @@ const multiSigOperationSchema = new mongoose.Schema({
             'emergency_pause',
             'emergency_unpause',
             'bulk_transfer',
-            'delete_vouchers'
+            'delete_vouchers',
+            'top_up_voucher'
         ],
         index: true
     },
@@ -47,7 +48,7 @@ const multiSigOperationSchema = new mongoose.Schema({
     }],
     status: {
         type: String,
-        enum: ['pending', 'approved', 'executed', 'rejected', 'expired'],
+        enum: ['pending', 'approved', 'executing', 'executed', 'rejected', 'expired'],
         default: 'pending',
         index: true
     },
@@ -148,7 +149,7 @@ multiSigOperationSchema.methods.reject = async function(adminId, reason) {
 
 // Method to execute operation
 multiSigOperationSchema.methods.execute = async function(executedBy, result) {
-    if (this.status !== 'approved') {
+    if (this.status !== 'approved' && this.status !== 'executing') {
         throw new Error('Operation must be approved before execution');
     }
 
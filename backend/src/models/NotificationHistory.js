@@ -9,7 +9,7 @@ const notificationHistorySchema = new mongoose.Schema({
     type: {
         type: String,
         required: true,
-        enum: ['voucher_received', 'voucher_expiring', 'redemption_confirmation', 'merchant_notification']
+        enum: ['voucher_received', 'voucher_expiring', 'redemption_confirmation', 'partial_redemption', 'voucher_revoked', 'voucher_expired', 'merchant_notification']
     },
     channel: {
         type: String,
@@ -45,5 +45,6 @@ const notificationHistorySchema = new mongoose.Schema({
 notificationHistorySchema.index({ userId: 1, createdAt: -1 });
 notificationHistorySchema.index({ type: 1, createdAt: -1 });
 notificationHistorySchema.index({ status: 1, createdAt: -1 });
+notificationHistorySchema.index({ 'metadata.voucherId': 1 });
 
 module.exports = mongoose.model('NotificationHistory', notificationHistorySchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const platformSettingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to read a setting, falling back when it has never been set
+platformSettingSchema.statics.getValue = async function(key, defaultValue) {
+    const setting = await this.findOne({ key }).lean();
+    return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or overwrite a setting
+platformSettingSchema.statics.setValue = function(key, value, updatedBy) {
+    return this.findOneAndUpdate(
+        { key },
+        { value, updatedBy },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model('PlatformSetting', platformSettingSchema);
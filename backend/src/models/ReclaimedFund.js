@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const reclaimedFundSchema = new mongoose.Schema({
+    voucherId: {
+        type: String,
+        required: true,
+        unique: true, // A voucher can only return its balance once
+        index: true
+    },
+    voucherType: {
+        type: String,
+        required: true
+    },
+    merchantId: {
+        type: String
+    },
+    templateId: {
+        type: String
+    },
+    recipient: {
+        type: String
+    },
+    originalAmount: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number, // Unused remainingAmount returned to the pool
+        required: true,
+        min: 0
+    },
+    expiredAt: {
+        type: Date,
+        required: true
+    },
+    reclaimedAt: {
+        type: Date,
+        default: Date.now
+    },
+    sweepRunId: {
+        type: String,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+reclaimedFundSchema.index({ reclaimedAt: -1 });
+reclaimedFundSchema.index({ voucherType: 1, reclaimedAt: -1 });
+
+// Static method to total reclaimed funds per calendar month (UTC)
+reclaimedFundSchema.statics.getMonthlySummary = function({ from, to, voucherType } = {}) {
+    const match = {};
+    if (from || to) {
+        match.reclaimedAt = {};
+        if (from) match.reclaimedAt.$gte = from;
+        if (to) match.reclaimedAt.$lte = to;
+    }
+    if (voucherType) match.voucherType = voucherType;
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    year: { $year: '$reclaimedAt' },
+                    month: { $month: '$reclaimedAt' },
+                    voucherType: '$voucherType'
+                },
+                amount: { $sum: '$amount' },
+                originalAmount: { $sum: '$originalAmount' },
+                vouchers: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1, '_id.voucherType': 1 } }
+    ]);
+};
+
+module.exports = mongoose.model('ReclaimedFund', reclaimedFundSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const discrepancySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['missing_in_db', 'missing_on_chain', 'owner_mismatch', 'amount_mismatch', 'redeemed_but_active'],
+        required: true
+    },
+    entity: {
+        type: String,
+        enum: ['voucher', 'redemption'],
+        required: true
+    },
+    voucherId: {
+        type: String
+    },
+    transactionDigest: {
+        type: String
+    },
+    expected: mongoose.Schema.Types.Mixed, // On-chain value
+    actual: mongoose.Schema.Types.Mixed, // Database value
+    repairable: {
+        type: Boolean,
+        default: false
+    },
+    repaired: {
+        type: Boolean,
+        default: false
+    },
+    repairError: {
+        type: String
+    }
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+    reportId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running',
+        index: true
+    },
+    trigger: {
+        type: String,
+        enum: ['scheduled', 'manual'],
+        required: true
+    },
+    autoRepair: {
+        type: Boolean,
+        default: false
+    },
+    initiatedBy: {
+        type: String
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date
+    },
+    summary: {
+        vouchersChecked: { type: Number, default: 0 },
+        redemptionsChecked: { type: Number, default: 0 },
+        eventsChecked: { type: Number, default: 0 },
+        discrepancies: { type: Number, default: 0 },
+        repaired: { type: Number, default: 0 },
+        byType: {
+            type: Map,
+            of: Number,
+            default: {}
+        }
+    },
+    discrepancies: [discrepancySchema],
+    error: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Method to record a discrepancy
+reconciliationReportSchema.methods.addDiscrepancy = function(discrepancy) {
+    this.discrepancies.push(discrepancy);
+    this.summary.discrepancies += 1;
+    this.summary.byType.set(discrepancy.type, (this.summary.byType.get(discrepancy.type) || 0) + 1);
+    if (discrepancy.repaired) {
+        this.summary.repaired += 1;
+    }
+};
+
+// Method to mark as completed
+reconciliationReportSchema.methods.complete = async function() {
+    this.status = 'completed';
+    this.completedAt = new Date();
+    return this.save();
+};
+
+// Method to mark as failed
+reconciliationReportSchema.methods.fail = async function(error) {
+    this.status = 'failed';
+    this.completedAt = new Date();
+    this.error = error.message;
+    return this.save();
+};
+
+// Static method to get the latest completed report
+reconciliationReportSchema.statics.getLatest = function() {
+    return this.findOne({ status: 'completed' }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -28,6 +28,21 @@ const redemptionSchema = new mongoose.Schema({
         type: String, // wallet address
         required: true,
     },
+    isPartial: {
+        type: Boolean,
+        default: false,
+    },
+    signedBy: {
+        type: String, // Merchant signing address that submitted the redemption
+    },
+    qrNonce: {
+        type: String, // Nonce of the signed QR token that was scanned
+        index: true,
+    },
+    offline: {
+        type: Boolean, // Scanned offline and synced later
+        default: false,
+    },
     redeemedAt: {
         type: Date,
         default: Date.now,
@@ -42,7 +57,8 @@ const redemptionSchema = new mongoose.Schema({
 
 redemptionSchema.index({ merchantId: 1, redeemedAt: -1 });
 redemptionSchema.index({ redeemedBy: 1, redeemedAt: -1 });
-redemptionSchema.index({ voucherObjectId: 1 }, { unique: true });
+// A voucher is fully redeemed at most once; partial redemptions may repeat
+redemptionSchema.index({ voucherObjectId: 1 }, { unique: true, partialFilterExpression: { isPartial: false } });
 redemptionSchema.index({ redeemedAt: 1 });
 
 module.exports = mongoose.model('Redemption', redemptionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { PERMISSION_NAMES, BASE_ROLES } = require('../config/permissions');
+
+// Custom role assigned to users on top of their base role (User.roles)
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z][a-z0-9_-]{1,49}$/,
+        validate: {
+            validator: (name) => !BASE_ROLES.includes(name),
+            message: 'Role name is reserved'
+        }
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    permissions: [{
+        type: String,
+        enum: PERMISSION_NAMES
+    }],
+    createdBy: {
+        type: String
+    },
+    updatedBy: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
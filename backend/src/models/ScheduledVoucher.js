@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Delay before the first retry of a failed schedule; doubles with each further failure
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+
 const scheduledVoucherSchema = new mongoose.Schema({
     scheduleId: {
         type: String,
@@ -60,6 +63,9 @@ const scheduledVoucherSchema = new mongoose.Schema({
     voucherId: {
         type: String // Set when voucher is minted
     },
+    transactionDigest: {
+        type: String // Digest of the mint_voucher transaction
+    },
     error: {
         message: String,
         code: String,
@@ -73,6 +79,9 @@ const scheduledVoucherSchema = new mongoose.Schema({
         type: Number,
         default: 3
     },
+    nextAttemptAt: {
+        type: Date // When a failed schedule is retried; unset once it has no retries left
+    },
     notifyRecipient: {
         type: Boolean,
         default: true
@@ -97,6 +106,7 @@ const scheduledVoucherSchema = new mongoose.Schema({
 scheduledVoucherSchema.index({ scheduledFor: 1, status: 1 });
 scheduledVoucherSchema.index({ createdBy: 1, status: 1 });
 scheduledVoucherSchema.index({ status: 1, scheduledFor: 1 });
+scheduledVoucherSchema.index({ status: 1, nextAttemptAt: 1 });
 
 // Virtual to check if ready to process
 scheduledVoucherSchema.virtual('isReady').get(function() {
@@ -110,15 +120,17 @@ scheduledVoucherSchema.methods.markProcessing = async function() {
 };
 
 // Method to mark as completed
-scheduledVoucherSchema.methods.markCompleted = async function(voucherId) {
+scheduledVoucherSchema.methods.markCompleted = async function(voucherId, transactionDigest) {
     this.status = 'completed';
     this.voucherId = voucherId;
+    this.transactionDigest = transactionDigest;
     this.processedAt = new Date();
+    this.nextAttemptAt = undefined;
     return this.save();
 };
 
-// Method to mark as failed
-scheduledVoucherSchema.methods.markFailed = async function(error) {
+// Method to mark as failed, scheduling a retry with backoff unless retries are used up or retry is false
+scheduledVoucherSchema.methods.markFailed = async function(error, { retry = true } = {}) {
     this.status = 'failed';
     this.error = {
         message: error.message,
@@ -127,6 +139,9 @@ scheduledVoucherSchema.methods.markFailed = async function(error) {
     };
     this.retryCount += 1;
     this.processedAt = new Date();
+    this.nextAttemptAt = retry && this.retryCount <= this.maxRetries
+        ? new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (this.retryCount - 1))
+        : undefined;
     return this.save();
 };
 
@@ -136,11 +151,14 @@ scheduledVoucherSchema.methods.cancel = async function() {
     return this.save();
 };
 
-// Static method to find ready schedules
+// Static method to find ready schedules: pending ones that are due, and failed ones whose retry is due
 scheduledVoucherSchema.statics.findReady = function() {
+    const now = new Date();
     return this.find({
-        status: 'pending',
-        scheduledFor: { $lte: new Date() }
+        $or: [
+            { status: 'pending', scheduledFor: { $lte: now } },
+            { status: 'failed', nextAttemptAt: { $lte: now } }
+        ]
     }).sort({ scheduledFor: 1 });
 };
 
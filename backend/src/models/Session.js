@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One per sign-in. Its refresh tokens form a rotation family: only the latest is valid.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String, // SHA-256 of the current refresh token
+        required: true
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date, // Expiry of the current refresh token; extended on each rotation
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user_revoked', 'reuse_detected', 'password_changed', 'password_reset', 'admin_forced']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Keep ended sessions for a month for investigation, then let MongoDB clean them up
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+sessionSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.tokenHash;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -21,6 +21,9 @@ const userSchema = new mongoose.Schema({
         default: 'user',
         required: true,
     },
+    roles: [{
+        type: String, // Custom roles (models/Role) granting permissions beyond the base role
+    }],
     name: {
         type: String,
         required: true,
@@ -31,6 +34,9 @@ const userSchema = new mongoose.Schema({
         sparse: true,
         index: true,
     },
+    walletVerifiedAt: {
+        type: Date, // Set once the user proves control of walletAddress by signing a challenge
+    },
     merchantId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Merchant',
@@ -54,15 +60,33 @@ const userSchema = new mongoose.Schema({
     lockUntil: {
         type: Date,
     },
-    refreshTokens: [{
-        token: String,
-        createdAt: {
-            type: Date,
-            default: Date.now,
-        },
-    }],
-    passwordResetToken: String,
+    passwordResetToken: String, // SHA-256 of the emailed token
     passwordResetExpires: Date,
+    emailVerificationToken: String, // SHA-256 of the emailed token
+    emailVerificationExpires: Date,
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        enabledAt: Date,
+        secret: {
+            type: String, // TOTP secret, encrypted with ENCRYPTION_KEY
+            select: false,
+        },
+        pendingSecret: {
+            type: String, // Awaiting confirmation during enrolment
+            select: false,
+        },
+        backupCodes: {
+            type: [String], // SHA-256 of each unused code
+            select: false,
+        },
+        lastUsedStep: {
+            type: Number, // Last accepted TOTP time step, so a code works once
+            select: false,
+        },
+    },
 }, {
     timestamps: true,
 });
@@ -124,11 +148,15 @@ userSchema.methods.resetLoginAttempts = function() {
 userSchema.methods.toJSON = function() {
     const obj = this.toObject();
     delete obj.password;
-    delete obj.refreshTokens;
     delete obj.passwordResetToken;
     delete obj.passwordResetExpires;
+    delete obj.emailVerificationToken;
+    delete obj.emailVerificationExpires;
     delete obj.loginAttempts;
     delete obj.lockUntil;
+    if (obj.twoFactor) {
+        obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+    }
     return obj;
 };
 
@@ -41,6 +41,13 @@ const voucherSchema = new mongoose.Schema({
     signature: {
         type: String, // Will store the signature of the voucher data
     },
+    qrPayload: {
+        type: String, // Signed token embedded in the QR code
+    },
+    qrSecret: {
+        type: String, // Per-voucher key for rotating QR codes
+        select: false,
+    },
     transactionDigest: {
         type: String,
         required: true,
@@ -78,7 +85,32 @@ const voucherSchema = new mongoose.Schema({
         enum: ['active', 'partially_redeemed', 'fully_redeemed', 'expired', 'cancelled'],
         default: 'active',
         index: true
-    }
+    },
+    revocation: {
+        reason: String,
+        revokedBy: String,
+        revokedAt: Date,
+        transactionDigest: String,
+        operationId: String // Multi-sig operation that approved the revocation
+    },
+    amendments: [{
+        type: {
+            type: String,
+            enum: ['extend', 'top_up'],
+            required: true
+        },
+        previousExpiryTimestamp: Number,
+        expiryTimestamp: Number,
+        amount: Number, // Value added by a top-up
+        reason: String,
+        amendedBy: String,
+        transactionDigest: String,
+        operationId: String, // Multi-sig operation that approved a large top-up
+        amendedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, { timestamps: true });
 
 // Indexes to optimize common query patterns
@@ -91,7 +123,7 @@ voucherSchema.index({ templateId: 1 });
 
 // Virtual to check if voucher is expired
 voucherSchema.virtual('isExpired').get(function() {
-    return this.expiryTimestamp && Date.now() > this.expiryTimestamp * 1000;
+    return this.expiryTimestamp && Date.now() > this.expiryTimestamp;
 });
 
 // Virtual to check if partially redeemed
@@ -131,6 +163,64 @@ voucherSchema.methods.redeemPartially = async function(amount, merchantId, trans
     return this.save();
 };
 
+// Method to record revocation
+voucherSchema.methods.revoke = async function({ reason, revokedBy, transactionDigest, operationId }) {
+    this.status = 'cancelled';
+    this.revocation = {
+        reason,
+        revokedBy,
+        revokedAt: new Date(),
+        transactionDigest,
+        operationId
+    };
+
+    return this.save();
+};
+
+// Static method to record an on-chain expiry extension; returns null if already recorded
+voucherSchema.statics.recordExtension = async function(voucherId, { expiryTimestamp, transactionDigest, ...details }) {
+    const voucher = await this.findOne({ voucherId }).select('expiryTimestamp');
+    if (!voucher) {
+        return null;
+    }
+
+    return this.findOneAndUpdate(
+        { voucherId, 'amendments.transactionDigest': { $ne: transactionDigest } },
+        {
+            $max: { expiryTimestamp },
+            $push: {
+                amendments: {
+                    type: 'extend',
+                    previousExpiryTimestamp: voucher.expiryTimestamp,
+                    expiryTimestamp,
+                    transactionDigest,
+                    ...details
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Static method to record an on-chain top-up; returns null if already recorded
+voucherSchema.statics.recordTopUp = function(voucherId, { amount, transactionDigest, ...details }) {
+    return this.findOneAndUpdate(
+        { voucherId, 'amendments.transactionDigest': { $ne: transactionDigest } },
+        {
+            $inc: { amount, originalAmount: amount, remainingAmount: amount },
+            $push: {
+                amendments: {
+                    type: 'top_up',
+                    amount,
+                    transactionDigest,
+                    ...details
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
 // Method to check transfer restrictions
 voucherSchema.methods.canTransfer = function() {
     const restrictions = this.transferRestrictions;
@@ -54,6 +54,18 @@ const voucherTransferSchema = new mongoose.Schema({
     transactionHash: {
         type: String
     },
+    transactionBytes: {
+        type: String // Base64 sponsored transaction awaiting the owner's signature
+    },
+    transactionExpiresAt: {
+        type: Date // Bytes must be rebuilt after this, as the sponsor's gas coin may have moved on
+    },
+    ownerSignature: {
+        type: String
+    },
+    newVoucherId: {
+        type: String // Voucher object created on-chain by a partial transfer
+    },
     rejectionReason: {
         type: String
     },
@@ -112,6 +124,16 @@ voucherTransferSchema.methods.complete = async function(transactionHash) {
     return this.save();
 };
 
+// Method to attach the voucher owner's transaction signature
+voucherTransferSchema.methods.attachOwnerSignature = async function(signature) {
+    if (this.status !== 'approved') {
+        throw new Error('Transfer can no longer be signed');
+    }
+
+    this.ownerSignature = signature;
+    return this.save();
+};
+
 // Method to mark as failed
 voucherTransferSchema.methods.fail = async function(error) {
     this.status = 'failed';
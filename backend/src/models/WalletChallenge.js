@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const walletChallengeSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    address: {
+        type: String, // Normalised Sui address expected to sign the message
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['link', 'login'],
+        required: true
+    },
+    userId: {
+        type: String // Account the wallet is being linked to
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Challenges are single-use and short-lived; let MongoDB clean them up
+walletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('WalletChallenge', walletChallengeSchema);
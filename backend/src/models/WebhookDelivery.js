@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_RETENTION_DAYS = 30;
+
+// One event sent to one subscription, with the outcome of the latest attempt
+const webhookDeliverySchema = new mongoose.Schema({
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    eventId: {
+        type: String, // Same for every delivery of an event, including replays
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed, // Body sent to the subscriber
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    responseStatus: Number,
+    responseBody: String, // Truncated
+    error: String,
+    durationMs: Number,
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENT_NAMES } = require('../config/webhookEvents');
+
+// A URL that receives signed event payloads. Merchant subscriptions carry the merchant's ID;
+// platform-wide subscriptions (admins only) have none and receive events for every merchant.
+const webhookSubscriptionSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+        maxlength: 2048
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENT_NAMES
+        }],
+        validate: [(events) => events.length > 0, 'At least one event is required']
+    },
+    merchantId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    encryptedSecret: {
+        type: String, // HMAC signing secret, encrypted with secureKeyManagement.encrypt
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastDeliveryAt: Date,
+    lastFailureAt: Date
+}, {
+    timestamps: true
+});
+
+webhookSubscriptionSchema.index({ events: 1, isActive: 1 });
+
+webhookSubscriptionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.encryptedSecret;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -1,15 +1,29 @@
-
 const { Worker, Queue } = require('bullmq');
 const IORedis = require('ioredis');
 const Redemption = require('../models/Redemption');
+const Voucher = require('../models/Voucher');
+const Merchant = require('../models/Merchant');
 const { suiClient } = require('../config/sui');
-const logger = require('../utils/logger');
+const notificationManager = require('../utils/notificationManager');
+const webhookService = require('../services/webhookService');
+const transferValidator = require('../utils/transferValidator');
+const { logger } = require('../utils/logger');
 
 const connection = new IORedis(process.env.REDIS_URL, {
     maxRetriesPerRequest: null
 });
 
-const eventQueue = new Queue('blockchain-events', { connection });
+const eventQueue = new Queue('blockchain-events', {
+    connection,
+    defaultJobOptions: {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: { age: 7 * 24 * 60 * 60 },
+    }
+});
+
+// Jobs that exhausted their retries are parked here for inspection and replay
+const deadLetterQueue = new Queue('blockchain-events-dlq', { connection });
 
 const worker = new Worker('blockchain-events', async job => {
     const { eventType, data } = job.data;
@@ -17,10 +31,33 @@ const worker = new Worker('blockchain-events', async job => {
 
     try {
         switch (eventType) {
+            case 'VoucherMinted':
+                await handleVoucherMinted(job.data);
+                break;
             case 'VoucherRedeemed':
-                await handleVoucherRedemption(data);
+                await handleVoucherRedemption(job.data);
+                break;
+            case 'VoucherPartiallyRedeemed':
+                await handleVoucherPartialRedemption(job.data);
+                break;
+            case 'VoucherRevoked':
+                await handleVoucherRevoked(job.data);
+                break;
+            case 'VoucherExtended':
+                await handleVoucherExtended(job.data);
+                break;
+            case 'VoucherToppedUp':
+                await handleVoucherToppedUp(job.data);
+                break;
+            case 'VoucherTransferred':
+                await handleVoucherTransferred(job.data);
+                break;
+            case 'VoucherSplit':
+                await handleVoucherSplit(job.data);
+                break;
+            case 'MerchantRegistered':
+                await handleMerchantRegistered(job.data);
                 break;
-            // Add other event types here
             default:
                 logger.warn(`Unknown event type: ${eventType}`);
         }
@@ -30,20 +67,298 @@ const worker = new Worker('blockchain-events', async job => {
     }
 }, { connection });
 
-async function handleVoucherRedemption(data) {
-    const { voucherId, redeemer, transactionId } = data;
+async function handleVoucherMinted({ data }) {
+    const { voucher_id: voucherId, voucher_type: voucherType, recipient, transactionId } = data;
+    const amount = Number(data.amount);
+
+    // Vouchers minted through the API are already stored
+    const existingVoucher = await Voucher.findOne({ voucherId });
+    if (existingVoucher) {
+        logger.info(`Voucher ${voucherId} already indexed.`);
+        return;
+    }
+
+    // The event doesn't carry merchant, expiry or metadata, so read them from the object
+    const object = await suiClient.getObject({
+        id: voucherId,
+        options: { showContent: true },
+    });
+    const fields = object.data?.content?.fields || {};
+
+    let voucher;
+    try {
+        voucher = await Voucher.create({
+            voucherId,
+            voucherType: String(voucherType),
+            amount,
+            originalAmount: amount,
+            remainingAmount: fields.amount !== undefined ? Number(fields.amount) : amount,
+            recipient,
+            merchantId: fields.merchant_id || 'unknown',
+            expiryTimestamp: fields.expiry_timestamp !== undefined ? Number(fields.expiry_timestamp) : undefined,
+            transactionDigest: transactionId,
+            // A missing object means the voucher was redeemed before we indexed it
+            status: object.data ? 'active' : 'fully_redeemed',
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.info(`Voucher ${voucherId} was indexed concurrently.`);
+            return;
+        }
+        throw error;
+    }
 
-    // Avoid duplicate processing
-    const existingRedemption = await Redemption.findOne({ transactionId });
+    logger.info(`Indexed voucher ${voucherId} minted in ${transactionId}`);
+
+    await webhookService.publishEvent('voucher.minted', {
+        voucherId,
+        voucherType: voucher.voucherType,
+        amount,
+        recipient,
+        merchantId: voucher.merchantId,
+        expiryTimestamp: voucher.expiryTimestamp ?? null,
+        templateId: null,
+        transactionDigest: transactionId,
+    }, { merchantId: voucher.merchantId });
+
+    await notify(recipient, 'voucher_received', {
+        voucherId,
+        voucherType,
+        amount,
+        merchantName: fields.merchant_id || 'unknown',
+        expiryDate: fields.expiry_timestamp ? new Date(Number(fields.expiry_timestamp)).toLocaleDateString() : 'No expiry'
+    });
+}
+
+async function handleVoucherRedemption({ data, sender, timestampMs }) {
+    const { voucher_id: voucherId, voucher_type: voucherType, merchant_id: merchantId, transactionId } = data;
+    const amount = Number(data.amount);
+
+    // Avoid duplicate processing (the API redemption path records its own redemption)
+    const existingRedemption = await Redemption.findOne({
+        $or: [{ transactionDigest: transactionId }, { voucherObjectId: voucherId, isPartial: { $ne: true } }]
+    });
     if (existingRedemption) {
         logger.info(`Redemption for transaction ${transactionId} already processed.`);
         return;
     }
 
-    // Fetch transaction details for more robust data
+    const voucher = await Voucher.findOne({ voucherId });
+    const redeemedBy = voucher?.recipient || sender;
+
+    let redemption;
+    try {
+        redemption = await Redemption.create({
+            voucherObjectId: voucherId,
+            transactionDigest: transactionId,
+            merchantId,
+            voucherType: Number(voucherType),
+            amount,
+            redeemedBy,
+            redeemedAt: timestampMs ? new Date(Number(timestampMs)) : new Date(),
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.info(`Redemption for transaction ${transactionId} was recorded concurrently.`);
+            return;
+        }
+        throw error;
+    }
+
+    if (voucher) {
+        voucher.remainingAmount = 0;
+        voucher.status = 'fully_redeemed';
+        await voucher.save();
+    }
+
+    const merchant = await Merchant.findOneAndUpdate(
+        { merchantId },
+        { $inc: { totalRedemptions: 1 } },
+        { new: true }
+    );
+
+    logger.info(`Successfully processed and saved redemption for voucher ${voucherId}`);
+
+    await webhookService.publishRedemption(redemption);
+
+    await notify(redeemedBy, 'redemption_confirmation', {
+        voucherId,
+        voucherType,
+        amount,
+        merchantName: merchant?.name || merchantId,
+        redemptionDate: new Date().toLocaleDateString(),
+        transactionId
+    });
+
+    if (merchant?.userId) {
+        await notify(merchant.userId.toString(), 'merchant_notification', {
+            type: 'redemption_received',
+            merchantName: merchant.name,
+            merchantId,
+            voucherId,
+            amount,
+            voucherType,
+            customerInfo: redeemedBy
+        });
+    }
+}
+
+async function handleVoucherPartialRedemption({ data, sender, timestampMs }) {
+    const { voucher_id: voucherId, voucher_type: voucherType, merchant_id: merchantId, transactionId } = data;
+    const amount = Number(data.amount);
+    const remainingAmount = Number(data.remaining_amount);
+
+    // The API redemption path records its own redemption
+    const existingRedemption = await Redemption.findOne({ transactionDigest: transactionId });
+    if (existingRedemption) {
+        logger.info(`Partial redemption for transaction ${transactionId} already processed.`);
+        return;
+    }
+
+    const voucher = await Voucher.findOne({ voucherId });
+    const redeemedBy = voucher?.recipient || sender;
+    const redeemedAt = timestampMs ? new Date(Number(timestampMs)) : new Date();
+
+    let redemption;
+    try {
+        redemption = await Redemption.create({
+            voucherObjectId: voucherId,
+            transactionDigest: transactionId,
+            merchantId,
+            voucherType: Number(voucherType),
+            amount,
+            redeemedBy,
+            redeemedAt,
+            isPartial: true,
+            metadata: { remainingAmount: String(remainingAmount) },
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.info(`Partial redemption for transaction ${transactionId} was recorded concurrently.`);
+            return;
+        }
+        throw error;
+    }
+
+    if (voucher) {
+        // The event carries the on-chain balance, so take it as-is rather than subtracting
+        voucher.partialRedemptions.push({ amount, merchantId, redeemedAt, transactionHash: transactionId });
+        voucher.remainingAmount = remainingAmount;
+        voucher.status = 'partially_redeemed';
+        await voucher.save();
+    }
+
+    const merchant = await Merchant.findOneAndUpdate(
+        { merchantId },
+        { $inc: { totalRedemptions: 1 } },
+        { new: true }
+    );
+
+    logger.info(`Indexed partial redemption of ${amount} on voucher ${voucherId}; ${remainingAmount} remaining`);
+
+    await webhookService.publishRedemption(redemption);
+
+    await notify(redeemedBy, 'partial_redemption', {
+        voucherId,
+        redeemedAmount: amount,
+        remainingAmount,
+        merchantName: merchant?.name || merchantId,
+        redemptionDate: redeemedAt.toLocaleDateString()
+    });
+}
+
+async function handleVoucherRevoked({ data, timestampMs }) {
+    const { voucher_id: voucherId, reason, transactionId } = data;
+
+    // Revocations through the API have already cancelled the voucher
+    const result = await Voucher.updateOne(
+        { voucherId, status: { $ne: 'cancelled' } },
+        {
+            status: 'cancelled',
+            revocation: {
+                reason,
+                revokedAt: timestampMs ? new Date(Number(timestampMs)) : new Date(),
+                transactionDigest: transactionId,
+            },
+        }
+    );
+
+    if (result.modifiedCount === 0) {
+        logger.info(`Revocation of voucher ${voucherId} already indexed.`);
+        return;
+    }
+
+    logger.info(`Voucher ${voucherId} revoked on-chain.`);
+}
+
+async function handleVoucherExtended({ data }) {
+    const { voucher_id: voucherId, transactionId } = data;
+
+    // Amendments made through the API are already recorded under the same digest
+    const voucher = await Voucher.recordExtension(voucherId, {
+        expiryTimestamp: Number(data.expiry_timestamp),
+        transactionDigest: transactionId,
+    });
+
+    if (!voucher) {
+        logger.info(`Extension of voucher ${voucherId} already indexed.`);
+        return;
+    }
+
+    logger.info(`Voucher ${voucherId} extended on-chain.`);
+}
+
+async function handleVoucherToppedUp({ data }) {
+    const { voucher_id: voucherId, transactionId } = data;
+
+    const voucher = await Voucher.recordTopUp(voucherId, {
+        amount: Number(data.amount),
+        transactionDigest: transactionId,
+    });
+
+    if (!voucher) {
+        logger.info(`Top-up of voucher ${voucherId} already indexed.`);
+        return;
+    }
+
+    logger.info(`Voucher ${voucherId} topped up on-chain.`);
+}
+
+async function handleVoucherTransferred({ data }) {
+    const { voucher_id: voucherId, from, to } = data;
+
+    // Transfers through the API are applied once their digest confirms; this only moves
+    // vouchers still recorded with the previous holder
+    const voucher = await transferValidator.applyTransfer({ voucherId, fromAddress: from, toAddress: to });
+
+    if (!voucher) {
+        logger.info(`Transfer of voucher ${voucherId} already indexed.`);
+        return;
+    }
+
+    logger.info(`Voucher ${voucherId} transferred on-chain to ${to}`);
+}
+
+async function handleVoucherSplit({ data }) {
+    const { original_voucher_id: originalVoucherId, new_voucher_id: newVoucherId, transactionId } = data;
+
+    const voucher = await transferValidator.applySplit(data, transactionId);
+
+    if (!voucher) {
+        logger.info(`Split voucher ${newVoucherId} already indexed.`);
+        return;
+    }
+
+    logger.info(`Indexed voucher ${newVoucherId} split from ${originalVoucherId}`);
+}
+
+async function handleMerchantRegistered({ data, sender }) {
+    const { merchant_id: merchantId, name, transactionId } = data;
+
+    // The shared Merchant object ID is only available from the transaction effects
     const txn = await suiClient.getTransactionBlock({
         digest: transactionId,
-        options: { showEffects: true, showEvents: true },
+        options: { showEffects: true, showObjectChanges: true },
     });
 
     if (!txn || txn.effects?.status?.status !== 'success') {
@@ -51,23 +366,134 @@ async function handleVoucherRedemption(data) {
         throw new Error(`Transaction ${transactionId} failed or not found.`);
     }
 
-    const newRedemption = new Redemption({
-        voucher: voucherId,
-        user: redeemer, // Assuming redeemer address can be mapped to a user
-        transactionId: transactionId,
-        status: 'confirmed',
-    });
+    const createdMerchant = txn.objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.endsWith('::voucher_system::Merchant')
+    );
+    const onChainObjectId = createdMerchant?.objectId || null;
 
-    await newRedemption.save();
-    logger.info(`Successfully processed and saved redemption for voucher ${voucherId}`);
+    const existingMerchant = await Merchant.findOne({ merchantId });
+    if (existingMerchant) {
+        if (onChainObjectId && existingMerchant.onChainObjectId !== onChainObjectId) {
+            existingMerchant.onChainObjectId = onChainObjectId;
+            await existingMerchant.save();
+            logger.info(`Linked merchant ${merchantId} to on-chain object ${onChainObjectId}`);
+        }
+        return;
+    }
+
+    // Registered on-chain without an API record: keep it inactive until an admin completes the profile
+    await Merchant.updateOne(
+        { merchantId },
+        {
+            $setOnInsert: {
+                merchantId,
+                name,
+                walletAddress: sender,
+                onChainObjectId,
+                isActive: false,
+            }
+        },
+        { upsert: true }
+    );
+
+    logger.warn(`Merchant ${merchantId} registered on-chain without a database record; created inactive placeholder`);
+}
+
+async function notify(userId, type, data) {
+    try {
+        await notificationManager.sendNotification(userId, type, data);
+    } catch (notificationError) {
+        // Notifications must not cause the event to be reprocessed
+        logger.error(`Failed to send ${type} notification:`, notificationError);
+    }
 }
 
 worker.on('completed', job => {
     logger.info(`Job ${job.id} has completed.`);
 });
 
-worker.on('failed', (job, err) => {
+worker.on('failed', async (job, err) => {
     logger.error(`Job ${job.id} has failed with ${err.message}.`);
+
+    if (job.attemptsMade < (job.opts.attempts || 1)) {
+        return;
+    }
+
+    try {
+        await deadLetterQueue.add(job.name, {
+            originalJobId: job.id,
+            eventType: job.data.eventType,
+            payload: job.data,
+            failedReason: err.message,
+            attemptsMade: job.attemptsMade,
+            failedAt: new Date().toISOString(),
+        }, {
+            jobId: job.id,
+        });
+        logger.warn(`Job ${job.id} moved to dead-letter queue after ${job.attemptsMade} attempts`);
+    } catch (error) {
+        logger.error(`Failed to move job ${job.id} to dead-letter queue:`, error);
+    }
 });
 
-module.exports = { eventQueue };
+/**
+ * List jobs in the dead-letter queue
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (inclusive)
+ * @returns {Promise<Object>} Dead-letter jobs and total count
+ */
+async function getDeadLetterJobs(start = 0, end = 49) {
+    const [jobs, total] = await Promise.all([
+        deadLetterQueue.getJobs(['waiting', 'delayed', 'paused'], start, end),
+        deadLetterQueue.count(),
+    ]);
+
+    return {
+        total,
+        jobs: jobs.map(job => ({
+            id: job.id,
+            name: job.name,
+            ...job.data,
+        })),
+    };
+}
+
+/**
+ * Replay a dead-lettered event through the main queue
+ * @param {string} jobId - Dead-letter job ID
+ * @returns {Promise<Object|null>} Replayed job info, or null if not found
+ */
+async function replayDeadLetterJob(jobId) {
+    const deadJob = await deadLetterQueue.getJob(jobId);
+    if (!deadJob) {
+        return null;
+    }
+
+    const { originalJobId, payload } = deadJob.data;
+
+    // Retry the original job if it is still held as failed, otherwise re-enqueue it
+    const originalJob = await eventQueue.getJob(originalJobId);
+    if (originalJob && await originalJob.isFailed()) {
+        await originalJob.retry();
+    } else {
+        if (originalJob) {
+            await originalJob.remove();
+        }
+        await eventQueue.add(deadJob.name, payload, { jobId: originalJobId });
+    }
+
+    await deadJob.remove();
+
+    logger.info(`Replayed dead-letter job ${jobId}`);
+
+    return { jobId: originalJobId, eventType: payload.eventType };
+}
+
+module.exports = {
+    eventQueue,
+    deadLetterQueue,
+    getDeadLetterJobs,
+    replayDeadLetterJob,
+    handleVoucherMinted,
+    handleVoucherRedemption,
+};
@@ -0,0 +1,62 @@
+const { Worker, Queue } = require('bullmq');
+const IORedis = require('ioredis');
+const webhookService = require('../services/webhookService');
+const { logger } = require('../utils/logger');
+
+const connection = new IORedis(process.env.REDIS_URL, {
+    maxRetriesPerRequest: null
+});
+
+// 8 attempts over roughly an hour: 30s, 1m, 2m, 4m, 8m, 16m, 32m
+const webhookQueue = new Queue('webhook-deliveries', {
+    connection,
+    defaultJobOptions: {
+        attempts: 8,
+        backoff: { type: 'exponential', delay: 30 * 1000 },
+        removeOnComplete: { age: 24 * 60 * 60 },
+        removeOnFail: { age: 7 * 24 * 60 * 60 },
+    }
+});
+
+let worker = null;
+
+/**
+ * Queue a delivery for sending
+ * @param {string} deliveryId - WebhookDelivery ID, also used as the job ID
+ * @returns {Promise<Object>} Queued job
+ */
+function enqueueDelivery(deliveryId) {
+    return webhookQueue.add('deliver', { deliveryId: String(deliveryId) }, { jobId: String(deliveryId) });
+}
+
+// Start sending queued deliveries
+function start() {
+    if (worker) {
+        return;
+    }
+
+    worker = new Worker('webhook-deliveries', async job => {
+        const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+        await webhookService.deliver(job.data.deliveryId, { finalAttempt });
+    }, { connection, concurrency: 5 });
+
+    worker.on('failed', (job, err) => {
+        logger.warn(`Webhook job ${job.id} attempt ${job.attemptsMade} failed: ${err.message}`);
+    });
+
+    logger.info('Webhook dispatcher started');
+}
+
+async function stop() {
+    if (worker) {
+        await worker.close();
+        worker = null;
+    }
+}
+
+module.exports = {
+    webhookQueue,
+    enqueueDelivery,
+    start,
+    stop,
+};
@@ -0,0 +1,744 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
+const { getDeadLetterJobs, replayDeadLetterJob } = require('../queues/eventProcessor');
+const reconciliationService = require('../services/reconciliationService');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const expirySweepService = require('../services/expirySweepService');
+const ExpirySweepRun = require('../models/ExpirySweepRun');
+const ReclaimedFund = require('../models/ReclaimedFund');
+const recipientPolicyService = require('../services/recipientPolicyService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const { PERMISSIONS } = require('../config/permissions');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { setAuditContext } = require('../middleware/audit');
+const { logger } = require('../utils/logger');
+const { verifyToken, requirePermission, adminOnly } = require('../middleware/auth');
+const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+
+// List blockchain events that exhausted their retries
+router.get('/events/dead-letter',
+    verifyToken,
+    adminOnly,
+    readLimiter,
+    [
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const start = (page - 1) * limit;
+
+            const { jobs, total } = await getDeadLetterJobs(start, start + limit - 1);
+
+            res.json({
+                jobs,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching dead-letter jobs:', error);
+            res.status(500).json({ error: 'Failed to fetch dead-letter jobs' });
+        }
+    }
+);
+
+// Replay a dead-lettered blockchain event
+router.post('/events/dead-letter/:jobId/replay',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        param('jobId').notEmpty().withMessage('Job ID required')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const replayed = await replayDeadLetterJob(req.params.jobId);
+            if (!replayed) {
+                return res.status(404).json({ error: 'Dead-letter job not found' });
+            }
+
+            logger.info(`Dead-letter job ${req.params.jobId} replayed by ${req.user.email}`);
+
+            res.json({
+                message: 'Event re-queued for processing',
+                ...replayed
+            });
+        } catch (error) {
+            logger.error('Error replaying dead-letter job:', error);
+            res.status(500).json({ error: 'Failed to replay dead-letter job' });
+        }
+    }
+);
+
+// List reconciliation reports
+router.get('/reconciliation/reports',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    [
+        query('status').optional().isIn(['running', 'completed', 'failed']),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+            const filter = {};
+            if (req.query.status) filter.status = req.query.status;
+
+            const [reports, total] = await Promise.all([
+                ReconciliationReport.find(filter)
+                    .select('-discrepancies')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                ReconciliationReport.countDocuments(filter)
+            ]);
+
+            res.json({
+                reports,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching reconciliation reports:', error);
+            res.status(500).json({ error: 'Failed to fetch reconciliation reports' });
+        }
+    }
+);
+
+// Get a reconciliation report with its discrepancies
+router.get('/reconciliation/reports/:reportId',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    [
+        query('type').optional().isIn(['missing_in_db', 'missing_on_chain', 'owner_mismatch', 'amount_mismatch', 'redeemed_but_active'])
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const report = await ReconciliationReport.findOne({ reportId: req.params.reportId });
+            if (!report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+
+            const result = report.toObject();
+            if (req.query.type) {
+                result.discrepancies = result.discrepancies.filter(d => d.type === req.query.type);
+            }
+
+            res.json({ report: result });
+        } catch (error) {
+            logger.error('Error fetching reconciliation report:', error);
+            res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+        }
+    }
+);
+
+// Trigger a reconciliation run
+router.post('/reconciliation/run',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        body('autoRepair').optional().isBoolean().withMessage('autoRepair must be a boolean')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { report } = await reconciliationService.startReconciliation({
+                trigger: 'manual',
+                autoRepair: req.body.autoRepair === true || req.body.autoRepair === 'true',
+                initiatedBy: req.user._id.toString()
+            });
+
+            res.status(202).json({
+                message: 'Reconciliation started',
+                reportId: report.reportId,
+                autoRepair: report.autoRepair
+            });
+        } catch (error) {
+            if (error.code === 'RECONCILIATION_IN_PROGRESS') {
+                return res.status(409).json({ error: error.message });
+            }
+            logger.error('Error starting reconciliation:', error);
+            res.status(500).json({ error: 'Failed to start reconciliation' });
+        }
+    }
+);
+
+// List expiry sweep runs
+router.get('/expiry-sweeps',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    [
+        query('status').optional().isIn(['running', 'completed', 'failed']),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+            const filter = {};
+            if (req.query.status) filter.status = req.query.status;
+
+            const [runs, total] = await Promise.all([
+                ExpirySweepRun.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                ExpirySweepRun.countDocuments(filter)
+            ]);
+
+            res.json({
+                runs,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching expiry sweeps:', error);
+            res.status(500).json({ error: 'Failed to fetch expiry sweeps' });
+        }
+    }
+);
+
+// Get an expiry sweep run
+router.get('/expiry-sweeps/:runId',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    async (req, res) => {
+        try {
+            const run = await ExpirySweepRun.findOne({ runId: req.params.runId });
+            if (!run) {
+                return res.status(404).json({ error: 'Sweep run not found' });
+            }
+
+            res.json({ run });
+        } catch (error) {
+            logger.error('Error fetching expiry sweep:', error);
+            res.status(500).json({ error: 'Failed to fetch expiry sweep' });
+        }
+    }
+);
+
+// Trigger an expiry sweep
+router.post('/expiry-sweeps/run',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    async (req, res) => {
+        try {
+            const { run } = await expirySweepService.startSweep({
+                trigger: 'manual',
+                initiatedBy: req.user._id.toString()
+            });
+
+            res.status(202).json({
+                message: 'Expiry sweep started',
+                runId: run.runId,
+                cutoff: run.cutoff
+            });
+        } catch (error) {
+            if (error.code === 'SWEEP_IN_PROGRESS') {
+                return res.status(409).json({ error: error.message });
+            }
+            logger.error('Error starting expiry sweep:', error);
+            res.status(500).json({ error: 'Failed to start expiry sweep' });
+        }
+    }
+);
+
+// List reclaimed fund ledger entries
+router.get('/reclaimed-funds',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    [
+        query('sweepRunId').optional().isString(),
+        query('voucherType').optional().isString(),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+            const filter = {};
+            if (req.query.sweepRunId) filter.sweepRunId = req.query.sweepRunId;
+            if (req.query.voucherType) filter.voucherType = req.query.voucherType;
+
+            const [entries, total] = await Promise.all([
+                ReclaimedFund.find(filter)
+                    .sort({ reclaimedAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                ReclaimedFund.countDocuments(filter)
+            ]);
+
+            res.json({
+                entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching reclaimed funds:', error);
+            res.status(500).json({ error: 'Failed to fetch reclaimed funds' });
+        }
+    }
+);
+
+// Monthly totals of value returned to the pool by expired vouchers
+router.get('/reclaimed-funds/summary',
+    verifyToken,
+    requirePermission('finance:read'),
+    readLimiter,
+    [
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+        query('voucherType').optional().isString()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const rows = await ReclaimedFund.getMonthlySummary({
+                from: req.query.from ? new Date(req.query.from) : undefined,
+                to: req.query.to ? new Date(req.query.to) : undefined,
+                voucherType: req.query.voucherType
+            });
+
+            const months = new Map();
+            const total = { amount: 0, vouchers: 0 };
+            for (const row of rows) {
+                const key = `${row._id.year}-${String(row._id.month).padStart(2, '0')}`;
+                if (!months.has(key)) {
+                    months.set(key, { month: key, amount: 0, originalAmount: 0, vouchers: 0, byVoucherType: {} });
+                }
+                const month = months.get(key);
+                month.amount += row.amount;
+                month.originalAmount += row.originalAmount;
+                month.vouchers += row.vouchers;
+                month.byVoucherType[row._id.voucherType] = { amount: row.amount, vouchers: row.vouchers };
+
+                total.amount += row.amount;
+                total.vouchers += row.vouchers;
+            }
+
+            res.json({
+                months: Array.from(months.values()),
+                total
+            });
+        } catch (error) {
+            logger.error('Error summarizing reclaimed funds:', error);
+            res.status(500).json({ error: 'Failed to summarize reclaimed funds' });
+        }
+    }
+);
+
+// Get the verified-recipient policy
+router.get('/policies/recipient-verification',
+    verifyToken,
+    adminOnly,
+    readLimiter,
+    async (req, res) => {
+        try {
+            res.json({ enabled: await recipientPolicyService.isEnforced() });
+        } catch (error) {
+            logger.error('Error fetching recipient verification policy:', error);
+            res.status(500).json({ error: 'Failed to fetch recipient verification policy' });
+        }
+    }
+);
+
+// Require vouchers and transfers to go only to users with a verified email and wallet
+router.put('/policies/recipient-verification',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        body('enabled').isBoolean().withMessage('enabled must be a boolean')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const previous = await recipientPolicyService.isEnforced();
+            const enabled = await recipientPolicyService.setEnforced(
+                req.body.enabled === true || req.body.enabled === 'true',
+                req.user._id.toString()
+            );
+            setAuditContext(req, {
+                resource: { type: 'policy', id: 'recipient-verification' },
+                before: { enabled: previous },
+                after: { enabled }
+            });
+
+            logger.info(`Recipient verification policy ${enabled ? 'enabled' : 'disabled'} by ${req.user.email}`);
+
+            res.json({ enabled });
+        } catch (error) {
+            logger.error('Error updating recipient verification policy:', error);
+            res.status(500).json({ error: 'Failed to update recipient verification policy' });
+        }
+    }
+);
+
+// Get the mandatory 2FA policy for privileged accounts
+router.get('/policies/two-factor',
+    verifyToken,
+    adminOnly,
+    readLimiter,
+    async (req, res) => {
+        try {
+            res.json({ enabled: await twoFactorService.isMandatory() });
+        } catch (error) {
+            logger.error('Error fetching two-factor policy:', error);
+            res.status(500).json({ error: 'Failed to fetch two-factor policy' });
+        }
+    }
+);
+
+// Require every admin, merchant and custom role holder to use 2FA; those not yet enrolled are blocked from step-up routes
+router.put('/policies/two-factor',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        body('enabled').isBoolean().withMessage('enabled must be a boolean')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const previous = await twoFactorService.isMandatory();
+            const enabled = await twoFactorService.setRequired(
+                req.body.enabled === true || req.body.enabled === 'true',
+                req.user._id.toString()
+            );
+            setAuditContext(req, {
+                resource: { type: 'policy', id: 'two-factor' },
+                before: { enabled: previous },
+                after: { enabled }
+            });
+
+            logger.info(`Two-factor policy ${enabled ? 'enabled' : 'disabled'} by ${req.user.email}`);
+
+            res.json({ enabled });
+        } catch (error) {
+            logger.error('Error updating two-factor policy:', error);
+            res.status(500).json({ error: 'Failed to update two-factor policy' });
+        }
+    }
+);
+
+// Sign a user out of every session, e.g. after a suspected account compromise
+router.post('/users/:userId/logout',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        param('userId').isMongoId().withMessage('Valid user ID is required')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const user = await User.findById(req.params.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const revokedSessions = await sessionService.revokeAllSessions(user._id, 'admin_forced');
+
+            logger.info(`${revokedSessions} session(s) of ${user.email} revoked by ${req.user.email}`);
+
+            res.json({ success: true, revokedSessions });
+        } catch (error) {
+            logger.error('Error forcing user logout:', error);
+            res.status(500).json({ error: 'Failed to log out user' });
+        }
+    }
+);
+
+// Map role management errors to responses; returns false for unexpected errors
+function sendRoleError(res, error) {
+    if (error.code === 'ROLE_NOT_FOUND' && error.unknown) {
+        res.status(400).json({ error: error.message, unknownRoles: error.unknown });
+        return true;
+    }
+    if (error.code === 'ROLE_NOT_FOUND' || error.code === 'USER_NOT_FOUND') {
+        res.status(404).json({ error: error.message });
+        return true;
+    }
+    if (error.code === 'ROLE_EXISTS') {
+        res.status(409).json({ error: error.message });
+        return true;
+    }
+    if (error.code === 'INVALID_PERMISSION') {
+        res.status(400).json({ error: error.message, unknownPermissions: error.unknown });
+        return true;
+    }
+    if (error.name === 'ValidationError') {
+        res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map((e) => e.message) });
+        return true;
+    }
+    return false;
+}
+
+// List the permissions that custom roles can grant
+router.get('/permissions',
+    verifyToken,
+    adminOnly,
+    readLimiter,
+    (req, res) => {
+        res.json({
+            permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+        });
+    }
+);
+
+// List custom roles
+router.get('/roles',
+    verifyToken,
+    adminOnly,
+    readLimiter,
+    async (req, res) => {
+        try {
+            res.json({ roles: await permissionService.listRoles() });
+        } catch (error) {
+            logger.error('Error listing roles:', error);
+            res.status(500).json({ error: 'Failed to list roles' });
+        }
+    }
+);
+
+// Create a custom role, e.g. a finance auditor with finance:read and analytics:read
+router.post('/roles',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        body('name').isString().trim().notEmpty().withMessage('Role name is required'),
+        body('description').optional().isString(),
+        body('permissions').isArray().withMessage('permissions must be an array')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { name, description, permissions } = req.body;
+            const role = await permissionService.createRole({ name, description, permissions }, req.user._id.toString());
+            setAuditContext(req, { resource: { type: 'role', id: role.name }, after: role.toObject() });
+
+            res.status(201).json({ role });
+        } catch (error) {
+            if (sendRoleError(res, error)) return;
+            logger.error('Error creating role:', error);
+            res.status(500).json({ error: 'Failed to create role' });
+        }
+    }
+);
+
+// Update a custom role's description or permissions
+router.put('/roles/:name',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        body('description').optional().isString(),
+        body('permissions').optional().isArray().withMessage('permissions must be an array')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { description, permissions } = req.body;
+            const before = await Role.findOne({ name: req.params.name.toLowerCase() }).lean();
+            const role = await permissionService.updateRole(req.params.name, { description, permissions }, req.user._id.toString());
+            setAuditContext(req, { resource: { type: 'role', id: role.name }, before, after: role.toObject() });
+
+            res.json({ role });
+        } catch (error) {
+            if (sendRoleError(res, error)) return;
+            logger.error('Error updating role:', error);
+            res.status(500).json({ error: 'Failed to update role' });
+        }
+    }
+);
+
+// Delete a custom role, removing it from its holders
+router.delete('/roles/:name',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    async (req, res) => {
+        try {
+            const before = await Role.findOne({ name: req.params.name.toLowerCase() }).lean();
+            const usersUpdated = await permissionService.deleteRole(req.params.name);
+            setAuditContext(req, { resource: { type: 'role', id: before.name }, before, after: null });
+
+            res.json({ success: true, usersUpdated });
+        } catch (error) {
+            if (sendRoleError(res, error)) return;
+            logger.error('Error deleting role:', error);
+            res.status(500).json({ error: 'Failed to delete role' });
+        }
+    }
+);
+
+// Replace a user's custom roles
+router.put('/users/:userId/roles',
+    verifyToken,
+    adminOnly,
+    writeLimiter,
+    [
+        param('userId').isMongoId().withMessage('Valid user ID is required'),
+        body('roles').isArray().withMessage('roles must be an array'),
+        body('roles.*').isString().withMessage('Role names must be strings')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const previous = await User.findById(req.params.userId).select('roles').lean();
+            const user = await permissionService.assignRoles(req.params.userId, req.body.roles, req.user.email);
+            setAuditContext(req, {
+                resource: { type: 'user', id: req.params.userId },
+                before: { roles: previous.roles },
+                after: { roles: user.roles }
+            });
+            const permissions = await permissionService.getPermissions(user);
+
+            res.json({ user: user.toJSON(), permissions: [...permissions] });
+        } catch (error) {
+            if (sendRoleError(res, error)) return;
+            logger.error('Error assigning roles:', error);
+            res.status(500).json({ error: 'Failed to assign roles' });
+        }
+    }
+);
+
+module.exports = router;
@@ -3,8 +3,12 @@ const router = express.Router();
 const { query, param, validationResult } = require('express-validator');
 const analyticsDashboard = require('../utils/analyticsDashboard');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly } = require('../middleware/auth');
+const { verifyToken, requirePermission, adminOnly } = require('../middleware/auth');
 const { readLimiter } = require('../middleware/rateLimiter');
+const permissionService = require('../services/permissionService');
+
+// Platform-wide analytics need analytics:read; other users only see their own merchant's data
+const canReadAllAnalytics = (req) => permissionService.hasPermission(req.user, 'analytics:read');
 
 // Get comprehensive dashboard overview
 router.get('/dashboard',
@@ -29,7 +33,7 @@ router.get('/dashboard',
             const { startDate, endDate, merchantId, voucherType } = req.query;
             
             // Check if user can access merchant-specific data
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -76,7 +80,7 @@ router.get('/vouchers',
 
             const { startDate, endDate, merchantId, voucherType } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -121,7 +125,7 @@ router.get('/redemptions',
 
             const { startDate, endDate, merchantId } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -166,8 +170,8 @@ router.get('/merchants',
 
             const { startDate, endDate, merchantId } = req.query;
             
-            // Only admins can see all merchant stats, merchants can only see their own
-            if (req.user.role !== 'admin') {
+            // Only analytics readers can see all merchant stats, merchants can only see their own
+            if (!await canReadAllAnalytics(req)) {
                 if (!merchantId) {
                     return res.status(403).json({ error: 'Merchant ID required for non-admin users' });
                 }
@@ -217,7 +221,7 @@ router.get('/distribution',
 
             const { startDate, endDate, merchantId } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -263,7 +267,7 @@ router.get('/expiry',
 
             const { startDate, endDate, merchantId, voucherType } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -309,7 +313,7 @@ router.get('/financial',
 
             const { startDate, endDate, merchantId, voucherType } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -356,7 +360,7 @@ router.get('/trends',
 
             const { startDate, endDate, merchantId, voucherType, period = 'daily' } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -384,7 +388,7 @@ router.get('/trends',
 // Get real-time metrics (admin only)
 router.get('/realtime',
     verifyToken,
-    adminOnly,
+    requirePermission('analytics:read'),
     readLimiter,
     async (req, res) => {
         try {
@@ -447,7 +451,7 @@ router.get('/export',
 
             const { format = 'json', type, startDate, endDate, merchantId } = req.query;
             
-            if (merchantId && req.user.role !== 'admin' && req.user.merchantId !== merchantId) {
+            if (merchantId && !await canReadAllAnalytics(req) && req.user.merchantId !== merchantId) {
                 return res.status(403).json({ error: 'Access denied to merchant data' });
             }
 
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const auditService = require('../services/auditService');
+const { logger } = require('../utils/logger');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { readLimiter } = require('../middleware/rateLimiter');
+
+// List audit events, newest first
+router.get('/',
+    verifyToken,
+    requirePermission('audit:read'),
+    readLimiter,
+    [
+        query('actorId').optional().isString(),
+        query('action').optional().isString(),
+        query('resourceType').optional().isString(),
+        query('resourceId').optional().isString(),
+        query('requestId').optional().isString(),
+        query('outcome').optional().isIn(['success', 'failure']),
+        query('startDate').optional().isISO8601().withMessage('Start date must be valid ISO8601 date'),
+        query('endDate').optional().isISO8601().withMessage('End date must be valid ISO8601 date'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+            const { actorId, action, resourceType, resourceId, requestId, outcome, startDate, endDate } = req.query;
+
+            const filter = {};
+            if (actorId) filter['actor.userId'] = actorId;
+            if (action) filter.action = action;
+            if (resourceType) filter['resource.type'] = resourceType;
+            if (resourceId) filter['resource.id'] = resourceId;
+            if (requestId) filter.requestId = requestId;
+            if (outcome) filter.outcome = outcome;
+            if (startDate || endDate) {
+                filter.timestamp = {};
+                if (startDate) filter.timestamp.$gte = new Date(startDate);
+                if (endDate) filter.timestamp.$lte = new Date(endDate);
+            }
+
+            const [events, total] = await Promise.all([
+                AuditEvent.find(filter)
+                    .sort({ sequence: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                AuditEvent.countDocuments(filter)
+            ]);
+
+            res.json({
+                events,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching audit events:', error);
+            res.status(500).json({ error: 'Failed to fetch audit events' });
+        }
+    }
+);
+
+// Recompute the hash chain to detect edited, missing or reordered events
+router.get('/verify',
+    verifyToken,
+    requirePermission('audit:read'),
+    readLimiter,
+    [
+        query('fromSequence').optional().isInt({ min: 1 }).withMessage('fromSequence must be a positive integer'),
+        query('toSequence').optional().isInt({ min: 1 }).withMessage('toSequence must be a positive integer')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const result = await auditService.verifyChain({
+                fromSequence: parseInt(req.query.fromSequence) || 1,
+                toSequence: parseInt(req.query.toSequence) || undefined
+            });
+
+            if (!result.valid) {
+                logger.warn(`Audit chain verification failed for ${req.user.email}`, { issues: result.issues.length });
+            }
+
+            res.json(result);
+        } catch (error) {
+            logger.error('Error verifying audit chain:', error);
+            res.status(500).json({ error: 'Failed to verify audit chain' });
+        }
+    }
+);
+
+module.exports = router;
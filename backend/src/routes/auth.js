@@ -1,12 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { generateTokens, verifyToken, JWT_SECRET } = require('../middleware/auth');
+const { generateStepUpToken, verifyToken, STEP_UP_EXPIRE_SECONDS } = require('../middleware/auth');
 const { authLimiter, registerLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const walletAuthService = require('../services/walletAuthService');
+const accountEmailService = require('../services/accountEmailService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
 const { logger } = require('../utils/logger');
 
+const SUI_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{1,64}$/;
+
+// Device details recorded on a session so users can recognise it
+function sessionMeta(req) {
+    return { userAgent: req.get('user-agent'), ipAddress: req.ip };
+}
+
+// Record the login and open a new session
+async function startSession(user, req) {
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { accessToken, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
+
+    return { accessToken, refreshToken };
+}
+
+// Second sign-in step for users with 2FA enabled; returns an error body, or null to continue.
+// A wrong code counts as a failed login attempt.
+async function checkTwoFactor(user, code) {
+    if (!user.twoFactor?.enabled) {
+        return null;
+    }
+
+    if (!code) {
+        return { error: 'Two-factor code required', twoFactorRequired: true };
+    }
+
+    if (!await twoFactorService.verifyCode(user._id, code)) {
+        await user.incLoginAttempts();
+        return { error: 'Invalid two-factor code', twoFactorRequired: true };
+    }
+
+    return null;
+}
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -49,15 +89,17 @@ router.post('/register',
 
             await user.save();
 
-            // Generate tokens
-            const { accessToken, refreshToken } = generateTokens(user._id, user.role);
-
-            // Save refresh token
-            user.refreshTokens.push({ token: refreshToken });
-            await user.save();
+            const { accessToken, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
 
             logger.info(`New user registered: ${email} (${userRole})`);
 
+            try {
+                await accountEmailService.sendVerificationEmail(user);
+            } catch (emailError) {
+                // The user can ask for another link once email delivery recovers
+                logger.error(`Failed to send verification email to ${email}: ${emailError.message}`);
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'User registered successfully',
@@ -82,6 +124,7 @@ router.post('/login',
     [
         body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
         body('password').notEmpty().withMessage('Password is required'),
+        body('twoFactorCode').optional().isString(),
     ],
     async (req, res) => {
         try {
@@ -90,7 +133,7 @@ router.post('/login',
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { email, password } = req.body;
+            const { email, password, twoFactorCode } = req.body;
 
             // Find user
             const user = await User.findOne({ email }).select('+password');
@@ -118,27 +161,17 @@ router.post('/login',
                 return res.status(401).json({ error: 'Invalid credentials' });
             }
 
+            const twoFactorError = await checkTwoFactor(user, twoFactorCode);
+            if (twoFactorError) {
+                return res.status(401).json(twoFactorError);
+            }
+
             // Reset login attempts on successful login
             if (user.loginAttempts > 0 || user.lockUntil) {
                 await user.resetLoginAttempts();
             }
 
-            // Update last login
-            user.lastLogin = new Date();
-            await user.save();
-
-            // Generate tokens
-            const { accessToken, refreshToken } = generateTokens(user._id, user.role);
-
-            // Save refresh token
-            user.refreshTokens.push({ token: refreshToken });
-            
-            // Limit refresh tokens to last 5
-            if (user.refreshTokens.length > 5) {
-                user.refreshTokens = user.refreshTokens.slice(-5);
-            }
-            
-            await user.save();
+            const { accessToken, refreshToken } = await startSession(user, req);
 
             logger.info(`User logged in: ${email}`);
 
@@ -157,13 +190,14 @@ router.post('/login',
 );
 
 /**
- * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @route   POST /api/auth/wallet/challenge
+ * @desc    Issue a message for a wallet to sign in with
  * @access  Public
  */
-router.post('/refresh',
+router.post('/wallet/challenge',
+    authLimiter,
     [
-        body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+        body('address').isString().trim().matches(SUI_ADDRESS_PATTERN).withMessage('Valid Sui address is required'),
     ],
     async (req, res) => {
         try {
@@ -172,34 +206,115 @@ router.post('/refresh',
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { refreshToken } = req.body;
+            const { nonce, message, expiresAt } = await walletAuthService.createChallenge({
+                address: req.body.address,
+                purpose: 'login',
+            });
 
-            // Verify refresh token
-            const decoded = jwt.verify(refreshToken, JWT_SECRET);
+            res.json({
+                success: true,
+                nonce,
+                message,
+                expiresAt,
+            });
+        } catch (error) {
+            logger.error(`Wallet challenge error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to create wallet challenge' });
+        }
+    }
+);
 
-            if (decoded.type !== 'refresh') {
-                return res.status(401).json({ error: 'Invalid token type' });
+/**
+ * @route   POST /api/auth/wallet/verify
+ * @desc    Sign in with a signed wallet challenge, creating an account on first use
+ * @access  Public
+ */
+router.post('/wallet/verify',
+    authLimiter,
+    [
+        body('address').isString().trim().matches(SUI_ADDRESS_PATTERN).withMessage('Valid Sui address is required'),
+        body('nonce').isString().notEmpty().withMessage('Challenge nonce is required'),
+        body('signature').isString().notEmpty().withMessage('Signature is required'),
+        body('twoFactorCode').optional().isString(),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            // Find user and check if refresh token exists
-            const user = await User.findById(decoded.userId);
-            if (!user) {
-                return res.status(401).json({ error: 'User not found' });
+            const { address, nonce, signature, twoFactorCode } = req.body;
+            const { user, created } = await walletAuthService.signInWithWallet({ address, nonce, signature });
+
+            if (user.isLocked()) {
+                return res.status(423).json({ 
+                    error: 'Account is temporarily locked due to too many failed login attempts',
+                    lockUntil: user.lockUntil,
+                });
             }
 
-            const tokenExists = user.refreshTokens.some(t => t.token === refreshToken);
-            if (!tokenExists) {
-                return res.status(401).json({ error: 'Invalid refresh token' });
+            if (!user.isActive) {
+                return res.status(401).json({ error: 'Account is deactivated' });
+            }
+
+            // The challenge is already spent, so the client must send the code with the signature
+            const twoFactorError = await checkTwoFactor(user, twoFactorCode);
+            if (twoFactorError) {
+                return res.status(401).json(twoFactorError);
+            }
+
+            const { accessToken, refreshToken } = await startSession(user, req);
+
+            logger.info(`User logged in with wallet: ${user.walletAddress}`);
+
+            res.status(created ? 201 : 200).json({
+                success: true,
+                message: 'Login successful',
+                created,
+                user: user.toJSON(),
+                accessToken,
+                refreshToken,
+            });
+        } catch (error) {
+            if (error.code === 'CHALLENGE_INVALID' || error.code === 'INVALID_SIGNATURE') {
+                return res.status(401).json({ error: error.message });
+            }
+            logger.error(`Wallet login error: ${error.message}`);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public
+ */
+router.post('/refresh',
+    [
+        body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            // Generate new access token
-            const { accessToken } = generateTokens(user._id, user.role);
+            // The presented token stops working; a second use of it ends the session
+            const { accessToken, refreshToken } = await sessionService.rotateSession(req.body.refreshToken, sessionMeta(req));
 
             res.json({
                 success: true,
                 accessToken,
+                refreshToken,
             });
         } catch (error) {
+            if (error.code === 'INVALID_TOKEN' || error.code === 'TOKEN_REUSED' || error.code === 'SESSION_REVOKED') {
+                return res.status(401).json({ error: error.message, code: error.code });
+            }
+
             logger.error(`Token refresh error: ${error.message}`);
             
             if (error.name === 'JsonWebTokenError') {
@@ -216,7 +331,7 @@ router.post('/refresh',
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    End the session of the given refresh token, or every session when none is given
  * @access  Private
  */
 router.post('/logout',
@@ -227,22 +342,14 @@ router.post('/logout',
     async (req, res) => {
         try {
             const { refreshToken } = req.body;
-            const user = await User.findById(req.userId);
 
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-
-            // Remove specific refresh token or all tokens
             if (refreshToken) {
-                user.refreshTokens = user.refreshTokens.filter(t => t.token !== refreshToken);
+                await sessionService.revokeByRefreshToken(req.userId, refreshToken);
             } else {
-                user.refreshTokens = [];
+                await sessionService.revokeAllSessions(req.userId, 'logout');
             }
 
-            await user.save();
-
-            logger.info(`User logged out: ${user.email}`);
+            logger.info(`User logged out: ${req.user.email}`);
 
             res.json({
                 success: true,
@@ -255,6 +362,50 @@ router.post('/logout',
     }
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', verifyToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId);
+
+        res.json({
+            success: true,
+            sessions: sessions.map((session) => ({
+                ...session.toJSON(),
+                current: session._id.toString() === req.sessionId,
+            })),
+        });
+    } catch (error) {
+        logger.error(`List sessions error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    End one of the user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.userId, req.params.id, 'user_revoked');
+
+        res.json({
+            success: true,
+            message: 'Session revoked',
+        });
+    } catch (error) {
+        if (error.code === 'SESSION_NOT_FOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error(`Revoke session error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user info
@@ -268,9 +419,12 @@ router.get('/me', verifyToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        const permissions = await permissionService.getPermissions(user);
+
         res.json({
             success: true,
             user: user.toJSON(),
+            permissions: [...permissions],
         });
     } catch (error) {
         logger.error(`Get user error: ${error.message}`);
@@ -311,9 +465,11 @@ router.put('/password',
 
             // Update password
             user.password = newPassword;
-            user.refreshTokens = []; // Invalidate all refresh tokens
             await user.save();
 
+            // Sign out everywhere else
+            await sessionService.revokeAllSessions(user._id, 'password_changed', { except: req.sessionId });
+
             logger.info(`Password changed for user: ${user.email}`);
 
             res.json({
@@ -327,4 +483,420 @@ router.put('/password',
     }
 );
 
+/**
+ * @route   POST /api/auth/verify-email/request
+ * @desc    Send (or resend) the email verification link
+ * @access  Private
+ */
+router.post('/verify-email/request',
+    verifyToken,
+    passwordResetLimiter,
+    [
+        body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await accountEmailService.sendVerificationEmail(user, { email: req.body.email });
+
+            res.json({
+                success: true,
+                message: `Verification email sent to ${user.email}`,
+            });
+        } catch (error) {
+            if (error.code === 'ALREADY_VERIFIED' || error.code === 'EMAIL_REQUIRED') {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.code === 'EMAIL_IN_USE') {
+                return res.status(409).json({ error: error.message });
+            }
+            logger.error(`Verification email error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to send verification email' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify the user's email with the token from the verification link
+ * @access  Public
+ */
+router.post('/verify-email',
+    authLimiter,
+    [
+        body('token').isString().notEmpty().withMessage('Verification token is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await accountEmailService.verifyEmail(req.body.token);
+
+            res.json({
+                success: true,
+                message: 'Email verified successfully',
+                user: user.toJSON(),
+            });
+        } catch (error) {
+            if (error.code === 'TOKEN_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error(`Email verification error: ${error.message}`);
+            res.status(500).json({ error: 'Email verification failed' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password',
+    passwordResetLimiter,
+    [
+        body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            await accountEmailService.requestPasswordReset(req.body.email);
+        } catch (error) {
+            // Reported only in the logs; the response must not reveal whether the account exists
+            logger.error(`Password reset request error: ${error.message}`);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent',
+        });
+    }
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from a reset link
+ * @access  Public
+ */
+router.post('/reset-password',
+    authLimiter,
+    [
+        body('token').isString().notEmpty().withMessage('Reset token is required'),
+        body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await accountEmailService.resetPassword(req.body.token, req.body.newPassword);
+
+            res.json({
+                success: true,
+                message: 'Password reset successfully. Please log in with your new password',
+            });
+        } catch (error) {
+            if (error.code === 'TOKEN_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error(`Password reset error: ${error.message}`);
+            res.status(500).json({ error: 'Password reset failed' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/wallet/link/challenge
+ * @desc    Issue a message for the user's wallet to sign to prove ownership
+ * @access  Private
+ */
+router.post('/wallet/link/challenge',
+    verifyToken,
+    authLimiter,
+    [
+        body('address').isString().trim().matches(SUI_ADDRESS_PATTERN).withMessage('Valid Sui address is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { nonce, message, expiresAt } = await walletAuthService.createChallenge({
+                address: req.body.address,
+                purpose: 'link',
+                userId: req.userId,
+            });
+
+            res.json({
+                success: true,
+                nonce,
+                message,
+                expiresAt,
+            });
+        } catch (error) {
+            logger.error(`Wallet challenge error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to create wallet challenge' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/wallet/link
+ * @desc    Link a wallet to the user by verifying its signature over a challenge
+ * @access  Private
+ */
+router.post('/wallet/link',
+    verifyToken,
+    authLimiter,
+    [
+        body('address').isString().trim().matches(SUI_ADDRESS_PATTERN).withMessage('Valid Sui address is required'),
+        body('nonce').isString().notEmpty().withMessage('Challenge nonce is required'),
+        body('signature').isString().notEmpty().withMessage('Signature is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const { address, nonce, signature } = req.body;
+            await walletAuthService.linkWallet(user, { address, nonce, signature });
+
+            res.json({
+                success: true,
+                message: 'Wallet linked successfully',
+                user: user.toJSON(),
+            });
+        } catch (error) {
+            if (error.code === 'CHALLENGE_INVALID' || error.code === 'INVALID_SIGNATURE') {
+                return res.status(401).json({ error: error.message });
+            }
+            if (error.code === 'WALLET_IN_USE') {
+                return res.status(409).json({ error: error.message });
+            }
+            logger.error(`Wallet link error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to link wallet' });
+        }
+    }
+);
+
+// Map two-factor service errors to responses; returns false for unexpected errors
+function sendTwoFactorError(res, error) {
+    const statuses = {
+        ALREADY_ENABLED: 409,
+        SETUP_REQUIRED: 400,
+        NOT_ENABLED: 400,
+        INVALID_CODE: 400,
+        TWO_FACTOR_REQUIRED: 403,
+    };
+    if (!statuses[error.code]) {
+        return false;
+    }
+    res.status(statuses[error.code]).json({ error: error.message, code: error.code });
+    return true;
+}
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', verifyToken, async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.userId);
+
+        res.json({
+            success: true,
+            ...status,
+        });
+    } catch (error) {
+        logger.error(`Get 2FA status error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrolment and return the authenticator provisioning details
+ * @access  Private
+ */
+router.post('/2fa/setup', verifyToken, authLimiter, async (req, res) => {
+    try {
+        const { secret, otpauthUri, qrCodeData } = await twoFactorService.startEnrollment(req.userId);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri,
+            qrCodeData,
+        });
+    } catch (error) {
+        if (sendTwoFactorError(res, error)) return;
+        logger.error(`2FA setup error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code from the authenticator app
+ * @access  Private
+ */
+router.post('/2fa/enable',
+    verifyToken,
+    authLimiter,
+    [
+        body('code').isString().trim().notEmpty().withMessage('Two-factor code is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const backupCodes = await twoFactorService.confirmEnrollment(req.userId, req.body.code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled',
+                backupCodes,
+            });
+        } catch (error) {
+            if (sendTwoFactorError(res, error)) return;
+            logger.error(`2FA enable error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (not allowed while it is mandatory for the user's role)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+    verifyToken,
+    authLimiter,
+    [
+        body('code').isString().trim().notEmpty().withMessage('Two-factor code is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await twoFactorService.disable(req.userId, req.body.code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled',
+            });
+        } catch (error) {
+            if (sendTwoFactorError(res, error)) return;
+            logger.error(`2FA disable error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the user's backup codes
+ * @access  Private
+ */
+router.post('/2fa/backup-codes',
+    verifyToken,
+    authLimiter,
+    [
+        body('code').isString().trim().notEmpty().withMessage('Two-factor code is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const backupCodes = await twoFactorService.regenerateBackupCodes(req.userId, req.body.code);
+
+            res.json({
+                success: true,
+                backupCodes,
+            });
+        } catch (error) {
+            if (sendTwoFactorError(res, error)) return;
+            logger.error(`2FA backup codes error: ${error.message}`);
+            res.status(500).json({ error: 'Failed to regenerate backup codes' });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/auth/2fa/step-up
+ * @desc    Exchange a 2FA code for a short-lived token required by sensitive actions
+ *          (sent as the X-Step-Up-Token header)
+ * @access  Private
+ */
+router.post('/2fa/step-up',
+    verifyToken,
+    authLimiter,
+    [
+        body('code').isString().trim().notEmpty().withMessage('Two-factor code is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            if (!req.user.twoFactor?.enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is not enabled', code: 'NOT_ENABLED' });
+            }
+
+            if (!await twoFactorService.verifyCode(req.userId, req.body.code)) {
+                return res.status(400).json({ error: 'Invalid two-factor code', code: 'INVALID_CODE' });
+            }
+
+            res.json({
+                success: true,
+                stepUpToken: generateStepUpToken(req.userId),
+                expiresIn: STEP_UP_EXPIRE_SECONDS,
+            });
+        } catch (error) {
+            logger.error(`2FA step-up error: ${error.message}`);
+            res.status(500).json({ error: 'Step-up verification failed' });
+        }
+    }
+);
+
 module.exports = router;
@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const merchantApplicationService = require('../services/merchantApplicationService');
+const permissionService = require('../services/permissionService');
+const { APPLICATION_STATUSES, DOCUMENT_TYPES, DOCUMENT_TYPE_NAMES } = require('../config/merchantApplications');
+const { setAuditContext } = require('../middleware/audit');
+const { logger } = require('../utils/logger');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+const { idempotent } = require('../middleware/idempotency');
+
+const ERROR_STATUS = {
+    APPLICATION_NOT_FOUND: 404,
+    ALREADY_MERCHANT: 409,
+    APPLICATION_EXISTS: 409,
+    APPLICATION_CLOSED: 409,
+    INVALID_STATUS: 409,
+    APPROVAL_IN_PROGRESS: 409,
+    ACCOUNT_ALREADY_LINKED: 409,
+    ACCOUNT_NOT_CONFIRMED: 409,
+    ACCOUNT_NOT_VERIFIED: 409,
+    ACCOUNT_HAS_ROLES: 409,
+    ACCOUNT_NOT_LINKABLE: 409,
+    MERCHANT_EXISTS: 409,
+};
+
+function sendApplicationError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    if (error.isBlockchainError) {
+        logger.error(`${fallbackMessage}: ${error.message}`);
+        return res.status(503).json({
+            error: 'Blockchain operation failed',
+            message: 'Unable to register merchant on blockchain. Please try again.',
+            retryable: true
+        });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: 'Invalid data', message: error.message });
+    }
+    logger.error(`${fallbackMessage}: ${error.message}`);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+function sendValidationErrors(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+    });
+    return true;
+}
+
+// Reviewers work the queue; everyone else only sees their own applications
+async function isReviewer(req) {
+    req.permissions = req.permissions || await permissionService.getPermissions(req.user);
+    return req.permissions.has('merchant:approve');
+}
+
+// Load the application named in the URL if the caller may see it; otherwise answer and return null.
+// The owner of its account email may read it, to know what they are confirming.
+async function loadApplication(req, res, { allowAccountOwner = false } = {}) {
+    const application = await merchantApplicationService.getApplication(req.params.applicationId);
+
+    const accountOwner = allowAccountOwner && application.accountEmail === req.user.email;
+    if (!application.applicantId.equals(req.user._id) && !accountOwner && !await isReviewer(req)) {
+        res.status(404).json({ error: 'Merchant application not found', code: 'APPLICATION_NOT_FOUND' });
+        return null;
+    }
+
+    return application;
+}
+
+const applicationIdParam = param('applicationId').isMongoId().withMessage('Invalid application ID');
+
+// Business details; all optional when updating
+const applicationFields = (update) => {
+    const field = (name) => (update ? body(name).optional() : body(name));
+    return [
+        field('businessName').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Business name is required'),
+        body('registrationNumber').optional().isString().trim().isLength({ max: 100 }),
+        body('businessType').optional().isString().trim().isLength({ max: 100 }),
+        field('walletAddress').isString().trim().matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid wallet address format'),
+        field('voucherTypesAccepted').isArray({ min: 1 }).withMessage('At least one voucher type must be accepted'),
+        body('voucherTypesAccepted.*').isInt({ min: 1, max: 4 }).withMessage('Voucher types must be between 1 and 4').toInt(),
+        field('contactEmail').isEmail().normalizeEmail().withMessage('Valid email is required'),
+        body('contactPhone').optional().isString().trim(),
+        body('accountEmail').optional().isEmail().normalizeEmail().withMessage('Valid account email is required'),
+        body('location').optional().isObject().withMessage('Location must be an object'),
+        body(['location.address', 'location.city', 'location.region', 'location.country']).optional().isString().trim().isLength({ max: 200 }),
+        body('location.coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+        body('location.coordinates[0]').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+        body('location.coordinates[1]').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+        body('documents').optional().isArray({ max: 20 }).withMessage('At most 20 documents can be attached'),
+        body('documents.*.type').isIn(DOCUMENT_TYPE_NAMES).withMessage(`Document type must be one of: ${DOCUMENT_TYPE_NAMES.join(', ')}`),
+        body('documents.*.name').isString().trim().notEmpty().withMessage('Document name is required'),
+        body('documents.*.url').isURL({ protocols: ['https'], require_protocol: true }).withMessage('Document URL must be https'),
+    ];
+};
+
+const reviewMessage = body('message').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('A message for the applicant is required');
+
+// List the document types an application can include
+router.get('/document-types', verifyToken, readLimiter, (req, res) => {
+    res.json({
+        documentTypes: DOCUMENT_TYPE_NAMES.map((name) => ({ name, description: DOCUMENT_TYPES[name] }))
+    });
+});
+
+// Submit an application to become a merchant
+router.post('/',
+    verifyToken,
+    writeLimiter,
+    applicationFields(false),
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await merchantApplicationService.submitApplication(req.user, req.body);
+
+        res.status(201).json({
+            message: 'Application submitted for review',
+            application,
+        });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to submit merchant application');
+    }
+});
+
+// List applications: the review queue for reviewers, your own otherwise
+router.get('/',
+    verifyToken,
+    readLimiter,
+    [
+        query('status').optional().isIn(APPLICATION_STATUSES).withMessage('Invalid status filter'),
+        query('applicantId').optional().isMongoId().withMessage('Invalid applicant ID'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { applications, total } = await merchantApplicationService.listApplications({
+            status: req.query.status,
+            applicantId: await isReviewer(req) ? req.query.applicantId : req.user._id,
+            page,
+            limit,
+        });
+
+        res.json({
+            applications,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to list merchant applications');
+    }
+});
+
+// Get an application with its review thread
+router.get('/:applicationId',
+    verifyToken,
+    readLimiter,
+    [applicationIdParam],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await loadApplication(req, res, { allowAccountOwner: true });
+        if (!application) return;
+
+        res.json({ application });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to fetch merchant application');
+    }
+});
+
+// Change an open application; answering a request for information puts it back in the queue
+router.put('/:applicationId',
+    verifyToken,
+    writeLimiter,
+    [
+        applicationIdParam,
+        ...applicationFields(true),
+        body('message').optional().isString().trim().isLength({ min: 1, max: 2000 }),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await merchantApplicationService.getApplication(req.params.applicationId);
+        if (!application.applicantId.equals(req.user._id)) {
+            return res.status(404).json({ error: 'Merchant application not found', code: 'APPLICATION_NOT_FOUND' });
+        }
+
+        await merchantApplicationService.updateApplication(application, req.user, req.body, req.body.message);
+
+        res.json({ application });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to update merchant application');
+    }
+});
+
+// Add a message to the review thread
+router.post('/:applicationId/comments',
+    verifyToken,
+    writeLimiter,
+    [
+        applicationIdParam,
+        body('message').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Message is required'),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await loadApplication(req, res);
+        if (!application) return;
+
+        const authorRole = application.applicantId.equals(req.user._id) ? 'applicant' : 'reviewer';
+        await merchantApplicationService.addComment(application, req.user, authorRole, req.body.message);
+
+        res.status(201).json({ application });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to add comment');
+    }
+});
+
+// Send an application back to the applicant for more information
+router.post('/:applicationId/request-info',
+    verifyToken,
+    requirePermission('merchant:approve'),
+    writeLimiter,
+    [applicationIdParam, reviewMessage],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await merchantApplicationService.requestInfo(req.params.applicationId, req.user, req.body.message);
+
+        setAuditContext(req, { resource: { type: 'merchant_application', id: req.params.applicationId } });
+
+        res.json({ application });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to request information');
+    }
+});
+
+// Reject an application
+router.post('/:applicationId/reject',
+    verifyToken,
+    requirePermission('merchant:approve'),
+    writeLimiter,
+    [applicationIdParam, reviewMessage],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await merchantApplicationService.rejectApplication(req.params.applicationId, req.user, req.body.message);
+
+        setAuditContext(req, { resource: { type: 'merchant_application', id: req.params.applicationId } });
+
+        res.json({ application });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to reject merchant application');
+    }
+});
+
+// Agree, as the owner of the application's account email, to manage the merchant once it is approved
+router.post('/:applicationId/confirm-account',
+    verifyToken,
+    writeLimiter,
+    [applicationIdParam],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const application = await merchantApplicationService.getApplication(req.params.applicationId);
+        await merchantApplicationService.confirmAccountLink(application, req.user);
+
+        res.json({
+            message: 'Account link confirmed; your account becomes the merchant account when the application is approved',
+            application,
+        });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to confirm account link');
+    }
+});
+
+// Approve an application: registers the merchant on-chain and links the applicant's account
+router.post('/:applicationId/approve',
+    verifyToken,
+    requirePermission('merchant:approve'),
+    writeLimiter,
+    idempotent,
+    [
+        applicationIdParam,
+        body('merchantId').isString().trim().notEmpty().withMessage('Merchant ID is required'),
+        body('comment').optional().isString().trim().isLength({ max: 2000 }),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { application, merchant, signingAddress, transactionDigest } = await merchantApplicationService.approveApplication(
+            req.params.applicationId,
+            req.user,
+            { merchantId: req.body.merchantId, comment: req.body.comment }
+        );
+
+        setAuditContext(req, {
+            resource: { type: 'merchant_application', id: req.params.applicationId },
+            after: { merchantId: merchant.merchantId, linkedUserId: application.linkedUserId || null },
+        });
+
+        res.json({
+            message: 'Application approved and merchant registered',
+            application,
+            merchant: { ...merchant.toObject(), signingAddress },
+            transactionDigest,
+        });
+    } catch (error) {
+        sendApplicationError(res, error, 'Failed to approve merchant application');
+    }
+});
+
+module.exports = router;
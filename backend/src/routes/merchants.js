@@ -5,16 +5,22 @@ const Merchant = require('../models/Merchant');
 const { TransactionBlock } = require('@mysten/sui.js/transactions');
 const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID } = require('../config/sui');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly, adminOrMerchant } = require('../middleware/auth');
+const { verifyToken, requirePermission, adminOnly, adminOrMerchant } = require('../middleware/auth');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
-const { createApiKey, revokeApiKey, getApiKeyInfo } = require('../utils/apiKeyManager');
+const { idempotent } = require('../middleware/idempotency');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeyManager');
+const { API_KEY_SCOPE_NAMES } = require('../config/permissions');
+const { setAuditContext } = require('../middleware/audit');
+const { generateSigningKey, rotateSigningKey } = require('../utils/merchantKeyManager');
+const merchantService = require('../services/merchantService');
 const { executeTransactionWithRetry } = require('../utils/blockchainRetry');
 
 // Register a new merchant
 router.post('/register', 
     verifyToken, 
-    adminOnly, 
+    requirePermission('merchant:approve'), 
     writeLimiter,
+    idempotent,
     [
         body('merchantId').isString().trim().notEmpty().withMessage('Merchant ID is required'),
         body('name').isString().trim().notEmpty().withMessage('Merchant name is required'),
@@ -35,56 +41,32 @@ router.post('/register',
 
         const { merchantId, name, walletAddress, voucherTypesAccepted, contactEmail, contactPhone } = req.body;
 
-        // Check if merchant already exists
-        const existingMerchant = await Merchant.findOne({ merchantId });
-        if (existingMerchant) {
-            return res.status(400).json({ 
-                error: 'Merchant already exists',
-                message: 'A merchant with this ID is already registered'
-            });
-        }
-
-        // Register on-chain
-        const adminKeypair = getAdminKeypair();
-        const tx = new TransactionBlock();
-
-        tx.moveCall({
-            target: `${PACKAGE_ID}::voucher_system::register_merchant`,
-            arguments: [
-                tx.object(ADMIN_CAP_ID),
-                tx.pure(Array.from(Buffer.from(merchantId))),
-                tx.pure(Array.from(Buffer.from(name))),
-                tx.pure(voucherTypesAccepted),
-            ],
-        });
-
-        const result = await executeTransactionWithRetry(suiClient, {
-            signer: adminKeypair,
-            transactionBlock: tx,
-        });
-
-        // Save to database
-        const merchant = new Merchant({
+        const { merchant, signingAddress, transactionDigest } = await merchantService.registerMerchant({
             merchantId,
             name,
             walletAddress,
             voucherTypesAccepted,
             contactEmail,
             contactPhone,
-            onChainObjectId: result.digest, // Store transaction digest for reference
         });
 
-        await merchant.save();
-
-        logger.info(`Merchant registered: ${merchantId}`, { transactionDigest: result.digest });
+        // select: false only applies to queries, so drop the key from the new document by hand
+        const { encryptedSigningKey, ...merchantData } = merchant.toObject();
 
         res.status(201).json({
             success: true,
-            merchant,
-            transactionDigest: result.digest,
+            merchant: { ...merchantData, signingAddress },
+            transactionDigest,
             message: 'Merchant registered successfully'
         });
     } catch (error) {
+        if (error.code === 'MERCHANT_EXISTS') {
+            return res.status(400).json({ 
+                error: 'Merchant already exists',
+                message: error.message
+            });
+        }
+
         logger.error(`Error registering merchant: ${error.message}`, { 
             stack: error.stack,
             isBlockchainError: error.isBlockchainError
@@ -164,13 +146,16 @@ router.get('/:merchantId',
     }
 });
 
-// Generate API key for merchant
-router.post('/:merchantId/api-key', 
+// Create an API key for one of the merchant's terminals
+router.post('/:merchantId/api-keys', 
     verifyToken, 
     adminOrMerchant, 
     writeLimiter,
     [
         param('merchantId').isString().trim().notEmpty().withMessage('Merchant ID is required'),
+        body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required (max 100 characters)'),
+        body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+        body('scopes.*').isIn(API_KEY_SCOPE_NAMES).withMessage(`Scopes must be one of: ${API_KEY_SCOPE_NAMES.join(', ')}`),
         body('expiryDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry days must be between 1 and 365'),
     ],
     async (req, res) => {
@@ -184,7 +169,7 @@ router.post('/:merchantId/api-key',
         }
 
         const { merchantId } = req.params;
-        const { expiryDays } = req.body;
+        const { name, scopes, expiryDays } = req.body;
 
         // Check if user is admin or the merchant owner
         const merchant = await Merchant.findOne({ merchantId });
@@ -196,24 +181,32 @@ router.post('/:merchantId/api-key',
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        const result = await createApiKey(merchant._id, expiryDays || 365);
+        const result = await createApiKey(merchant._id, {
+            name,
+            scopes,
+            expiryDays: expiryDays || 365,
+            createdBy: req.userId,
+        });
 
-        logger.info(`API key generated for merchant: ${merchantId}`);
+        setAuditContext(req, { resource: { type: 'merchant_api_key', id: String(result.key._id) }, after: result.key });
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'API key generated successfully. Store it securely - it will not be shown again.',
+            message: 'API key created successfully. Store it securely - it will not be shown again.',
             apiKey: result.apiKey,
-            expiryDate: result.expiryDate,
+            key: result.key,
         });
     } catch (error) {
-        logger.error(`Error generating API key: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        if (error.code === 'KEY_LIMIT_REACHED') {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error(`Error creating API key: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create API key' });
     }
 });
 
-// Get API key info (without revealing the key)
-router.get('/:merchantId/api-key', verifyToken, adminOrMerchant, async (req, res) => {
+// List the merchant's API keys (without revealing them)
+router.get('/:merchantId/api-keys', verifyToken, adminOrMerchant, readLimiter, async (req, res) => {
     try {
         const { merchantId } = req.params;
 
@@ -226,22 +219,37 @@ router.get('/:merchantId/api-key', verifyToken, adminOrMerchant, async (req, res
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        const keyInfo = await getApiKeyInfo(merchant._id);
+        const keys = await listApiKeys(merchant._id);
 
         res.json({
             success: true,
-            ...keyInfo,
+            keys,
         });
     } catch (error) {
-        logger.error(`Error getting API key info: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        logger.error(`Error listing API keys: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list API keys' });
     }
 });
 
-// Revoke API key
-router.delete('/:merchantId/api-key', verifyToken, adminOrMerchant, async (req, res) => {
+// Revoke one API key, e.g. for a lost or retired terminal
+router.delete('/:merchantId/api-keys/:keyId', 
+    verifyToken, 
+    adminOrMerchant, 
+    writeLimiter,
+    [
+        param('keyId').isMongoId().withMessage('Invalid key ID'),
+    ],
+    async (req, res) => {
     try {
-        const { merchantId } = req.params;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { merchantId, keyId } = req.params;
 
         const merchant = await Merchant.findOne({ merchantId });
         if (!merchant) {
@@ -252,16 +260,79 @@ router.delete('/:merchantId/api-key', verifyToken, adminOrMerchant, async (req,
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        await revokeApiKey(merchant._id);
+        const key = await revokeApiKey(merchant._id, keyId, req.userId);
 
-        logger.info(`API key revoked for merchant: ${merchantId}`);
+        setAuditContext(req, { resource: { type: 'merchant_api_key', id: keyId }, after: key });
 
         res.json({
             success: true,
             message: 'API key revoked successfully',
+            key,
         });
     } catch (error) {
+        if (error.code === 'KEY_NOT_FOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'ALREADY_REVOKED') {
+            return res.status(409).json({ error: error.message });
+        }
         logger.error(`Error revoking API key: ${error.message}`);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// Rotate the merchant's managed signing key
+router.post('/:merchantId/signing-key', 
+    verifyToken, 
+    adminOnly, 
+    writeLimiter,
+    idempotent,
+    [
+        param('merchantId').isString().trim().notEmpty().withMessage('Merchant ID is required'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { merchantId } = req.params;
+
+        const merchant = await Merchant.findOne({ merchantId });
+        if (!merchant) {
+            return res.status(404).json({ error: 'Merchant not found' });
+        }
+
+        const previousAddress = merchant.signingAddress;
+        const updated = await rotateSigningKey(merchantId);
+
+        logger.info(`Signing key rotated for merchant: ${merchantId}`, { previousAddress, signingAddress: updated.signingAddress });
+
+        res.json({
+            success: true,
+            message: 'Signing key rotated successfully',
+            signingAddress: updated.signingAddress,
+            previousAddress,
+        });
+    } catch (error) {
+        logger.error(`Error rotating signing key: ${error.message}`);
+
+        if (error.code === 'MERCHANT_NOT_ON_CHAIN') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        if (error.isBlockchainError) {
+            return res.status(503).json({ 
+                error: 'Blockchain operation failed',
+                message: 'Unable to update the merchant signer on blockchain. Please try again.',
+                retryable: true
+            });
+        }
+
         res.status(500).json({ error: error.message });
     }
 });
@@ -269,8 +340,9 @@ router.delete('/:merchantId/api-key', verifyToken, adminOrMerchant, async (req,
 // Batch register merchants
 router.post('/batch-register', 
     verifyToken, 
-    adminOnly, 
+    requirePermission('merchant:approve'), 
     writeLimiter,
+    idempotent,
     async (req, res) => {
         try {
             const { merchants } = req.body; // Expecting an array of merchant details
@@ -281,8 +353,9 @@ router.post('/batch-register',
 
             const adminKeypair = getAdminKeypair();
             const tx = new TransactionBlock();
+            const signingKeys = new Map();
 
-            for (const { merchantId, name, walletAddress, voucherTypesAccepted, contactEmail, contactPhone } of merchants) {
+            for (const { merchantId, name, voucherTypesAccepted } of merchants) {
                 // Check if merchant already exists
                 const existingMerchant = await Merchant.findOne({ merchantId });
                 if (existingMerchant) {
@@ -292,6 +365,10 @@ router.post('/batch-register',
                     });
                 }
 
+                // Each merchant redeems with its own managed key, registered on its Merchant object
+                const signingKey = generateSigningKey();
+                signingKeys.set(merchantId, signingKey);
+
                 tx.moveCall({
                     target: `${PACKAGE_ID}::voucher_system::register_merchant`,
                     arguments: [
@@ -299,10 +376,34 @@ router.post('/batch-register',
                         tx.pure(Array.from(Buffer.from(merchantId))),
                         tx.pure(Array.from(Buffer.from(name))),
                         tx.pure(voucherTypesAccepted),
+                        tx.pure(signingKey.signingAddress),
                     ],
                 });
+            }
 
-                // Save to database
+            const result = await executeTransactionWithRetry(suiClient, {
+                signer: adminKeypair,
+                transactionBlock: tx,
+                options: {
+                    showObjectChanges: true,
+                }
+            });
+
+            // Match each created Merchant object back to its merchant ID
+            const createdIds = (result.objectChanges || [])
+                .filter((change) => change.type === 'created' && change.objectType.endsWith('::voucher_system::Merchant'))
+                .map((change) => change.objectId);
+            const createdObjects = createdIds.length > 0
+                ? await suiClient.multiGetObjects({ ids: createdIds, options: { showContent: true } })
+                : [];
+            const objectIdByMerchant = new Map(
+                createdObjects
+                    .filter((object) => object.data)
+                    .map((object) => [object.data.content?.fields?.merchant_id, object.data.objectId])
+            );
+
+            // Save to database
+            for (const { merchantId, name, walletAddress, voucherTypesAccepted, contactEmail, contactPhone } of merchants) {
                 const merchant = new Merchant({
                     merchantId,
                     name,
@@ -310,16 +411,14 @@ router.post('/batch-register',
                     voucherTypesAccepted,
                     contactEmail,
                     contactPhone,
+                    onChainObjectId: objectIdByMerchant.get(merchantId) || null,
+                    ...signingKeys.get(merchantId),
+                    signingKeyCreatedAt: new Date(),
                 });
 
                 await merchant.save();
             }
 
-            const result = await executeTransactionWithRetry(suiClient, {
-                signer: adminKeypair,
-                transactionBlock: tx,
-            });
-
             res.status(200).json({
                 message: 'Batch merchants registered successfully',
                 transactionDigest: result.digest,
@@ -3,13 +3,14 @@ const router = express.Router();
 const { body, query, param, validationResult } = require('express-validator');
 const multiSigManager = require('../utils/multiSigManager');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly } = require('../middleware/auth');
+const { verifyToken, requirePermission, adminOnly, requireStepUp } = require('../middleware/auth');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+const { idempotent } = require('../middleware/idempotency');
 
 // Create multi-signature operation (Admin only)
 router.post('/',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:create'),
     writeLimiter,
     [
         body('operationType').isIn([
@@ -58,7 +59,7 @@ router.post('/',
 // Get pending operations (Admin only)
 router.get('/pending',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:read'),
     readLimiter,
     async (req, res) => {
         try {
@@ -74,10 +75,10 @@ router.get('/pending',
 // Get all operations (Admin only)
 router.get('/',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:read'),
     readLimiter,
     [
-        query('status').optional().isIn(['pending', 'approved', 'rejected', 'executed', 'expired']),
+        query('status').optional().isIn(['pending', 'approved', 'executing', 'rejected', 'executed', 'expired']),
         query('operationType').optional().isString()
     ],
     async (req, res) => {
@@ -111,7 +112,7 @@ router.get('/',
 // Get operation by ID (Admin only)
 router.get('/:operationId',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:read'),
     readLimiter,
     async (req, res) => {
         try {
@@ -135,7 +136,8 @@ router.get('/:operationId',
 // Sign (approve) an operation (Admin only)
 router.post('/:operationId/sign',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:sign'),
+    requireStepUp,
     writeLimiter,
     [
         body('comment').optional().isString()
@@ -152,8 +154,9 @@ router.post('/:operationId/sign',
 
             const result = await multiSigManager.addSignature(
                 req.params.operationId,
-                req.user._id,
-                req.body.comment
+                req.user._id.toString(),
+                req.user.email,
+                req.ip
             );
 
             res.json(result);
@@ -167,7 +170,7 @@ router.post('/:operationId/sign',
 // Reject an operation (Admin only)
 router.post('/:operationId/reject',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:sign'),
     writeLimiter,
     [
         body('reason').notEmpty().withMessage('Rejection reason required')
@@ -202,11 +205,13 @@ router.post('/:operationId/reject',
 // Execute an operation (Admin only) - typically called automatically
 router.post('/:operationId/execute',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:sign'),
+    requireStepUp,
     writeLimiter,
+    idempotent,
     async (req, res) => {
         try {
-            const result = await multiSigManager.executeOperation(req.params.operationId);
+            const result = await multiSigManager.executeOperation(req.params.operationId, req.user._id.toString());
 
             res.json({
                 message: 'Operation executed successfully',
@@ -242,7 +247,7 @@ router.post('/maintenance/expire',
 // Get statistics (Admin only)
 router.get('/analytics/stats',
     verifyToken,
-    adminOnly,
+    requirePermission('multisig:read'),
     readLimiter,
     async (req, res) => {
         try {
@@ -4,23 +4,96 @@ const { body, param, query, validationResult } = require('express-validator');
 const Redemption = require('../models/Redemption');
 const Merchant = require('../models/Merchant');
 const { logger } = require('../utils/logger');
-const { verifyToken, verifyApiKey, adminOrMerchant } = require('../middleware/auth');
+const { verifyToken, verifyApiKey, requireScope, adminOrMerchant } = require('../middleware/auth');
 const { redemptionLimiter, readLimiter, apiKeyLimiter } = require('../middleware/rateLimiter');
-const crypto = require('crypto');
+const { idempotent } = require('../middleware/idempotency');
 const { TransactionBlock } = require('@mysten/sui.js/transactions');
 const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID, REGISTRY_ID } = require('../config/sui');
 const { executeTransactionWithRetry } = require('../utils/blockchainRetry');
+const { executeAsMerchant } = require('../utils/merchantKeyManager');
 const { parseCSV } = require('../utils/csvParser');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 const notificationManager = require('../utils/notificationManager');
+const voucherService = require('../services/voucherService');
+const redemptionService = require('../services/redemptionService');
+const webhookService = require('../services/webhookService');
+const recipientPolicyService = require('../services/recipientPolicyService');
+
+const MAX_SYNC_BATCH_SIZE = 100;
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Terminals report their own scan time, so only trust it this far back
+const MAX_OFFLINE_WINDOW_MS = (parseInt(process.env.OFFLINE_REDEMPTION_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000;
+// Static codes can be replayed from a screenshot, so only accept them when explicitly allowed
+const QR_REQUIRE_DYNAMIC = process.env.QR_REQUIRE_DYNAMIC !== 'false';
+// Offline terminals can only verify static codes, so /sync needs its own opt-in while dynamic codes are required
+const QR_OFFLINE_SYNC_ENABLED = !QR_REQUIRE_DYNAMIC || process.env.QR_OFFLINE_SYNC_ENABLED === 'true';
+
+// Setup problems the terminal can't fix itself, reported per sync entry
+const SYNC_FAILURE_REASONS = {
+    MERCHANT_NOT_ON_CHAIN: 'merchant_not_on_chain',
+    MERCHANT_KEY_MISSING: 'merchant_key_missing',
+};
+
+// Merchant terminals read their own history with a reports:read API key; everyone else signs in
+const verifyReportAccess = (req, res, next) => {
+    if (!req.headers['x-api-key']) {
+        return verifyToken(req, res, () => adminOrMerchant(req, res, next));
+    }
+
+    return verifyApiKey(req, res, () => requireScope('reports:read')(req, res, () => {
+        if (req.merchant.merchantId !== req.params.merchantId) {
+            return res.status(403).json({ error: 'API key belongs to another merchant' });
+        }
+        next();
+    }));
+};
+
+/**
+ * Parse and verify a scanned QR code
+ * @param {string} qrPayload - Raw QR code contents
+ * @param {Object} options - Verification options passed to the verifier
+ * @returns {Promise<Object>} { valid, reason, payload, kind }
+ */
+async function verifyQrPayload(qrPayload, options = {}) {
+    let parsed;
+    try {
+        parsed = JSON.parse(qrPayload);
+    } catch (parseError) {
+        return { valid: false, reason: 'malformed' };
+    }
 
-const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET || 'default-secret';
+    if (!parsed || typeof parsed !== 'object') {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    // Rotating codes carry a time step; signed tokens a version; older QR codes are flat HMAC-signed payloads
+    if (parsed.step !== undefined) {
+        return { ...await voucherService.verifyDynamicQrPayload(parsed, options), kind: 'dynamic' };
+    }
+
+    if (parsed.v !== undefined) {
+        try {
+            return { ...voucherService.verifyVoucherToken(parsed, options), kind: 'signed' };
+        } catch (error) {
+            return { valid: false, reason: 'malformed' };
+        }
+    }
+
+    return { ...voucherService.verifyLegacyVoucherPayload(parsed), kind: 'legacy' };
+}
+
+// Public key merchant terminals use to verify QR codes offline
+router.get('/qr-public-key', readLimiter, (req, res) => {
+    res.json(voucherService.getQrPublicKey());
+});
 
 // Redeem voucher via QR code
 router.post('/redeem-qr', 
     verifyApiKey, 
+    requireScope('redemptions:write'),
     redemptionLimiter,
+    idempotent,
     [
         body('qrPayload').isString().notEmpty().withMessage('QR payload is required'),
     ],
@@ -37,32 +110,47 @@ router.post('/redeem-qr',
         const { qrPayload } = req.body;
         const merchantId = req.merchant.merchantId; // From verifyApiKey middleware
 
-        let payload, signature;
-        try {
-            const parsed = JSON.parse(qrPayload);
-            signature = parsed.signature;
-            payload = { ...parsed };
-            delete payload.signature;
-        } catch (parseError) {
+        // 1. Verify signature
+        const verification = await verifyQrPayload(qrPayload);
+
+        if (verification.reason === 'malformed') {
             return res.status(400).json({ 
                 error: 'Invalid QR payload',
                 message: 'QR code data is malformed or corrupted'
             });
         }
 
-        // 1. Verify signature
-        const expectedSignature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
-            .update(JSON.stringify(payload))
-            .digest('hex');
+        if (verification.reason === 'expired') {
+            return res.status(400).json({
+                error: 'QR code expired',
+                message: 'This QR code has expired. Ask the voucher holder to refresh it.'
+            });
+        }
+
+        if (verification.reason === 'owner_mismatch') {
+            return res.status(400).json({
+                error: 'QR code no longer valid',
+                message: 'This voucher has changed hands since the QR code was shown.'
+            });
+        }
+
+        if (QR_REQUIRE_DYNAMIC && verification.kind !== 'dynamic') {
+            return res.status(400).json({
+                error: 'Dynamic QR code required',
+                message: 'Ask the voucher holder to show the live QR code from their app.'
+            });
+        }
 
-        if (signature !== expectedSignature) {
-            logger.warn('Invalid QR signature attempt', { merchantId, voucherId: payload.voucherId });
+        if (!verification.valid) {
+            logger.warn('Invalid QR signature attempt', { merchantId, reason: verification.reason });
             return res.status(400).json({ 
                 error: 'Invalid QR code signature',
                 message: 'QR code signature verification failed. This may indicate tampering.'
             });
         }
 
+        const { payload } = verification;
+
         // 2. Check if voucher is valid for this merchant
         if (payload.merchantId !== merchantId) {
             logger.warn('Merchant mismatch for redemption', { 
@@ -76,7 +164,7 @@ router.post('/redeem-qr',
         }
 
         // 3. Check for existing redemption
-        const existingRedemption = await Redemption.findOne({ voucherObjectId: payload.voucherId });
+        const existingRedemption = await redemptionService.findFullRedemption(payload.voucherId);
         if (existingRedemption) {
             logger.warn('Attempted double redemption', { voucherId: payload.voucherId, merchantId });
             return res.status(400).json({ 
@@ -86,59 +174,13 @@ router.post('/redeem-qr',
             });
         }
 
-        // 4. Execute on-chain redemption
-        const merchantKeypair = getAdminKeypair(); // Placeholder for merchant's keypair
-        const tx = new TransactionBlock();
-        tx.moveCall({
-            target: `${PACKAGE_ID}::voucher_system::redeem_voucher`,
-            arguments: [
-                tx.object(REGISTRY_ID),
-                tx.object(payload.voucherId),
-                tx.pure(Array.from(Buffer.from(merchantId))),
-            ],
-        });
-
-        const result = await executeTransactionWithRetry(suiClient, {
-            signer: merchantKeypair,
-            transactionBlock: tx,
-        });
-
-        // 5. Create redemption record
-        const redemption = new Redemption({
-            voucherObjectId: payload.voucherId,
-            transactionDigest: result.digest,
-            merchantId,
-            voucherType: payload.voucherType,
-            amount: payload.amount,
-            redeemedBy: payload.recipient,
-        });
-        await redemption.save();
-
-        // 6. Update merchant stats
-        await Merchant.findOneAndUpdate(
-            { merchantId },
-            { $inc: { totalRedemptions: 1 } }
-        );
-
-        // 7. Send redemption confirmation notification
-        try {
-            await notificationManager.sendNotification(payload.recipient, 'redemption_confirmation', {
-                voucherId: payload.voucherId,
-                voucherType: payload.voucherType,
-                amount: payload.amount,
-                merchantName: merchantId,
-                redemptionDate: new Date().toLocaleDateString(),
-                transactionId: result.digest
-            });
-        } catch (notificationError) {
-            logger.error('Failed to send redemption notification:', notificationError);
-            // Don't fail the transaction for notification errors
-        }
+        // 4. Execute on-chain redemption and record it
+        const { transactionDigest } = await redemptionService.redeemVoucher({ merchantId, payload });
 
-        logger.info(`Voucher redeemed via QR: ${payload.voucherId}`, { merchantId, transactionDigest: result.digest });
+        logger.info(`Voucher redeemed via QR: ${payload.voucherId}`, { merchantId, transactionDigest });
         res.json({ 
             success: true, 
-            transactionDigest: result.digest,
+            transactionDigest,
             message: 'Voucher successfully redeemed'
         });
 
@@ -148,6 +190,34 @@ router.post('/redeem-qr',
             merchantId: req.merchant?.merchantId,
             isBlockchainError: error.isBlockchainError
         });
+
+        if (error.code === 'VOUCHER_REVOKED') {
+            return res.status(400).json({
+                error: 'Voucher revoked',
+                message: 'This voucher has been revoked by the issuer and can no longer be used.'
+            });
+        }
+
+        if (error.code === 'VOUCHER_EXPIRED') {
+            return res.status(400).json({
+                error: 'Voucher expired',
+                message: 'This voucher has expired and its balance has been returned to the program.'
+            });
+        }
+
+        if (error.code === 'MERCHANT_NOT_ON_CHAIN') {
+            return res.status(409).json({
+                error: 'Merchant not registered on-chain',
+                message: 'This merchant has no on-chain registration yet. Please contact support.'
+            });
+        }
+
+        if (error.code === 'MERCHANT_KEY_MISSING') {
+            return res.status(409).json({
+                error: 'Merchant signing key missing',
+                message: 'This merchant has no signing key yet. An admin must rotate its signing key before it can redeem.'
+            });
+        }
         
         if (error.isBlockchainError) {
             return res.status(503).json({ 
@@ -164,13 +234,167 @@ router.post('/redeem-qr',
     }
 });
 
+// Sync redemptions queued by an offline merchant terminal
+router.post('/sync', 
+    verifyApiKey, 
+    requireScope('redemptions:write'),
+    redemptionLimiter,
+    idempotent,
+    [
+        body('redemptions').isArray({ min: 1, max: MAX_SYNC_BATCH_SIZE }).withMessage(`Between 1 and ${MAX_SYNC_BATCH_SIZE} redemptions are required`),
+        body('redemptions.*.qrPayload').isString().notEmpty().withMessage('QR payload is required'),
+        body('redemptions.*.redeemedAt').isISO8601().withMessage('Valid redemption time is required'),
+        body('redemptions.*.localId').optional().isString().trim(),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const merchantId = req.merchant.merchantId;
+        const results = [];
+        const seenVouchers = new Map();
+
+        for (const entry of req.body.redemptions) {
+            const result = { localId: entry.localId };
+            results.push(result);
+
+            const redeemedAt = new Date(entry.redeemedAt);
+            if (redeemedAt.getTime() > Date.now() + SYNC_CLOCK_SKEW_MS) {
+                Object.assign(result, { status: 'rejected', reason: 'invalid_redeemed_at' });
+                continue;
+            }
+            if (redeemedAt.getTime() < Date.now() - MAX_OFFLINE_WINDOW_MS) {
+                Object.assign(result, { status: 'rejected', reason: 'offline_window_exceeded' });
+                continue;
+            }
+
+            // Offline terminals can only verify signed tokens, and expiry is judged at scan time
+            const verification = await verifyQrPayload(entry.qrPayload, { at: redeemedAt.getTime() });
+            if (verification.kind !== 'signed' && verification.reason !== 'malformed') {
+                Object.assign(result, { status: 'rejected', reason: 'unsupported_token' });
+                continue;
+            }
+            if (!QR_OFFLINE_SYNC_ENABLED) {
+                Object.assign(result, { status: 'rejected', reason: 'dynamic_qr_required' });
+                continue;
+            }
+            if (!verification.valid) {
+                Object.assign(result, { status: 'rejected', reason: verification.reason });
+                continue;
+            }
+
+            const { payload } = verification;
+            result.voucherId = payload.voucherId;
+
+            if (payload.merchantId !== merchantId) {
+                Object.assign(result, { status: 'rejected', reason: 'merchant_mismatch' });
+                continue;
+            }
+
+            // Same voucher scanned twice within this batch
+            if (seenVouchers.has(payload.voucherId)) {
+                Object.assign(result, {
+                    status: 'double_spend',
+                    conflictsWith: { localId: seenVouchers.get(payload.voucherId) }
+                });
+                logger.warn('Offline double spend within sync batch', { merchantId, voucherId: payload.voucherId });
+                continue;
+            }
+            seenVouchers.set(payload.voucherId, entry.localId);
+
+            const existingRedemption = await redemptionService.findFullRedemption(payload.voucherId);
+            if (existingRedemption) {
+                // A retried sync of the same scan is not a double spend
+                if (existingRedemption.merchantId === merchantId && existingRedemption.qrNonce === payload.nonce &&
+                    existingRedemption.redeemedAt.getTime() === redeemedAt.getTime()) {
+                    Object.assign(result, { status: 'already_synced', transactionDigest: existingRedemption.transactionDigest });
+                    continue;
+                }
+
+                Object.assign(result, {
+                    status: 'double_spend',
+                    conflictsWith: {
+                        merchantId: existingRedemption.merchantId,
+                        redeemedAt: existingRedemption.redeemedAt,
+                        transactionDigest: existingRedemption.transactionDigest
+                    }
+                });
+                logger.warn('Offline double spend detected', {
+                    merchantId,
+                    voucherId: payload.voucherId,
+                    existingMerchantId: existingRedemption.merchantId
+                });
+                continue;
+            }
+
+            try {
+                const { transactionDigest } = await redemptionService.redeemVoucher({
+                    merchantId,
+                    payload,
+                    redeemedAt,
+                    offline: true
+                });
+                Object.assign(result, { status: 'redeemed', transactionDigest });
+            } catch (error) {
+                if (error.code === 'VOUCHER_REVOKED') {
+                    Object.assign(result, { status: 'rejected', reason: 'revoked' });
+                    continue;
+                }
+                if (error.code === 'VOUCHER_EXPIRED') {
+                    Object.assign(result, { status: 'rejected', reason: 'expired' });
+                    continue;
+                }
+
+                logger.error(`Offline redemption sync failed for ${payload.voucherId}: ${error.message}`, { merchantId });
+                Object.assign(result, {
+                    status: 'failed',
+                    reason: SYNC_FAILURE_REASONS[error.code] || error.message,
+                    retryable: !!error.isBlockchainError
+                });
+            }
+        }
+
+        const summary = results.reduce((counts, { status }) => {
+            counts[status] = (counts[status] || 0) + 1;
+            return counts;
+        }, { total: results.length });
+
+        logger.info(`Offline redemptions synced for merchant ${merchantId}`, summary);
+
+        res.json({ 
+            success: true,
+            summary,
+            results
+        });
+
+    } catch (error) {
+        logger.error(`Redemption sync error: ${error.message}`, { 
+            stack: error.stack,
+            merchantId: req.merchant?.merchantId
+        });
+        
+        res.status(500).json({ 
+            error: 'Redemption sync failed',
+            message: 'An error occurred while syncing redemptions. Please retry.'
+        });
+    }
+});
+
 // Partial redemption of voucher
 router.post('/redeem-partial', 
     verifyApiKey, 
+    requireScope('redemptions:write'),
     redemptionLimiter,
+    idempotent,
     [
         body('voucherId').isString().notEmpty().withMessage('Voucher ID is required'),
-        body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+        body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer in the smallest currency unit').toInt(),
     ],
     async (req, res) => {
     try {
@@ -204,7 +428,7 @@ router.post('/redeem-partial',
         }
 
         // Check if voucher is fully redeemed
-        if (voucher.status === 'redeemed') {
+        if (voucher.status === 'fully_redeemed') {
             return res.status(400).json({ 
                 error: 'Voucher fully redeemed',
                 message: 'This voucher has been completely used.',
@@ -212,6 +436,28 @@ router.post('/redeem-partial',
             });
         }
 
+        if (voucher.status === 'cancelled') {
+            return res.status(400).json({ 
+                error: 'Voucher revoked',
+                message: 'This voucher has been revoked by the issuer and can no longer be used.'
+            });
+        }
+
+        if (voucher.status === 'expired') {
+            return res.status(400).json({ 
+                error: 'Voucher expired',
+                message: 'This voucher has expired and its balance has been returned to the program.'
+            });
+        }
+
+        // Past its expiry but not swept yet; the chain would refuse it
+        if (voucher.isExpired) {
+            return res.status(400).json({
+                error: 'Voucher expired',
+                message: 'This voucher has passed its expiry date and can no longer be redeemed.'
+            });
+        }
+
         // Check if merchant matches
         if (voucher.merchantId !== merchantId) {
             return res.status(403).json({ 
@@ -229,18 +475,55 @@ router.post('/redeem-partial',
             });
         }
 
+        const merchant = await Merchant.findOne({ merchantId });
+        if (!merchant?.onChainObjectId) {
+            logger.error('Merchant has no on-chain object', { merchantId });
+            return res.status(409).json({
+                error: 'Merchant not registered on-chain',
+                message: 'This merchant has no on-chain registration yet. Please contact support.'
+            });
+        }
+
+        // Execute on-chain: redeeming the whole remaining balance burns the voucher
+        const isFinalRedemption = amount === voucher.remainingAmount;
+        const tx = new TransactionBlock();
+        if (isFinalRedemption) {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::voucher_system::redeem_voucher`,
+                arguments: [
+                    tx.object(REGISTRY_ID),
+                    tx.object(merchant.onChainObjectId),
+                    tx.object(voucherId),
+                ],
+            });
+        } else {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::voucher_system::redeem_partial`,
+                arguments: [
+                    tx.object(REGISTRY_ID),
+                    tx.object(merchant.onChainObjectId),
+                    tx.object(voucherId),
+                    tx.pure(amount),
+                ],
+            });
+        }
+
+        const result = await executeAsMerchant(merchantId, tx);
+
         // Process partial redemption
-        await voucher.redeemPartially(amount, merchantId);
+        await voucher.redeemPartially(amount, merchantId, result.digest);
 
         // Create partial redemption record
         const redemption = new Redemption({
             voucherObjectId: voucherId,
-            transactionDigest: `partial-${Date.now()}`, // Placeholder
+            transactionDigest: result.digest,
             merchantId,
             voucherType: voucher.voucherType,
             amount: amount,
             redeemedBy: voucher.recipient,
-            metadata: JSON.stringify({ partial: true, remainingAmount: voucher.remainingAmount })
+            isPartial: !isFinalRedemption,
+            signedBy: result.signerAddress,
+            metadata: { remainingAmount: String(voucher.remainingAmount) }
         });
         await redemption.save();
 
@@ -250,13 +533,15 @@ router.post('/redeem-partial',
             { $inc: { totalRedemptions: 1 } }
         );
 
+        await webhookService.publishRedemption(redemption);
+
         // Send notification
         try {
             await notificationManager.sendNotification(voucher.recipient, 'partial_redemption', {
                 voucherId: voucherId,
                 redeemedAmount: amount,
                 remainingAmount: voucher.remainingAmount,
-                merchantName: merchantId,
+                merchantName: merchant.name,
                 redemptionDate: new Date().toLocaleDateString()
             });
         } catch (notificationError) {
@@ -266,7 +551,8 @@ router.post('/redeem-partial',
         logger.info(`Partial redemption: ${voucherId}`, { 
             merchantId, 
             amount, 
-            remainingAmount: voucher.remainingAmount 
+            remainingAmount: voucher.remainingAmount,
+            transactionDigest: result.digest
         });
 
         res.json({ 
@@ -274,14 +560,31 @@ router.post('/redeem-partial',
             message: 'Partial redemption successful',
             redeemedAmount: amount,
             remainingAmount: voucher.remainingAmount,
-            fullyRedeemed: voucher.status === 'redeemed'
+            fullyRedeemed: voucher.status === 'fully_redeemed',
+            transactionDigest: result.digest
         });
 
     } catch (error) {
         logger.error(`Partial redemption error: ${error.message}`, { 
             stack: error.stack,
-            merchantId: req.merchant?.merchantId
+            merchantId: req.merchant?.merchantId,
+            isBlockchainError: error.isBlockchainError
         });
+
+        if (error.code === 'MERCHANT_KEY_MISSING') {
+            return res.status(409).json({
+                error: 'Merchant signing key missing',
+                message: 'This merchant has no signing key yet. An admin must rotate its signing key before it can redeem.'
+            });
+        }
+        
+        if (error.isBlockchainError) {
+            return res.status(503).json({ 
+                error: 'Blockchain operation failed',
+                message: 'Unable to process redemption on blockchain. Please try again.',
+                retryable: true
+            });
+        }
         
         res.status(500).json({ 
             error: 'Partial redemption failed',
@@ -370,8 +673,7 @@ router.post('/',
 
 // Get redemptions for a merchant
 router.get('/merchant/:merchantId', 
-    verifyToken, 
-    adminOrMerchant, 
+    verifyReportAccess, 
     readLimiter,
     [
         param('merchantId').isString().trim().notEmpty().withMessage('Merchant ID is required'),
@@ -456,6 +758,7 @@ router.post('/import-recipients',
     verifyToken, 
     adminOrMerchant, 
     upload.single('file'), 
+    idempotent,
     async (req, res) => {
         try {
             if (!req.file) {
@@ -464,6 +767,19 @@ router.post('/import-recipients',
 
             const recipients = await parseCSV(req.file.path);
 
+            try {
+                await recipientPolicyService.assertRecipientsVerified(recipients.map(({ recipient }) => recipient));
+            } catch (policyError) {
+                if (policyError.code === 'RECIPIENT_UNVERIFIED') {
+                    return res.status(422).json({ 
+                        error: 'Recipient not verified', 
+                        message: policyError.message,
+                        unverifiedRecipients: policyError.unverified
+                    });
+                }
+                throw policyError;
+            }
+
             // Process recipients (example: create vouchers for each recipient)
             const adminKeypair = getAdminKeypair();
             const tx = new TransactionBlock();
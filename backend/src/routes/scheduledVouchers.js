@@ -3,13 +3,13 @@ const router = express.Router();
 const { body, query, param, validationResult } = require('express-validator');
 const scheduledVoucherProcessor = require('../utils/scheduledVoucherProcessor');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly } = require('../middleware/auth');
+const { verifyToken, requirePermission, adminOnly } = require('../middleware/auth');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
 
 // Create scheduled voucher (Admin only)
 router.post('/',
     verifyToken,
-    adminOnly,
+    requirePermission('voucher:mint'),
     writeLimiter,
     [
         body('scheduledFor').isISO8601().withMessage('Valid schedule date required'),
@@ -184,11 +184,12 @@ router.get('/analytics/stats',
         try {
             const ScheduledVoucher = require('../models/ScheduledVoucher');
             
-            const [pending, processing, completed, failed, cancelled, total] = await Promise.all([
+            const [pending, processing, completed, failed, retrying, cancelled, total] = await Promise.all([
                 ScheduledVoucher.countDocuments({ status: 'pending' }),
                 ScheduledVoucher.countDocuments({ status: 'processing' }),
                 ScheduledVoucher.countDocuments({ status: 'completed' }),
                 ScheduledVoucher.countDocuments({ status: 'failed' }),
+                ScheduledVoucher.countDocuments({ status: 'failed', nextAttemptAt: { $exists: true } }),
                 ScheduledVoucher.countDocuments({ status: 'cancelled' }),
                 ScheduledVoucher.countDocuments()
             ]);
@@ -199,6 +200,7 @@ router.get('/analytics/stats',
                     processing,
                     completed,
                     failed,
+                    retrying,
                     cancelled,
                     total
                 }
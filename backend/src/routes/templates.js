@@ -3,13 +3,14 @@ const router = express.Router();
 const { body, query, param, validationResult } = require('express-validator');
 const templateManager = require('../utils/templateManager');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { setAuditContext } = require('../middleware/audit');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
 
 // Create voucher template (Admin only)
 router.post('/',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     [
         body('name').notEmpty().trim().withMessage('Template name is required'),
@@ -101,7 +102,7 @@ router.get('/:templateId',
 // Update template (Admin only)
 router.put('/:templateId',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     [
         body('name').optional().trim(),
@@ -121,10 +122,12 @@ router.put('/:templateId',
                 });
             }
 
+            const before = (await templateManager.getTemplate(req.params.templateId)).toObject();
             const template = await templateManager.updateTemplate(
                 req.params.templateId,
                 req.body
             );
+            setAuditContext(req, { before, after: template.toObject() });
 
             res.json({
                 message: 'Template updated successfully',
@@ -140,11 +143,13 @@ router.put('/:templateId',
 // Deactivate template (Admin only)
 router.post('/:templateId/deactivate',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     async (req, res) => {
         try {
+            const before = (await templateManager.getTemplate(req.params.templateId)).toObject();
             const template = await templateManager.deactivateTemplate(req.params.templateId);
+            setAuditContext(req, { before, after: template.toObject() });
             res.json({
                 message: 'Template deactivated successfully',
                 template
@@ -159,11 +164,13 @@ router.post('/:templateId/deactivate',
 // Activate template (Admin only)
 router.post('/:templateId/activate',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     async (req, res) => {
         try {
+            const before = (await templateManager.getTemplate(req.params.templateId)).toObject();
             const template = await templateManager.activateTemplate(req.params.templateId);
+            setAuditContext(req, { before, after: template.toObject() });
             res.json({
                 message: 'Template activated successfully',
                 template
@@ -178,11 +185,13 @@ router.post('/:templateId/activate',
 // Delete template (Admin only)
 router.delete('/:templateId',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     async (req, res) => {
         try {
+            const before = (await templateManager.getTemplate(req.params.templateId)).toObject();
             await templateManager.deleteTemplate(req.params.templateId);
+            setAuditContext(req, { before, after: null });
             res.json({ message: 'Template deleted successfully' });
         } catch (error) {
             logger.error('Error deleting template:', error);
@@ -194,7 +203,7 @@ router.delete('/:templateId',
 // Duplicate template (Admin only)
 router.post('/:templateId/duplicate',
     verifyToken,
-    adminOnly,
+    requirePermission('template:manage'),
     writeLimiter,
     [
         body('name').optional().trim()
@@ -5,6 +5,7 @@ const transferValidator = require('../utils/transferValidator');
 const { logger } = require('../utils/logger');
 const { verifyToken, adminOnly } = require('../middleware/auth');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+const { idempotent } = require('../middleware/idempotency');
 
 // Create voucher transfer
 router.post('/',
@@ -12,7 +13,7 @@ router.post('/',
     writeLimiter,
     [
         body('voucherId').notEmpty().withMessage('Voucher ID required'),
-        body('toAddress').notEmpty().withMessage('Recipient address required'),
+        body('toAddress').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Valid recipient address required'),
         body('transferType').isIn(['full', 'partial']).withMessage('Valid transfer type required'),
         body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be positive'),
         body('reason').optional().isString()
@@ -46,8 +47,10 @@ router.post('/',
 
             res.status(201).json({
                 message: transfer.requiresApproval 
-                    ? 'Transfer created and pending approval'
-                    : 'Transfer completed successfully',
+                    ? 'Transfer created and pending approval. Request its transaction once approved'
+                    : 'Transfer created. Sign transactionBytes with your wallet to complete it',
+                transactionBytes: transfer.transactionBytes,
+                transactionExpiresAt: transfer.transactionExpiresAt,
                 transfer
             });
         } catch (error) {
@@ -135,10 +138,70 @@ router.get('/:transferId',
     }
 );
 
+// Build fresh transaction bytes for the voucher owner to sign
+router.post('/:transferId/transaction',
+    verifyToken,
+    writeLimiter,
+    async (req, res) => {
+        try {
+            const transfer = await transferValidator.prepareTransfer(
+                req.params.transferId,
+                req.user.walletAddress
+            );
+
+            res.json({
+                message: 'Sign transactionBytes with your wallet before they expire',
+                transactionBytes: transfer.transactionBytes,
+                transactionExpiresAt: transfer.transactionExpiresAt,
+                transfer
+            });
+        } catch (error) {
+            logger.error('Error preparing transfer transaction:', error);
+            res.status(error.message === 'Transfer not found' ? 404 : 400).json({ error: error.message });
+        }
+    }
+);
+
+// Submit the voucher owner's signature for a transfer
+router.post('/:transferId/sign',
+    verifyToken,
+    writeLimiter,
+    idempotent,
+    [
+        body('signature').isString().notEmpty().withMessage('Transaction signature required')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const transfer = await transferValidator.signTransfer(
+                req.params.transferId,
+                req.user.walletAddress,
+                req.body.signature
+            );
+
+            res.json({
+                message: 'Transfer completed successfully',
+                transfer
+            });
+        } catch (error) {
+            logger.error('Error signing transfer:', error);
+            res.status(error.isBlockchainError ? 503 : 400).json({ error: error.message });
+        }
+    }
+);
+
 // Approve transfer (Admin or Merchant only)
 router.post('/:transferId/approve',
     verifyToken,
     writeLimiter,
+    idempotent,
     [
         body('comment').optional().isString()
     ],
@@ -180,7 +243,7 @@ router.post('/:transferId/approve',
             );
 
             res.json({
-                message: 'Transfer approved successfully',
+                message: 'Transfer approved. The owner can now request and sign its transaction',
                 transfer: updatedTransfer
             });
         } catch (error) {
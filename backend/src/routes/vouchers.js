@@ -4,22 +4,29 @@ const { body, param, validationResult } = require('express-validator');
 const { TransactionBlock } = require('@mysten/sui.js/transactions');
 const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID, REGISTRY_ID } = require('../config/sui');
 const { logger } = require('../utils/logger');
-const { verifyToken, adminOnly, optionalAuth } = require('../middleware/auth');
+const { verifyToken, requirePermission, requireStepUp } = require('../middleware/auth');
 const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+const { idempotent } = require('../middleware/idempotency');
 const Voucher = require('../models/Voucher');
-const qrcode = require('qrcode');
+const Merchant = require('../models/Merchant');
 const notificationManager = require('../utils/notificationManager');
 const batchOperationManager = require('../utils/batchOperationManager');
-const crypto = require('crypto');
-const { executeTransactionWithRetry, queryObjectsWithRetry, BlockchainError } = require('../utils/blockchainRetry');
-
-const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET || 'default-secret';
+const voucherService = require('../services/voucherService');
+const voucherRevocationService = require('../services/voucherRevocationService');
+const voucherAmendmentService = require('../services/voucherAmendmentService');
+const voucherTimelineService = require('../services/voucherTimelineService');
+const { ownsAddress } = require('../services/walletAuthService');
+const recipientPolicyService = require('../services/recipientPolicyService');
+const webhookService = require('../services/webhookService');
+const { executeTransactionWithRetry, BlockchainError } = require('../utils/blockchainRetry');
 
 // Mint a new voucher
 router.post('/mint', 
     verifyToken, 
-    adminOnly, 
+    requirePermission('voucher:mint'), 
+    requireStepUp,
     writeLimiter,
+    idempotent,
     [
         body('voucherType').isString().trim().notEmpty().withMessage('Voucher type is required'),
         body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
@@ -48,104 +55,32 @@ router.post('/mint',
             metadata 
         } = req.body;
 
-        const adminKeypair = getAdminKeypair();
-        const tx = new TransactionBlock();
-
-        // Call mint_voucher function
-        tx.moveCall({
-            target: `${PACKAGE_ID}::voucher_system::mint_voucher`,
-            arguments: [
-                tx.object(ADMIN_CAP_ID),
-                tx.object(REGISTRY_ID),
-                tx.pure(voucherType),
-                tx.pure(amount),
-                tx.pure(recipient),
-                tx.pure(Array.from(Buffer.from(merchantId))),
-                tx.pure(expiryTimestamp),
-                tx.pure(Array.from(Buffer.from(metadata || ''))),
-            ],
-        });
-
-        const result = await executeTransactionWithRetry(suiClient, {
-            signer: adminKeypair,
-            transactionBlock: tx,
-            options: {
-                showObjectChanges: true,
-            }
-        });
-
-        logger.info(`Voucher minted: ${result.digest}`);
-
-        // Find the created voucher object
-        const createdObject = result.objectChanges.find(
-            (change) => change.type === 'created' && change.objectType.endsWith('::voucher_system::Voucher')
-        );
-
-        // Send voucher received notification
-        if (createdObject) {
-            try {
-                await notificationManager.sendNotification(recipient, 'voucher_received', {
-                    voucherId: createdObject.objectId,
-                    voucherType: voucherType,
-                    amount: amount,
-                    merchantName: merchantId,
-                    expiryDate: expiryTimestamp ? new Date(expiryTimestamp).toLocaleDateString() : 'No expiry'
-                });
-            } catch (notificationError) {
-                logger.error('Failed to send voucher notification:', notificationError);
-                // Don't fail the transaction for notification errors
-            }
-        }
-
-        if (!createdObject) {
-            logger.error('Voucher object not found in transaction result', { digest: result.digest });
-            return res.status(500).json({ 
-                error: 'Voucher creation failed', 
-                message: 'Voucher was not created on blockchain',
-                transactionDigest: result.digest
-            });
-        }
-
-        const voucherId = createdObject.objectId;
-
-        // Create a payload to sign
-        const payload = {
-            voucherId,
+        const { voucherId, transactionDigest, qrCodeData } = await voucherService.mintVoucher({
             voucherType,
             amount,
             recipient,
             merchantId,
             expiryTimestamp,
-        };
-
-        // Sign the payload
-        const signature = crypto.createHmac('sha256', QR_SIGNING_SECRET)
-            .update(JSON.stringify(payload))
-            .digest('hex');
-
-        const qrPayload = { ...payload, signature };
-
-        // Generate QR code
-        const qrCodeData = await qrcode.toDataURL(JSON.stringify(qrPayload));
-
-        // Save to database
-        const newVoucher = new Voucher({
-            voucherId,
-            voucherType,
-            amount,
-            recipient,
-            merchantId,
-            expiryTimestamp,
-            qrCodeData,
-            signature,
-            transactionDigest: result.digest,
+            metadata,
         });
 
-        await newVoucher.save();
+        // Send voucher received notification
+        try {
+            await notificationManager.sendNotification(recipient, 'voucher_received', {
+                voucherId,
+                voucherType: voucherType,
+                amount: amount,
+                merchantName: merchantId,
+                expiryDate: expiryTimestamp ? new Date(expiryTimestamp).toLocaleDateString() : 'No expiry'
+            });
+        } catch (notificationError) {
+            logger.error('Failed to send voucher notification:', notificationError);
+            // Don't fail the transaction for notification errors
+        }
 
         res.json({
             success: true,
-            transactionDigest: result.digest,
+            transactionDigest,
             voucherId,
             qrCodeData,
         });
@@ -155,6 +90,22 @@ router.post('/mint',
             isBlockchainError: error.isBlockchainError 
         });
         
+        if (error.code === 'RECIPIENT_UNVERIFIED') {
+            return res.status(422).json({ 
+                error: 'Recipient not verified', 
+                message: error.message,
+                unverifiedRecipients: error.unverified
+            });
+        }
+
+        if (error.code === 'VOUCHER_NOT_CREATED') {
+            return res.status(500).json({ 
+                error: 'Voucher creation failed', 
+                message: error.message,
+                transactionDigest: error.transactionDigest
+            });
+        }
+
         if (error.isBlockchainError) {
             return res.status(503).json({ 
                 error: 'Blockchain operation failed', 
@@ -177,9 +128,9 @@ router.post('/mint',
     }
 });
 
-// Get vouchers owned by an address
+// Get vouchers owned by an address; merchants only see vouchers assigned to them
 router.get('/owner/:address', 
-    optionalAuth, 
+    verifyToken, 
     readLimiter,
     [
         param('address').isString().trim().matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid address format'),
@@ -196,32 +147,37 @@ router.get('/owner/:address',
 
         const { address } = req.params;
 
-        const ownedObjects = await queryObjectsWithRetry(suiClient, {
-            owner: address,
-            filter: {
-                StructType: `${PACKAGE_ID}::voucher_system::Voucher`,
-            },
-            options: {
-                showContent: true,
-                showType: true,
-            },
-        });
+        let merchantFilter = null;
+        if (req.user.role !== 'admin' && !ownsAddress(req.user, address)) {
+            const merchant = req.user.role === 'merchant' && req.user.merchantId
+                ? await Merchant.findById(req.user.merchantId).select('merchantId')
+                : null;
+            if (!merchant) {
+                return res.status(403).json({ 
+                    error: 'Access denied',
+                    message: 'Link and verify this wallet to view its vouchers'
+                });
+            }
+            merchantFilter = merchant.merchantId;
+        }
+
+        // Vouchers are shared objects, so holdings come from the indexed issued_to, not address ownership
+        const query = { recipient: address };
+        if (merchantFilter) {
+            query.merchantId = merchantFilter;
+        }
+
+        const vouchers = await Voucher.find(query)
+            .select('-qrSecret -signature')
+            .sort({ createdAt: -1 });
 
         res.json({
             address,
-            vouchers: ownedObjects.data,
+            vouchers,
         });
     } catch (error) {
         logger.error(`Error fetching vouchers: ${error.message}`, { address: req.params.address });
         
-        if (error.isBlockchainError) {
-            return res.status(503).json({ 
-                error: 'Blockchain query failed', 
-                message: 'Unable to fetch vouchers from blockchain. Please try again later.',
-                retryable: true
-            });
-        }
-        
         res.status(500).json({ 
             error: 'Internal server error', 
             message: 'Failed to fetch vouchers' 
@@ -256,9 +212,13 @@ router.get('/:voucherId/qrcode',
             });
         }
 
-        // Optional: Check if the requester owns the voucher
-        // This would require getting the user's address from the token
-        // and comparing it to the voucher's recipient field.
+        // The static code is redeemable as-is, so only the verified holder may fetch it
+        if (req.user.role !== 'admin' && !ownsAddress(req.user, voucher.recipient)) {
+            return res.status(403).json({ 
+                error: 'Access denied',
+                message: 'Only the voucher holder can fetch its QR code'
+            });
+        }
 
         res.json({
             voucherId,
@@ -274,11 +234,404 @@ router.get('/:voucherId/qrcode',
     }
 });
 
+// Get a short-lived QR code that rotates every time step
+router.get('/:voucherId/qrcode/dynamic', 
+    verifyToken, 
+    readLimiter,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { voucherId } = req.params;
+        const voucher = await Voucher.findOne({ voucherId });
+
+        if (!voucher) {
+            return res.status(404).json({ 
+                error: 'Voucher not found',
+                message: 'No voucher exists with the specified ID'
+            });
+        }
+
+        // The code is bound to the owner, so only the owner may display it
+        if (req.user.role !== 'admin' && !ownsAddress(req.user, voucher.recipient)) {
+            return res.status(403).json({ 
+                error: 'Access denied',
+                message: 'Only the voucher holder can display its QR code'
+            });
+        }
+
+        if (!['active', 'partially_redeemed'].includes(voucher.status)) {
+            return res.status(400).json({ 
+                error: 'Voucher not redeemable',
+                message: `Voucher is ${voucher.status}`
+            });
+        }
+
+        const { qrPayload, qrCodeData, expiresAt, refreshInterval } = await voucherService.issueDynamicQrCode(voucherId);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            voucherId,
+            qrPayload,
+            qrCodeData,
+            expiresAt,
+            refreshInterval,
+        });
+
+    } catch (error) {
+        logger.error(`Error issuing dynamic QR code: ${error.message}`, { voucherId: req.params.voucherId });
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: 'Failed to issue QR code'
+        });
+    }
+});
+
+// Shared error mapping for voucher detail lookups
+function sendViewError(res, error, action) {
+    if (error.code === 'VOUCHER_NOT_FOUND') {
+        return res.status(404).json({ 
+            error: 'Voucher not found',
+            message: 'No voucher exists with the specified ID'
+        });
+    }
+
+    if (error.code === 'ACCESS_DENIED') {
+        return res.status(403).json({ 
+            error: 'Access denied',
+            message: error.message
+        });
+    }
+
+    res.status(500).json({ 
+        error: 'Internal server error',
+        message: `Failed to fetch voucher ${action}`
+    });
+}
+
+// Get a voucher's details
+router.get('/:voucherId', 
+    verifyToken, 
+    readLimiter,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const voucher = await voucherTimelineService.getViewableVoucher(req.params.voucherId, req.user);
+
+        res.json({ voucher: voucherTimelineService.toVoucherDetail(voucher) });
+
+    } catch (error) {
+        if (!error.code) {
+            logger.error(`Error fetching voucher: ${error.message}`, { voucherId: req.params.voucherId });
+        }
+        sendViewError(res, error, 'details');
+    }
+});
+
+// Get a voucher's lifecycle as a chronological event log
+router.get('/:voucherId/timeline', 
+    verifyToken, 
+    readLimiter,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const voucher = await voucherTimelineService.getViewableVoucher(req.params.voucherId, req.user);
+        const events = await voucherTimelineService.buildTimeline(voucher);
+
+        res.json({
+            voucherId: voucher.voucherId,
+            status: voucher.status,
+            events
+        });
+
+    } catch (error) {
+        if (!error.code) {
+            logger.error(`Error building voucher timeline: ${error.message}`, { voucherId: req.params.voucherId });
+        }
+        sendViewError(res, error, 'timeline');
+    }
+});
+
+// Revoke (claw back) a voucher
+router.post('/:voucherId/revoke', 
+    verifyToken, 
+    requirePermission('voucher:manage'), 
+    requireStepUp,
+    writeLimiter,
+    idempotent,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+        body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { voucherId } = req.params;
+        const { pending, operation, result } = await voucherRevocationService.requestRevocation({
+            voucherId,
+            reason: req.body.reason,
+            requestedBy: req.user._id.toString()
+        });
+
+        if (pending) {
+            return res.status(202).json({
+                success: true,
+                message: 'Revocation requires multi-signature approval',
+                voucherId,
+                operationId: operation.operationId,
+                requiredSignatures: operation.requiredSignatures,
+                expiresAt: operation.expiresAt
+            });
+        }
+
+        logger.info(`Voucher revoked: ${voucherId}`, { revokedBy: req.user.email, transactionDigest: result.transactionDigest });
+
+        res.json({
+            success: true,
+            voucherId,
+            status: 'cancelled',
+            transactionDigest: result.transactionDigest
+        });
+
+    } catch (error) {
+        if (error.code === 'VOUCHER_NOT_FOUND') {
+            return res.status(404).json({ 
+                error: 'Voucher not found',
+                message: 'No voucher exists with the specified ID'
+            });
+        }
+
+        if (error.code === 'VOUCHER_NOT_REVOCABLE') {
+            return res.status(400).json({ 
+                error: 'Voucher cannot be revoked',
+                message: error.message
+            });
+        }
+
+        if (error.code === 'REVOCATION_PENDING') {
+            return res.status(409).json({ 
+                error: 'Revocation already pending',
+                message: error.message
+            });
+        }
+
+        logger.error(`Error revoking voucher: ${error.message}`, { 
+            voucherId: req.params.voucherId,
+            isBlockchainError: error.isBlockchainError
+        });
+
+        if (error.isBlockchainError) {
+            return res.status(503).json({ 
+                error: 'Blockchain operation failed',
+                message: 'Unable to revoke voucher on blockchain. Please try again.',
+                retryable: true
+            });
+        }
+
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: 'Failed to revoke voucher'
+        });
+    }
+});
+
+// Shared error mapping for extension and top-up requests
+function sendAmendmentError(res, error, action) {
+    if (error.code === 'VOUCHER_NOT_FOUND') {
+        return res.status(404).json({ 
+            error: 'Voucher not found',
+            message: 'No voucher exists with the specified ID'
+        });
+    }
+
+    if (error.code === 'VOUCHER_NOT_AMENDABLE' || error.code === 'INVALID_EXPIRY') {
+        return res.status(400).json({ 
+            error: 'Voucher cannot be amended',
+            message: error.message
+        });
+    }
+
+    if (error.code === 'TOP_UP_PENDING') {
+        return res.status(409).json({ 
+            error: 'Top-up already pending',
+            message: error.message
+        });
+    }
+
+    if (error.isBlockchainError) {
+        return res.status(503).json({ 
+            error: 'Blockchain operation failed',
+            message: `Unable to ${action} voucher on blockchain. Please try again.`,
+            retryable: true
+        });
+    }
+
+    res.status(500).json({ 
+        error: 'Internal server error',
+        message: `Failed to ${action} voucher`
+    });
+}
+
+// Extend a voucher's expiry
+router.post('/:voucherId/extend', 
+    verifyToken, 
+    requirePermission('voucher:manage'), 
+    requireStepUp,
+    writeLimiter,
+    idempotent,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+        body('expiryTimestamp').isInt().custom(value => Number(value) > Date.now()).withMessage('Expiry must be a future timestamp'),
+        body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { voucherId } = req.params;
+        const { transactionDigest, expiryTimestamp } = await voucherAmendmentService.extendVoucher({
+            voucherId,
+            expiryTimestamp: Number(req.body.expiryTimestamp),
+            reason: req.body.reason,
+            requestedBy: req.user._id.toString()
+        });
+
+        logger.info(`Voucher extended: ${voucherId}`, { extendedBy: req.user.email, transactionDigest });
+
+        res.json({
+            success: true,
+            voucherId,
+            expiryTimestamp,
+            transactionDigest
+        });
+
+    } catch (error) {
+        logger.error(`Error extending voucher: ${error.message}`, { 
+            voucherId: req.params.voucherId,
+            isBlockchainError: error.isBlockchainError
+        });
+        sendAmendmentError(res, error, 'extend');
+    }
+});
+
+// Add value to a voucher
+router.post('/:voucherId/top-up', 
+    verifyToken, 
+    requirePermission('voucher:manage'), 
+    requireStepUp,
+    writeLimiter,
+    idempotent,
+    [
+        param('voucherId').isString().trim().notEmpty().withMessage('Voucher ID is required'),
+        body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
+        body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+    ],
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+
+        const { voucherId } = req.params;
+        const { pending, operation, result } = await voucherAmendmentService.requestTopUp({
+            voucherId,
+            amount: Number(req.body.amount),
+            reason: req.body.reason,
+            requestedBy: req.user._id.toString()
+        });
+
+        if (pending) {
+            return res.status(202).json({
+                success: true,
+                message: 'Top-up requires multi-signature approval',
+                voucherId,
+                operationId: operation.operationId,
+                requiredSignatures: operation.requiredSignatures,
+                expiresAt: operation.expiresAt
+            });
+        }
+
+        logger.info(`Voucher topped up: ${voucherId}`, { toppedUpBy: req.user.email, transactionDigest: result.transactionDigest });
+
+        res.json({
+            success: true,
+            voucherId,
+            originalAmount: result.originalAmount,
+            remainingAmount: result.remainingAmount,
+            transactionDigest: result.transactionDigest
+        });
+
+    } catch (error) {
+        logger.error(`Error topping up voucher: ${error.message}`, { 
+            voucherId: req.params.voucherId,
+            isBlockchainError: error.isBlockchainError
+        });
+        sendAmendmentError(res, error, 'top up');
+    }
+});
+
+// Recipients in a bulk request that the verified-recipient policy rejects; empty when it is off
+async function findUnverifiedRecipients(vouchers) {
+    if (!await recipientPolicyService.isEnforced()) {
+        return [];
+    }
+    const recipients = vouchers.map((voucher) => voucher.recipient).filter(Boolean);
+    return [...new Set(await recipientPolicyService.findUnverifiedRecipients(recipients))];
+}
+
 // Bulk mint vouchers
 router.post('/bulk-mint', 
     verifyToken, 
-    adminOnly, 
+    requirePermission('voucher:mint'), 
+    requireStepUp,
     writeLimiter,
+    idempotent,
     async (req, res) => {
         try {
             const { vouchers } = req.body; // Expecting an array of voucher details
@@ -287,6 +640,15 @@ router.post('/bulk-mint',
                 return res.status(400).json({ error: 'Vouchers array is required and cannot be empty' });
             }
 
+            const unverifiedRecipients = await findUnverifiedRecipients(vouchers);
+            if (unverifiedRecipients.length > 0) {
+                return res.status(422).json({ 
+                    error: 'Recipient not verified', 
+                    message: 'Recipients must be users with a verified email and wallet',
+                    unverifiedRecipients
+                });
+            }
+
             const adminKeypair = getAdminKeypair();
             const tx = new TransactionBlock();
 
@@ -341,6 +703,16 @@ router.post('/bulk-mint',
                 }
             }
 
+            // No voucher.minted here: the indexer stores these vouchers and announces each one.
+            // Vouchers in a batch may belong to several merchants, so only platform subscribers get this
+            await webhookService.publishEvent('batch.completed', {
+                operationType: 'bulk_mint_vouchers',
+                transactionDigest: result.digest,
+                requested: vouchers.length,
+                created: createdObjects.length,
+                voucherIds: createdObjects.map((change) => change.objectId),
+            });
+
             res.status(200).json({
                 message: 'Bulk vouchers minted successfully',
                 createdVouchers: createdObjects,
@@ -355,8 +727,10 @@ router.post('/bulk-mint',
 // Enhanced bulk mint vouchers with progress tracking
 router.post('/bulk-mint-enhanced', 
     verifyToken, 
-    adminOnly, 
+    requirePermission('voucher:mint'), 
+    requireStepUp,
     writeLimiter,
+    idempotent,
     [
         body('vouchers').isArray().notEmpty().withMessage('Vouchers array is required'),
         body('vouchers.*.voucherType').isString().notEmpty().withMessage('Voucher type is required for each voucher'),
@@ -380,6 +754,15 @@ router.post('/bulk-mint-enhanced',
             const { vouchers, batchSize, priority, parallelProcessing } = req.body;
             const userId = req.user.userId;
 
+            const unverifiedRecipients = await findUnverifiedRecipients(vouchers);
+            if (unverifiedRecipients.length > 0) {
+                return res.status(422).json({ 
+                    error: 'Recipient not verified', 
+                    message: 'Recipients must be users with a verified email and wallet',
+                    unverifiedRecipients
+                });
+            }
+
             // Create batch operation for bulk minting
             const result = await batchOperationManager.createBatchOperation(
                 'bulk_mint_vouchers',
@@ -0,0 +1,331 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Merchant = require('../models/Merchant');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS, WEBHOOK_EVENT_NAMES } = require('../config/webhookEvents');
+const { setAuditContext } = require('../middleware/audit');
+const { logger } = require('../utils/logger');
+const { verifyToken, adminOrMerchant } = require('../middleware/auth');
+const { writeLimiter, readLimiter } = require('../middleware/rateLimiter');
+
+const ERROR_STATUS = {
+    INVALID_URL: 400,
+    SUBSCRIPTION_NOT_FOUND: 404,
+    DELIVERY_NOT_FOUND: 404,
+    SUBSCRIPTION_LIMIT_REACHED: 409,
+    SUBSCRIPTION_DISABLED: 409,
+};
+
+function sendWebhookError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: 'Invalid data', message: error.message });
+    }
+    logger.error(`${fallbackMessage}: ${error.message}`);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+function sendValidationErrors(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(e => ({ field: e.path, message: e.msg }))
+    });
+    return true;
+}
+
+// The merchant ID a merchant user's subscriptions belong to; null for admins
+async function ownMerchantId(req) {
+    if (req.user.role === 'admin') {
+        return null;
+    }
+    const merchant = req.user.merchantId
+        ? await Merchant.findById(req.user.merchantId).select('merchantId')
+        : null;
+    return merchant ? merchant.merchantId : undefined;
+}
+
+// Load the subscription named in the URL if the caller may manage it; otherwise answer and return null
+async function loadSubscription(req, res) {
+    const subscription = await webhookService.getSubscription(req.params.subscriptionId);
+
+    const merchantId = await ownMerchantId(req);
+    if (merchantId !== null && subscription.merchantId !== merchantId) {
+        res.status(404).json({ error: 'Webhook subscription not found', code: 'SUBSCRIPTION_NOT_FOUND' });
+        return null;
+    }
+
+    return subscription;
+}
+
+const subscriptionIdParam = param('subscriptionId').isMongoId().withMessage('Invalid subscription ID');
+
+// List the events that can be subscribed to
+router.get('/events', verifyToken, adminOrMerchant, readLimiter, (req, res) => {
+    res.json({
+        events: WEBHOOK_EVENT_NAMES.map((name) => ({ name, description: WEBHOOK_EVENTS[name] }))
+    });
+});
+
+// List subscriptions: a merchant's own, or all for admins
+router.get('/',
+    verifyToken,
+    adminOrMerchant,
+    readLimiter,
+    [
+        query('merchantId').optional().isString().trim(),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const merchantId = await ownMerchantId(req);
+        if (merchantId === undefined) {
+            return res.status(403).json({ error: 'No merchant is linked to this account' });
+        }
+
+        const filter = {};
+        if (merchantId !== null) {
+            filter.merchantId = merchantId;
+        } else if (req.query.merchantId) {
+            filter.merchantId = req.query.merchantId === 'platform' ? null : req.query.merchantId;
+        }
+
+        const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+
+        res.json({ subscriptions });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to list webhook subscriptions');
+    }
+});
+
+// Register a URL for events. The signing secret is returned only in this response.
+router.post('/',
+    verifyToken,
+    adminOrMerchant,
+    writeLimiter,
+    [
+        body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('A valid URL is required'),
+        body('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+        body('events.*').isIn(WEBHOOK_EVENT_NAMES).withMessage(`Events must be one of: ${WEBHOOK_EVENT_NAMES.join(', ')}`),
+        body('description').optional().isString().trim().isLength({ max: 200 }),
+        body('merchantId').optional({ nullable: true }).isString().trim().notEmpty(),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { url, events, description } = req.body;
+
+        let merchantId = await ownMerchantId(req);
+        if (merchantId === undefined) {
+            return res.status(403).json({ error: 'No merchant is linked to this account' });
+        }
+
+        // Admins may subscribe on a merchant's behalf, or platform-wide when no merchant is given
+        if (merchantId === null && req.body.merchantId) {
+            if (!await Merchant.exists({ merchantId: req.body.merchantId })) {
+                return res.status(404).json({ error: 'Merchant not found' });
+            }
+            merchantId = req.body.merchantId;
+        }
+
+        const { subscription, secret } = await webhookService.createSubscription(
+            { url, events, description, merchantId },
+            req.user._id
+        );
+
+        setAuditContext(req, { resource: { type: 'webhook', id: String(subscription._id) }, after: subscription.toJSON() });
+
+        res.status(201).json({
+            message: 'Webhook subscription created. Store the secret securely - it will not be shown again.',
+            subscription,
+            secret,
+        });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to create webhook subscription');
+    }
+});
+
+// Get a subscription
+router.get('/:subscriptionId',
+    verifyToken,
+    adminOrMerchant,
+    readLimiter,
+    [subscriptionIdParam],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        res.json({ subscription });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhook subscription');
+    }
+});
+
+// Change the URL, events or description, or pause and resume deliveries
+router.put('/:subscriptionId',
+    verifyToken,
+    adminOrMerchant,
+    writeLimiter,
+    [
+        subscriptionIdParam,
+        body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('A valid URL is required'),
+        body('events').optional().isArray({ min: 1 }).withMessage('At least one event is required'),
+        body('events.*').isIn(WEBHOOK_EVENT_NAMES).withMessage(`Events must be one of: ${WEBHOOK_EVENT_NAMES.join(', ')}`),
+        body('description').optional().isString().trim().isLength({ max: 200 }),
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        const before = subscription.toJSON();
+        const { url, events, description, isActive } = req.body;
+
+        await webhookService.updateSubscription(subscription, { url, events, description, isActive });
+
+        setAuditContext(req, { resource: { type: 'webhook', id: req.params.subscriptionId }, before, after: subscription.toJSON() });
+
+        res.json({ subscription });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to update webhook subscription');
+    }
+});
+
+// Delete a subscription
+router.delete('/:subscriptionId',
+    verifyToken,
+    adminOrMerchant,
+    writeLimiter,
+    [subscriptionIdParam],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        const before = subscription.toJSON();
+        await webhookService.deleteSubscription(subscription);
+
+        setAuditContext(req, { resource: { type: 'webhook', id: req.params.subscriptionId }, before, after: null });
+
+        res.json({ message: 'Webhook subscription deleted' });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to delete webhook subscription');
+    }
+});
+
+// Issue a new signing secret, e.g. after a leak. The old one stops working immediately.
+router.post('/:subscriptionId/rotate-secret',
+    verifyToken,
+    adminOrMerchant,
+    writeLimiter,
+    [subscriptionIdParam],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        const secret = await webhookService.rotateSecret(subscription);
+
+        setAuditContext(req, { resource: { type: 'webhook', id: req.params.subscriptionId } });
+
+        res.json({
+            message: 'Signing secret rotated. Store it securely - it will not be shown again.',
+            secret,
+        });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to rotate webhook secret');
+    }
+});
+
+// Delivery log, newest first
+router.get('/:subscriptionId/deliveries',
+    verifyToken,
+    adminOrMerchant,
+    readLimiter,
+    [
+        subscriptionIdParam,
+        query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Invalid status filter'),
+        query('event').optional().isIn(WEBHOOK_EVENT_NAMES).withMessage('Invalid event filter'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { deliveries, total } = await webhookService.listDeliveries(subscription._id, {
+            status: req.query.status,
+            event: req.query.event,
+            page,
+            limit,
+        });
+
+        res.json({
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhook deliveries');
+    }
+});
+
+// Send a past delivery's event again
+router.post('/:subscriptionId/deliveries/:deliveryId/replay',
+    verifyToken,
+    adminOrMerchant,
+    writeLimiter,
+    [
+        subscriptionIdParam,
+        param('deliveryId').isMongoId().withMessage('Invalid delivery ID'),
+    ],
+    async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const subscription = await loadSubscription(req, res);
+        if (!subscription) return;
+
+        const delivery = await webhookService.replayDelivery(subscription, req.params.deliveryId);
+
+        setAuditContext(req, { resource: { type: 'webhook_delivery', id: req.params.deliveryId } });
+
+        res.status(202).json({
+            message: 'Delivery queued',
+            delivery,
+        });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to replay webhook delivery');
+    }
+});
+
+module.exports = router;
@@ -13,11 +13,15 @@ const {
     hppMiddleware 
 } = require('./middleware/sanitization');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { requestId, auditTrail } = require('./middleware/audit');
 const { startListening, stopListening } = require('./services/blockchainListener');
 const { httpRequestDurationMicroseconds } = require('./utils/metrics');
 const notificationScheduler = require('./utils/notificationScheduler');
 const batchOperationManager = require('./utils/batchOperationManager');
 const scheduledVoucherProcessor = require('./utils/scheduledVoucherProcessor');
+const reconciliationScheduler = require('./utils/reconciliationScheduler');
+const expirySweepScheduler = require('./utils/expirySweepScheduler');
+const webhookDispatcher = require('./queues/webhookDispatcher');
 
 // Load environment variables
 dotenv.config();
@@ -65,6 +69,10 @@ app.use(mongoSanitizeMiddleware);
 app.use(xssMiddleware);
 app.use(hppMiddleware);
 
+// Audit trail of privileged writes
+app.use(requestId);
+app.use(auditTrail);
+
 // Metrics middleware
 app.use((req, res, next) => {
     const end = httpRequestDurationMicroseconds.labels(req.method, req.route?.path || req.path).startTimer();
@@ -78,6 +86,7 @@ app.use((req, res, next) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/vouchers', require('./routes/vouchers'));
 app.use('/api/merchants', require('./routes/merchants'));
+app.use('/api/merchant-applications', require('./routes/merchantApplications'));
 app.use('/api/redemptions', require('./routes/redemptions'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/batch', require('./routes/batchOperations'));
@@ -87,6 +96,9 @@ app.use('/api/templates', require('./routes/templates'));
 app.use('/api/scheduled-vouchers', require('./routes/scheduledVouchers'));
 app.use('/api/multisig', require('./routes/multiSigOperations'));
 app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -124,6 +136,15 @@ const gracefulShutdown = async () => {
     // Stop scheduled voucher processor
     scheduledVoucherProcessor.stop();
     
+    // Stop reconciliation scheduler
+    reconciliationScheduler.stop();
+    
+    // Stop expiry sweep scheduler
+    expirySweepScheduler.stop();
+    
+    // Stop webhook deliveries
+    await webhookDispatcher.stop();
+    
     // Stop blockchain listener
     await stopListening();
     
@@ -146,21 +167,30 @@ const startServer = async () => {
         // Connect to database
         await connectToDatabase();
         
-        // Start blockchain listener
-        await startListening();
-        
         // Start notification scheduler
         notificationScheduler.startJobs();
         
         // Start scheduled voucher processor
         scheduledVoucherProcessor.start();
         
+        // Start chain-vs-database reconciliation
+        reconciliationScheduler.start();
+        
+        // Start expired voucher sweeps
+        expirySweepScheduler.start();
+        
+        // Start webhook deliveries
+        webhookDispatcher.start();
+        
         // Start express server
         server = app.listen(PORT, () => {
             logger.info(`Server running on port ${PORT}`);
             logger.info(`Environment: ${envConfig.nodeEnv}`);
             logger.info('Notification scheduler started');
             logger.info('Scheduled voucher processor started');
+
+            // Start blockchain listener; the backfill runs in the background
+            startListening();
         });
     } catch (error) {
         logger.error('Failed to start server:', error);
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const notificationService = require('../utils/notificationService');
+const NotificationTemplates = require('../utils/notificationTemplates');
+const { WALLET_EMAIL_DOMAIN } = require('./walletAuthService');
+const sessionService = require('./sessionService');
+const { logger } = require('../utils/logger');
+
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+function accountError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Only the hash is stored, so a database leak does not expose usable links
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Whether the user still has the placeholder email given to wallet sign-in accounts
+ * @param {Object} user - User document
+ * @returns {boolean} True when no real email address is known
+ */
+function hasPlaceholderEmail(user) {
+    return user.email.endsWith(`@${WALLET_EMAIL_DOMAIN}`);
+}
+
+async function sendAccountEmail(user, template) {
+    await notificationService.sendEmail({
+        to: user.email,
+        subject: template.email.subject,
+        htmlContent: template.email.html,
+        textContent: template.email.text,
+    });
+}
+
+/**
+ * Email the user a link to verify their address, replacing any earlier link
+ * @param {Object} user - User document
+ * @param {Object} [options] - Request options
+ * @param {string} [options.email] - New address, accepted only while the current one is unverified
+ * @returns {Promise<Object>} The updated user
+ */
+async function sendVerificationEmail(user, options = {}) {
+    if (user.isVerified) {
+        throw accountError('Email is already verified', 'ALREADY_VERIFIED');
+    }
+
+    if (options.email && options.email !== user.email) {
+        if (await User.exists({ email: options.email })) {
+            throw accountError('Email already registered', 'EMAIL_IN_USE');
+        }
+        user.email = options.email;
+    }
+
+    if (hasPlaceholderEmail(user)) {
+        throw accountError('Add an email address to verify', 'EMAIL_REQUIRED');
+    }
+
+    const { token, tokenHash } = issueToken();
+    user.emailVerificationToken = tokenHash;
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    await sendAccountEmail(user, NotificationTemplates.emailVerification({
+        name: user.name,
+        verifyUrl: `${FRONTEND_URL}/verify-email?token=${token}`,
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    }));
+
+    logger.info(`Verification email sent to ${user.email}`);
+
+    return user;
+}
+
+/**
+ * Mark a user's email as verified using the token from their verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} The verified user
+ */
+async function verifyEmail(token) {
+    // Consumed atomically so a link works exactly once
+    const user = await User.findOneAndUpdate(
+        {
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() },
+        },
+        {
+            $set: { isVerified: true },
+            $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+        },
+        { new: true }
+    );
+
+    if (!user) {
+        throw accountError('Verification link is invalid or has expired', 'TOKEN_INVALID');
+    }
+
+    logger.info(`Email verified for ${user.email}`);
+
+    return user;
+}
+
+/**
+ * Email a password reset link if the address belongs to an active account
+ * Resolves the same way whether or not the account exists, so callers cannot probe for users.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive || hasPlaceholderEmail(user)) {
+        logger.info(`Password reset requested for unknown or inactive account: ${email}`);
+        return;
+    }
+
+    const { token, tokenHash } = issueToken();
+    user.passwordResetToken = tokenHash;
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    await sendAccountEmail(user, NotificationTemplates.passwordReset({
+        name: user.name,
+        resetUrl: `${FRONTEND_URL}/reset-password?token=${token}`,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+    }));
+
+    logger.info(`Password reset email sent to ${user.email}`);
+}
+
+/**
+ * Set a new password using the token from a reset link, signing out every session
+ * @param {string} token - Token from the link
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} The updated user
+ */
+async function resetPassword(token, newPassword) {
+    const consumed = await User.findOneAndUpdate(
+        {
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { $gt: new Date() },
+        },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!consumed) {
+        throw accountError('Reset link is invalid or has expired', 'TOKEN_INVALID');
+    }
+
+    const user = await User.findById(consumed._id).select('+password');
+    user.password = newPassword;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+
+    logger.info(`Password reset for ${user.email}`);
+
+    return user;
+}
+
+module.exports = {
+    hasPlaceholderEmail,
+    sendVerificationEmail,
+    verifyEmail,
+    requestPasswordReset,
+    resetPassword,
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const { logger } = require('../utils/logger');
+
+// prevHash of the first event
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_REPORTED_ISSUES = 100;
+
+const HASHED_FIELDS = [
+    'sequence', 'action', 'actor', 'ipAddress', 'requestId', 'request', 'statusCode',
+    'outcome', 'resource', 'before', 'after', 'changes', 'timestamp', 'prevHash',
+];
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /password|secret|token|signature|apikey|privatekey|signingkey|^code$|^twofactorcode$|backupcodes/i;
+
+/**
+ * Deep-copy a value as plain JSON with secret-looking fields redacted
+ * @param {*} value - Request body, document or other value
+ * @returns {*} JSON-safe copy
+ */
+function sanitize(value) {
+    if (value === undefined) {
+        return null;
+    }
+
+    return JSON.parse(JSON.stringify(value), (key, val) => (
+        key && SECRET_KEY_PATTERN.test(key) && val !== null ? REDACTED : val
+    ));
+}
+
+// JSON with object keys sorted, so equal values always hash the same
+function canonicalize(value) {
+    if (value instanceof Date) {
+        return JSON.stringify(value.toISOString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeHash(event) {
+    const hashed = {};
+    for (const field of HASHED_FIELDS) {
+        hashed[field] = event[field] === undefined ? null : event[field];
+    }
+    return crypto.createHash('sha256').update(canonicalize(hashed)).digest('hex');
+}
+
+/**
+ * List the fields that differ between two plain objects
+ * @param {Object} before - State before the change
+ * @param {Object} after - State after the change
+ * @returns {Object[]} [{ path, from, to }]
+ */
+function diff(before, after, prefix = '') {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(before) || !isObject(after)) {
+        return canonicalize(before) === canonicalize(after)
+            ? []
+            : [{ path: prefix || '.', from: before ?? null, to: after ?? null }];
+    }
+
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap((key) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isObject(before[key]) && isObject(after[key])) {
+            return diff(before[key], after[key], path);
+        }
+        return canonicalize(before[key] ?? null) === canonicalize(after[key] ?? null)
+            ? []
+            : [{ path, from: before[key] ?? null, to: after[key] ?? null }];
+    });
+}
+
+async function appendOnce(fields) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    const event = new AuditEvent({
+        ...fields,
+        sequence: last ? last.sequence + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        hash: 'pending',
+    });
+    // Hash the values as Mongoose will store them, so verification sees the same input
+    event.hash = computeHash(event.toObject());
+
+    return event.save();
+}
+
+// Appends from this process run one at a time; other processes are handled by the unique sequence
+let appendQueue = Promise.resolve();
+
+/**
+ * Append an event to the audit chain
+ * @param {Object} data - Event data
+ * @param {string} data.action - What was done
+ * @param {Object} [data.actor] - { type, userId, email, role, roles, merchantId }
+ * @param {Object} [data.before] - Resource state before the change
+ * @param {Object} [data.after] - Resource state after the change
+ * @returns {Promise<Object>} The stored event
+ */
+function recordEvent(data) {
+    const before = data.before === undefined ? null : sanitize(data.before);
+    const after = data.after === undefined ? null : sanitize(data.after);
+
+    const fields = {
+        action: data.action,
+        actor: sanitize(data.actor || {}),
+        ipAddress: data.ipAddress || null,
+        requestId: data.requestId || null,
+        request: sanitize(data.request || {}),
+        statusCode: data.statusCode ?? null,
+        outcome: data.outcome || 'success',
+        resource: sanitize(data.resource || {}),
+        before,
+        after,
+        changes: before !== null && after !== null ? diff(before, after) : null,
+        // Millisecond precision survives the round trip through MongoDB unchanged
+        timestamp: new Date(),
+    };
+
+    const append = async () => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await appendOnce(fields);
+            } catch (error) {
+                // Another process took the sequence number; retry on top of its event
+                if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    };
+
+    const result = appendQueue.then(append);
+    appendQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Check the chain for edited, missing or reordered events
+ * Removing events from the end cannot be detected from the chain alone; compare
+ * lastSequence and lastHash with a previously recorded value for that.
+ * @param {Object} [options] - Range to check
+ * @param {number} [options.fromSequence=1] - First sequence to check
+ * @param {number} [options.toSequence] - Last sequence to check
+ * @returns {Promise<Object>} { valid, checked, lastSequence, lastHash, issues }
+ */
+async function verifyChain({ fromSequence = 1, toSequence } = {}) {
+    const issues = [];
+    const report = (issue) => {
+        if (issues.length < MAX_REPORTED_ISSUES) {
+            issues.push(issue);
+        }
+    };
+
+    let previous = null;
+    if (fromSequence > 1) {
+        previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('sequence hash').lean();
+        if (!previous) {
+            report({ sequence: fromSequence - 1, type: 'missing', message: 'Event before the checked range is missing' });
+        }
+    }
+
+    const filter = { sequence: { $gte: fromSequence } };
+    if (toSequence) {
+        filter.sequence.$lte = toSequence;
+    }
+
+    let checked = 0;
+    let expectedSequence = fromSequence;
+    let last = previous;
+
+    const cursor = AuditEvent.find(filter).sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+        checked++;
+
+        if (event.sequence !== expectedSequence) {
+            report({
+                sequence: expectedSequence,
+                type: 'missing',
+                message: `Events ${expectedSequence} to ${event.sequence - 1} are missing`,
+            });
+        }
+
+        const expectedPrevHash = fromSequence === 1 && checked === 1 ? GENESIS_HASH : last?.hash;
+        if (expectedPrevHash && event.prevHash !== expectedPrevHash) {
+            report({ sequence: event.sequence, type: 'broken_link', message: 'prevHash does not match the previous event' });
+        }
+
+        if (computeHash(event) !== event.hash) {
+            report({ sequence: event.sequence, type: 'modified', message: 'Event contents do not match its hash' });
+        }
+
+        expectedSequence = event.sequence + 1;
+        last = event;
+    }
+
+    if (issues.length > 0) {
+        logger.warn(`Audit chain verification found ${issues.length} issue(s)`);
+    }
+
+    return {
+        valid: issues.length === 0,
+        checked,
+        lastSequence: last?.sequence ?? null,
+        lastHash: last?.hash ?? null,
+        issues,
+    };
+}
+
+module.exports = {
+    recordEvent,
+    verifyChain,
+    sanitize,
+    diff,
+    GENESIS_HASH,
+};
@@ -1,54 +1,155 @@
-
-const { suiClient } = require('../config/sui');
+const { suiClient, PACKAGE_ID } = require('../config/sui');
 const { eventQueue } = require('../queues/eventProcessor');
-const logger = require('../utils/logger');
+const IndexerCursor = require('../models/IndexerCursor');
+const { logger } = require('../utils/logger');
+
+const VOUCHER_PACKAGE_ID = process.env.VOUCHER_PACKAGE_ID || PACKAGE_ID;
+const INDEXER_NAME = 'voucher_system';
+const BACKFILL_PAGE_SIZE = 50;
+const RETRY_DELAY_MS = 5000;
 
-const VOUCHER_PACKAGE_ID = process.env.VOUCHER_PACKAGE_ID;
+// Move events projected into MongoDB
+const INDEXED_EVENT_TYPES = ['VoucherMinted', 'VoucherRedeemed', 'VoucherPartiallyRedeemed', 'VoucherRevoked', 'VoucherExtended', 'VoucherToppedUp', 'VoucherTransferred', 'VoucherSplit', 'MerchantRegistered'];
 
 let unsubscribe;
+let isBackfilling = false;
+let backfillRequested = false;
+
+const eventFilter = () => ({
+    MoveModule: {
+        package: VOUCHER_PACKAGE_ID,
+        module: 'voucher_system',
+    },
+});
 
 async function startListening() {
     logger.info('Starting blockchain event listener...');
 
     try {
+        // Live events only wake the indexer up; events are always read back through
+        // queryEvents from the stored cursor so nothing is skipped or reordered
         unsubscribe = await suiClient.subscribeEvent({
-            filter: {
-                Package: VOUCHER_PACKAGE_ID,
-            },
+            filter: eventFilter(),
             onMessage: (event) => {
-                handleEvent(event);
+                logger.debug(`Live event received: ${event.type}`);
+                requestBackfill();
             },
         });
         logger.info(`Subscribed to events from package: ${VOUCHER_PACKAGE_ID}`);
     } catch (error) {
-        logger.error('Failed to subscribe to blockchain events:', error);
-        // Implement retry logic with backoff
-        setTimeout(startListening, 5000);
+        logger.error('Failed to start blockchain event listener:', error);
+        await stopListening();
+        setTimeout(startListening, RETRY_DELAY_MS);
+        return;
     }
+
+    // Catching up can take a while after downtime, so it runs in the background
+    requestBackfill();
 }
 
-function handleEvent(event) {
+/**
+ * Replay every event emitted since the stored cursor
+ * Requests made while a run is in progress are picked up by that run before it returns.
+ * @returns {Promise<number>} Number of events replayed
+ */
+async function backfill() {
+    if (isBackfilling) {
+        backfillRequested = true;
+        return 0;
+    }
+
+    isBackfilling = true;
+    let replayed = 0;
+
+    try {
+        do {
+            backfillRequested = false;
+            replayed += await replayFromCursor();
+        } while (backfillRequested);
+
+        await IndexerCursor.updateOne({ name: INDEXER_NAME }, { $set: { lastBackfillAt: new Date() } });
+
+        logger.info(`Backfill complete: ${replayed} events replayed`);
+        return replayed;
+    } finally {
+        isBackfilling = false;
+    }
+}
+
+async function replayFromCursor() {
+    const cursorDoc = await IndexerCursor.getOrCreate(INDEXER_NAME, VOUCHER_PACKAGE_ID);
+    let cursor = cursorDoc.cursor?.txDigest ? {
+        txDigest: cursorDoc.cursor.txDigest,
+        eventSeq: cursorDoc.cursor.eventSeq,
+    } : null;
+    let replayed = 0;
+
+    logger.info(`Backfilling events from cursor ${cursor ? `${cursor.txDigest}:${cursor.eventSeq}` : '(genesis)'}`);
+
+    let hasNextPage = true;
+    while (hasNextPage) {
+        const page = await suiClient.queryEvents({
+            query: eventFilter(),
+            cursor,
+            limit: BACKFILL_PAGE_SIZE,
+            order: 'ascending',
+        });
+
+        for (const event of page.data) {
+            await enqueueEvent(event);
+            await IndexerCursor.advance(INDEXER_NAME, event);
+            replayed++;
+        }
+
+        cursor = page.nextCursor;
+        hasNextPage = page.hasNextPage && page.data.length > 0;
+    }
+
+    return replayed;
+}
+
+function requestBackfill() {
+    backfill().catch(error => {
+        // The cursor only moves past enqueued events, so a retry resumes where this stopped
+        logger.error('Event backfill failed:', error);
+        setTimeout(requestBackfill, RETRY_DELAY_MS);
+    });
+}
+
+async function enqueueEvent(event) {
     const eventType = event.type.split('::')[2]; // e.g., 'VoucherRedeemed'
-    logger.info(`Received event: ${eventType}`, { event });
 
-    eventQueue.add(eventType, {
+    if (!INDEXED_EVENT_TYPES.includes(eventType)) {
+        logger.debug(`Skipping unindexed event: ${eventType}`);
+        return;
+    }
+
+    logger.info(`Received event: ${eventType}`, { eventId: event.id });
+
+    // Deterministic job IDs make replays of the same event a no-op in the queue
+    await eventQueue.add(eventType, {
         eventType,
+        eventId: event.id,
+        timestampMs: event.timestampMs,
+        sender: event.sender,
         data: {
             ...event.parsedJson,
             transactionId: event.id.txDigest
         }
-    }).catch(error => {
-        logger.error('Failed to add event to queue:', error);
+    }, {
+        jobId: `${event.id.txDigest}-${event.id.eventSeq}`,
     });
 }
 
-function stopListening() {
+async function stopListening() {
     if (unsubscribe) {
-        unsubscribe().then(() => {
+        try {
+            await unsubscribe();
             logger.info('Stopped blockchain event listener.');
-        }).catch(error => {
+        } catch (error) {
             logger.error('Failed to unsubscribe from blockchain events:', error);
-        });
+        }
+        unsubscribe = null;
     }
 }
 
@@ -58,4 +159,4 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-module.exports = { startListening, stopListening };
+module.exports = { startListening, stopListening, backfill };
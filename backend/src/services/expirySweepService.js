@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const Voucher = require('../models/Voucher');
+const ReclaimedFund = require('../models/ReclaimedFund');
+const ExpirySweepRun = require('../models/ExpirySweepRun');
+const notificationManager = require('../utils/notificationManager');
+const { logger } = require('../utils/logger');
+
+const BATCH_SIZE = 100;
+const SWEEPABLE_STATUSES = ['active', 'partially_redeemed'];
+
+let isRunning = false;
+
+/**
+ * Start an expiry sweep in the background
+ * @param {Object} options - Run options
+ * @param {string} [options.trigger] - 'scheduled' or 'manual'
+ * @param {string} [options.initiatedBy] - User who requested the run
+ * @param {Date} [options.cutoff] - Sweep vouchers expiring at or before this time (default: now)
+ * @returns {Promise<Object>} The run, in 'running' status, and its completion promise
+ */
+async function startSweep(options = {}) {
+    if (isRunning) {
+        const error = new Error('An expiry sweep is already in progress');
+        error.code = 'SWEEP_IN_PROGRESS';
+        throw error;
+    }
+
+    isRunning = true;
+
+    let run;
+    try {
+        run = await ExpirySweepRun.create({
+            runId: `SWEEP_${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+            trigger: options.trigger || 'manual',
+            initiatedBy: options.initiatedBy,
+            cutoff: options.cutoff || new Date(),
+        });
+    } catch (error) {
+        isRunning = false;
+        throw error;
+    }
+
+    const completion = executeSweep(run).finally(() => {
+        isRunning = false;
+    });
+
+    return { run, completion };
+}
+
+/**
+ * Run an expiry sweep and wait for it to finish
+ * @param {Object} options - Run options, see startSweep
+ * @returns {Promise<Object>} The finished run
+ */
+async function runSweep(options = {}) {
+    const { completion } = await startSweep(options);
+    return completion;
+}
+
+async function executeSweep(run) {
+    logger.info(`Expiry sweep ${run.runId} started (cutoff: ${run.cutoff.toISOString()})`);
+
+    // Vouchers that could not be expired this run; skipped so the loop always advances
+    const failedIds = [];
+
+    try {
+        let batch;
+        do {
+            // Served by the { status, expiryTimestamp } index; expiryTimestamp is in milliseconds
+            batch = await Voucher.find({
+                status: { $in: SWEEPABLE_STATUSES },
+                expiryTimestamp: { $lte: run.cutoff.getTime() },
+                _id: { $nin: failedIds },
+            })
+                .sort({ expiryTimestamp: 1 })
+                .limit(BATCH_SIZE);
+
+            for (const voucher of batch) {
+                try {
+                    await expireVoucher(run, voucher);
+                } catch (error) {
+                    failedIds.push(voucher._id);
+                    run.summary.failures += 1;
+                    logger.error(`Failed to expire voucher ${voucher.voucherId}:`, error);
+                }
+            }
+
+            if (batch.length > 0) {
+                await run.save();
+            }
+        } while (batch.length === BATCH_SIZE);
+
+        await run.complete();
+
+        logger.info(`Expiry sweep ${run.runId} completed`, {
+            vouchersExpired: run.summary.vouchersExpired,
+            amountReclaimed: run.summary.amountReclaimed,
+            failures: run.summary.failures
+        });
+    } catch (error) {
+        logger.error(`Expiry sweep ${run.runId} failed:`, error);
+        await run.fail(error);
+    }
+
+    return run;
+}
+
+async function expireVoucher(run, voucher) {
+    // Conditional update so a redemption racing the sweep wins cleanly
+    const expired = await Voucher.findOneAndUpdate(
+        { _id: voucher._id, status: { $in: SWEEPABLE_STATUSES } },
+        { status: 'expired' },
+        { new: true }
+    );
+    if (!expired) {
+        return;
+    }
+
+    try {
+        await ReclaimedFund.create({
+            voucherId: expired.voucherId,
+            voucherType: expired.voucherType,
+            merchantId: expired.merchantId,
+            templateId: expired.templateId,
+            recipient: expired.recipient,
+            originalAmount: expired.originalAmount,
+            amount: expired.remainingAmount,
+            expiredAt: new Date(expired.expiryTimestamp),
+            sweepRunId: run.runId,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            // Balance already reclaimed by an earlier sweep
+            return;
+        }
+        // Put the voucher back so the next sweep retries it with its ledger entry
+        await Voucher.updateOne({ _id: expired._id, status: 'expired' }, { status: voucher.status });
+        throw error;
+    }
+
+    run.addReclaim(expired.voucherType, expired.remainingAmount);
+
+    try {
+        await notificationManager.sendNotification(expired.recipient, 'voucher_expired', {
+            voucherId: expired.voucherId,
+            voucherType: expired.voucherType,
+            amount: expired.remainingAmount,
+            expiredAt: new Date(expired.expiryTimestamp).toLocaleDateString()
+        });
+        run.summary.notificationsSent += 1;
+    } catch (notificationError) {
+        logger.error('Failed to send expiry notification:', notificationError);
+    }
+}
+
+module.exports = {
+    startSweep,
+    runSweep,
+};
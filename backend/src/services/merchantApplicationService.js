@@ -0,0 +1,365 @@
+const MerchantApplication = require('../models/MerchantApplication');
+const User = require('../models/User');
+const merchantService = require('./merchantService');
+const { logger } = require('../utils/logger');
+
+const OPEN_STATUSES = ['submitted', 'needs_info'];
+// An approval still running after this long is assumed to have died with its process
+const APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Fields the applicant fills in and may change until the application is decided
+const EDITABLE_FIELDS = [
+    'businessName', 'registrationNumber', 'businessType', 'walletAddress', 'voucherTypesAccepted',
+    'contactEmail', 'contactPhone', 'location', 'documents', 'accountEmail',
+];
+
+function applicationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function pickEditable(details) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (details[field] !== undefined) {
+            picked[field] = details[field];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Submit a merchant application for review
+ * @param {Object} applicant - User submitting it (the merchant, or a field team member on its behalf)
+ * @param {Object} details - Business details, documents, location and accepted voucher types
+ * @returns {Promise<Object>} The application
+ */
+async function submitApplication(applicant, details) {
+    const fields = pickEditable(details);
+
+    const forSelf = !fields.accountEmail || fields.accountEmail === applicant.email;
+    if (forSelf && applicant.merchantId) {
+        throw applicationError('This account is already linked to a merchant', 'ALREADY_MERCHANT');
+    }
+
+    const open = await MerchantApplication.exists({ walletAddress: fields.walletAddress, status: { $in: OPEN_STATUSES } });
+    if (open) {
+        throw applicationError('An application for this wallet address is already under review', 'APPLICATION_EXISTS');
+    }
+
+    const application = await MerchantApplication.create({
+        ...fields,
+        applicantId: applicant._id,
+        status: 'submitted',
+    });
+
+    logger.info(`Merchant application ${application._id} submitted for ${application.businessName}`, {
+        applicantId: String(applicant._id),
+    });
+
+    return application;
+}
+
+/**
+ * Load an application
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<Object>} The application
+ */
+async function getApplication(applicationId) {
+    const application = await MerchantApplication.findById(applicationId);
+    if (!application) {
+        throw applicationError('Merchant application not found', 'APPLICATION_NOT_FOUND');
+    }
+    return application;
+}
+
+/**
+ * List applications, oldest first so the review queue is worked in order
+ * @param {Object} [filter] - { status, applicantId, page, limit }
+ * @returns {Promise<Object>} { applications, total }
+ */
+async function listApplications({ status, applicantId, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) {
+        query.status = status;
+    }
+    if (applicantId) {
+        query.applicantId = applicantId;
+    }
+
+    const [applications, total] = await Promise.all([
+        MerchantApplication.find(query)
+            .sort({ createdAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        MerchantApplication.countDocuments(query),
+    ]);
+
+    return { applications, total };
+}
+
+/**
+ * Change an application's details. Answering a request for information sends it back to the queue.
+ * @param {Object} application - Application document
+ * @param {Object} applicant - User making the change
+ * @param {Object} details - Fields to change
+ * @param {string} [message] - Note to the reviewers
+ * @returns {Promise<Object>} The application
+ */
+async function updateApplication(application, applicant, details, message) {
+    if (!OPEN_STATUSES.includes(application.status)) {
+        throw applicationError(`Application is already ${application.status}`, 'APPLICATION_CLOSED');
+    }
+    if (application.approvalStartedAt) {
+        throw applicationError('Application is being approved', 'APPROVAL_IN_PROGRESS');
+    }
+
+    const fields = pickEditable(details);
+    if (fields.walletAddress && fields.walletAddress !== application.walletAddress) {
+        const open = await MerchantApplication.exists({
+            _id: { $ne: application._id },
+            walletAddress: fields.walletAddress,
+            status: { $in: OPEN_STATUSES },
+        });
+        if (open) {
+            throw applicationError('An application for this wallet address is already under review', 'APPLICATION_EXISTS');
+        }
+    }
+
+    if (fields.accountEmail !== undefined && fields.accountEmail !== application.accountEmail) {
+        application.accountConfirmedAt = undefined;
+    }
+    application.set(fields);
+
+    const resubmitted = application.status === 'needs_info';
+    application.status = 'submitted';
+    if (message || resubmitted) {
+        application.comments.push({
+            authorId: applicant._id,
+            authorRole: 'applicant',
+            message: message || 'Application updated',
+            status: resubmitted ? 'submitted' : undefined,
+        });
+    }
+
+    await application.save();
+    return application;
+}
+
+/**
+ * Add a message to the review thread
+ * @param {Object} application - Application document
+ * @param {Object} author - User writing it
+ * @param {string} authorRole - applicant or reviewer
+ * @param {string} message - The message
+ * @returns {Promise<Object>} The application
+ */
+async function addComment(application, author, authorRole, message) {
+    application.comments.push({ authorId: author._id, authorRole, message });
+    await application.save();
+    return application;
+}
+
+// Matches applications no approval is currently running for
+function notBeingApproved() {
+    return {
+        $or: [
+            { approvalStartedAt: null },
+            { approvalStartedAt: { $lt: new Date(Date.now() - APPROVAL_TIMEOUT_MS) } },
+        ],
+    };
+}
+
+// Explain why an application could not be moved to a status
+async function transitionError(applicationId, status) {
+    const existing = await getApplication(applicationId);
+    if (existing.approvalStartedAt && existing.status === 'submitted') {
+        return applicationError('Application is being approved', 'APPROVAL_IN_PROGRESS');
+    }
+    return applicationError(`Application is ${existing.status} and cannot be moved to ${status}`, 'INVALID_STATUS');
+}
+
+// Move an open application to a new status with the reviewer's reason
+async function review(applicationId, reviewer, status, message, allowedFrom) {
+    const application = await MerchantApplication.findOneAndUpdate(
+        { _id: applicationId, status: { $in: allowedFrom }, ...notBeingApproved() },
+        {
+            $set: { status, reviewedBy: reviewer._id, reviewedAt: new Date() },
+            $push: { comments: { authorId: reviewer._id, authorRole: 'reviewer', message, status } },
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!application) {
+        throw await transitionError(applicationId, status);
+    }
+
+    logger.info(`Merchant application ${application._id} marked ${status} by ${reviewer._id}`);
+    return application;
+}
+
+/**
+ * Ask the applicant for more information
+ * @param {string} applicationId - Application ID
+ * @param {Object} reviewer - Reviewing user
+ * @param {string} message - What is missing
+ * @returns {Promise<Object>} The application
+ */
+function requestInfo(applicationId, reviewer, message) {
+    return review(applicationId, reviewer, 'needs_info', message, ['submitted']);
+}
+
+/**
+ * Reject an application
+ * @param {string} applicationId - Application ID
+ * @param {Object} reviewer - Reviewing user
+ * @param {string} message - Reason given to the applicant
+ * @returns {Promise<Object>} The application
+ */
+function rejectApplication(applicationId, reviewer, message) {
+    return review(applicationId, reviewer, 'rejected', message, OPEN_STATUSES);
+}
+
+// Linking makes the account a merchant, so only plain, verified accounts qualify
+function assertLinkable(user) {
+    if (user.merchantId) {
+        throw applicationError('The account to link is already linked to a merchant', 'ACCOUNT_ALREADY_LINKED');
+    }
+    if (!user.isVerified) {
+        throw applicationError('The account to link has not verified its email address', 'ACCOUNT_NOT_VERIFIED');
+    }
+    if (user.roles?.length) {
+        throw applicationError('The account to link holds custom roles; remove them first', 'ACCOUNT_HAS_ROLES');
+    }
+}
+
+/**
+ * Agree, as the owner of the application's accountEmail, to have your account linked to the merchant
+ * @param {Object} application - Application document
+ * @param {Object} user - Signed-in user; must own accountEmail
+ * @returns {Promise<Object>} The application
+ */
+async function confirmAccountLink(application, user) {
+    if (!application.accountEmail || application.accountEmail !== user.email) {
+        throw applicationError('Merchant application not found', 'APPLICATION_NOT_FOUND');
+    }
+    if (!OPEN_STATUSES.includes(application.status)) {
+        throw applicationError(`Application is already ${application.status}`, 'APPLICATION_CLOSED');
+    }
+    if (user.role === 'admin') {
+        throw applicationError('Admin accounts cannot be linked to a merchant', 'ACCOUNT_NOT_LINKABLE');
+    }
+    assertLinkable(user);
+
+    application.accountConfirmedAt = new Date();
+    await application.save();
+
+    logger.info(`Account ${user._id} confirmed the link to merchant application ${application._id}`);
+
+    return application;
+}
+
+// The account that will manage the merchant: accountEmail's owner, else the applicant. Admins are never linked.
+// Someone else's account is only linked once its owner has confirmed (confirmAccountLink).
+async function resolveAccount(application) {
+    const user = application.accountEmail
+        ? await User.findOne({ email: application.accountEmail })
+        : await User.findById(application.applicantId);
+
+    if (!user || user.role === 'admin') {
+        return null;
+    }
+    if (!user._id.equals(application.applicantId) && !application.accountConfirmedAt) {
+        throw applicationError('The owner of the account to link has not confirmed it yet', 'ACCOUNT_NOT_CONFIRMED');
+    }
+    assertLinkable(user);
+    return user;
+}
+
+/**
+ * Approve an application: register the merchant on-chain and link the merchant's account
+ * @param {string} applicationId - Application ID
+ * @param {Object} reviewer - Approving user
+ * @param {Object} options - { merchantId, comment }
+ * @returns {Promise<Object>} { application, merchant, signingAddress, transactionDigest }
+ */
+async function approveApplication(applicationId, reviewer, { merchantId, comment }) {
+    // Claim the application so two reviewers cannot register it twice
+    const application = await MerchantApplication.findOneAndUpdate(
+        { _id: applicationId, status: 'submitted', ...notBeingApproved() },
+        { approvalStartedAt: new Date() },
+        { new: true }
+    );
+
+    if (!application) {
+        throw await transitionError(applicationId, 'approved');
+    }
+
+    let registration;
+    let account;
+    try {
+        account = await resolveAccount(application);
+
+        registration = await merchantService.registerMerchant({
+            merchantId,
+            name: application.businessName,
+            walletAddress: application.walletAddress,
+            voucherTypesAccepted: application.voucherTypesAccepted,
+            contactEmail: application.contactEmail,
+            contactPhone: application.contactPhone,
+            coordinates: application.location?.coordinates?.length === 2 ? application.location.coordinates : undefined,
+            userId: account?._id,
+        });
+    } catch (error) {
+        await MerchantApplication.updateOne({ _id: application._id }, { $unset: { approvalStartedAt: 1 } });
+        throw error;
+    }
+
+    const { merchant } = registration;
+
+    try {
+        if (account) {
+            await User.updateOne({ _id: account._id }, { merchantId: merchant._id, role: 'merchant' });
+        }
+
+        application.status = 'approved';
+        application.reviewedBy = reviewer._id;
+        application.reviewedAt = new Date();
+        application.merchantId = merchantId;
+        application.linkedUserId = account?._id;
+        application.transactionDigest = registration.transactionDigest;
+        application.approvalStartedAt = undefined;
+        application.comments.push({
+            authorId: reviewer._id,
+            authorRole: 'reviewer',
+            message: comment || 'Application approved',
+            status: 'approved',
+        });
+        await application.save();
+    } catch (error) {
+        // The merchant exists on-chain by now; this needs fixing by hand rather than a retry
+        logger.error(`Merchant ${merchantId} registered but application ${application._id} was not completed: ${error.message}`);
+        throw error;
+    }
+
+    logger.info(`Merchant application ${application._id} approved as ${merchantId} by ${reviewer._id}`, {
+        transactionDigest: registration.transactionDigest,
+        linkedUserId: account ? String(account._id) : null,
+    });
+
+    return { application, ...registration };
+}
+
+module.exports = {
+    submitApplication,
+    getApplication,
+    listApplications,
+    updateApplication,
+    addComment,
+    requestInfo,
+    rejectApplication,
+    approveApplication,
+    confirmAccountLink,
+    OPEN_STATUSES,
+};
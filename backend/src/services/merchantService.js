@@ -0,0 +1,98 @@
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID } = require('../config/sui');
+const { executeTransactionWithRetry } = require('../utils/blockchainRetry');
+const { generateSigningKey } = require('../utils/merchantKeyManager');
+const { logger } = require('../utils/logger');
+const Merchant = require('../models/Merchant');
+
+function merchantError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Register a merchant on-chain with a new managed signing key and save it
+ * @param {Object} details - Merchant details
+ * @param {string} details.merchantId - Platform merchant ID
+ * @param {string} details.name - Business name
+ * @param {string} details.walletAddress - Merchant's Sui address
+ * @param {number[]} details.voucherTypesAccepted - Voucher types the merchant redeems
+ * @param {string} [details.contactEmail]
+ * @param {string} [details.contactPhone]
+ * @param {number[]} [details.coordinates] - [longitude, latitude]
+ * @param {string} [details.userId] - Account that manages the merchant
+ * @returns {Promise<Object>} { merchant, signingAddress, transactionDigest }
+ */
+async function registerMerchant({
+    merchantId,
+    name,
+    walletAddress,
+    voucherTypesAccepted,
+    contactEmail,
+    contactPhone,
+    coordinates,
+    userId,
+}) {
+    if (await Merchant.exists({ merchantId })) {
+        throw merchantError('A merchant with this ID is already registered', 'MERCHANT_EXISTS');
+    }
+
+    // The key is registered on the Merchant object as the only address allowed to redeem there
+    const { signingAddress, encryptedSigningKey } = generateSigningKey();
+
+    const tx = new TransactionBlock();
+    tx.moveCall({
+        target: `${PACKAGE_ID}::voucher_system::register_merchant`,
+        arguments: [
+            tx.object(ADMIN_CAP_ID),
+            tx.pure(Array.from(Buffer.from(merchantId))),
+            tx.pure(Array.from(Buffer.from(name))),
+            tx.pure(voucherTypesAccepted),
+            tx.pure(signingAddress),
+        ],
+    });
+
+    const result = await executeTransactionWithRetry(suiClient, {
+        signer: getAdminKeypair(),
+        transactionBlock: tx,
+        options: {
+            showObjectChanges: true,
+        }
+    });
+
+    // The shared Merchant object is what redemptions reference on-chain
+    const createdMerchant = result.objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.endsWith('::voucher_system::Merchant')
+    );
+
+    if (!createdMerchant) {
+        // The event indexer links the object once MerchantRegistered is processed
+        logger.warn('Merchant object not found in transaction result', { merchantId, digest: result.digest });
+    }
+
+    const merchant = new Merchant({
+        merchantId,
+        name,
+        walletAddress,
+        voucherTypesAccepted,
+        contactEmail,
+        contactPhone,
+        location: coordinates ? { type: 'Point', coordinates } : undefined,
+        userId,
+        onChainObjectId: createdMerchant?.objectId || null,
+        signingAddress,
+        encryptedSigningKey,
+        signingKeyCreatedAt: new Date(),
+    });
+
+    await merchant.save();
+
+    logger.info(`Merchant registered: ${merchantId}`, { transactionDigest: result.digest });
+
+    return { merchant, signingAddress, transactionDigest: result.digest };
+}
+
+module.exports = {
+    registerMerchant,
+};
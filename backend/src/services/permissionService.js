@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSION_NAMES } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+function permissionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function assertKnownPermissions(permissions) {
+    const unknown = permissions.filter((permission) => !PERMISSION_NAMES.includes(permission));
+    if (unknown.length > 0) {
+        const error = permissionError(`Unknown permissions: ${unknown.join(', ')}`, 'INVALID_PERMISSION');
+        error.unknown = unknown;
+        throw error;
+    }
+}
+
+/**
+ * Resolve everything a user may do: all permissions for admins, otherwise the union of their custom roles
+ * @param {Object} user - User document
+ * @returns {Promise<Set<string>>} Permission names
+ */
+async function getPermissions(user) {
+    if (user.role === 'admin') {
+        return new Set(PERMISSION_NAMES);
+    }
+
+    if (!user.roles || user.roles.length === 0) {
+        return new Set();
+    }
+
+    const roles = await Role.find({ name: { $in: user.roles } }).select('permissions').lean();
+    return new Set(roles.flatMap((role) => role.permissions));
+}
+
+/**
+ * Check a single permission
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} Whether the user holds it
+ */
+async function hasPermission(user, permission) {
+    return (await getPermissions(user)).has(permission);
+}
+
+/**
+ * List custom roles with the number of users holding each
+ * @returns {Promise<Object[]>} Roles
+ */
+async function listRoles() {
+    const [roles, counts] = await Promise.all([
+        Role.find().sort({ name: 1 }).lean(),
+        User.aggregate([
+            { $unwind: '$roles' },
+            { $group: { _id: '$roles', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const countByRole = new Map(counts.map((entry) => [entry._id, entry.count]));
+    return roles.map((role) => ({ ...role, userCount: countByRole.get(role.name) || 0 }));
+}
+
+/**
+ * Create a custom role
+ * @param {Object} data - { name, description, permissions }
+ * @param {string} createdBy - Admin creating the role
+ * @returns {Promise<Object>} The role
+ */
+async function createRole({ name, description, permissions = [] }, createdBy) {
+    assertKnownPermissions(permissions);
+
+    if (await Role.exists({ name: name.toLowerCase() })) {
+        throw permissionError('Role already exists', 'ROLE_EXISTS');
+    }
+
+    const role = await Role.create({ name, description, permissions, createdBy });
+
+    logger.info(`Role ${role.name} created by ${createdBy} with permissions: ${permissions.join(', ') || 'none'}`);
+
+    return role;
+}
+
+/**
+ * Change a custom role's description or permissions; takes effect on the holders' next request
+ * @param {string} name - Role name
+ * @param {Object} updates - { description, permissions }
+ * @param {string} updatedBy - Admin editing the role
+ * @returns {Promise<Object>} The updated role
+ */
+async function updateRole(name, { description, permissions }, updatedBy) {
+    const role = await Role.findOne({ name: name.toLowerCase() });
+    if (!role) {
+        throw permissionError('Role not found', 'ROLE_NOT_FOUND');
+    }
+
+    if (permissions !== undefined) {
+        assertKnownPermissions(permissions);
+        role.permissions = permissions;
+    }
+    if (description !== undefined) {
+        role.description = description;
+    }
+    role.updatedBy = updatedBy;
+    await role.save();
+
+    logger.info(`Role ${role.name} updated by ${updatedBy}`);
+
+    return role;
+}
+
+/**
+ * Delete a custom role and remove it from every user holding it
+ * @param {string} name - Role name
+ * @returns {Promise<number>} Number of users who lost the role
+ */
+async function deleteRole(name) {
+    const role = await Role.findOneAndDelete({ name: name.toLowerCase() });
+    if (!role) {
+        throw permissionError('Role not found', 'ROLE_NOT_FOUND');
+    }
+
+    const result = await User.updateMany({ roles: role.name }, { $pull: { roles: role.name } });
+
+    logger.info(`Role ${role.name} deleted; removed from ${result.modifiedCount} user(s)`);
+
+    return result.modifiedCount;
+}
+
+/**
+ * Replace the custom roles assigned to a user
+ * @param {string} userId - User ID
+ * @param {string[]} roleNames - Roles to assign; an empty list removes all
+ * @param {string} assignedBy - Admin making the change
+ * @returns {Promise<Object>} The updated user
+ */
+async function assignRoles(userId, roleNames, assignedBy) {
+    const names = [...new Set(roleNames.map((name) => name.toLowerCase()))];
+
+    const found = await Role.find({ name: { $in: names } }).select('name').lean();
+    const missing = names.filter((name) => !found.some((role) => role.name === name));
+    if (missing.length > 0) {
+        const error = permissionError(`Unknown roles: ${missing.join(', ')}`, 'ROLE_NOT_FOUND');
+        error.unknown = missing;
+        throw error;
+    }
+
+    const user = mongoose.isValidObjectId(userId)
+        ? await User.findByIdAndUpdate(userId, { $set: { roles: names } }, { new: true })
+        : null;
+    if (!user) {
+        throw permissionError('User not found', 'USER_NOT_FOUND');
+    }
+
+    logger.info(`Roles of ${user.email} set to [${names.join(', ')}] by ${assignedBy}`);
+
+    return user;
+}
+
+module.exports = {
+    getPermissions,
+    hasPermission,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignRoles,
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const PlatformSetting = require('../models/PlatformSetting');
+const { normalizeAddress } = require('./walletAuthService');
+
+const REQUIRE_VERIFIED_RECIPIENTS = 'requireVerifiedRecipients';
+
+/**
+ * Whether vouchers and transfers may only go to verified users
+ * @returns {Promise<boolean>} Policy state; off unless an admin enables it
+ */
+async function isEnforced() {
+    return !!await PlatformSetting.getValue(REQUIRE_VERIFIED_RECIPIENTS, false);
+}
+
+/**
+ * Turn the verified-recipient policy on or off
+ * @param {boolean} enabled - New policy state
+ * @param {string} updatedBy - Admin changing the policy
+ * @returns {Promise<boolean>} The new state
+ */
+async function setEnforced(enabled, updatedBy) {
+    await PlatformSetting.setValue(REQUIRE_VERIFIED_RECIPIENTS, !!enabled, updatedBy);
+    return !!enabled;
+}
+
+/**
+ * Find addresses that do not belong to a user with a verified email and a verified wallet
+ * @param {string[]} addresses - Recipient wallet addresses
+ * @returns {Promise<string[]>} The addresses that fail the policy, as given
+ */
+async function findUnverifiedRecipients(addresses) {
+    const normalized = addresses.map(normalizeAddress);
+
+    const verifiedUsers = await User.find({
+        walletAddress: { $in: [...new Set(normalized)] },
+        walletVerifiedAt: { $exists: true },
+        isVerified: true,
+    }).select('walletAddress').lean();
+
+    const verified = new Set(verifiedUsers.map((user) => user.walletAddress));
+    return addresses.filter((address, index) => !verified.has(normalized[index]));
+}
+
+/**
+ * Reject recipients that are not verified users while the policy is enforced
+ * @param {string[]} addresses - Recipient wallet addresses
+ * @returns {Promise<void>}
+ */
+async function assertRecipientsVerified(addresses) {
+    if (!await isEnforced()) {
+        return;
+    }
+
+    const unverified = await findUnverifiedRecipients(addresses);
+    if (unverified.length > 0) {
+        const error = new Error('Recipients must be users with a verified email and wallet');
+        error.code = 'RECIPIENT_UNVERIFIED';
+        error.unverified = unverified;
+        throw error;
+    }
+}
+
+module.exports = {
+    isEnforced,
+    setEnforced,
+    findUnverifiedRecipients,
+    assertRecipientsVerified,
+};
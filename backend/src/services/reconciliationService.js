@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { suiClient, PACKAGE_ID, REGISTRY_ID } = require('../config/sui');
+const { handleVoucherMinted, handleVoucherRedemption } = require('../queues/eventProcessor');
+const { generateVoucherQrCode } = require('./voucherService');
+const Voucher = require('../models/Voucher');
+const Redemption = require('../models/Redemption');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { logger } = require('../utils/logger');
+
+const VOUCHER_PACKAGE_ID = process.env.VOUCHER_PACKAGE_ID || PACKAGE_ID;
+const BATCH_SIZE = 50;
+
+let isRunning = false;
+
+/**
+ * Start a reconciliation run in the background
+ * @param {Object} options - Run options
+ * @param {boolean} [options.autoRepair] - Repair safe discrepancies
+ * @param {string} [options.trigger] - 'scheduled' or 'manual'
+ * @param {string} [options.initiatedBy] - User who requested the run
+ * @returns {Promise<Object>} The report, in 'running' status
+ */
+async function startReconciliation(options = {}) {
+    if (isRunning) {
+        const error = new Error('A reconciliation run is already in progress');
+        error.code = 'RECONCILIATION_IN_PROGRESS';
+        throw error;
+    }
+
+    isRunning = true;
+
+    let report;
+    try {
+        report = await ReconciliationReport.create({
+            reportId: `RECON_${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+            trigger: options.trigger || 'manual',
+            autoRepair: !!options.autoRepair,
+            initiatedBy: options.initiatedBy,
+        });
+    } catch (error) {
+        isRunning = false;
+        throw error;
+    }
+
+    const completion = executeReconciliation(report).finally(() => {
+        isRunning = false;
+    });
+
+    return { report, completion };
+}
+
+/**
+ * Run a full reconciliation and wait for it to finish
+ * @param {Object} options - Run options, see startReconciliation
+ * @returns {Promise<Object>} The finished report
+ */
+async function runReconciliation(options = {}) {
+    const { completion } = await startReconciliation(options);
+    return completion;
+}
+
+async function executeReconciliation(report) {
+    logger.info(`Reconciliation ${report.reportId} started (autoRepair: ${report.autoRepair})`);
+
+    try {
+        await reconcileVouchers(report);
+        await reconcileRedemptions(report);
+        await reconcileChainEvents(report);
+        await report.complete();
+
+        logger.info(`Reconciliation ${report.reportId} completed`, {
+            discrepancies: report.summary.discrepancies,
+            repaired: report.summary.repaired
+        });
+    } catch (error) {
+        logger.error(`Reconciliation ${report.reportId} failed:`, error);
+        await report.fail(error);
+    }
+
+    return report;
+}
+
+// Compare every tracked voucher with its on-chain object
+async function reconcileVouchers(report) {
+    const cursor = Voucher.find({}).sort({ _id: 1 }).cursor({ batchSize: BATCH_SIZE });
+    let batch = [];
+
+    for await (const voucher of cursor) {
+        batch.push(voucher);
+        if (batch.length === BATCH_SIZE) {
+            await checkVoucherBatch(report, batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        await checkVoucherBatch(report, batch);
+    }
+}
+
+async function checkVoucherBatch(report, vouchers) {
+    const objects = await suiClient.multiGetObjects({
+        ids: vouchers.map(v => v.voucherId),
+        options: { showContent: true },
+    });
+
+    for (let i = 0; i < vouchers.length; i++) {
+        await checkVoucher(report, vouchers[i], objects[i]);
+        report.summary.vouchersChecked += 1;
+    }
+}
+
+async function checkVoucher(report, voucher, object) {
+    const dbActive = ['active', 'partially_redeemed'].includes(voucher.status);
+
+    if (!object?.data) {
+        const code = object?.error?.code;
+
+        if (code === 'deleted') {
+            // Redeemed (consumed) on-chain
+            if (dbActive) {
+                const redemption = await Redemption.findOne({ voucherObjectId: voucher.voucherId });
+                await recordDiscrepancy(report, {
+                    type: 'redeemed_but_active',
+                    entity: 'voucher',
+                    voucherId: voucher.voucherId,
+                    expected: { status: 'fully_redeemed' },
+                    actual: { status: voucher.status },
+                    // Only safe when we hold the redemption record explaining the deletion
+                    repairable: !!redemption,
+                }, async () => {
+                    voucher.status = 'fully_redeemed';
+                    voucher.remainingAmount = 0;
+                    await voucher.save();
+                });
+            }
+            return;
+        }
+
+        await recordDiscrepancy(report, {
+            type: 'missing_on_chain',
+            entity: 'voucher',
+            voucherId: voucher.voucherId,
+            transactionDigest: voucher.transactionDigest,
+            actual: { status: voucher.status },
+        });
+        return;
+    }
+
+    if (!dbActive) {
+        if (voucher.status === 'fully_redeemed') {
+            await recordDiscrepancy(report, {
+                type: 'redeemed_but_active',
+                entity: 'voucher',
+                voucherId: voucher.voucherId,
+                expected: { status: 'active' },
+                actual: { status: voucher.status },
+            });
+        }
+        return;
+    }
+
+    // Vouchers are shared objects; the holder is tracked in issued_to
+    const fields = object.data.content?.fields || {};
+    const owner = fields.issued_to;
+    if (owner && owner !== voucher.recipient) {
+        await recordDiscrepancy(report, {
+            type: 'owner_mismatch',
+            entity: 'voucher',
+            voucherId: voucher.voucherId,
+            expected: { owner },
+            actual: { owner: voucher.recipient },
+            repairable: true,
+        }, async () => {
+            voucher.recipient = owner;
+            const { signature, qrPayload, qrCodeData } = await generateVoucherQrCode({
+                voucherId: voucher.voucherId,
+                voucherType: voucher.voucherType,
+                amount: voucher.remainingAmount,
+                recipient: owner,
+                merchantId: voucher.merchantId,
+                expiryTimestamp: voucher.expiryTimestamp,
+            });
+            voucher.signature = signature;
+            voucher.qrPayload = qrPayload;
+            voucher.qrCodeData = qrCodeData;
+            await voucher.save();
+        });
+    }
+
+    if (fields.amount === undefined) {
+        return;
+    }
+
+    let onChainAmount = Number(fields.amount);
+    if (onChainAmount !== voucher.remainingAmount) {
+        // Top-ups wait on the registry until the voucher is next redeemed or split, while
+        // the DB applies them straight away
+        onChainAmount += await getPendingTopUp(voucher.voucherId);
+    }
+
+    if (onChainAmount !== voucher.remainingAmount) {
+        await recordDiscrepancy(report, {
+            type: 'amount_mismatch',
+            entity: 'voucher',
+            voucherId: voucher.voucherId,
+            expected: { remainingAmount: onChainAmount },
+            actual: { remainingAmount: voucher.remainingAmount },
+            repairable: onChainAmount <= voucher.originalAmount,
+        }, async () => {
+            voucher.remainingAmount = onChainAmount;
+            voucher.status = onChainAmount < voucher.originalAmount ? 'partially_redeemed' : 'active';
+            await voucher.save();
+        });
+    }
+}
+
+// Value added by top-ups not yet folded into the voucher object
+async function getPendingTopUp(voucherId) {
+    const field = await suiClient.getDynamicFieldObject({
+        parentId: REGISTRY_ID,
+        name: {
+            type: `${PACKAGE_ID}::voucher_system::AmendmentKey`,
+            value: { voucher_id: voucherId },
+        },
+    });
+
+    return Number(field?.data?.content?.fields?.value?.fields?.top_up || 0);
+}
+
+// Confirm every recorded redemption has a successful transaction behind it
+async function reconcileRedemptions(report) {
+    const cursor = Redemption.find({}).sort({ _id: 1 }).cursor({ batchSize: BATCH_SIZE });
+
+    for await (const redemption of cursor) {
+        report.summary.redemptionsChecked += 1;
+
+        let status;
+        try {
+            const txn = await suiClient.getTransactionBlock({
+                digest: redemption.transactionDigest,
+                options: { showEffects: true },
+            });
+            status = txn.effects?.status?.status;
+        } catch (error) {
+            status = null;
+        }
+
+        if (status !== 'success') {
+            await recordDiscrepancy(report, {
+                type: 'missing_on_chain',
+                entity: 'redemption',
+                voucherId: redemption.voucherObjectId,
+                transactionDigest: redemption.transactionDigest,
+                expected: { status: 'success' },
+                actual: { status: status || 'not_found' },
+            });
+        }
+    }
+}
+
+// Walk mint and redemption events to find chain state the database never recorded
+async function reconcileChainEvents(report) {
+    await walkEvents('VoucherMinted', async (event) => {
+        const voucherId = event.parsedJson.voucher_id;
+        if (await Voucher.exists({ voucherId })) {
+            return;
+        }
+        await recordDiscrepancy(report, {
+            type: 'missing_in_db',
+            entity: 'voucher',
+            voucherId,
+            transactionDigest: event.id.txDigest,
+            expected: { amount: Number(event.parsedJson.amount), recipient: event.parsedJson.recipient },
+            repairable: true,
+        }, () => handleVoucherMinted(toEventJob(event)));
+    }, report);
+
+    await walkEvents('VoucherRedeemed', async (event) => {
+        const exists = await Redemption.exists({ transactionDigest: event.id.txDigest });
+        if (exists) {
+            return;
+        }
+        await recordDiscrepancy(report, {
+            type: 'missing_in_db',
+            entity: 'redemption',
+            voucherId: event.parsedJson.voucher_id,
+            transactionDigest: event.id.txDigest,
+            expected: { amount: Number(event.parsedJson.amount), merchantId: event.parsedJson.merchant_id },
+            repairable: true,
+        }, () => handleVoucherRedemption(toEventJob(event)));
+    }, report);
+}
+
+async function walkEvents(eventName, visit, report) {
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const page = await suiClient.queryEvents({
+            query: { MoveEventType: `${VOUCHER_PACKAGE_ID}::voucher_system::${eventName}` },
+            cursor,
+            limit: BATCH_SIZE,
+            order: 'ascending',
+        });
+
+        for (const event of page.data) {
+            await visit(event);
+            report.summary.eventsChecked += 1;
+        }
+
+        cursor = page.nextCursor;
+        hasNextPage = page.hasNextPage && page.data.length > 0;
+    }
+}
+
+// Same shape the indexer queues, so the event handlers can be reused for repairs
+function toEventJob(event) {
+    return {
+        eventType: event.type.split('::')[2],
+        eventId: event.id,
+        timestampMs: event.timestampMs,
+        sender: event.sender,
+        data: {
+            ...event.parsedJson,
+            transactionId: event.id.txDigest
+        }
+    };
+}
+
+async function recordDiscrepancy(report, discrepancy, repair) {
+    if (report.autoRepair && discrepancy.repairable && repair) {
+        try {
+            await repair();
+            discrepancy.repaired = true;
+            logger.info(`Repaired ${discrepancy.type} for ${discrepancy.voucherId || discrepancy.transactionDigest}`);
+        } catch (error) {
+            discrepancy.repairError = error.message;
+            logger.error(`Failed to repair ${discrepancy.type} for ${discrepancy.voucherId}:`, error);
+        }
+    }
+
+    report.addDiscrepancy(discrepancy);
+}
+
+module.exports = {
+    startReconciliation,
+    runReconciliation,
+};
@@ -0,0 +1,119 @@
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { PACKAGE_ID, REGISTRY_ID } = require('../config/sui');
+const { executeAsMerchant } = require('../utils/merchantKeyManager');
+const notificationManager = require('../utils/notificationManager');
+const webhookService = require('./webhookService');
+const { logger } = require('../utils/logger');
+const Redemption = require('../models/Redemption');
+const Merchant = require('../models/Merchant');
+const Voucher = require('../models/Voucher');
+
+/**
+ * Redeem a voucher in full on-chain and record the redemption
+ * @param {Object} params - Redemption details
+ * @param {string} params.merchantId - Redeeming merchant
+ * @param {Object} params.payload - Verified QR payload (voucherId, voucherType, amount, recipient)
+ * @param {Date} [params.redeemedAt] - When the voucher was presented (offline terminals)
+ * @param {boolean} [params.offline] - Redemption was queued by an offline terminal
+ * @returns {Promise<Object>} Saved redemption, transaction digest and merchant
+ */
+async function redeemVoucher({ merchantId, payload, redeemedAt, offline = false }) {
+    const voucher = await Voucher.findOne({ voucherId: payload.voucherId }).select('status remainingAmount');
+    if (voucher?.status === 'cancelled') {
+        const error = new Error('Voucher has been revoked');
+        error.code = 'VOUCHER_REVOKED';
+        throw error;
+    }
+    if (voucher?.status === 'expired') {
+        const error = new Error('Voucher has expired');
+        error.code = 'VOUCHER_EXPIRED';
+        throw error;
+    }
+
+    const merchant = await Merchant.findOne({ merchantId });
+    if (!merchant?.onChainObjectId) {
+        logger.error('Merchant has no on-chain object', { merchantId });
+        const error = new Error('Merchant not registered on-chain');
+        error.code = 'MERCHANT_NOT_ON_CHAIN';
+        throw error;
+    }
+
+    // Signed by the merchant's key with platform-sponsored gas
+    const tx = new TransactionBlock();
+    tx.moveCall({
+        target: `${PACKAGE_ID}::voucher_system::redeem_voucher`,
+        arguments: [
+            tx.object(REGISTRY_ID),
+            tx.object(merchant.onChainObjectId),
+            tx.object(payload.voucherId),
+        ],
+    });
+
+    const result = await executeAsMerchant(merchantId, tx, { showEvents: true });
+
+    // The QR carries the mint-time amount; the chain redeems what is left, top-ups included
+    const redeemedEvent = result.events?.find(e => e.type.endsWith('::voucher_system::VoucherRedeemed'));
+    const amount = redeemedEvent
+        ? Number(redeemedEvent.parsedJson.amount)
+        : voucher?.remainingAmount ?? payload.amount;
+
+    const redemption = new Redemption({
+        voucherObjectId: payload.voucherId,
+        transactionDigest: result.digest,
+        merchantId,
+        voucherType: payload.voucherType,
+        amount,
+        redeemedBy: payload.recipient,
+        signedBy: result.signerAddress,
+        qrNonce: payload.nonce,
+        offline,
+        ...(redeemedAt && { redeemedAt }),
+    });
+    await redemption.save();
+
+    await Voucher.updateOne(
+        { voucherId: payload.voucherId },
+        { status: 'fully_redeemed', remainingAmount: 0 }
+    );
+
+    await Merchant.findOneAndUpdate(
+        { merchantId },
+        { $inc: { totalRedemptions: 1 } }
+    );
+
+    await webhookService.publishRedemption(redemption);
+
+    try {
+        await notificationManager.sendNotification(payload.recipient, 'redemption_confirmation', {
+            voucherId: payload.voucherId,
+            voucherType: payload.voucherType,
+            amount,
+            merchantName: merchant.name,
+            redemptionDate: (redeemedAt || new Date()).toLocaleDateString(),
+            transactionId: result.digest
+        });
+    } catch (notificationError) {
+        logger.error('Failed to send redemption notification:', notificationError);
+        // Don't fail the transaction for notification errors
+    }
+
+    return {
+        redemption,
+        transactionDigest: result.digest,
+        merchant,
+    };
+}
+
+/**
+ * Find the full redemption already recorded for a voucher, if any
+ * @param {string} voucherId - Voucher object ID
+ * @returns {Promise<Object|null>} Existing redemption
+ */
+function findFullRedemption(voucherId) {
+    return Redemption.findOne({ voucherObjectId: voucherId, isPartial: { $ne: true } });
+}
+
+module.exports = {
+    redeemVoucher,
+    findFullRedemption,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateTokens, JWT_SECRET } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+function sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The session lives as long as its newest refresh token
+function expiryOf(token) {
+    return new Date(jwt.decode(token).exp * 1000);
+}
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} [meta] - Request details shown in the session list
+ * @param {string} [meta.userAgent] - User-Agent header
+ * @param {string} [meta.ipAddress] - Client IP
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+async function createSession(user, { userAgent, ipAddress } = {}) {
+    const session = new Session({ userId: user._id, userAgent, ipAddress });
+
+    const { accessToken, refreshToken } = generateTokens(user._id, user.role, session._id.toString());
+    session.tokenHash = hashToken(refreshToken);
+    session.expiresAt = expiryOf(refreshToken);
+    await session.save();
+
+    return { accessToken, refreshToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new token pair, invalidating the one presented
+ * Presenting a token that was already rotated out revokes the whole session,
+ * since either the holder or an attacker has a copy.
+ * @param {string} refreshToken - Current refresh token
+ * @param {Object} [meta] - Request details, as for createSession
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+async function rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+    const decoded = jwt.verify(refreshToken, JWT_SECRET);
+
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+        throw sessionError('Invalid token type', 'INVALID_TOKEN');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+        throw sessionError('User not found', 'INVALID_TOKEN');
+    }
+
+    const next = generateTokens(user._id, user.role, decoded.sid);
+    const update = {
+        tokenHash: hashToken(next.refreshToken),
+        expiresAt: expiryOf(next.refreshToken),
+        lastUsedAt: new Date(),
+    };
+    if (userAgent) update.userAgent = userAgent;
+    if (ipAddress) update.ipAddress = ipAddress;
+
+    // Matching on the hash makes concurrent refreshes with the same token race safely
+    const session = await Session.findOneAndUpdate(
+        { _id: decoded.sid, userId: user._id, tokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: update },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOneAndUpdate(
+            { _id: decoded.sid, userId: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+        );
+        if (reused) {
+            logger.warn(`Refresh token reuse detected for ${user.email}; session ${decoded.sid} revoked`);
+            throw sessionError('Refresh token has already been used', 'TOKEN_REUSED');
+        }
+        throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    return { accessToken: next.accessToken, refreshToken: next.refreshToken, session };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Session documents
+ */
+async function listSessions(userId) {
+    return Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+}
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>} The revoked session
+ */
+async function revokeSession(userId, sessionId, reason) {
+    const session = mongoose.isValidObjectId(sessionId)
+        ? await Session.findOneAndUpdate(
+            { _id: sessionId, userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } },
+            { new: true }
+        )
+        : null;
+
+    if (!session) {
+        throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    return session;
+}
+
+/**
+ * End the session a refresh token belongs to, if it is the user's
+ * Expired tokens are accepted so clients can always log out.
+ * @param {string} userId - User ID
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeByRefreshToken(userId, refreshToken) {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, JWT_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+        return false;
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sid || String(decoded.userId) !== String(userId)) {
+        return false;
+    }
+
+    const result = await Session.updateOne(
+        { _id: decoded.sid, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * End all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} [options] - Options
+ * @param {string} [options.except] - Session to keep, e.g. the one changing the password
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { except } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) {
+        filter._id = { $ne: except };
+    }
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return result.modifiedCount;
+}
+
+module.exports = {
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeAllSessions,
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const qrcode = require('qrcode');
+const User = require('../models/User');
+const PlatformSetting = require('../models/PlatformSetting');
+const { encrypt, decrypt } = require('../utils/secureKeyManagement');
+const { logger } = require('../utils/logger');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step to allow for clock drift
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = 'ServicePass';
+
+const REQUIRE_TWO_FACTOR = 'requireTwoFactor';
+// Roles that must enrol once an admin makes 2FA mandatory, along with holders of any custom role
+const PRIVILEGED_ROLES = ['admin', 'merchant'];
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function twoFactorError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(encoded) {
+    let bits = '';
+    for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Compute the TOTP code for a secret at a time step (RFC 4226 dynamic truncation)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / 30)
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(at = Date.now()) {
+    return Math.floor(at / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Returns the matching time step, or null
+function matchTotp(secret, code, at = Date.now()) {
+    const now = currentStep(at);
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+function generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+async function loadWithSecrets(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+        throw twoFactorError('User not found', 'USER_NOT_FOUND');
+    }
+    return user;
+}
+
+/**
+ * Whether 2FA is mandatory for admins, merchants and custom role holders
+ * @returns {Promise<boolean>} Policy state; off unless an admin enables it
+ */
+async function isMandatory() {
+    return !!await PlatformSetting.getValue(REQUIRE_TWO_FACTOR, false);
+}
+
+/**
+ * Whether an admin has made 2FA mandatory for the user's role
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True when the user must have 2FA enabled
+ */
+async function isRequiredFor(user) {
+    const privileged = PRIVILEGED_ROLES.includes(user.role) || user.roles?.length > 0;
+    return privileged && await isMandatory();
+}
+
+/**
+ * Make 2FA mandatory (or optional again) for admins, merchants and custom role holders
+ * @param {boolean} enabled - New policy state
+ * @param {string} updatedBy - Admin changing the policy
+ * @returns {Promise<boolean>} The new state
+ */
+async function setRequired(enabled, updatedBy) {
+    await PlatformSetting.setValue(REQUIRE_TWO_FACTOR, !!enabled, updatedBy);
+    return !!enabled;
+}
+
+/**
+ * Check a TOTP or backup code for a user with 2FA enabled
+ * A TOTP code is rejected if its time step was already used; a backup code is consumed.
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code or backup code
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+async function verifyCode(userId, code) {
+    const user = await loadWithSecrets(userId);
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret || !code) {
+        return false;
+    }
+
+    const normalized = String(code).trim();
+
+    if (/^\d{6}$/.test(normalized)) {
+        const step = matchTotp(decrypt(user.twoFactor.secret), normalized);
+        if (step === null) {
+            return false;
+        }
+        // Conditional update so a code cannot be replayed, even by concurrent requests
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                    { 'twoFactor.lastUsedStep': { $exists: false } },
+                ],
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    const hash = hashBackupCode(normalized);
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (result.modifiedCount === 1) {
+        logger.warn(`Backup code used by ${user.email}`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Start enrolment: generate a secret for the user's authenticator app
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCodeData }
+ */
+async function startEnrollment(userId) {
+    const user = await loadWithSecrets(userId);
+    if (user.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    return {
+        secret,
+        otpauthUri,
+        qrCodeData: await qrcode.toDataURL(otpauthUri),
+    };
+}
+
+/**
+ * Finish enrolment by proving the authenticator app produces valid codes
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code from the app
+ * @returns {Promise<string[]>} Backup codes, shown to the user once
+ */
+async function confirmEnrollment(userId, code) {
+    const user = await loadWithSecrets(userId);
+    if (user.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw twoFactorError('Start two-factor setup first', 'SETUP_REQUIRED');
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = /^\d{6}$/.test(String(code).trim()) ? matchTotp(secret, String(code).trim()) : null;
+    if (step === null) {
+        throw twoFactorError('Invalid two-factor code', 'INVALID_CODE');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for ${user.email}`);
+
+    return codes;
+}
+
+/**
+ * Turn 2FA off, unless it is mandatory for the user's role
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<void>}
+ */
+async function disable(userId, code) {
+    const user = await loadWithSecrets(userId);
+    if (!user.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is not enabled', 'NOT_ENABLED');
+    }
+    if (await isRequiredFor(user)) {
+        throw twoFactorError('Two-factor authentication is required for your role', 'TWO_FACTOR_REQUIRED');
+    }
+    if (!await verifyCode(userId, code)) {
+        throw twoFactorError('Invalid two-factor code', 'INVALID_CODE');
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+
+    logger.info(`Two-factor authentication disabled for ${user.email}`);
+}
+
+/**
+ * Replace the user's backup codes
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<string[]>} New backup codes, shown to the user once
+ */
+async function regenerateBackupCodes(userId, code) {
+    if (!await verifyCode(userId, code)) {
+        throw twoFactorError('Invalid two-factor code', 'INVALID_CODE');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    return codes;
+}
+
+/**
+ * Summarise a user's 2FA state
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, backupCodesRemaining, required }
+ */
+async function getStatus(userId) {
+    const user = await loadWithSecrets(userId);
+    return {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        backupCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.backupCodes.length : 0,
+        required: await isRequiredFor(user),
+    };
+}
+
+module.exports = {
+    generateTotp,
+    isMandatory,
+    isRequiredFor,
+    setRequired,
+    verifyCode,
+    startEnrollment,
+    confirmEnrollment,
+    disable,
+    regenerateBackupCodes,
+    getStatus,
+    TOTP_STEP_SECONDS,
+};
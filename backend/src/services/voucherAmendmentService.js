@@ -0,0 +1,205 @@
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID, REGISTRY_ID } = require('../config/sui');
+const { executeTransactionWithRetry, BlockchainError } = require('../utils/blockchainRetry');
+const multiSigManager = require('../utils/multiSigManager');
+const { generateVoucherQrCode } = require('./voucherService');
+const { logger } = require('../utils/logger');
+const Voucher = require('../models/Voucher');
+const MultiSigOperation = require('../models/MultiSigOperation');
+
+// Top-ups of at least this much need multi-sig approval
+const TOP_UP_MULTISIG_THRESHOLD = parseInt(process.env.TOP_UP_MULTISIG_THRESHOLD) || 10000;
+
+const AMENDABLE_STATUSES = ['active', 'partially_redeemed'];
+
+function amendmentError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function findAmendableVoucher(voucherId) {
+    const voucher = await Voucher.findOne({ voucherId });
+
+    if (!voucher) {
+        throw amendmentError('Voucher not found', 'VOUCHER_NOT_FOUND');
+    }
+
+    if (!AMENDABLE_STATUSES.includes(voucher.status)) {
+        throw amendmentError(`Voucher is ${voucher.status} and cannot be amended`, 'VOUCHER_NOT_AMENDABLE');
+    }
+
+    return voucher;
+}
+
+async function executeAmendment(target, voucherId, value) {
+    const tx = new TransactionBlock();
+    tx.moveCall({
+        target: `${PACKAGE_ID}::voucher_system::${target}`,
+        arguments: [
+            tx.object(ADMIN_CAP_ID),
+            tx.object(REGISTRY_ID),
+            tx.pure(voucherId),
+            tx.pure(value),
+        ],
+    });
+
+    const result = await executeTransactionWithRetry(suiClient, {
+        signer: getAdminKeypair(),
+        transactionBlock: tx,
+        options: {
+            showEffects: true,
+        }
+    });
+
+    if (result.effects?.status?.status !== 'success') {
+        throw new BlockchainError(
+            `Amendment transaction ${result.digest} failed on-chain`,
+            new Error(result.effects?.status?.error || 'Unknown execution error')
+        );
+    }
+
+    return result;
+}
+
+// The signed QR token carries amount and expiry, so it must be reissued after an amendment
+async function refreshQrCode(voucher) {
+    const { signature, qrPayload, qrCodeData } = await generateVoucherQrCode({
+        voucherId: voucher.voucherId,
+        voucherType: voucher.voucherType,
+        amount: voucher.remainingAmount,
+        recipient: voucher.recipient,
+        merchantId: voucher.merchantId,
+        expiryTimestamp: voucher.expiryTimestamp,
+    });
+    voucher.signature = signature;
+    voucher.qrPayload = qrPayload;
+    voucher.qrCodeData = qrCodeData;
+    return voucher.save();
+}
+
+/**
+ * Extend a voucher's expiry on-chain and record the amendment
+ * @param {Object} params - Extension request
+ * @param {string} params.voucherId - Voucher object ID
+ * @param {number} params.expiryTimestamp - New expiry in milliseconds, later than the current one
+ * @param {string} params.reason - Why the voucher is being extended
+ * @param {string} params.requestedBy - Admin requesting the extension
+ * @returns {Promise<Object>} Transaction digest and the voucher's new expiry
+ */
+async function extendVoucher({ voucherId, expiryTimestamp, reason, requestedBy }) {
+    const voucher = await findAmendableVoucher(voucherId);
+
+    if (voucher.expiryTimestamp && expiryTimestamp <= voucher.expiryTimestamp) {
+        throw amendmentError('New expiry must be later than the current expiry', 'INVALID_EXPIRY');
+    }
+
+    const result = await executeAmendment('extend_voucher', voucherId, expiryTimestamp);
+
+    const updated = await Voucher.recordExtension(voucherId, {
+        expiryTimestamp,
+        reason,
+        amendedBy: requestedBy,
+        transactionDigest: result.digest,
+    }) || await Voucher.findOne({ voucherId });
+
+    await refreshQrCode(updated);
+
+    logger.info(`Voucher ${voucherId} extended to ${new Date(expiryTimestamp).toISOString()}`, {
+        transactionDigest: result.digest,
+        requestedBy
+    });
+
+    return { transactionDigest: result.digest, expiryTimestamp: updated.expiryTimestamp };
+}
+
+/**
+ * Request a top-up, executing immediately below the multi-sig threshold
+ * @param {Object} params - Top-up request
+ * @param {string} params.voucherId - Voucher object ID
+ * @param {number} params.amount - Value to add
+ * @param {string} params.reason - Why value is being added
+ * @param {string} params.requestedBy - Admin requesting the top-up
+ * @returns {Promise<Object>} { pending, operation } or { pending, result }
+ */
+async function requestTopUp({ voucherId, amount, reason, requestedBy }) {
+    await findAmendableVoucher(voucherId);
+
+    const operationData = { voucherId, amount, reason, requestedBy };
+
+    if (amount >= TOP_UP_MULTISIG_THRESHOLD) {
+        const pendingOperation = await MultiSigOperation.findOne({
+            operationType: 'top_up_voucher',
+            status: { $in: ['pending', 'approved', 'executing'] },
+            'operationData.voucherId': voucherId
+        });
+        if (pendingOperation) {
+            throw amendmentError(
+                `Top-up already awaiting approval in operation ${pendingOperation.operationId}`,
+                'TOP_UP_PENDING'
+            );
+        }
+
+        const operation = await multiSigManager.createOperation({
+            operationType: 'top_up_voucher',
+            operationData,
+            createdBy: requestedBy,
+            notes: `Top up voucher ${voucherId} by ${amount}: ${reason}`,
+            priority: 'high'
+        });
+
+        logger.info(`Top-up of voucher ${voucherId} awaiting multi-sig approval`, { operationId: operation.operationId });
+
+        return { pending: true, operation };
+    }
+
+    const result = await executeTopUp(operationData);
+    return { pending: false, result };
+}
+
+/**
+ * Add value to a voucher on-chain and record the amendment; executor for `top_up_voucher` operations
+ * @param {Object} operationData - Top-up details
+ * @param {string} operationData.voucherId - Voucher to top up
+ * @param {number} operationData.amount - Value to add
+ * @param {string} operationData.reason - Top-up reason
+ * @param {string} operationData.requestedBy - Admin who requested the top-up
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.operationId] - Approving multi-sig operation
+ * @returns {Promise<Object>} Transaction digest and the voucher's new balances
+ */
+async function executeTopUp({ voucherId, amount, reason, requestedBy }, options = {}) {
+    // Re-checked because the voucher may have been redeemed while awaiting approval
+    await findAmendableVoucher(voucherId);
+
+    const result = await executeAmendment('top_up_voucher', voucherId, amount);
+
+    const updated = await Voucher.recordTopUp(voucherId, {
+        amount,
+        reason,
+        amendedBy: requestedBy,
+        operationId: options.operationId,
+        transactionDigest: result.digest,
+    }) || await Voucher.findOne({ voucherId });
+
+    await refreshQrCode(updated);
+
+    logger.info(`Voucher ${voucherId} topped up by ${amount}`, {
+        transactionDigest: result.digest,
+        requestedBy,
+        operationId: options.operationId
+    });
+
+    return {
+        transactionDigest: result.digest,
+        originalAmount: updated.originalAmount,
+        remainingAmount: updated.remainingAmount
+    };
+}
+
+module.exports = {
+    extendVoucher,
+    requestTopUp,
+    executeTopUp,
+    TOP_UP_MULTISIG_THRESHOLD,
+};
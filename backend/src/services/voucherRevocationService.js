@@ -0,0 +1,167 @@
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID, REGISTRY_ID } = require('../config/sui');
+const { executeTransactionWithRetry, BlockchainError } = require('../utils/blockchainRetry');
+const multiSigManager = require('../utils/multiSigManager');
+const notificationManager = require('../utils/notificationManager');
+const { logger } = require('../utils/logger');
+const Voucher = require('../models/Voucher');
+const VoucherTransfer = require('../models/VoucherTransfer');
+const MultiSigOperation = require('../models/MultiSigOperation');
+
+// Vouchers worth at least this much need multi-sig approval to revoke
+const REVOCATION_MULTISIG_THRESHOLD = parseInt(process.env.REVOCATION_MULTISIG_THRESHOLD) || 10000;
+
+const REVOCABLE_STATUSES = ['active', 'partially_redeemed'];
+
+function revocationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Request revocation of a voucher, revoking immediately below the multi-sig threshold
+ * @param {Object} params - Revocation request
+ * @param {string} params.voucherId - Voucher object ID
+ * @param {string} params.reason - Why the voucher is being pulled back
+ * @param {string} params.requestedBy - Admin requesting the revocation
+ * @returns {Promise<Object>} { pending, operation } or { pending, result }
+ */
+async function requestRevocation({ voucherId, reason, requestedBy }) {
+    const voucher = await Voucher.findOne({ voucherId });
+
+    if (!voucher) {
+        throw revocationError('Voucher not found', 'VOUCHER_NOT_FOUND');
+    }
+
+    if (!REVOCABLE_STATUSES.includes(voucher.status)) {
+        throw revocationError(`Voucher is ${voucher.status} and cannot be revoked`, 'VOUCHER_NOT_REVOCABLE');
+    }
+
+    const pendingOperation = await MultiSigOperation.findOne({
+        operationType: 'delete_vouchers',
+        status: { $in: ['pending', 'approved', 'executing'] },
+        'operationData.voucherIds': voucherId
+    });
+    if (pendingOperation) {
+        throw revocationError(
+            `Revocation already awaiting approval in operation ${pendingOperation.operationId}`,
+            'REVOCATION_PENDING'
+        );
+    }
+
+    const operationData = { voucherIds: [voucherId], reason, requestedBy };
+
+    if (voucher.remainingAmount >= REVOCATION_MULTISIG_THRESHOLD) {
+        const operation = await multiSigManager.createOperation({
+            operationType: 'delete_vouchers',
+            operationData,
+            createdBy: requestedBy,
+            notes: `Revoke voucher ${voucherId} (${voucher.remainingAmount}): ${reason}`,
+            priority: 'high'
+        });
+
+        logger.info(`Revocation of voucher ${voucherId} awaiting multi-sig approval`, { operationId: operation.operationId });
+
+        return { pending: true, operation };
+    }
+
+    const result = await executeRevocation(operationData);
+    return { pending: false, result };
+}
+
+/**
+ * Revoke vouchers on-chain and mark them cancelled; executor for `delete_vouchers` operations
+ * @param {Object} operationData - Revocation details
+ * @param {string[]} operationData.voucherIds - Vouchers to revoke
+ * @param {string} operationData.reason - Revocation reason
+ * @param {string} operationData.requestedBy - Admin who requested the revocation
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.operationId] - Approving multi-sig operation
+ * @returns {Promise<Object>} Transaction digest and revoked voucher IDs
+ */
+async function executeRevocation({ voucherIds, reason, requestedBy }, options = {}) {
+    const vouchers = await Voucher.find({ voucherId: { $in: voucherIds } });
+
+    const revocable = vouchers.filter(v => REVOCABLE_STATUSES.includes(v.status));
+    const skipped = voucherIds.filter(id => !revocable.some(v => v.voucherId === id));
+
+    if (revocable.length === 0) {
+        throw revocationError('No revocable vouchers in operation', 'VOUCHER_NOT_REVOCABLE');
+    }
+
+    const adminKeypair = getAdminKeypair();
+    const tx = new TransactionBlock();
+
+    revocable.forEach((voucher) => {
+        tx.moveCall({
+            target: `${PACKAGE_ID}::voucher_system::revoke_voucher`,
+            arguments: [
+                tx.object(ADMIN_CAP_ID),
+                tx.object(REGISTRY_ID),
+                tx.pure(voucher.voucherId),
+                tx.pure(Array.from(Buffer.from(reason))),
+            ],
+        });
+    });
+
+    const result = await executeTransactionWithRetry(suiClient, {
+        signer: adminKeypair,
+        transactionBlock: tx,
+        options: {
+            showEffects: true,
+        }
+    });
+
+    if (result.effects?.status?.status !== 'success') {
+        throw new BlockchainError(
+            `Revocation transaction ${result.digest} failed on-chain`,
+            new Error(result.effects?.status?.error || 'Unknown execution error')
+        );
+    }
+
+    for (const voucher of revocable) {
+        await voucher.revoke({
+            reason,
+            revokedBy: requestedBy,
+            transactionDigest: result.digest,
+            operationId: options.operationId
+        });
+
+        // Transfers queued before the revocation must not go through
+        await VoucherTransfer.updateMany(
+            { voucherId: voucher.voucherId, status: { $in: ['pending', 'approved'] } },
+            { status: 'rejected', rejectionReason: 'Voucher revoked' }
+        );
+
+        try {
+            await notificationManager.sendNotification(voucher.recipient, 'voucher_revoked', {
+                voucherId: voucher.voucherId,
+                voucherType: voucher.voucherType,
+                amount: voucher.remainingAmount,
+                reason,
+                revokedAt: voucher.revocation.revokedAt.toLocaleDateString()
+            });
+        } catch (notificationError) {
+            logger.error('Failed to send revocation notification:', notificationError);
+        }
+    }
+
+    logger.info(`Revoked ${revocable.length} voucher(s)`, {
+        transactionDigest: result.digest,
+        requestedBy,
+        skipped
+    });
+
+    return {
+        transactionDigest: result.digest,
+        revoked: revocable.map(v => v.voucherId),
+        skipped
+    };
+}
+
+module.exports = {
+    requestRevocation,
+    executeRevocation,
+    REVOCATION_MULTISIG_THRESHOLD,
+};
@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const qrcode = require('qrcode');
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID, REGISTRY_ID } = require('../config/sui');
+const { executeTransactionWithRetry } = require('../utils/blockchainRetry');
+const { logger } = require('../utils/logger');
+const Voucher = require('../models/Voucher');
+const recipientPolicyService = require('./recipientPolicyService');
+const webhookService = require('./webhookService');
+
+// Legacy HMAC secret, only used to verify QR codes issued before signed tokens.
+// Off unless explicitly enabled, and never without a configured secret.
+const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET;
+const QR_LEGACY_HMAC_ENABLED = process.env.QR_LEGACY_HMAC_ENABLED === 'true' && !!QR_SIGNING_SECRET;
+
+if (process.env.QR_LEGACY_HMAC_ENABLED === 'true' && !QR_SIGNING_SECRET) {
+    logger.warn('QR_LEGACY_HMAC_ENABLED is set but QR_SIGNING_SECRET is not; legacy QR codes will be rejected.');
+}
+
+const QR_TOKEN_VERSION = 2;
+const QR_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const QR_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Rotating codes: valid for the current step plus one step of drift
+const DYNAMIC_QR_VERSION = 3;
+const DYNAMIC_QR_STEP_MS = (parseInt(process.env.DYNAMIC_QR_STEP_SECONDS) || 60) * 1000;
+const DYNAMIC_QR_DRIFT_STEPS = 1;
+
+const qrSigningKey = loadQrSigningKey();
+const QR_PUBLIC_KEY_PEM = qrSigningKey.publicKey.export({ type: 'spki', format: 'pem' });
+const QR_KEY_ID = crypto.createHash('sha256')
+    .update(qrSigningKey.publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+function loadQrSigningKey() {
+    if (process.env.QR_SIGNING_PRIVATE_KEY) {
+        // Base64 encoded PKCS#8 DER Ed25519 private key
+        const privateKey = crypto.createPrivateKey({
+            key: Buffer.from(process.env.QR_SIGNING_PRIVATE_KEY, 'base64'),
+            format: 'der',
+            type: 'pkcs8',
+        });
+        return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('QR_SIGNING_PRIVATE_KEY must be set in production environment');
+    }
+
+    logger.warn('QR_SIGNING_PRIVATE_KEY not set; using an ephemeral key. Issued QR codes will not verify after a restart.');
+    return crypto.generateKeyPairSync('ed25519');
+}
+
+/**
+ * Sign a voucher QR payload with the legacy shared secret
+ * @param {Object} payload - Voucher fields embedded in the QR code
+ * @returns {string} Hex encoded HMAC signature
+ */
+function signVoucherPayload(payload) {
+    if (!QR_SIGNING_SECRET) {
+        throw new Error('QR_SIGNING_SECRET is not set');
+    }
+
+    return crypto.createHmac('sha256', QR_SIGNING_SECRET)
+        .update(JSON.stringify(payload))
+        .digest('hex');
+}
+
+/**
+ * Build an Ed25519 signed voucher token that merchant terminals can verify offline
+ * @param {Object} payload - Voucher fields embedded in the QR code
+ * @returns {Object} Token ({ v, kid, payload, signature }) and its signature
+ */
+function signVoucherToken(payload) {
+    const iat = Date.now();
+    const exp = payload.expiryTimestamp ? Number(payload.expiryTimestamp) : iat + QR_TOKEN_TTL_MS;
+
+    // The signature covers the exact payload string, so verifiers never re-serialize
+    const signedPayload = JSON.stringify({
+        ...payload,
+        nonce: crypto.randomBytes(16).toString('hex'),
+        iat,
+        exp,
+    });
+    const signature = crypto.sign(null, Buffer.from(signedPayload), qrSigningKey.privateKey).toString('base64');
+
+    return {
+        token: { v: QR_TOKEN_VERSION, kid: QR_KEY_ID, payload: signedPayload, signature },
+        signature,
+    };
+}
+
+/**
+ * Verify a signed voucher token
+ * @param {Object} token - Parsed QR token
+ * @param {Object} options - Verification options
+ * @param {number} [options.at] - Time the token was presented (defaults to now)
+ * @returns {Object} { valid, reason, payload }
+ */
+function verifyVoucherToken(token, options = {}) {
+    const at = options.at || Date.now();
+
+    if (token?.v !== QR_TOKEN_VERSION || typeof token.payload !== 'string' || typeof token.signature !== 'string') {
+        return { valid: false, reason: 'unsupported_token' };
+    }
+
+    if (token.kid !== QR_KEY_ID) {
+        return { valid: false, reason: 'unknown_key' };
+    }
+
+    const signatureValid = crypto.verify(
+        null,
+        Buffer.from(token.payload),
+        qrSigningKey.publicKey,
+        Buffer.from(token.signature, 'base64')
+    );
+    if (!signatureValid) {
+        return { valid: false, reason: 'invalid_signature' };
+    }
+
+    const payload = JSON.parse(token.payload);
+
+    if (payload.iat && at < payload.iat - QR_CLOCK_SKEW_MS) {
+        return { valid: false, reason: 'not_yet_valid', payload };
+    }
+
+    if (payload.exp && at > payload.exp) {
+        return { valid: false, reason: 'expired', payload };
+    }
+
+    return { valid: true, payload };
+}
+
+/**
+ * Verify a QR code issued before signed tokens (shared-secret HMAC)
+ * @param {Object} parsed - Parsed QR payload including its signature
+ * @returns {Object} { valid, reason, payload }
+ */
+function verifyLegacyVoucherPayload(parsed) {
+    if (!QR_LEGACY_HMAC_ENABLED) {
+        return { valid: false, reason: 'unsupported_token' };
+    }
+
+    const { signature, ...payload } = parsed;
+    const expectedSignature = signVoucherPayload(payload);
+
+    if (typeof signature !== 'string' || signature.length !== expectedSignature.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+        return { valid: false, reason: 'invalid_signature' };
+    }
+
+    return { valid: true, payload };
+}
+
+/**
+ * Build the signed QR code for a voucher
+ * @param {Object} payload - Voucher fields embedded in the QR code
+ * @returns {Promise<Object>} Signature, signed token string and base64 QR code image
+ */
+async function generateVoucherQrCode(payload) {
+    const { token, signature } = signVoucherToken(payload);
+    const qrPayload = JSON.stringify(token);
+    const qrCodeData = await qrcode.toDataURL(qrPayload);
+
+    return { signature, qrPayload, qrCodeData };
+}
+
+function computeDynamicQrCode(secret, voucherId, owner, step) {
+    return crypto.createHmac('sha256', Buffer.from(secret, 'hex'))
+        .update(`${voucherId}:${owner.toLowerCase()}:${step}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Load the voucher's rotating QR secret, creating it on first use
+async function getDynamicQrSecret(voucherId) {
+    const voucher = await Voucher.findOne({ voucherId }).select('+qrSecret');
+    if (!voucher || voucher.qrSecret) {
+        return voucher;
+    }
+
+    // Only set if still missing, so concurrent requests agree on one secret
+    await Voucher.updateOne(
+        { voucherId, qrSecret: { $exists: false } },
+        { qrSecret: crypto.randomBytes(32).toString('hex') }
+    );
+    return Voucher.findOne({ voucherId }).select('+qrSecret');
+}
+
+/**
+ * Issue a short-lived QR code bound to the voucher, its current owner and a time step
+ * @param {string} voucherId - Voucher object ID
+ * @returns {Promise<Object|null>} QR payload, QR code image and expiry, or null if the voucher is unknown
+ */
+async function issueDynamicQrCode(voucherId) {
+    const voucher = await getDynamicQrSecret(voucherId);
+    if (!voucher) {
+        return null;
+    }
+
+    const step = Math.floor(Date.now() / DYNAMIC_QR_STEP_MS);
+    const qrPayload = JSON.stringify({
+        v: DYNAMIC_QR_VERSION,
+        voucherId,
+        owner: voucher.recipient,
+        step,
+        code: computeDynamicQrCode(voucher.qrSecret, voucherId, voucher.recipient, step),
+    });
+    const qrCodeData = await qrcode.toDataURL(qrPayload);
+
+    return {
+        qrPayload,
+        qrCodeData,
+        expiresAt: new Date((step + 1) * DYNAMIC_QR_STEP_MS),
+        refreshInterval: DYNAMIC_QR_STEP_MS / 1000,
+    };
+}
+
+/**
+ * Verify a rotating QR code against the voucher's current owner and time step
+ * @param {Object} parsed - Parsed QR payload
+ * @param {Object} options - Verification options
+ * @param {number} [options.at] - Time the code was presented (defaults to now)
+ * @returns {Promise<Object>} { valid, reason, payload }
+ */
+async function verifyDynamicQrPayload(parsed, options = {}) {
+    const { voucherId, owner, step, code } = parsed;
+
+    if (parsed.v !== DYNAMIC_QR_VERSION || typeof voucherId !== 'string' || typeof owner !== 'string' ||
+        !Number.isInteger(step) || typeof code !== 'string') {
+        return { valid: false, reason: 'unsupported_token' };
+    }
+
+    const voucher = await Voucher.findOne({ voucherId }).select('+qrSecret');
+    if (!voucher?.qrSecret) {
+        return { valid: false, reason: 'invalid_signature' };
+    }
+
+    const expectedCode = computeDynamicQrCode(voucher.qrSecret, voucherId, owner, step);
+    if (code.length !== expectedCode.length ||
+        !crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expectedCode))) {
+        return { valid: false, reason: 'invalid_signature' };
+    }
+
+    const currentStep = Math.floor((options.at || Date.now()) / DYNAMIC_QR_STEP_MS);
+    if (step > currentStep || step < currentStep - DYNAMIC_QR_DRIFT_STEPS) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    // Codes issued before a transfer stop working once the voucher changes hands
+    if (owner.toLowerCase() !== voucher.recipient.toLowerCase()) {
+        return { valid: false, reason: 'owner_mismatch' };
+    }
+
+    return {
+        valid: true,
+        payload: {
+            voucherId,
+            voucherType: voucher.voucherType,
+            amount: voucher.remainingAmount,
+            recipient: voucher.recipient,
+            merchantId: voucher.merchantId,
+            nonce: code,
+        },
+    };
+}
+
+/**
+ * Public key merchant terminals use to verify QR tokens offline
+ * @returns {Object} Key ID, algorithm and PEM encoded public key
+ */
+function getQrPublicKey() {
+    return {
+        keyId: QR_KEY_ID,
+        algorithm: 'Ed25519',
+        publicKey: QR_PUBLIC_KEY_PEM,
+    };
+}
+
+/**
+ * Mint a voucher on-chain via `mint_voucher` and persist it with a signed QR code
+ * @param {Object} voucherData - Voucher details
+ * @param {string|number} voucherData.voucherType - Voucher type
+ * @param {number} voucherData.amount - Voucher amount
+ * @param {string} voucherData.recipient - Recipient wallet address
+ * @param {string} voucherData.merchantId - Merchant the voucher is valid at
+ * @param {number} [voucherData.expiryTimestamp] - Expiry timestamp
+ * @param {string} [voucherData.metadata] - Free-form metadata stored on-chain
+ * @param {boolean} [voucherData.allowPartialRedemption] - Allow partial redemptions
+ * @param {Object} [voucherData.transferRestrictions] - Transfer restrictions
+ * @param {string} [voucherData.templateId] - Template the voucher was created from
+ * @returns {Promise<Object>} Saved voucher, object ID, transaction digest and QR code
+ * @throws {Error} RECIPIENT_UNVERIFIED when the verified-recipient policy rejects the recipient
+ */
+async function mintVoucher(voucherData) {
+    const {
+        voucherType,
+        amount,
+        recipient,
+        merchantId,
+        expiryTimestamp,
+        metadata,
+        allowPartialRedemption,
+        transferRestrictions,
+        templateId
+    } = voucherData;
+
+    await recipientPolicyService.assertRecipientsVerified([recipient]);
+
+    const adminKeypair = getAdminKeypair();
+    const tx = new TransactionBlock();
+
+    tx.moveCall({
+        target: `${PACKAGE_ID}::voucher_system::mint_voucher`,
+        arguments: [
+            tx.object(ADMIN_CAP_ID),
+            tx.object(REGISTRY_ID),
+            tx.pure(voucherType),
+            tx.pure(amount),
+            tx.pure(recipient),
+            tx.pure(Array.from(Buffer.from(merchantId))),
+            tx.pure(expiryTimestamp),
+            tx.pure(Array.from(Buffer.from(metadata || ''))),
+        ],
+    });
+
+    const result = await executeTransactionWithRetry(suiClient, {
+        signer: adminKeypair,
+        transactionBlock: tx,
+        options: {
+            showObjectChanges: true,
+        }
+    });
+
+    logger.info(`Voucher minted: ${result.digest}`);
+
+    const createdObject = result.objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.endsWith('::voucher_system::Voucher')
+    );
+
+    if (!createdObject) {
+        logger.error('Voucher object not found in transaction result', { digest: result.digest });
+        const error = new Error('Voucher was not created on blockchain');
+        error.code = 'VOUCHER_NOT_CREATED';
+        error.transactionDigest = result.digest;
+        throw error;
+    }
+
+    const voucherId = createdObject.objectId;
+
+    const payload = {
+        voucherId,
+        voucherType,
+        amount,
+        recipient,
+        merchantId,
+        expiryTimestamp,
+    };
+
+    const { signature, qrPayload, qrCodeData } = await generateVoucherQrCode(payload);
+
+    // The indexer may have stored the voucher from its VoucherMinted event already;
+    // fill in what only the API knows instead of failing on the duplicate key
+    const { value: voucher, lastErrorObject } = await Voucher.findOneAndUpdate(
+        { voucherId },
+        {
+            $set: {
+                voucherType,
+                amount,
+                originalAmount: amount,
+                recipient,
+                merchantId,
+                expiryTimestamp,
+                qrCodeData,
+                qrPayload,
+                signature,
+                transactionDigest: result.digest,
+                ...(allowPartialRedemption !== undefined && { allowPartialRedemption }),
+                ...(transferRestrictions && { transferRestrictions }),
+                ...(templateId && { templateId }),
+            },
+            $setOnInsert: { remainingAmount: amount },
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+
+    // Whoever stores the voucher first announces it
+    if (!lastErrorObject?.updatedExisting) {
+        await webhookService.publishEvent('voucher.minted', {
+            voucherId,
+            voucherType,
+            amount,
+            recipient,
+            merchantId,
+            expiryTimestamp: expiryTimestamp || null,
+            templateId: templateId || null,
+            transactionDigest: result.digest,
+        }, { merchantId });
+    }
+
+    return {
+        voucher,
+        voucherId,
+        transactionDigest: result.digest,
+        qrCodeData,
+    };
+}
+
+module.exports = {
+    mintVoucher,
+    signVoucherPayload,
+    signVoucherToken,
+    verifyVoucherToken,
+    verifyLegacyVoucherPayload,
+    generateVoucherQrCode,
+    issueDynamicQrCode,
+    verifyDynamicQrPayload,
+    getQrPublicKey,
+    QR_SIGNING_SECRET,
+};
@@ -0,0 +1,221 @@
+const Voucher = require('../models/Voucher');
+const Redemption = require('../models/Redemption');
+const VoucherTransfer = require('../models/VoucherTransfer');
+const NotificationHistory = require('../models/NotificationHistory');
+const ScheduledVoucher = require('../models/ScheduledVoucher');
+const ReclaimedFund = require('../models/ReclaimedFund');
+const Merchant = require('../models/Merchant');
+const { ownsAddress } = require('./walletAuthService');
+
+/**
+ * Check whether a user may see a voucher: an admin, its verified holder or its assigned merchant
+ * @param {Object} user - Authenticated user
+ * @param {Object} voucher - Voucher document
+ * @returns {Promise<boolean>} Whether access is allowed
+ */
+async function canViewVoucher(user, voucher) {
+    if (user.role === 'admin') {
+        return true;
+    }
+
+    if (ownsAddress(user, voucher.recipient)) {
+        return true;
+    }
+
+    if (user.role === 'merchant' && user.merchantId) {
+        const merchant = await Merchant.findById(user.merchantId).select('merchantId');
+        return merchant?.merchantId === voucher.merchantId;
+    }
+
+    return false;
+}
+
+/**
+ * Summarise a voucher for the detail view; QR material is served by the QR endpoints only
+ * @param {Object} voucher - Voucher document
+ * @returns {Object} Voucher details
+ */
+function toVoucherDetail(voucher) {
+    return {
+        voucherId: voucher.voucherId,
+        voucherType: voucher.voucherType,
+        status: voucher.status,
+        amount: voucher.amount,
+        originalAmount: voucher.originalAmount,
+        remainingAmount: voucher.remainingAmount,
+        recipient: voucher.recipient,
+        merchantId: voucher.merchantId,
+        templateId: voucher.templateId,
+        expiryTimestamp: voucher.expiryTimestamp,
+        isExpired: !!voucher.isExpired,
+        allowPartialRedemption: voucher.allowPartialRedemption,
+        transferRestrictions: voucher.transferRestrictions,
+        partialRedemptions: voucher.partialRedemptions,
+        transactionDigest: voucher.transactionDigest,
+        revocation: voucher.revocation?.revokedAt ? voucher.revocation : undefined,
+        amendments: voucher.amendments,
+        createdAt: voucher.createdAt,
+        updatedAt: voucher.updatedAt,
+    };
+}
+
+/**
+ * Assemble a voucher's lifecycle from every collection that records part of it
+ * @param {Object} voucher - Voucher document
+ * @returns {Promise<Array>} Events ({ type, at, transactionDigest, details }) in chronological order
+ */
+async function buildTimeline(voucher) {
+    const { voucherId } = voucher;
+
+    const [schedule, notifications, transfers, redemptions, reclaimed] = await Promise.all([
+        ScheduledVoucher.findOne({ voucherId }),
+        NotificationHistory.find({ 'metadata.voucherId': voucherId }).select('type channel status createdAt sentAt'),
+        VoucherTransfer.find({ $or: [{ voucherId }, { newVoucherId: voucherId }] }),
+        Redemption.find({ voucherObjectId: voucherId }),
+        ReclaimedFund.findOne({ voucherId }),
+    ]);
+
+    const events = [];
+
+    if (schedule) {
+        events.push({
+            type: 'scheduled',
+            at: schedule.createdAt,
+            details: { scheduleId: schedule.scheduleId, scheduledFor: schedule.scheduledFor, createdBy: schedule.createdBy },
+        });
+    }
+
+    events.push({
+        type: 'minted',
+        at: voucher.createdAt,
+        transactionDigest: voucher.transactionDigest,
+        details: { voucherType: voucher.voucherType, merchantId: voucher.merchantId },
+    });
+
+    for (const notification of notifications) {
+        events.push({
+            type: 'notified',
+            at: notification.sentAt || notification.createdAt,
+            details: { notificationType: notification.type, channel: notification.channel, status: notification.status },
+        });
+    }
+
+    for (const transfer of transfers) {
+        const details = {
+            transferId: transfer.transferId,
+            from: transfer.fromAddress,
+            to: transfer.toAddress,
+            amount: transfer.amount,
+            transferType: transfer.transferType,
+        };
+
+        events.push({ type: 'transfer_requested', at: transfer.createdAt, details });
+
+        if (transfer.status === 'completed') {
+            events.push({
+                type: 'transferred',
+                at: transfer.completedAt || transfer.updatedAt,
+                transactionDigest: transfer.transactionHash,
+                details,
+            });
+        } else if (['rejected', 'failed'].includes(transfer.status)) {
+            events.push({
+                type: `transfer_${transfer.status}`,
+                at: transfer.updatedAt,
+                details: { ...details, reason: transfer.rejectionReason },
+            });
+        }
+    }
+
+    const recordedDigests = new Set();
+    for (const redemption of redemptions) {
+        recordedDigests.add(redemption.transactionDigest);
+        events.push({
+            type: redemption.isPartial ? 'partially_redeemed' : 'redeemed',
+            at: redemption.redeemedAt,
+            transactionDigest: redemption.transactionDigest,
+            details: {
+                amount: redemption.amount,
+                merchantId: redemption.merchantId,
+                remainingAmount: redemption.metadata?.get('remainingAmount'),
+                offline: redemption.offline || undefined,
+            },
+        });
+    }
+
+    // Partial redemptions recorded only on the voucher itself
+    for (const partial of voucher.partialRedemptions || []) {
+        if (recordedDigests.has(partial.transactionHash)) {
+            continue;
+        }
+        events.push({
+            type: 'partially_redeemed',
+            at: partial.redeemedAt,
+            transactionDigest: partial.transactionHash,
+            details: { amount: partial.amount, merchantId: partial.merchantId },
+        });
+    }
+
+    for (const amendment of voucher.amendments || []) {
+        events.push({
+            type: amendment.type === 'extend' ? 'extended' : 'topped_up',
+            at: amendment.amendedAt,
+            transactionDigest: amendment.transactionDigest,
+            details: amendment.type === 'extend'
+                ? { previousExpiryTimestamp: amendment.previousExpiryTimestamp, expiryTimestamp: amendment.expiryTimestamp, reason: amendment.reason }
+                : { amount: amendment.amount, reason: amendment.reason, operationId: amendment.operationId },
+        });
+    }
+
+    if (reclaimed) {
+        events.push({
+            type: 'expired',
+            at: reclaimed.reclaimedAt,
+            details: { expiredAt: reclaimed.expiredAt, amountReclaimed: reclaimed.amount, sweepRunId: reclaimed.sweepRunId },
+        });
+    } else if (voucher.status === 'expired') {
+        events.push({ type: 'expired', at: new Date(voucher.expiryTimestamp || voucher.updatedAt), details: {} });
+    }
+
+    if (voucher.status === 'cancelled' && voucher.revocation?.revokedAt) {
+        events.push({
+            type: 'revoked',
+            at: voucher.revocation.revokedAt,
+            transactionDigest: voucher.revocation.transactionDigest,
+            details: { reason: voucher.revocation.reason, operationId: voucher.revocation.operationId },
+        });
+    }
+
+    return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Load a voucher and check the user may see it
+ * @param {string} voucherId - Voucher object ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} The voucher
+ */
+async function getViewableVoucher(voucherId, user) {
+    const voucher = await Voucher.findOne({ voucherId });
+
+    if (!voucher) {
+        const error = new Error('Voucher not found');
+        error.code = 'VOUCHER_NOT_FOUND';
+        throw error;
+    }
+
+    if (!await canViewVoucher(user, voucher)) {
+        const error = new Error('Only the voucher holder, its merchant or an admin can view this voucher');
+        error.code = 'ACCESS_DENIED';
+        throw error;
+    }
+
+    return voucher;
+}
+
+module.exports = {
+    canViewVoucher,
+    toVoucherDetail,
+    buildTimeline,
+    getViewableVoucher,
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { verifyPersonalMessage } = require('@mysten/sui.js/verify');
+const { normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const WalletChallenge = require('../models/WalletChallenge');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Accounts created by wallet sign-in get an address under this reserved domain until they add a real email
+const WALLET_EMAIL_DOMAIN = 'wallet.servicepass.invalid';
+
+const CHALLENGE_STATEMENTS = {
+    link: 'Sign this message to link your wallet to your ServicePass account.',
+    login: 'Sign this message to sign in to ServicePass.',
+};
+
+function walletError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Normalise a Sui address for comparison (lowercase, 0x-prefixed, 32 bytes)
+ * @param {string} address - Sui address
+ * @returns {string} Normalised address
+ */
+function normalizeAddress(address) {
+    return normalizeSuiAddress(address.trim());
+}
+
+/**
+ * Check whether a user has proven control of an address
+ * @param {Object} user - Authenticated user
+ * @param {string} address - Address to check
+ * @returns {boolean} Whether the user's verified wallet is the address
+ */
+function ownsAddress(user, address) {
+    if (!user?.walletAddress || !user.walletVerifiedAt || !address) {
+        return false;
+    }
+    return normalizeAddress(user.walletAddress) === normalizeAddress(address);
+}
+
+/**
+ * Issue a single-use challenge for a wallet to sign as a personal message
+ * @param {Object} params - Challenge request
+ * @param {string} params.address - Wallet address that will sign
+ * @param {string} params.purpose - 'link' or 'login'
+ * @param {string} [params.userId] - Account the wallet is being linked to
+ * @returns {Promise<Object>} { nonce, message, expiresAt }
+ */
+async function createChallenge({ address, purpose, userId }) {
+    const normalized = normalizeAddress(address);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+    const message = [
+        CHALLENGE_STATEMENTS[purpose],
+        '',
+        `Address: ${normalized}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    await WalletChallenge.create({ nonce, address: normalized, purpose, userId, message, expiresAt });
+
+    return { nonce, message, expiresAt };
+}
+
+/**
+ * Consume a challenge and verify the wallet's signature over it
+ * @param {Object} params - Signed challenge
+ * @param {string} params.address - Wallet address that signed
+ * @param {string} params.nonce - Challenge nonce
+ * @param {string} params.signature - Serialized Sui personal-message signature (base64)
+ * @param {string} params.purpose - 'link' or 'login'
+ * @param {string} [params.userId] - Account the challenge was issued to
+ * @returns {Promise<string>} The verified, normalised address
+ */
+async function verifyChallenge({ address, nonce, signature, purpose, userId }) {
+    const normalized = normalizeAddress(address);
+
+    // Consumed before checking the signature so a nonce can only ever be tried once
+    const challenge = await WalletChallenge.findOneAndUpdate(
+        {
+            nonce,
+            address: normalized,
+            purpose,
+            usedAt: { $exists: false },
+            expiresAt: { $gt: new Date() },
+            ...(userId && { userId }),
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+
+    if (!challenge) {
+        throw walletError('Challenge not found, expired or already used', 'CHALLENGE_INVALID');
+    }
+
+    let signer;
+    try {
+        const publicKey = await verifyPersonalMessage(new TextEncoder().encode(challenge.message), signature);
+        signer = publicKey.toSuiAddress();
+    } catch (error) {
+        logger.warn(`Wallet signature verification failed for ${normalized}: ${error.message}`);
+        throw walletError('Invalid wallet signature', 'INVALID_SIGNATURE');
+    }
+
+    if (signer !== normalized) {
+        throw walletError('Signature was not made by this wallet', 'INVALID_SIGNATURE');
+    }
+
+    return normalized;
+}
+
+/**
+ * Link a wallet to a user once they have signed a link challenge
+ * @param {Object} user - User document
+ * @param {Object} params - Signed challenge, see verifyChallenge
+ * @returns {Promise<Object>} The updated user
+ */
+async function linkWallet(user, { address, nonce, signature }) {
+    const verified = await verifyChallenge({
+        address,
+        nonce,
+        signature,
+        purpose: 'link',
+        userId: user._id.toString(),
+    });
+
+    const existing = await User.findOne({
+        _id: { $ne: user._id },
+        walletAddress: verified,
+        walletVerifiedAt: { $exists: true },
+    });
+    if (existing) {
+        throw walletError('Wallet is already linked to another account', 'WALLET_IN_USE');
+    }
+
+    user.walletAddress = verified;
+    user.walletVerifiedAt = new Date();
+    await user.save();
+
+    logger.info(`Wallet ${verified} linked to user ${user.email}`);
+
+    return user;
+}
+
+/**
+ * Sign in with a wallet, creating an account for wallets seen for the first time
+ * @param {Object} params - Signed login challenge, see verifyChallenge
+ * @returns {Promise<Object>} { user, created }
+ */
+async function signInWithWallet({ address, nonce, signature }) {
+    const verified = await verifyChallenge({ address, nonce, signature, purpose: 'login' });
+
+    // Only a verified link counts; an address typed in at registration proves nothing
+    const existing = await User.findOne({ walletAddress: verified, walletVerifiedAt: { $exists: true } });
+    if (existing) {
+        return { user: existing, created: false };
+    }
+
+    try {
+        const user = await User.create({
+            email: `${verified}@${WALLET_EMAIL_DOMAIN}`,
+            // Never disclosed; wallet accounts sign in by signature until they set a password
+            password: crypto.randomBytes(32).toString('hex'),
+            name: `Wallet ${verified.slice(0, 6)}...${verified.slice(-4)}`,
+            role: 'user',
+            walletAddress: verified,
+            walletVerifiedAt: new Date(),
+        });
+
+        logger.info(`Provisioned user for wallet ${verified}`);
+
+        return { user, created: true };
+    } catch (error) {
+        if (error.code === 11000) {
+            // A concurrent sign-in for the same wallet created the account first
+            const user = await User.findOne({ email: `${verified}@${WALLET_EMAIL_DOMAIN}` });
+            if (user) {
+                return { user, created: false };
+            }
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    normalizeAddress,
+    ownsAddress,
+    createChallenge,
+    verifyChallenge,
+    linkWallet,
+    signInWithWallet,
+    WALLET_EMAIL_DOMAIN,
+};
@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { encrypt, decrypt } = require('../utils/secureKeyManagement');
+const { logger } = require('../utils/logger');
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+const MAX_SUBSCRIPTIONS_PER_OWNER = 20;
+
+function webhookError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Loaded on first use so the service can be used without a Redis connection
+function enqueueDelivery(deliveryId) {
+    return require('../queues/webhookDispatcher').enqueueDelivery(deliveryId);
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function isPrivateIp(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 || a >= 224 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+
+    const ip = address.toLowerCase();
+    // IPv4-mapped (::ffff:10.0.0.1, or ::ffff:a00:1 as URLs normalise it) reaches the IPv4 host
+    const mapped = ip.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+            .flatMap((group) => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff])
+            .join('.');
+        return isPrivateIp(ipv4);
+    }
+    // NAT64 (64:ff9b::/96), 6to4 (2002::/16) and Teredo (2001::/32) tunnel to IPv4 hosts
+    if (/^64:ff9b:/.test(ip) || /^2002:/.test(ip) || /^2001:(0{1,4})?:/.test(ip)) {
+        return true;
+    }
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+}
+
+function isPrivateAddress(host) {
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+        return true;
+    }
+    if (net.isIPv4(host)) {
+        return isPrivateIp(host);
+    }
+    if (net.isIPv6(host.replace(/^\[|\]$/g, ''))) {
+        return true; // Subscribers use host names
+    }
+    return false;
+}
+
+// The URL check alone passes public names that resolve to internal hosts, so check what they resolve to
+async function resolvePublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw webhookError(`Could not resolve ${host}: ${error.code || error.message}`, 'INVALID_URL');
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateIp(address));
+    if (blocked) {
+        throw webhookError(`${host} resolves to non-public address ${blocked.address}`, 'INVALID_URL');
+    }
+    return addresses;
+}
+
+// Connect to the addresses that were checked; resolving the name again could give another answer
+function pinnedDispatcher(addresses) {
+    return new Agent({
+        connect: {
+            lookup: (hostname, options, callback) => {
+                if (options.all) {
+                    return callback(null, addresses);
+                }
+                callback(null, addresses[0].address, addresses[0].family);
+            },
+        },
+    });
+}
+
+function assertDeliverableUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw webhookError('Webhook URL is not a valid URL', 'INVALID_URL');
+    }
+
+    const production = process.env.NODE_ENV === 'production';
+    if (parsed.protocol !== 'https:' && (production || parsed.protocol !== 'http:')) {
+        throw webhookError('Webhook URL must use https', 'INVALID_URL');
+    }
+    if (production && isPrivateAddress(parsed.hostname)) {
+        throw webhookError('Webhook URL must be publicly reachable', 'INVALID_URL');
+    }
+    if (parsed.username || parsed.password) {
+        throw webhookError('Webhook URL must not contain credentials', 'INVALID_URL');
+    }
+}
+
+/**
+ * Sign a delivery; subscribers recompute this over the raw body to check it came from us
+ * @param {string} secret - Subscription signing secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-ServicePass-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Register a webhook URL
+ * @param {Object} data - { url, events, description, merchantId } - no merchantId for platform-wide
+ * @param {string} createdBy - User ID
+ * @returns {Promise<Object>} { subscription, secret } - the secret is returned only here
+ */
+async function createSubscription({ url, events, description, merchantId = null }, createdBy) {
+    assertDeliverableUrl(url);
+
+    const owned = await WebhookSubscription.countDocuments({ createdBy });
+    if (owned >= MAX_SUBSCRIPTIONS_PER_OWNER) {
+        throw webhookError(`At most ${MAX_SUBSCRIPTIONS_PER_OWNER} webhook subscriptions are allowed`, 'SUBSCRIPTION_LIMIT_REACHED');
+    }
+
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+        url,
+        events: [...new Set(events)],
+        description,
+        merchantId,
+        encryptedSecret: encrypt(secret),
+        createdBy,
+    });
+
+    logger.info(`Webhook subscription ${subscription._id} created for ${merchantId || 'the platform'}: ${subscription.events.join(', ')}`);
+
+    return { subscription, secret };
+}
+
+/**
+ * Find a subscription by ID
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription document
+ */
+async function getSubscription(subscriptionId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+        throw webhookError('Webhook subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    }
+    return subscription;
+}
+
+/**
+ * Change a subscription's URL, events, description or active flag
+ * @param {Object} subscription - Subscription document
+ * @param {Object} updates - { url, events, description, isActive }
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function updateSubscription(subscription, { url, events, description, isActive }) {
+    if (url !== undefined) {
+        assertDeliverableUrl(url);
+        subscription.url = url;
+    }
+    if (events !== undefined) {
+        subscription.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+        subscription.description = description;
+    }
+    if (isActive !== undefined) {
+        subscription.isActive = isActive;
+    }
+
+    await subscription.save();
+    return subscription;
+}
+
+/**
+ * Replace a subscription's signing secret; deliveries use the new one straight away
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<string>} The new secret
+ */
+async function rotateSecret(subscription) {
+    const secret = generateSecret();
+    subscription.encryptedSecret = encrypt(secret);
+    await subscription.save();
+
+    logger.info(`Webhook subscription ${subscription._id} secret rotated`);
+
+    return secret;
+}
+
+/**
+ * Delete a subscription; queued deliveries to it are dropped when they come up
+ * @param {Object} subscription - Subscription document
+ */
+async function deleteSubscription(subscription) {
+    await subscription.deleteOne();
+
+    logger.info(`Webhook subscription ${subscription._id} deleted`);
+}
+
+/**
+ * Queue an event for every active subscription that wants it. Never throws:
+ * webhooks must not fail the operation that produced the event.
+ * @param {string} event - Event name, see config/webhookEvents
+ * @param {Object} data - Event data
+ * @param {Object} [options] - { merchantId } - merchant the event concerns, if any
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function publishEvent(event, data, { merchantId = null } = {}) {
+    try {
+        const audience = merchantId ? [null, merchantId] : [null];
+        const subscriptions = await WebhookSubscription.find({
+            events: event,
+            isActive: true,
+            merchantId: { $in: audience },
+        }).select('_id').lean();
+
+        if (subscriptions.length === 0) {
+            return 0;
+        }
+
+        const payload = {
+            id: `evt_${crypto.randomUUID()}`,
+            type: event,
+            createdAt: new Date().toISOString(),
+            data: JSON.parse(JSON.stringify(data)),
+        };
+
+        const deliveries = await WebhookDelivery.insertMany(subscriptions.map((subscription) => ({
+            subscriptionId: subscription._id,
+            eventId: payload.id,
+            event,
+            payload,
+        })));
+
+        await Promise.all(deliveries.map((delivery) => enqueueDelivery(delivery._id)));
+
+        return deliveries.length;
+    } catch (error) {
+        logger.error(`Failed to publish webhook event ${event}: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Publish voucher.redeemed for a recorded redemption
+ * @param {Object} redemption - Redemption document
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+function publishRedemption(redemption) {
+    const remainingAmount = redemption.isPartial ? Number(redemption.metadata?.get('remainingAmount')) : 0;
+
+    return publishEvent('voucher.redeemed', {
+        redemptionId: String(redemption._id),
+        voucherId: redemption.voucherObjectId,
+        merchantId: redemption.merchantId,
+        voucherType: redemption.voucherType,
+        amount: redemption.amount,
+        isPartial: !!redemption.isPartial,
+        remainingAmount: Number.isNaN(remainingAmount) ? null : remainingAmount,
+        redeemedBy: redemption.redeemedBy,
+        offline: !!redemption.offline,
+        redeemedAt: redemption.redeemedAt,
+        transactionDigest: redemption.transactionDigest,
+    }, { merchantId: redemption.merchantId });
+}
+
+/**
+ * Send one delivery. Called by the webhook queue worker, which retries on error.
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} [options] - { finalAttempt } - whether the queue will give up after this attempt
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function deliver(deliveryId, { finalAttempt = false } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === 'succeeded') {
+        return delivery;
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+encryptedSecret');
+    if (!subscription || !subscription.isActive) {
+        delivery.status = 'failed';
+        delivery.error = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+        await delivery.save();
+        return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(decrypt(subscription.encryptedSecret), timestamp, body);
+
+    const startedAt = Date.now();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date(startedAt);
+
+    let failure = null;
+    let dispatcher;
+    try {
+        if (process.env.NODE_ENV === 'production') {
+            dispatcher = pinnedDispatcher(await resolvePublicHost(new URL(subscription.url).hostname));
+        }
+
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ServicePass-Webhooks/1.0',
+                'X-ServicePass-Event': delivery.event,
+                'X-ServicePass-Delivery': String(delivery._id),
+                'X-ServicePass-Timestamp': String(timestamp),
+                'X-ServicePass-Signature': `sha256=${signature}`,
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            ...(dispatcher && { dispatcher }),
+        });
+
+        delivery.responseStatus = response.status;
+        delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY_LENGTH);
+
+        if (!response.ok) {
+            failure = `Subscriber responded with ${response.status}`;
+        }
+    } catch (error) {
+        delivery.responseStatus = undefined;
+        delivery.responseBody = undefined;
+        failure = error.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message;
+    } finally {
+        dispatcher?.destroy().catch(() => {});
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (!failure) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+        delivery.error = undefined;
+        await delivery.save();
+        await WebhookSubscription.updateOne({ _id: subscription._id }, { lastDeliveryAt: delivery.deliveredAt });
+        return delivery;
+    }
+
+    delivery.error = failure;
+    if (finalAttempt) {
+        delivery.status = 'failed';
+    }
+    await delivery.save();
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { lastFailureAt: new Date() });
+
+    throw webhookError(`Webhook delivery ${delivery._id} failed: ${failure}`, 'DELIVERY_FAILED');
+}
+
+/**
+ * List a subscription's deliveries, newest first
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} [options] - { status, event, page, limit }
+ * @returns {Promise<Object>} { deliveries, total }
+ */
+async function listDeliveries(subscriptionId, { status, event, page = 1, limit = 20 } = {}) {
+    const filter = { subscriptionId };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return { deliveries, total };
+}
+
+/**
+ * Send a past delivery's event again, as a new delivery with the same event ID
+ * @param {Object} subscription - Subscription document
+ * @param {string} deliveryId - Delivery to replay
+ * @returns {Promise<Object>} The new delivery
+ */
+async function replayDelivery(subscription, deliveryId) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, subscriptionId: subscription._id });
+    if (!original) {
+        throw webhookError('Delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+    if (!subscription.isActive) {
+        throw webhookError('Subscription is disabled', 'SUBSCRIPTION_DISABLED');
+    }
+
+    const replay = await WebhookDelivery.create({
+        subscriptionId: subscription._id,
+        eventId: original.eventId,
+        event: original.event,
+        payload: original.payload,
+        replayOf: original._id,
+    });
+
+    await enqueueDelivery(replay._id);
+
+    logger.info(`Webhook delivery ${original._id} replayed as ${replay._id}`);
+
+    return replay;
+}
+
+module.exports = {
+    signPayload,
+    createSubscription,
+    getSubscription,
+    updateSubscription,
+    rotateSecret,
+    deleteSubscription,
+    publishEvent,
+    publishRedemption,
+    deliver,
+    listDeliveries,
+    replayDelivery,
+};
@@ -1,12 +1,34 @@
 const crypto = require('crypto');
 const Merchant = require('../models/Merchant');
+const MerchantApiKey = require('../models/MerchantApiKey');
+const { API_KEY_SCOPE_NAMES } = require('../config/permissions');
 const { logger } = require('../utils/logger');
 
+// Keys look like spk_<prefix>_<secret>; the prefix is stored in clear to find the key
+const KEY_PATTERN = /^spk_([0-9a-f]{12})_[0-9a-f]{64}$/;
+const MAX_ACTIVE_KEYS = 25;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys from the old single-key-per-merchant fields have no prefix of their own, so they are
+// found by the start of their hash instead
+const LEGACY_PREFIX = 'legacy_';
+const LEGACY_FIELDS = ['apiKey', 'apiKeyHash', 'apiKeyExpiry', 'apiKeyCreatedAt', 'apiKeyRevokedAt'];
+const LEGACY_KEY_GRACE_DAYS = 90;
+
+const apiKeyError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
 /**
  * Generate a secure API key
+ * @returns {Object} { apiKey, prefix }
  */
 const generateApiKey = () => {
-    return crypto.randomBytes(32).toString('hex');
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    return { apiKey: `spk_${prefix}_${secret}`, prefix };
 };
 
 /**
@@ -16,38 +38,55 @@ const hashApiKey = (apiKey) => {
     return crypto.createHash('sha256').update(apiKey).digest('hex');
 };
 
+const legacyPrefix = (keyHash) => `${LEGACY_PREFIX}${keyHash.slice(0, 12)}`;
+
+const describeKey = (key) => ({
+    ...key,
+    status: key.revokedAt ? 'revoked' : key.expiresAt < new Date() ? 'expired' : 'active',
+});
+
 /**
- * Create API key for merchant
+ * Create an API key for a merchant
+ * @param {string} merchantId - Merchant document ID
+ * @param {Object} options - { name, scopes, expiryDays, createdBy }
+ * @returns {Promise<Object>} { apiKey, key } - the plain key is returned only here
  */
-const createApiKey = async (merchantId, expiryDays = 365) => {
+const createApiKey = async (merchantId, { name, scopes, expiryDays = 365, createdBy }) => {
     try {
-        const apiKey = generateApiKey();
-        const hashedKey = hashApiKey(apiKey);
-        
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + expiryDays);
+        const merchant = await Merchant.findById(merchantId).select('merchantId');
+        if (!merchant) {
+            throw apiKeyError('Merchant not found', 'MERCHANT_NOT_FOUND');
+        }
 
-        const merchant = await Merchant.findByIdAndUpdate(
+        const activeKeys = await MerchantApiKey.countDocuments({
             merchantId,
-            {
-                apiKey: hashedKey,
-                apiKeyExpiry: expiryDate,
-                apiKeyCreatedAt: new Date(),
-            },
-            { new: true }
-        );
-
-        if (!merchant) {
-            throw new Error('Merchant not found');
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+        if (activeKeys >= MAX_ACTIVE_KEYS) {
+            throw apiKeyError(`A merchant can have at most ${MAX_ACTIVE_KEYS} active API keys`, 'KEY_LIMIT_REACHED');
         }
 
-        logger.info(`API key created for merchant: ${merchant.merchantId}`);
+        const { apiKey, prefix } = generateApiKey();
+
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + expiryDays);
+
+        const key = await MerchantApiKey.create({
+            merchantId,
+            name,
+            prefix,
+            keyHash: hashApiKey(apiKey),
+            scopes: [...new Set(scopes)],
+            expiresAt,
+            createdBy,
+        });
+
+        logger.info(`API key ${prefix} (${name}) created for merchant: ${merchant.merchantId}`);
 
-        // Return the plain API key only once
         return {
             apiKey, // This should be shown to the merchant only once
-            expiryDate,
-            merchant,
+            key: describeKey(key.toJSON()),
         };
     } catch (error) {
         logger.error(`Error creating API key: ${error.message}`);
@@ -56,33 +95,40 @@ const createApiKey = async (merchantId, expiryDays = 365) => {
 };
 
 /**
- * Regenerate API key for merchant
+ * List a merchant's API keys without revealing them
+ * @param {string} merchantId - Merchant document ID
+ * @returns {Promise<Object[]>} Keys, newest first, each with a status of active, expired or revoked
  */
-const regenerateApiKey = async (merchantId) => {
-    return await createApiKey(merchantId);
+const listApiKeys = async (merchantId) => {
+    const keys = await MerchantApiKey.find({ merchantId }).sort({ createdAt: -1 }).select('-__v').lean();
+    return keys.map(describeKey);
 };
 
 /**
- * Revoke API key for merchant
+ * Revoke one of a merchant's API keys; it stops working immediately
+ * @param {string} merchantId - Merchant document ID
+ * @param {string} keyId - API key ID
+ * @param {string} revokedBy - User revoking the key
+ * @returns {Promise<Object>} The revoked key
  */
-const revokeApiKey = async (merchantId) => {
+const revokeApiKey = async (merchantId, keyId, revokedBy) => {
     try {
-        const merchant = await Merchant.findByIdAndUpdate(
-            merchantId,
-            {
-                $unset: { apiKey: 1, apiKeyExpiry: 1 },
-                apiKeyRevokedAt: new Date(),
-            },
+        const key = await MerchantApiKey.findOneAndUpdate(
+            { _id: keyId, merchantId, revokedAt: null },
+            { revokedAt: new Date(), revokedBy },
             { new: true }
         );
 
-        if (!merchant) {
-            throw new Error('Merchant not found');
+        if (!key) {
+            const exists = await MerchantApiKey.exists({ _id: keyId, merchantId });
+            throw exists
+                ? apiKeyError('API key is already revoked', 'ALREADY_REVOKED')
+                : apiKeyError('API key not found', 'KEY_NOT_FOUND');
         }
 
-        logger.info(`API key revoked for merchant: ${merchant.merchantId}`);
+        logger.info(`API key ${key.prefix} revoked by ${revokedBy}`);
 
-        return merchant;
+        return describeKey(key.toJSON());
     } catch (error) {
         logger.error(`Error revoking API key: ${error.message}`);
         throw error;
@@ -91,61 +137,123 @@ const revokeApiKey = async (merchantId) => {
 
 /**
  * Verify API key
+ * @param {string} apiKey - Key from the X-API-Key header
+ * @returns {Promise<Object>} { valid, reason, merchant, key } - reason is invalid, expired or revoked
  */
 const verifyApiKeyString = async (apiKey) => {
-    try {
-        const hashedKey = hashApiKey(apiKey);
-        
-        const merchant = await Merchant.findOne({
-            apiKey: hashedKey,
-            isActive: true,
-        });
+    if (typeof apiKey !== 'string' || !apiKey) {
+        return { valid: false, reason: 'invalid' };
+    }
 
-        if (!merchant) {
-            return null;
-        }
+    const match = KEY_PATTERN.exec(apiKey);
+    const prefix = match ? match[1] : legacyPrefix(hashApiKey(apiKey));
 
-        // Check if expired
-        if (merchant.apiKeyExpiry && merchant.apiKeyExpiry < new Date()) {
-            return null;
-        }
+    const key = await MerchantApiKey.findOne({ prefix }).select('+keyHash');
+    if (!key) {
+        return { valid: false, reason: 'invalid' };
+    }
 
-        return merchant;
-    } catch (error) {
-        logger.error(`Error verifying API key: ${error.message}`);
-        return null;
+    const expected = Buffer.from(key.keyHash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    if (key.revokedAt) {
+        return { valid: false, reason: 'revoked' };
+    }
+    if (key.expiresAt < new Date()) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    const merchant = await Merchant.findOne({ _id: key.merchantId, isActive: true });
+    if (!merchant) {
+        return { valid: false, reason: 'invalid' };
     }
+
+    return { valid: true, merchant, key };
 };
 
 /**
- * Get API key info without revealing the key
+ * Record that a key was used, at most once a minute per key
+ * @param {Object} key - API key document
+ * @param {string} ipAddress - Caller's IP
  */
-const getApiKeyInfo = async (merchantId) => {
-    try {
-        const merchant = await Merchant.findById(merchantId).select('apiKey apiKeyExpiry apiKeyCreatedAt');
+const touchApiKey = async (key, ipAddress) => {
+    const now = new Date();
+    if (key.lastUsedAt && now - key.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+        return;
+    }
 
-        if (!merchant) {
-            throw new Error('Merchant not found');
+    await MerchantApiKey.updateOne(
+        { _id: key._id },
+        { lastUsedAt: now, lastUsedIp: ipAddress || null }
+    );
+};
+
+/**
+ * Move keys from the old Merchant apiKey/apiKeyHash fields into MerchantApiKey and remove
+ * the old fields. Safe to run more than once.
+ * @returns {Promise<Object>} { merchants, migrated, cleared } counts
+ */
+const migrateLegacyApiKeys = async () => {
+    // The old fields are no longer in the schema, so work on the raw collection
+    const legacyMerchants = await Merchant.collection
+        .find({ $or: LEGACY_FIELDS.map((field) => ({ [field]: { $exists: true } })) })
+        .toArray();
+
+    const summary = { merchants: legacyMerchants.length, migrated: 0, cleared: 0 };
+
+    for (const merchant of legacyMerchants) {
+        // The old middleware matched the X-API-Key header against apiKey as stored, so that
+        // value is the credential terminals send; apiKeyHash is already its hash. Revocation
+        // unset apiKey, so a key still present here was live.
+        const keyHash = merchant.apiKeyHash || (merchant.apiKey ? hashApiKey(merchant.apiKey) : null);
+
+        if (keyHash) {
+            const expiresAt = merchant.apiKeyExpiry || new Date(Date.now() + LEGACY_KEY_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+            const result = await MerchantApiKey.updateOne(
+                { prefix: legacyPrefix(keyHash) },
+                {
+                    $setOnInsert: {
+                        merchantId: merchant._id,
+                        name: 'Legacy API key',
+                        prefix: legacyPrefix(keyHash),
+                        keyHash,
+                        // The old key was not scoped, so keep everything it could do
+                        scopes: API_KEY_SCOPE_NAMES,
+                        expiresAt,
+                        createdBy: 'migration',
+                    },
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) {
+                summary.migrated += 1;
+            }
         }
 
-        return {
-            hasApiKey: !!merchant.apiKey,
-            expiryDate: merchant.apiKeyExpiry,
-            createdAt: merchant.apiKeyCreatedAt,
-            isExpired: merchant.apiKeyExpiry ? merchant.apiKeyExpiry < new Date() : false,
-        };
-    } catch (error) {
-        logger.error(`Error getting API key info: ${error.message}`);
-        throw error;
+        await Merchant.collection.updateOne(
+            { _id: merchant._id },
+            { $unset: Object.fromEntries(LEGACY_FIELDS.map((field) => [field, ''])) }
+        );
+        summary.cleared += 1;
+
+        logger.info(`Legacy API key fields cleared for merchant: ${merchant.merchantId}`, { migrated: !!keyHash });
     }
+
+    return summary;
 };
 
 module.exports = {
     generateApiKey,
     hashApiKey,
     createApiKey,
-    regenerateApiKey,
+    listApiKeys,
     revokeApiKey,
     verifyApiKeyString,
-    getApiKeyInfo,
+    touchApiKey,
+    migrateLegacyApiKeys,
+    MAX_ACTIVE_KEYS,
 };
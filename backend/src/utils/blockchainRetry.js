@@ -1,5 +1,9 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { logger } = require('./logger');
 
+// Transactions submitted while handling the current request, see trackTransactions
+const transactionLog = new AsyncLocalStorage();
+
 /**
  * Retry a blockchain operation with exponential backoff
  * @param {Function} operation - The async function to retry
@@ -96,6 +100,31 @@ function isRetryableError(error) {
     return retryableMessages.some(msg => errorMessage.includes(msg));
 }
 
+/**
+ * Run a callback, recording every transaction it submits to the chain
+ * @param {Function} callback - Work to track, e.g. the rest of a request; called with
+ *   { submitted, digests }, which is filled in as transactions are sent
+ * @returns {*} What the callback returns
+ */
+function trackTransactions(callback) {
+    const log = { submitted: false, digests: [] };
+    return transactionLog.run(log, () => callback(log));
+}
+
+// Note the attempt before sending: a timed-out transaction may still have landed
+async function submitTransaction(execute) {
+    const log = transactionLog.getStore();
+    if (log) {
+        log.submitted = true;
+    }
+
+    const result = await execute();
+    if (log && result?.digest) {
+        log.digests.push(result.digest);
+    }
+    return result;
+}
+
 /**
  * Wrapper for SUI transaction execution with retry logic
  * @param {SuiClient} suiClient - The SUI client instance
@@ -103,7 +132,7 @@ function isRetryableError(error) {
  * @returns {Promise} Transaction result
  */
 async function executeTransactionWithRetry(suiClient, txParams) {
-    return retryBlockchainOperation(
+    return submitTransaction(() => retryBlockchainOperation(
         async () => {
             return await suiClient.signAndExecuteTransactionBlock(txParams);
         },
@@ -112,7 +141,26 @@ async function executeTransactionWithRetry(suiClient, txParams) {
             shouldRetry: isRetryableError,
             operationName: 'Transaction execution'
         }
-    );
+    ));
+}
+
+/**
+ * Wrapper for executing an already signed (e.g. sponsored) SUI transaction with retry logic
+ * @param {SuiClient} suiClient - The SUI client instance
+ * @param {Object} txParams - Serialized transaction bytes, signatures and options
+ * @returns {Promise} Transaction result
+ */
+async function executeSignedTransactionWithRetry(suiClient, txParams) {
+    return submitTransaction(() => retryBlockchainOperation(
+        async () => {
+            return await suiClient.executeTransactionBlock(txParams);
+        },
+        {
+            maxRetries: 3,
+            shouldRetry: isRetryableError,
+            operationName: 'Signed transaction execution'
+        }
+    ));
 }
 
 /**
@@ -155,9 +203,11 @@ async function getTransactionBlockWithRetry(suiClient, queryParams) {
 
 module.exports = {
     retryBlockchainOperation,
+    trackTransactions,
     BlockchainError,
     isRetryableError,
     executeTransactionWithRetry,
+    executeSignedTransactionWithRetry,
     queryObjectsWithRetry,
     getTransactionBlockWithRetry,
 };
@@ -0,0 +1,48 @@
+const cron = require('node-cron');
+const expirySweepService = require('../services/expirySweepService');
+const { logger } = require('./logger');
+
+class ExpirySweepScheduler {
+    constructor() {
+        this.job = null;
+    }
+
+    /**
+     * Start the expiry sweep job
+     * @param {string} schedule - Cron expression (default: EXPIRY_SWEEP_CRON or hourly)
+     */
+    start(schedule = process.env.EXPIRY_SWEEP_CRON || '0 * * * *') {
+        if (this.job) {
+            logger.warn('Expiry sweep scheduler already running');
+            return;
+        }
+
+        this.job = cron.schedule(schedule, async () => {
+            try {
+                const run = await expirySweepService.runSweep({ trigger: 'scheduled' });
+                logger.info(`Scheduled expiry sweep ${run.runId} finished with status ${run.status}`);
+            } catch (error) {
+                if (error.code === 'SWEEP_IN_PROGRESS') {
+                    logger.warn('Skipping scheduled expiry sweep: previous sweep still running');
+                    return;
+                }
+                logger.error('Error in scheduled expiry sweep:', error);
+            }
+        });
+
+        logger.info(`Expiry sweep scheduler started (schedule: ${schedule})`);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+            logger.info('Stopped expiry sweep scheduler');
+        }
+    }
+}
+
+module.exports = new ExpirySweepScheduler();
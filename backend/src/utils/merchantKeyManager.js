@@ -0,0 +1,147 @@
+const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
+const { decodeSuiPrivateKey } = require('@mysten/sui.js/cryptography');
+const Merchant = require('../models/Merchant');
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { suiClient, getAdminKeypair, PACKAGE_ID, ADMIN_CAP_ID } = require('../config/sui');
+const { encrypt, decrypt } = require('./secureKeyManagement');
+const { executeTransactionWithRetry, executeSignedTransactionWithRetry, BlockchainError } = require('./blockchainRetry');
+const { logger } = require('./logger');
+
+/**
+ * Generate a managed signing key without storing it
+ * The address must be registered on the merchant's on-chain object before it can redeem.
+ * @returns {Object} { signingAddress, encryptedSigningKey }
+ */
+const generateSigningKey = () => {
+    const keypair = new Ed25519Keypair();
+    return {
+        signingAddress: keypair.toSuiAddress(),
+        encryptedSigningKey: encrypt(keypair.getSecretKey()),
+    };
+};
+
+/**
+ * Rotate the managed signing key for a merchant
+ * The new address is set on the merchant's on-chain object first; the old key keeps
+ * working until that transaction lands.
+ * @param {string} merchantId - Merchant ID
+ * @returns {Promise<Object>} Updated merchant
+ */
+const rotateSigningKey = async (merchantId) => {
+    try {
+        const merchant = await Merchant.findOne({ merchantId });
+        if (!merchant) {
+            throw new Error('Merchant not found');
+        }
+        if (!merchant.onChainObjectId) {
+            const error = new Error('Merchant not registered on-chain');
+            error.code = 'MERCHANT_NOT_ON_CHAIN';
+            throw error;
+        }
+
+        const { signingAddress, encryptedSigningKey } = generateSigningKey();
+
+        const tx = new TransactionBlock();
+        tx.moveCall({
+            target: `${PACKAGE_ID}::voucher_system::set_merchant_signer`,
+            arguments: [
+                tx.object(ADMIN_CAP_ID),
+                tx.object(merchant.onChainObjectId),
+                tx.pure(signingAddress),
+            ],
+        });
+
+        const result = await executeTransactionWithRetry(suiClient, {
+            signer: getAdminKeypair(),
+            transactionBlock: tx,
+            options: { showEffects: true },
+        });
+
+        if (result.effects?.status?.status !== 'success') {
+            throw new BlockchainError(
+                `Signing key rotation ${result.digest} failed on-chain`,
+                new Error(result.effects?.status?.error || 'Unknown execution error')
+            );
+        }
+
+        const updated = await Merchant.findOneAndUpdate(
+            { merchantId },
+            { signingAddress, encryptedSigningKey, signingKeyCreatedAt: new Date() },
+            { new: true }
+        );
+
+        logger.info(`Signing key rotated for merchant: ${merchantId}`, { signingAddress, transactionDigest: result.digest });
+
+        return updated;
+    } catch (error) {
+        logger.error(`Error rotating signing key: ${error.message}`);
+        throw error;
+    }
+};
+
+/**
+ * Load the decrypted keypair for a merchant
+ * Keys are provisioned at registration; one made here would not be authorized on-chain.
+ */
+const getMerchantKeypair = async (merchantId) => {
+    const merchant = await Merchant.findOne({ merchantId }).select('+encryptedSigningKey');
+
+    if (!merchant) {
+        throw new Error('Merchant not found');
+    }
+
+    if (!merchant.encryptedSigningKey) {
+        const error = new Error(`Merchant ${merchantId} has no signing key; rotate it to provision one`);
+        error.code = 'MERCHANT_KEY_MISSING';
+        throw error;
+    }
+
+    const { secretKey } = decodeSuiPrivateKey(decrypt(merchant.encryptedSigningKey));
+    return Ed25519Keypair.fromSecretKey(secretKey);
+};
+
+/**
+ * Execute a transaction signed by the merchant's key with gas sponsored by the platform
+ * Vouchers are shared objects, so the merchant's key can redeem them once it is the
+ * signing address on the merchant's on-chain object.
+ * @param {string} merchantId - Merchant ID
+ * @param {TransactionBlock} tx - Transaction to execute
+ * @param {Object} options - Response options passed to executeTransactionBlock
+ * @returns {Promise<Object>} Transaction result, including the merchant signer address
+ */
+const executeAsMerchant = async (merchantId, tx, options = {}) => {
+    const merchantKeypair = await getMerchantKeypair(merchantId);
+    const sponsorKeypair = getAdminKeypair();
+    const signerAddress = merchantKeypair.toSuiAddress();
+
+    tx.setSender(signerAddress);
+    tx.setGasOwner(sponsorKeypair.toSuiAddress());
+
+    const bytes = await tx.build({ client: suiClient });
+    const [merchantSignature, sponsorSignature] = await Promise.all([
+        merchantKeypair.signTransactionBlock(bytes),
+        sponsorKeypair.signTransactionBlock(bytes),
+    ]);
+
+    const result = await executeSignedTransactionWithRetry(suiClient, {
+        transactionBlock: bytes,
+        signature: [merchantSignature.signature, sponsorSignature.signature],
+        options: { ...options, showEffects: true },
+    });
+
+    if (result.effects?.status?.status !== 'success') {
+        throw new BlockchainError(
+            `Merchant transaction ${result.digest} failed on-chain`,
+            new Error(result.effects?.status?.error || 'Unknown execution error')
+        );
+    }
+
+    return { ...result, signerAddress };
+};
+
+module.exports = {
+    generateSigningKey,
+    rotateSigningKey,
+    getMerchantKeypair,
+    executeAsMerchant,
+};
@@ -16,7 +16,8 @@ class MultiSigManager {
                 emergency_pause: 2,
                 emergency_unpause: 2,
                 bulk_transfer: 2,
-                delete_vouchers: 3
+                delete_vouchers: 3,
+                top_up_voucher: 2
             }
         };
     }
@@ -129,7 +130,7 @@ class MultiSigManager {
      * Execute an approved operation
      * @param {string} operationId - Operation ID
      * @param {string} executedBy - Admin executing the operation
-     * @param {Function} executionFunction - Function to execute the operation
+     * @param {Function} [executionFunction] - Function to execute the operation; defaults to the built-in executor
      * @returns {Promise<Object>} Execution result
      */
     async executeOperation(operationId, executedBy, executionFunction) {
@@ -139,16 +140,35 @@ class MultiSigManager {
             throw new Error('Operation not found');
         }
 
+        if (operation.status === 'executing') {
+            throw new Error('Operation is already being executed');
+        }
+
         if (operation.status !== 'approved') {
             throw new Error('Operation must be approved before execution');
         }
 
+        const execute = executionFunction || this.getExecutor(operation);
+        if (!execute) {
+            throw new Error(`No executor registered for operation type: ${operation.operationType}`);
+        }
+
+        // Claim the operation so a concurrent execute request cannot run it a second time
+        const claimed = await MultiSigOperation.findOneAndUpdate(
+            { _id: operation._id, status: 'approved' },
+            { status: 'executing' },
+            { new: true }
+        );
+        if (!claimed) {
+            throw new Error('Operation is already being executed');
+        }
+
         let result;
         try {
             // Execute the operation
-            result = await executionFunction(operation.operationData);
+            result = await execute(claimed.operationData);
 
-            await operation.execute(executedBy, {
+            await claimed.execute(executedBy, {
                 success: true,
                 data: result
             });
@@ -157,11 +177,11 @@ class MultiSigManager {
 
             return {
                 success: true,
-                operation,
+                operation: claimed,
                 result
             };
         } catch (error) {
-            await operation.execute(executedBy, {
+            await claimed.execute(executedBy, {
                 success: false,
                 error: error.message
             });
@@ -172,6 +192,30 @@ class MultiSigManager {
         }
     }
 
+    /**
+     * Get the built-in executor for an operation
+     * @param {Object} operation - Operation to execute
+     * @returns {Function|null} Execution function, or null if the type has none
+     */
+    getExecutor(operation) {
+        switch (operation.operationType) {
+            case 'delete_vouchers': {
+                const voucherRevocationService = require('../services/voucherRevocationService');
+                return (operationData) => voucherRevocationService.executeRevocation(operationData, {
+                    operationId: operation.operationId
+                });
+            }
+            case 'top_up_voucher': {
+                const voucherAmendmentService = require('../services/voucherAmendmentService');
+                return (operationData) => voucherAmendmentService.executeTopUp(operationData, {
+                    operationId: operation.operationId
+                });
+            }
+            default:
+                return null;
+        }
+    }
+
     /**
      * Get pending operations
      * @param {Object} filter - Optional filter
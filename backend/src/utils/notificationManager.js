@@ -259,8 +259,10 @@ class NotificationManager {
             case 'voucher_received':
                 return 'voucherReceived';
             case 'voucher_expiring':
+            case 'voucher_expired':
                 return 'voucherExpiring';
             case 'redemption_confirmation':
+            case 'partial_redemption':
                 return 'redemptionConfirmation';
             default:
                 return 'voucherReceived';
@@ -748,6 +750,14 @@ class NotificationManager {
                 return NotificationTemplates.voucherExpiringSoon(templateData);
             case 'redemption_confirmation':
                 return NotificationTemplates.redemptionConfirmation(templateData);
+            case 'partial_redemption':
+                return NotificationTemplates.partialRedemption(templateData);
+            case 'voucher_revoked':
+                return NotificationTemplates.voucherRevoked(templateData);
+            case 'voucher_expired':
+                return NotificationTemplates.voucherExpired(templateData);
+            case 'merchant_notification':
+                return NotificationTemplates.merchantNotification(templateData);
             case 'bulk_operation_complete':
                 return NotificationTemplates.bulkOperationComplete(templateData);
             case 'system_maintenance':
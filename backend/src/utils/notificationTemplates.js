@@ -129,6 +129,188 @@ class NotificationTemplates {
         };
     }
 
+    static partialRedemption(redemptionData) {
+        const { voucherId, redeemedAmount, remainingAmount, merchantName, redemptionDate } = redemptionData;
+        
+        return {
+            email: {
+                subject: '✅ Voucher Partially Redeemed - ServicePass',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center;">
+                            <h1>✅ Partial Redemption</h1>
+                        </div>
+                        <div style="padding: 20px; background-color: #f9f9f9;">
+                            <h2>Part of your voucher has been redeemed.</h2>
+                            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
+                                <p><strong>Voucher ID:</strong> ${voucherId}</p>
+                                <p><strong>Amount Redeemed:</strong> $${redeemedAmount}</p>
+                                <p><strong>Remaining Balance:</strong> $${remainingAmount}</p>
+                                <p><strong>Redeemed at:</strong> ${merchantName}</p>
+                                <p><strong>Date:</strong> ${redemptionDate}</p>
+                            </div>
+                            <p>Your remaining balance can be used on your next visit.</p>
+                            <div style="text-align: center; margin: 20px 0;">
+                                <a href="${process.env.FRONTEND_URL}/redemption-history" 
+                                   style="background-color: #2196F3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+                                   View Transaction History
+                                </a>
+                            </div>
+                        </div>
+                        <div style="text-align: center; padding: 10px; color: #666; font-size: 12px;">
+                            ServicePass - Blockchain Voucher System
+                        </div>
+                    </div>
+                `,
+                text: `Voucher Partially Redeemed\n\nVoucher ID: ${voucherId}\nAmount Redeemed: $${redeemedAmount}\nRemaining Balance: $${remainingAmount}\nRedeemed at: ${merchantName}\nDate: ${redemptionDate}\n\nThank you for using ServicePass!`
+            },
+            sms: `✅ $${redeemedAmount} redeemed at ${merchantName}. Remaining balance: $${remainingAmount}. Check ServicePass app for details.`,
+            push: {
+                title: 'Voucher Partially Redeemed',
+                body: `$${redeemedAmount} redeemed at ${merchantName}. $${remainingAmount} remaining`,
+                data: { type: 'partial_redemption', voucherId }
+            }
+        };
+    }
+
+    static voucherRevoked(voucherData) {
+        const { voucherId, voucherType, amount, reason, revokedAt } = voucherData;
+        
+        return {
+            email: {
+                subject: 'Voucher Revoked - ServicePass',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background-color: #F44336; color: white; padding: 20px; text-align: center;">
+                            <h1>Voucher Revoked</h1>
+                        </div>
+                        <div style="padding: 20px; background-color: #f9f9f9;">
+                            <h2>One of your vouchers has been revoked by the issuer.</h2>
+                            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 15px 0; border-left: 4px solid #F44336;">
+                                <p><strong>Voucher ID:</strong> ${voucherId}</p>
+                                <p><strong>Voucher Type:</strong> ${voucherType}</p>
+                                <p><strong>Amount:</strong> $${amount}</p>
+                                <p><strong>Reason:</strong> ${reason}</p>
+                                <p><strong>Date:</strong> ${revokedAt}</p>
+                            </div>
+                            <p>This voucher can no longer be redeemed or transferred. If you believe this is a mistake, please contact support.</p>
+                        </div>
+                        <div style="text-align: center; padding: 10px; color: #666; font-size: 12px;">
+                            ServicePass - Blockchain Voucher System
+                        </div>
+                    </div>
+                `,
+                text: `Voucher Revoked\n\nVoucher ID: ${voucherId}\nVoucher Type: ${voucherType}\nAmount: $${amount}\nReason: ${reason}\nDate: ${revokedAt}\n\nThis voucher can no longer be redeemed or transferred. If you believe this is a mistake, please contact support.`
+            },
+            sms: `Your ${voucherType} voucher ($${amount}) has been revoked: ${reason}. Contact ServicePass support if you believe this is a mistake.`,
+            push: {
+                title: 'Voucher Revoked',
+                body: `Your $${amount} ${voucherType} voucher has been revoked`,
+                data: { type: 'voucher_revoked', voucherId }
+            }
+        };
+    }
+
+    static voucherExpired(voucherData) {
+        const { voucherId, voucherType, amount, expiredAt } = voucherData;
+        
+        return {
+            email: {
+                subject: 'Voucher Expired - ServicePass',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background-color: #9E9E9E; color: white; padding: 20px; text-align: center;">
+                            <h1>Voucher Expired</h1>
+                        </div>
+                        <div style="padding: 20px; background-color: #f9f9f9;">
+                            <h2>One of your vouchers has expired.</h2>
+                            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 15px 0; border-left: 4px solid #9E9E9E;">
+                                <p><strong>Voucher ID:</strong> ${voucherId}</p>
+                                <p><strong>Voucher Type:</strong> ${voucherType}</p>
+                                <p><strong>Unused Balance:</strong> $${amount}</p>
+                                <p><strong>Expired on:</strong> ${expiredAt}</p>
+                            </div>
+                            <p>This voucher can no longer be redeemed or transferred. The unused balance has been returned to the program budget.</p>
+                        </div>
+                        <div style="text-align: center; padding: 10px; color: #666; font-size: 12px;">
+                            ServicePass - Blockchain Voucher System
+                        </div>
+                    </div>
+                `,
+                text: `Voucher Expired\n\nVoucher ID: ${voucherId}\nVoucher Type: ${voucherType}\nUnused Balance: $${amount}\nExpired on: ${expiredAt}\n\nThis voucher can no longer be redeemed or transferred. The unused balance has been returned to the program budget.`
+            },
+            sms: `Your ${voucherType} voucher expired on ${expiredAt}. The unused $${amount} can no longer be redeemed.`,
+            push: {
+                title: 'Voucher Expired',
+                body: `Your ${voucherType} voucher expired with $${amount} unused`,
+                data: { type: 'voucher_expired', voucherId }
+            }
+        };
+    }
+
+    static emailVerification(accountData) {
+        const { name, verifyUrl, expiresInHours } = accountData;
+        
+        return {
+            email: {
+                subject: 'Verify Your Email - ServicePass',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center;">
+                            <h1>Verify Your Email</h1>
+                        </div>
+                        <div style="padding: 20px; background-color: #f9f9f9;">
+                            <h2>Hi ${name}, please confirm this is your email address.</h2>
+                            <p>Confirming your email lets us reach you about your vouchers and your account.</p>
+                            <div style="text-align: center; margin: 20px 0;">
+                                <a href="${verifyUrl}" 
+                                   style="background-color: #2196F3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+                                   Verify Email
+                                </a>
+                            </div>
+                            <p>This link expires in ${expiresInHours} hours. If you didn't create a ServicePass account, you can ignore this email.</p>
+                        </div>
+                        <div style="text-align: center; padding: 10px; color: #666; font-size: 12px;">
+                            ServicePass - Blockchain Voucher System
+                        </div>
+                    </div>
+                `,
+                text: `Verify Your Email\n\nHi ${name}, please confirm this is your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in ${expiresInHours} hours. If you didn't create a ServicePass account, you can ignore this email.`
+            }
+        };
+    }
+
+    static passwordReset(accountData) {
+        const { name, resetUrl, expiresInMinutes } = accountData;
+        
+        return {
+            email: {
+                subject: 'Reset Your Password - ServicePass',
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background-color: #F44336; color: white; padding: 20px; text-align: center;">
+                            <h1>Reset Your Password</h1>
+                        </div>
+                        <div style="padding: 20px; background-color: #f9f9f9;">
+                            <h2>Hi ${name}, we received a request to reset your password.</h2>
+                            <div style="text-align: center; margin: 20px 0;">
+                                <a href="${resetUrl}" 
+                                   style="background-color: #F44336; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+                                   Reset Password
+                                </a>
+                            </div>
+                            <p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to reset your password, you can ignore this email; your password will not change.</p>
+                        </div>
+                        <div style="text-align: center; padding: 10px; color: #666; font-size: 12px;">
+                            ServicePass - Blockchain Voucher System
+                        </div>
+                    </div>
+                `,
+                text: `Reset Your Password\n\nHi ${name}, we received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to reset your password, you can ignore this email.`
+            }
+        };
+    }
+
     static merchantNotification(notificationData) {
         const { type, merchantName, amount, voucherType, customerInfo } = notificationData;
         
@@ -0,0 +1,51 @@
+const cron = require('node-cron');
+const reconciliationService = require('../services/reconciliationService');
+const { logger } = require('./logger');
+
+class ReconciliationScheduler {
+    constructor() {
+        this.job = null;
+    }
+
+    /**
+     * Start the nightly reconciliation job
+     * @param {string} schedule - Cron expression (default: RECONCILIATION_CRON or 02:00 daily)
+     */
+    start(schedule = process.env.RECONCILIATION_CRON || '0 2 * * *') {
+        if (this.job) {
+            logger.warn('Reconciliation scheduler already running');
+            return;
+        }
+
+        // Scheduled runs only auto-repair when explicitly enabled
+        const autoRepair = process.env.RECONCILIATION_AUTO_REPAIR === 'true';
+
+        this.job = cron.schedule(schedule, async () => {
+            try {
+                logger.info('Starting scheduled reconciliation...');
+                const report = await reconciliationService.runReconciliation({
+                    trigger: 'scheduled',
+                    autoRepair
+                });
+                logger.info(`Scheduled reconciliation ${report.reportId} finished with status ${report.status}`);
+            } catch (error) {
+                logger.error('Error in scheduled reconciliation:', error);
+            }
+        });
+
+        logger.info(`Reconciliation scheduler started (schedule: ${schedule}, autoRepair: ${autoRepair})`);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+            logger.info('Stopped reconciliation scheduler');
+        }
+    }
+}
+
+module.exports = new ReconciliationScheduler();
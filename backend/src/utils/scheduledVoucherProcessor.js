@@ -1,7 +1,9 @@
 const ScheduledVoucher = require('../models/ScheduledVoucher');
 const VoucherTemplate = require('../models/VoucherTemplate');
-const Voucher = require('../models/Voucher');
+const voucherService = require('../services/voucherService');
+const notificationManager = require('./notificationManager');
 const { logger } = require('./logger');
+const { trackTransactions } = require('./blockchainRetry');
 const crypto = require('crypto');
 
 class ScheduledVoucherProcessor {
@@ -79,7 +81,16 @@ class ScheduledVoucherProcessor {
      * Process a single scheduled voucher
      * @param {Object} scheduledVoucher - The scheduled voucher document
      */
-    async processScheduledVoucher(scheduledVoucher) {
+    processScheduledVoucher(scheduledVoucher) {
+        return trackTransactions((transactions) => this.attemptScheduledVoucher(scheduledVoucher, transactions));
+    }
+
+    /**
+     * Mint a scheduled voucher, recording a failure for retry
+     * @param {Object} scheduledVoucher - The scheduled voucher document
+     * @param {Object} transactions - Transactions submitted during this attempt (see trackTransactions)
+     */
+    async attemptScheduledVoucher(scheduledVoucher, transactions) {
         try {
             await scheduledVoucher.markProcessing();
 
@@ -110,24 +121,26 @@ class ScheduledVoucherProcessor {
                 }
             }
 
-            // TODO: Call actual blockchain minting function here
-            // For now, create a mock voucher in database
-            const voucherId = `SCH_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
-            
-            const voucher = await Voucher.create({
-                voucherId,
-                ...voucherData,
-                originalAmount: voucherData.amount,
-                remainingAmount: voucherData.amount,
-                transactionDigest: `scheduled_${Date.now()}`,
-                qrCodeData: '', // TODO: Generate QR code
-                signature: '' // TODO: Generate signature
-            });
+            const { voucherId, transactionDigest } = await voucherService.mintVoucher(voucherData);
 
-            await scheduledVoucher.markCompleted(voucherId);
+            await scheduledVoucher.markCompleted(voucherId, transactionDigest);
 
             logger.info(`Successfully processed scheduled voucher ${scheduledVoucher.scheduleId}, created voucher ${voucherId}`);
 
+            if (scheduledVoucher.notifyRecipient) {
+                try {
+                    await notificationManager.sendNotification(voucherData.recipient, 'voucher_received', {
+                        voucherId,
+                        voucherType: voucherData.voucherType,
+                        amount: voucherData.amount,
+                        merchantName: voucherData.merchantId,
+                        expiryDate: voucherData.expiryTimestamp ? new Date(voucherData.expiryTimestamp).toLocaleDateString() : 'No expiry'
+                    });
+                } catch (notificationError) {
+                    logger.error(`Failed to send voucher notification for schedule ${scheduledVoucher.scheduleId}:`, notificationError);
+                }
+            }
+
             // Handle recurring schedules
             if (scheduledVoucher.recurringSchedule?.enabled) {
                 await this.createNextRecurringSchedule(scheduledVoucher);
@@ -136,13 +149,16 @@ class ScheduledVoucherProcessor {
         } catch (error) {
             logger.error(`Error processing scheduled voucher ${scheduledVoucher.scheduleId}:`, error);
 
-            // Check if we should retry
-            if (scheduledVoucher.retryCount < scheduledVoucher.maxRetries) {
-                await scheduledVoucher.markFailed(error);
-                logger.info(`Scheduled voucher ${scheduledVoucher.scheduleId} will be retried (${scheduledVoucher.retryCount}/${scheduledVoucher.maxRetries})`);
+            // Once the mint has landed, a retry would mint a second voucher
+            const minted = transactions.digests.length > 0;
+            await scheduledVoucher.markFailed(error, { retry: !minted });
+
+            if (scheduledVoucher.nextAttemptAt) {
+                logger.info(`Scheduled voucher ${scheduledVoucher.scheduleId} will be retried at ${scheduledVoucher.nextAttemptAt.toISOString()} (${scheduledVoucher.retryCount}/${scheduledVoucher.maxRetries})`);
+            } else if (minted) {
+                logger.error(`Scheduled voucher ${scheduledVoucher.scheduleId} failed after its mint landed (${transactions.digests.join(', ')}); not retrying, needs manual review`);
             } else {
-                await scheduledVoucher.markFailed(error);
-                logger.error(`Scheduled voucher ${scheduledVoucher.scheduleId} failed after ${scheduledVoucher.maxRetries} retries`);
+                logger.error(`Scheduled voucher ${scheduledVoucher.scheduleId} failed after ${scheduledVoucher.maxRetries} retries; needs manual review`);
             }
         }
     }
@@ -254,7 +270,8 @@ class ScheduledVoucherProcessor {
             throw new Error('Scheduled voucher not found');
         }
 
-        if (schedule.status !== 'pending') {
+        // Cancelling a failed schedule stops its retries
+        if (!['pending', 'failed'].includes(schedule.status)) {
             throw new Error(`Cannot cancel schedule with status: ${schedule.status}`);
         }
 
@@ -1,10 +1,25 @@
 const VoucherTransfer = require('../models/VoucherTransfer');
 const Voucher = require('../models/Voucher');
 const User = require('../models/User');
+const { TransactionBlock } = require('@mysten/sui.js/transactions');
+const { verifyTransactionBlock } = require('@mysten/sui.js/verify');
+const { fromB64, normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const { suiClient, getAdminKeypair, PACKAGE_ID, REGISTRY_ID } = require('../config/sui');
+const { executeSignedTransactionWithRetry, BlockchainError } = require('./blockchainRetry');
+const { generateVoucherQrCode } = require('../services/voucherService');
+const recipientPolicyService = require('../services/recipientPolicyService');
+const webhookService = require('../services/webhookService');
 const { logger } = require('./logger');
 const crypto = require('crypto');
 
+// How long the owner has to sign transfer bytes before they must be rebuilt
+const TRANSACTION_TTL_MS = 2 * 60 * 1000;
+
 class TransferValidator {
+    constructor() {
+        this.sponsorQueue = Promise.resolve();
+    }
+
     /**
      * Validate if a voucher transfer is allowed
      * @param {Object} params - Transfer parameters
@@ -90,6 +105,13 @@ class TransferValidator {
                     };
                 }
 
+                if (amount === voucher.remainingAmount) {
+                    return {
+                        allowed: false,
+                        reason: 'Partial transfer must leave a remaining balance. Use a full transfer instead'
+                    };
+                }
+
                 if (amount <= 0) {
                     return {
                         allowed: false,
@@ -108,6 +130,17 @@ class TransferValidator {
                 }
             }
 
+            // Check the recipient is a verified user if the platform requires it
+            if (await recipientPolicyService.isEnforced()) {
+                const unverified = await recipientPolicyService.findUnverifiedRecipients([toAddress]);
+                if (unverified.length > 0) {
+                    return {
+                        allowed: false,
+                        reason: 'Recipient must be a user with a verified email and wallet'
+                    };
+                }
+            }
+
             // Check if transfer requires approval
             const requiresApproval = voucher.transferRestrictions?.requireApproval || false;
 
@@ -166,19 +199,145 @@ class TransferValidator {
 
         logger.info(`Created transfer ${transferId} for voucher ${voucherId} (status: ${transfer.status})`);
 
-        // If no approval required, process immediately
-        if (!validation.requiresApproval) {
-            await this.processTransfer(transferId);
+        if (transfer.status === 'approved') {
+            await this.publishApproved(transfer, validation.voucher.merchantId);
+        }
+
+        // Transfers that don't need approval can be signed straight away; the others get
+        // their transaction once approved, so the owner never signs bytes that go stale
+        if (transfer.status === 'approved') {
+            try {
+                await this.prepareTransaction(transfer);
+            } catch (error) {
+                logger.error(`Error preparing transaction for transfer ${transferId}:`, error);
+                await transfer.fail(error);
+                throw error;
+            }
+        }
+
+        return transfer;
+    }
+
+    /**
+     * Build fresh transaction bytes for the voucher owner to sign
+     * @param {string} transferId - Transfer ID
+     * @param {string} requesterAddress - Wallet address of the caller
+     * @returns {Promise<Object>} Transfer with transaction bytes to be signed by the owner
+     */
+    async prepareTransfer(transferId, requesterAddress) {
+        const transfer = await VoucherTransfer.findOne({ transferId });
+
+        if (!transfer) {
+            throw new Error('Transfer not found');
+        }
+
+        if (transfer.fromAddress !== requesterAddress) {
+            throw new Error('Only the voucher owner can sign this transfer');
+        }
+
+        return this.prepareTransaction(transfer);
+    }
+
+    /**
+     * Build the sponsored transfer transaction for the owner to sign
+     * The sponsor only signs at execution, after checking its gas coin is still current,
+     * and the bytes expire quickly so they are never signed against an old gas coin.
+     * @param {Object} transfer - Approved transfer document
+     * @returns {Promise<Object>} Transfer with transaction bytes to be signed by the owner
+     */
+    async prepareTransaction(transfer) {
+        if (transfer.status !== 'approved') {
+            throw new Error('Transfer must be approved before it can be signed');
         }
 
+        const tx = new TransactionBlock();
+
+        if (transfer.transferType === 'partial') {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::voucher_system::split_voucher`,
+                arguments: [
+                    tx.object(REGISTRY_ID),
+                    tx.object(transfer.voucherId),
+                    tx.pure(transfer.amount),
+                    tx.pure(transfer.toAddress),
+                ],
+            });
+        } else {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::voucher_system::transfer_voucher`,
+                arguments: [
+                    tx.object(REGISTRY_ID),
+                    tx.object(transfer.voucherId),
+                    tx.pure(transfer.toAddress),
+                ],
+            });
+        }
+
+        tx.setSender(transfer.fromAddress);
+        tx.setGasOwner(getAdminKeypair().toSuiAddress());
+
+        const bytes = await tx.build({ client: suiClient });
+
+        transfer.transactionBytes = Buffer.from(bytes).toString('base64');
+        transfer.transactionExpiresAt = new Date(Date.now() + TRANSACTION_TTL_MS);
+        transfer.ownerSignature = undefined;
+        await transfer.save();
+
         return transfer;
     }
 
+    /**
+     * Check the owner's signature and execute the transfer
+     * @param {string} transferId - Transfer ID
+     * @param {string} signerAddress - Wallet address of the caller
+     * @param {string} signature - Owner signature over the transfer transaction bytes
+     * @returns {Promise<Object>} Completed transfer
+     */
+    async signTransfer(transferId, signerAddress, signature) {
+        const transfer = await VoucherTransfer.findOne({ transferId });
+
+        if (!transfer) {
+            throw new Error('Transfer not found');
+        }
+
+        if (transfer.fromAddress !== signerAddress) {
+            throw new Error('Only the voucher owner can sign this transfer');
+        }
+
+        if (transfer.status === 'pending') {
+            throw new Error('Transfer is pending approval');
+        }
+
+        if (!transfer.transactionBytes) {
+            throw new Error('Transfer transaction has not been prepared');
+        }
+
+        if (transfer.transactionExpiresAt && transfer.transactionExpiresAt <= new Date()) {
+            throw new Error('Transfer transaction has expired; request a fresh one');
+        }
+
+        let publicKey;
+        try {
+            publicKey = await verifyTransactionBlock(fromB64(transfer.transactionBytes), signature);
+        } catch (error) {
+            throw new Error('Signature does not match the transfer transaction');
+        }
+        if (normalizeSuiAddress(publicKey.toSuiAddress()) !== normalizeSuiAddress(transfer.fromAddress)) {
+            throw new Error('Signature does not match the transfer transaction');
+        }
+
+        await transfer.attachOwnerSignature(signature);
+
+        logger.info(`Transfer ${transferId} signed by owner ${signerAddress}`);
+
+        return this.processTransfer(transferId);
+    }
+
     /**
      * Approve a transfer
      * @param {string} transferId - Transfer ID
      * @param {string} approvedBy - Admin ID approving the transfer
-     * @returns {Promise<Object>} Approved transfer
+     * @returns {Promise<Object>} Approved transfer, ready for the owner to sign
      */
     async approveTransfer(transferId, approvedBy) {
         const transfer = await VoucherTransfer.findOne({ transferId });
@@ -191,12 +350,30 @@ class TransferValidator {
 
         logger.info(`Transfer ${transferId} approved by ${approvedBy}`);
 
-        // Process the transfer
-        await this.processTransfer(transferId);
+        const voucher = await Voucher.findOne({ voucherId: transfer.voucherId }).select('merchantId');
+        await this.publishApproved(transfer, voucher?.merchantId);
 
         return transfer;
     }
 
+    /**
+     * Publish transfer.approved to the platform and the voucher's merchant
+     * @param {Object} transfer - Approved transfer
+     * @param {string} [merchantId] - Merchant the voucher belongs to
+     */
+    async publishApproved(transfer, merchantId) {
+        await webhookService.publishEvent('transfer.approved', {
+            transferId: transfer.transferId,
+            voucherId: transfer.voucherId,
+            fromAddress: transfer.fromAddress,
+            toAddress: transfer.toAddress,
+            amount: transfer.amount,
+            transferType: transfer.transferType,
+            requiresApproval: transfer.requiresApproval,
+            approvedBy: transfer.approvedBy || null,
+        }, { merchantId });
+    }
+
     /**
      * Reject a transfer
      * @param {string} transferId - Transfer ID
@@ -218,7 +395,8 @@ class TransferValidator {
     }
 
     /**
-     * Process an approved transfer
+     * Execute a signed, approved transfer
+     * The database is only updated once the chain has confirmed the transaction.
      * @param {string} transferId - Transfer ID
      * @returns {Promise<Object>} Processed transfer
      */
@@ -229,8 +407,12 @@ class TransferValidator {
             throw new Error('Transfer not found');
         }
 
-        if (transfer.status !== 'approved' && transfer.status !== 'pending') {
-            throw new Error('Transfer is not in approved or pending status');
+        if (transfer.status !== 'approved') {
+            throw new Error('Transfer is not in approved status');
+        }
+
+        if (!transfer.ownerSignature) {
+            throw new Error('Transfer has not been signed by the voucher owner');
         }
 
         try {
@@ -240,40 +422,198 @@ class TransferValidator {
                 throw new Error('Voucher not found');
             }
 
-            // TODO: Implement actual blockchain transfer here
-            // For now, just update the database
+            // The voucher may have been revoked after the transfer was approved
+            if (voucher.status === 'cancelled') {
+                throw new Error('Voucher has been revoked');
+            }
+
+            const result = await this.executeSponsored(transfer);
 
-            if (transfer.transferType === 'partial') {
-                // For partial transfer, reduce the amount and create new voucher for recipient
-                // This is a simplified version - actual implementation may vary
-                voucher.remainingAmount -= transfer.amount;
-                if (voucher.remainingAmount === 0) {
-                    voucher.status = 'fully_redeemed';
+            try {
+                if (transfer.transferType === 'partial') {
+                    const split = result.events?.find(e => e.type.endsWith('::voucher_system::VoucherSplit'));
+                    if (!split) {
+                        throw new Error(`Split voucher not found in transaction ${result.digest}`);
+                    }
+                    transfer.newVoucherId = split.parsedJson.new_voucher_id;
+                    await this.applySplit(split.parsedJson, result.digest);
                 } else {
-                    voucher.status = 'partially_redeemed';
+                    await this.applyTransfer({
+                        voucherId: transfer.voucherId,
+                        fromAddress: transfer.fromAddress,
+                        toAddress: transfer.toAddress,
+                    });
                 }
-                await voucher.save();
-            } else {
-                // Full transfer - update ownership
-                voucher.recipient = transfer.toAddress;
-                await voucher.recordTransfer();
+            } catch (recordError) {
+                // The transfer already happened on-chain; the indexer applies it from the event
+                logger.error(`Failed to record transfer ${transferId} in the database:`, recordError);
             }
 
-            // Mark transfer as completed
-            const mockTransactionHash = `0x${crypto.randomBytes(32).toString('hex')}`;
-            await transfer.complete(mockTransactionHash);
+            await transfer.complete(result.digest);
 
-            logger.info(`Successfully processed transfer ${transferId}`);
+            logger.info(`Successfully processed transfer ${transferId}`, { transactionDigest: result.digest });
 
             return transfer;
 
         } catch (error) {
             logger.error(`Error processing transfer ${transferId}:`, error);
+
+            // Nothing was submitted, so the owner can sign fresh bytes
+            if (error.code === 'TRANSACTION_STALE') {
+                transfer.ownerSignature = undefined;
+                await transfer.save();
+                throw error;
+            }
+
             await transfer.fail(error);
             throw error;
         }
     }
 
+    /**
+     * Sponsor-sign and execute the owner-signed transfer transaction
+     * Executions are serialised so the sponsor never signs two transactions over the
+     * same gas coin version.
+     * @param {Object} transfer - Signed transfer
+     * @returns {Promise<Object>} Successful transaction result
+     */
+    executeSponsored(transfer) {
+        const run = this.sponsorQueue.then(async () => {
+            const { payment } = TransactionBlock.from(transfer.transactionBytes).blockData.gasConfig;
+            const gasObjects = await suiClient.multiGetObjects({ ids: payment.map(coin => coin.objectId) });
+            const stale = payment.some((coin, i) => gasObjects[i]?.data?.version !== String(coin.version));
+            if (stale) {
+                const error = new Error('Transfer transaction is stale; request a fresh one');
+                error.code = 'TRANSACTION_STALE';
+                throw error;
+            }
+
+            const { signature: sponsorSignature } = await getAdminKeypair().signTransactionBlock(fromB64(transfer.transactionBytes));
+
+            const result = await executeSignedTransactionWithRetry(suiClient, {
+                transactionBlock: transfer.transactionBytes,
+                signature: [transfer.ownerSignature, sponsorSignature],
+                options: {
+                    showEffects: true,
+                    showEvents: true,
+                }
+            });
+
+            if (result.effects?.status?.status !== 'success') {
+                throw new BlockchainError(
+                    `Transfer transaction ${result.digest} failed on-chain`,
+                    new Error(result.effects?.status?.error || 'Unknown execution error')
+                );
+            }
+
+            return result;
+        });
+
+        this.sponsorQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Move a voucher to its new holder in the database; safe to repeat
+     * @param {Object} params - Confirmed transfer
+     * @param {string} params.voucherId - Voucher ID
+     * @param {string} params.fromAddress - Previous holder
+     * @param {string} params.toAddress - New holder
+     * @returns {Promise<Object|null>} Updated voucher, or null if already applied
+     */
+    async applyTransfer({ voucherId, fromAddress, toAddress }) {
+        const voucher = await Voucher.findOneAndUpdate(
+            { voucherId, recipient: fromAddress },
+            {
+                $set: { recipient: toAddress },
+                $inc: { 'transferRestrictions.transferCount': 1 }
+            },
+            { new: true }
+        );
+
+        if (!voucher) {
+            return null;
+        }
+
+        // The QR payload embeds the recipient, so reissue it for the new holder
+        const { signature, qrPayload, qrCodeData } = await generateVoucherQrCode({
+            voucherId: voucher.voucherId,
+            voucherType: voucher.voucherType,
+            amount: voucher.amount,
+            recipient: voucher.recipient,
+            merchantId: voucher.merchantId,
+            expiryTimestamp: voucher.expiryTimestamp,
+        });
+        voucher.signature = signature;
+        voucher.qrPayload = qrPayload;
+        voucher.qrCodeData = qrCodeData;
+        await voucher.save();
+
+        return voucher;
+    }
+
+    /**
+     * Store the voucher created by an on-chain split and settle the original; safe to repeat
+     * @param {Object} split - VoucherSplit event fields
+     * @param {string} transactionDigest - Split transaction digest
+     * @returns {Promise<Object|null>} New voucher, or null if already recorded
+     */
+    async applySplit(split, transactionDigest) {
+        const newVoucherId = split.new_voucher_id;
+        const amount = Number(split.amount);
+
+        if (await Voucher.exists({ voucherId: newVoucherId })) {
+            return null;
+        }
+
+        const sourceVoucher = await Voucher.findOne({ voucherId: split.original_voucher_id });
+        if (!sourceVoucher) {
+            throw new Error(`Voucher ${split.original_voucher_id} not found`);
+        }
+
+        const payload = {
+            voucherId: newVoucherId,
+            voucherType: sourceVoucher.voucherType,
+            amount,
+            recipient: split.recipient,
+            merchantId: sourceVoucher.merchantId,
+            expiryTimestamp: sourceVoucher.expiryTimestamp,
+        };
+        const { signature, qrPayload, qrCodeData } = await generateVoucherQrCode(payload);
+
+        let newVoucher;
+        try {
+            newVoucher = await Voucher.create({
+                ...payload,
+                originalAmount: amount,
+                remainingAmount: amount,
+                qrCodeData,
+                qrPayload,
+                signature,
+                transactionDigest,
+                allowPartialRedemption: sourceVoucher.allowPartialRedemption,
+                transferRestrictions: {
+                    maxTransfers: sourceVoucher.transferRestrictions.maxTransfers,
+                    requireApproval: sourceVoucher.transferRestrictions.requireApproval
+                },
+                templateId: sourceVoucher.templateId
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+
+        // The event carries the on-chain balance, so take it as-is rather than subtracting.
+        // The split value moved to the new voucher; nothing was redeemed, so the status stays.
+        sourceVoucher.amount -= amount;
+        sourceVoucher.remainingAmount = Number(split.remaining_amount);
+        await sourceVoucher.save();
+
+        return newVoucher;
+    }
+
     /**
      * Get transfer history for a voucher
      * @param {string} voucherId - Voucher ID
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { voucherAPI } from '../services/api';
+import { shortenAddress } from '../utils/helpers';
+import './DynamicVoucherQR.css';
+
+function DynamicVoucherQR({ voucherId, onClose }) {
+  const [now, setNow] = useState(Date.now());
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['dynamic-qr', voucherId],
+    queryFn: () => voucherAPI.getDynamicQrCode(voucherId),
+    enabled: !!voucherId,
+    staleTime: 0,
+    gcTime: 0,
+    // Fetch the next code as soon as the current one rolls over
+    refetchInterval: (query) => {
+      const expiresAt = query.state.data?.expiresAt;
+      return expiresAt ? Math.max(new Date(expiresAt).getTime() - Date.now(), 1000) : false;
+    },
+  });
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const secondsLeft = data?.expiresAt
+    ? Math.max(Math.ceil((new Date(data.expiresAt).getTime() - now) / 1000), 0)
+    : 0;
+  const progress = data?.refreshInterval ? (secondsLeft / data.refreshInterval) * 100 : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content dynamic-qr-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Voucher QR Code</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="voucher-id">ID: {shortenAddress(voucherId)}</p>
+
+          {isLoading && <div className="loading">Generating QR code...</div>}
+
+          {error && (
+            <div className="error-message">
+              {error.response?.data?.message || 'Unable to load QR code'}
+            </div>
+          )}
+
+          {data && (
+            <>
+              <div className="dynamic-qr-image">
+                <img src={data.qrCodeData} alt="Voucher QR code" />
+              </div>
+              <div className="dynamic-qr-timer">
+                <div className="progress-bar-container">
+                  <div className="progress-bar-fill" style={{ width: `${progress}%` }}></div>
+                </div>
+                <span>Refreshes in {secondsLeft}s</span>
+              </div>
+              <p className="dynamic-qr-hint">
+                Show this code to the merchant. It changes every {data.refreshInterval} seconds,
+                so screenshots will not work.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DynamicVoucherQR;
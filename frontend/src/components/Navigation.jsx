@@ -1,16 +1,49 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { ConnectButton, useCurrentAccount, useSignPersonalMessage } from '@mysten/dapp-kit';
 import { FaWallet, FaStore, FaTicketAlt, FaHistory, FaChartBar, FaChartPie, FaClock, FaExchangeAlt, FaUsers, FaBell, FaLayerGroup, FaShieldAlt } from 'react-icons/fa';
 import { shortenAddress } from '../utils/helpers';
+import { authAPI } from '../services/api';
 import './Navigation.css';
 
 function Navigation({ userType, setUserType, walletAddress, setWalletAddress, merchantId, setMerchantId }) {
   const location = useLocation();
-  
-  const handleWalletConnect = () => {
-    // Simplified wallet connection - in production, integrate with Sui wallet
-    const mockAddress = '0x' + Math.random().toString(16).substr(2, 40);
-    setWalletAddress(mockAddress);
+  const currentAccount = useCurrentAccount();
+  const { mutateAsync: signPersonalMessage } = useSignPersonalMessage();
+  const [signingIn, setSigningIn] = useState(false);
+  const [signInError, setSignInError] = useState('');
+
+  const signOut = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('walletAddress');
+    setWalletAddress('');
+  };
+
+  // A session belongs to the wallet that signed in; switching accounts ends it
+  useEffect(() => {
+    if (walletAddress && currentAccount && currentAccount.address !== walletAddress) {
+      signOut();
+    }
+  }, [currentAccount, walletAddress]);
+
+  const handleWalletSignIn = async () => {
+    setSigningIn(true);
+    setSignInError('');
+    try {
+      const { nonce, message } = await authAPI.getWalletChallenge(currentAccount.address);
+      const { signature } = await signPersonalMessage({ message: new TextEncoder().encode(message) });
+      const { accessToken, refreshToken, user } = await authAPI.verifyWallet(currentAccount.address, nonce, signature);
+
+      localStorage.setItem('token', accessToken);
+      localStorage.setItem('refreshToken', refreshToken);
+      localStorage.setItem('walletAddress', user.walletAddress);
+      setWalletAddress(user.walletAddress);
+    } catch (error) {
+      setSignInError(error.response?.data?.error || error.message);
+    } finally {
+      setSigningIn(false);
+    }
   };
   
   const handleMerchantLogin = () => {
@@ -118,10 +151,15 @@ function Navigation({ userType, setUserType, walletAddress, setWalletAddress, me
                 <FaWallet />
                 <span>{shortenAddress(walletAddress)}</span>
               </div>
+            ) : currentAccount ? (
+              <>
+                <button className="connect-btn" onClick={handleWalletSignIn} disabled={signingIn}>
+                  {signingIn ? 'Check your wallet...' : 'Sign In with Wallet'}
+                </button>
+                {signInError && <span className="wallet-error">{signInError}</span>}
+              </>
             ) : (
-              <button className="connect-btn" onClick={handleWalletConnect}>
-                Connect Wallet
-              </button>
+              <ConnectButton connectText="Connect Wallet" />
             )
           ) : (
             merchantId ? (
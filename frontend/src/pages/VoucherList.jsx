@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { voucherAPI } from '../services/api';
 import PartialRedemptionModal from '../components/PartialRedemptionModal';
+import DynamicVoucherQR from '../components/DynamicVoucherQR';
 import { 
   getVoucherTypeName, 
   getVoucherTypeColor,
@@ -17,6 +18,7 @@ function VoucherList({ walletAddress }) {
   const [filter, setFilter] = useState('all'); // all, active, expired
   const [selectedVoucher, setSelectedVoucher] = useState(null);
   const [showRedemptionModal, setShowRedemptionModal] = useState(false);
+  const [qrVoucherId, setQrVoucherId] = useState(null);
 
   const { data: vouchersData, isLoading } = useQuery({
     queryKey: ['vouchers', walletAddress],
@@ -172,6 +174,12 @@ function VoucherList({ walletAddress }) {
                   >
                     {allowPartialRedemption ? 'Redeem Amount' : 'Use Voucher'}
                   </button>
+                  <button 
+                    className="btn-secondary"
+                    onClick={() => setQrVoucherId(objectId)}
+                  >
+                    Show QR
+                  </button>
                   <button className="btn-secondary">View Details</button>
                 </div>
               )}
@@ -196,6 +204,13 @@ function VoucherList({ walletAddress }) {
           }}
         />
       )}
+
+      {qrVoucherId && (
+        <DynamicVoucherQR
+          voucherId={qrVoucherId}
+          onClose={() => setQrVoucherId(null)}
+        />
+      )}
     </div>
   );
 }
@@ -9,6 +9,38 @@ const api = axios.create({
   },
 });
 
+// Attach the signed-in user's access token
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Auth APIs
+export const authAPI = {
+  getWalletChallenge: async (address) => {
+    const response = await api.post('/auth/wallet/challenge', { address });
+    return response.data;
+  },
+
+  verifyWallet: async (address, nonce, signature) => {
+    const response = await api.post('/auth/wallet/verify', { address, nonce, signature });
+    return response.data;
+  },
+
+  getWalletLinkChallenge: async (address) => {
+    const response = await api.post('/auth/wallet/link/challenge', { address });
+    return response.data;
+  },
+
+  linkWallet: async (address, nonce, signature) => {
+    const response = await api.post('/auth/wallet/link', { address, nonce, signature });
+    return response.data;
+  },
+};
+
 // Voucher APIs
 export const voucherAPI = {
   getVouchersByOwner: async (address) => {
@@ -20,6 +52,11 @@ export const voucherAPI = {
     const response = await api.post('/vouchers/mint', voucherData);
     return response.data;
   },
+
+  getDynamicQrCode: async (voucherId) => {
+    const response = await api.get(`/vouchers/${voucherId}/qrcode/dynamic`);
+    return response.data;
+  },
 };
 
 // Merchant APIs
@@ -258,6 +295,11 @@ export const transferAPI = {
     return response.data;
   },
   
+  sign: async (transferId, signature) => {
+    const response = await api.post(`/transfers/${transferId}/sign`, { signature });
+    return response.data;
+  },
+  
   approve: async (transferId) => {
     const response = await api.post(`/transfers/${transferId}/approve`);
     return response.data;
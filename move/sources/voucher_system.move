@@ -9,6 +9,7 @@ module servicepass::voucher_system {
     use sui::balance::{Self, Balance};
     use sui::sui::SUI;
     use sui::event;
+    use sui::dynamic_field;
     use std::string::{Self, String};
 
     // ===== Error Codes =====
@@ -16,6 +17,9 @@ module servicepass::voucher_system {
     const EInvalidVoucherType: u64 = 2;
     const ENotAuthorized: u64 = 3;
     const EVoucherExpired: u64 = 4;
+    const EInvalidAmount: u64 = 5;
+    const EVoucherRevoked: u64 = 6;
+    const EInvalidExpiry: u64 = 7;
 
     // ===== Voucher Types =====
     const EDUCATION: u8 = 1;
@@ -38,6 +42,8 @@ module servicepass::voucher_system {
     }
 
     /// Individual voucher token
+    /// Shared, so the holder's registered merchant can redeem it without the holder's
+    /// signature; `issued_to` is the holder and the only address that may transfer or split it.
     struct Voucher has key, store {
         id: UID,
         voucher_type: u8,
@@ -49,6 +55,22 @@ module servicepass::voucher_system {
         metadata: String,
     }
 
+    /// Registry key for a voucher's pending amendment
+    struct AmendmentKey has copy, drop, store {
+        voucher_id: address,
+    }
+
+    /// Registry key linking a split voucher to the voucher it was split from
+    struct ParentKey has copy, drop, store {
+        voucher_id: address,
+    }
+
+    /// Admin changes to a voucher, folded into it on its next redemption or split
+    struct VoucherAmendment has store, drop {
+        top_up: u64,
+        expiry_timestamp: u64,
+    }
+
     /// Merchant registration
     struct Merchant has key {
         id: UID,
@@ -56,6 +78,7 @@ module servicepass::voucher_system {
         name: String,
         voucher_types_accepted: vector<u8>,
         total_redeemed: u64,
+        signing_address: address, // Managed key allowed to redeem vouchers at this merchant
     }
 
     // ===== Events =====
@@ -76,9 +99,60 @@ module servicepass::voucher_system {
         timestamp: u64,
     }
 
+    struct VoucherPartiallyRedeemed has copy, drop {
+        voucher_id: address,
+        voucher_type: u8,
+        amount: u64,
+        remaining_amount: u64,
+        merchant_id: String,
+        timestamp: u64,
+    }
+
+    struct VoucherRevoked has copy, drop {
+        voucher_id: address,
+        reason: String,
+        timestamp: u64,
+    }
+
+    struct VoucherExtended has copy, drop {
+        voucher_id: address,
+        expiry_timestamp: u64,
+        timestamp: u64,
+    }
+
+    struct VoucherToppedUp has copy, drop {
+        voucher_id: address,
+        amount: u64,
+        total_top_up: u64,
+        timestamp: u64,
+    }
+
     struct MerchantRegistered has copy, drop {
         merchant_id: String,
         name: String,
+        signing_address: address,
+    }
+
+    struct MerchantSignerChanged has copy, drop {
+        merchant_id: String,
+        signing_address: address,
+    }
+
+    struct VoucherTransferred has copy, drop {
+        voucher_id: address,
+        from: address,
+        to: address,
+        amount: u64,
+        timestamp: u64,
+    }
+
+    struct VoucherSplit has copy, drop {
+        original_voucher_id: address,
+        new_voucher_id: address,
+        amount: u64,
+        remaining_amount: u64,
+        recipient: address,
+        timestamp: u64,
     }
 
     // ===== Initialization =====
@@ -145,8 +219,8 @@ module servicepass::voucher_system {
             timestamp: tx_context::epoch(ctx),
         });
 
-        // Transfer voucher to recipient
-        transfer::transfer(voucher, recipient);
+        // Share the voucher; the recipient holds it through issued_to
+        transfer::share_object(voucher);
     }
 
     /// Register a new merchant
@@ -155,6 +229,7 @@ module servicepass::voucher_system {
         merchant_id: vector<u8>,
         name: vector<u8>,
         voucher_types_accepted: vector<u8>,
+        signing_address: address,
         ctx: &mut TxContext
     ) {
         let merchant_id_string = string::utf8(merchant_id);
@@ -166,16 +241,98 @@ module servicepass::voucher_system {
             name: name_string,
             voucher_types_accepted,
             total_redeemed: 0,
+            signing_address,
         };
 
         event::emit(MerchantRegistered {
             merchant_id: merchant_id_string,
             name: name_string,
+            signing_address,
         });
 
         transfer::share_object(merchant);
     }
 
+    /// Replace the key allowed to redeem at a merchant, e.g. after a rotation (admin only)
+    public entry fun set_merchant_signer(
+        _admin_cap: &AdminCap,
+        merchant: &mut Merchant,
+        signing_address: address,
+        _ctx: &mut TxContext
+    ) {
+        merchant.signing_address = signing_address;
+
+        event::emit(MerchantSignerChanged {
+            merchant_id: merchant.merchant_id,
+            signing_address,
+        });
+    }
+
+    /// Revoke a voucher (admin only)
+    /// The revocation is recorded on the registry and checked on redemption, transfer and
+    /// split rather than burning the object. It also covers vouchers already split from it.
+    public entry fun revoke_voucher(
+        _admin_cap: &AdminCap,
+        registry: &mut VoucherRegistry,
+        voucher_id: address,
+        reason: vector<u8>,
+        ctx: &mut TxContext
+    ) {
+        assert!(!is_revoked(registry, voucher_id), EVoucherRevoked);
+
+        dynamic_field::add(&mut registry.id, voucher_id, true);
+
+        event::emit(VoucherRevoked {
+            voucher_id,
+            reason: string::utf8(reason),
+            timestamp: tx_context::epoch(ctx),
+        });
+    }
+
+    /// Extend a voucher's expiry (admin only)
+    /// Recorded on the registry like revocations and applied when the voucher is redeemed.
+    public entry fun extend_voucher(
+        _admin_cap: &AdminCap,
+        registry: &mut VoucherRegistry,
+        voucher_id: address,
+        expiry_timestamp: u64,
+        ctx: &mut TxContext
+    ) {
+        assert!(!is_revoked(registry, voucher_id), EVoucherRevoked);
+
+        let amendment = borrow_amendment_mut(registry, voucher_id);
+        assert!(expiry_timestamp > amendment.expiry_timestamp, EInvalidExpiry);
+        amendment.expiry_timestamp = expiry_timestamp;
+
+        event::emit(VoucherExtended {
+            voucher_id,
+            expiry_timestamp,
+            timestamp: tx_context::epoch(ctx),
+        });
+    }
+
+    /// Add value to a voucher (admin only)
+    public entry fun top_up_voucher(
+        _admin_cap: &AdminCap,
+        registry: &mut VoucherRegistry,
+        voucher_id: address,
+        amount: u64,
+        ctx: &mut TxContext
+    ) {
+        assert!(!is_revoked(registry, voucher_id), EVoucherRevoked);
+        assert!(amount > 0, EInvalidAmount);
+
+        let amendment = borrow_amendment_mut(registry, voucher_id);
+        amendment.top_up = amendment.top_up + amount;
+
+        event::emit(VoucherToppedUp {
+            voucher_id,
+            amount,
+            total_top_up: amendment.top_up,
+            timestamp: tx_context::epoch(ctx),
+        });
+    }
+
     // ===== User Functions =====
 
     /// Redeem a voucher
@@ -187,12 +344,16 @@ module servicepass::voucher_system {
     ) {
         let current_time = tx_context::epoch(ctx);
         
+        let voucher_id = object::uid_to_address(&voucher.id);
+
         // Validations
+        assert!(tx_context::sender(ctx) == merchant.signing_address, ENotAuthorized);
         assert!(!voucher.is_redeemed, EInsufficientBalance);
+        assert!(!is_revoked(registry, voucher_id), EVoucherRevoked);
+        apply_amendment(registry, &mut voucher);
         assert!(voucher.expiry_timestamp > current_time, EVoucherExpired);
         assert!(merchant_accepts_voucher_type(merchant, voucher.voucher_type), EInvalidVoucherType);
 
-        let voucher_id = object::uid_to_address(&voucher.id);
         let voucher_type = voucher.voucher_type;
         let amount = voucher.amount;
         let merchant_id = merchant.merchant_id;
@@ -217,8 +378,168 @@ module servicepass::voucher_system {
         object::delete(id);
     }
 
+    /// Redeem part of a voucher's value, keeping the remainder on the voucher
+    public entry fun redeem_partial(
+        registry: &mut VoucherRegistry,
+        merchant: &mut Merchant,
+        voucher: &mut Voucher,
+        amount: u64,
+        ctx: &mut TxContext
+    ) {
+        let current_time = tx_context::epoch(ctx);
+
+        // Validations
+        assert!(tx_context::sender(ctx) == merchant.signing_address, ENotAuthorized);
+        assert!(!voucher.is_redeemed, EInsufficientBalance);
+        assert!(!is_revoked(registry, object::uid_to_address(&voucher.id)), EVoucherRevoked);
+        apply_amendment(registry, voucher);
+        assert!(voucher.expiry_timestamp > current_time, EVoucherExpired);
+        assert!(merchant_accepts_voucher_type(merchant, voucher.voucher_type), EInvalidVoucherType);
+        // Redeeming the full remaining value goes through redeem_voucher, which burns the voucher
+        assert!(amount > 0 && amount < voucher.amount, EInvalidAmount);
+
+        voucher.amount = voucher.amount - amount;
+
+        // Update merchant stats
+        merchant.total_redeemed = merchant.total_redeemed + 1;
+
+        event::emit(VoucherPartiallyRedeemed {
+            voucher_id: object::uid_to_address(&voucher.id),
+            voucher_type: voucher.voucher_type,
+            amount,
+            remaining_amount: voucher.amount,
+            merchant_id: merchant.merchant_id,
+            timestamp: current_time,
+        });
+    }
+
+    /// Transfer a voucher to a new holder (holder only)
+    public entry fun transfer_voucher(
+        registry: &VoucherRegistry,
+        voucher: &mut Voucher,
+        recipient: address,
+        ctx: &mut TxContext
+    ) {
+        let sender = tx_context::sender(ctx);
+        assert!(sender == voucher.issued_to, ENotAuthorized);
+        assert!(!voucher.is_redeemed, EInsufficientBalance);
+        assert!(!is_revoked(registry, object::uid_to_address(&voucher.id)), EVoucherRevoked);
+
+        voucher.issued_to = recipient;
+
+        event::emit(VoucherTransferred {
+            voucher_id: object::uid_to_address(&voucher.id),
+            from: sender,
+            to: recipient,
+            amount: voucher.amount,
+            timestamp: tx_context::epoch(ctx),
+        });
+    }
+
+    /// Split part of a voucher's value into a new voucher held by the recipient (holder only)
+    public entry fun split_voucher(
+        registry: &mut VoucherRegistry,
+        voucher: &mut Voucher,
+        amount: u64,
+        recipient: address,
+        ctx: &mut TxContext
+    ) {
+        let voucher_id = object::uid_to_address(&voucher.id);
+
+        assert!(tx_context::sender(ctx) == voucher.issued_to, ENotAuthorized);
+        assert!(!voucher.is_redeemed, EInsufficientBalance);
+        assert!(!is_revoked(registry, voucher_id), EVoucherRevoked);
+        // Fold in pending top-ups and extensions first, so both halves carry them
+        apply_amendment(registry, voucher);
+        assert!(amount > 0 && amount < voucher.amount, EInvalidAmount);
+
+        voucher.amount = voucher.amount - amount;
+
+        let new_voucher = Voucher {
+            id: object::new(ctx),
+            voucher_type: voucher.voucher_type,
+            amount,
+            issued_to: recipient,
+            merchant_id: voucher.merchant_id,
+            expiry_timestamp: voucher.expiry_timestamp,
+            is_redeemed: false,
+            metadata: voucher.metadata,
+        };
+
+        let new_voucher_id = object::uid_to_address(&new_voucher.id);
+
+        // Revoking the original later must also revoke this split
+        dynamic_field::add(&mut registry.id, ParentKey { voucher_id: new_voucher_id }, voucher_id);
+
+        event::emit(VoucherSplit {
+            original_voucher_id: voucher_id,
+            new_voucher_id,
+            amount,
+            remaining_amount: voucher.amount,
+            recipient,
+            timestamp: tx_context::epoch(ctx),
+        });
+
+        transfer::share_object(new_voucher);
+    }
+
     // ===== View Functions =====
 
+    /// Current holder of a voucher
+    public fun holder(voucher: &Voucher): address {
+        voucher.issued_to
+    }
+
+    /// Remaining value of a voucher, excluding any pending top-up
+    public fun amount(voucher: &Voucher): u64 {
+        voucher.amount
+    }
+
+    /// Check if a voucher, or any voucher it was split from, has been revoked
+    public fun is_revoked(registry: &VoucherRegistry, voucher_id: address): bool {
+        let current = voucher_id;
+        loop {
+            if (dynamic_field::exists_(&registry.id, current)) {
+                return true
+            };
+            let parent_key = ParentKey { voucher_id: current };
+            if (!dynamic_field::exists_(&registry.id, parent_key)) {
+                return false
+            };
+            current = *dynamic_field::borrow(&registry.id, parent_key);
+        }
+    }
+
+    /// Pending top-up and extended expiry for a voucher, if any
+    public fun pending_amendment(registry: &VoucherRegistry, voucher_id: address): (u64, u64) {
+        let key = AmendmentKey { voucher_id };
+        if (!dynamic_field::exists_(&registry.id, key)) {
+            return (0, 0)
+        };
+        let amendment: &VoucherAmendment = dynamic_field::borrow(&registry.id, key);
+        (amendment.top_up, amendment.expiry_timestamp)
+    }
+
+    fun borrow_amendment_mut(registry: &mut VoucherRegistry, voucher_id: address): &mut VoucherAmendment {
+        let key = AmendmentKey { voucher_id };
+        if (!dynamic_field::exists_(&registry.id, key)) {
+            dynamic_field::add(&mut registry.id, key, VoucherAmendment { top_up: 0, expiry_timestamp: 0 });
+        };
+        dynamic_field::borrow_mut(&mut registry.id, key)
+    }
+
+    /// Fold a pending amendment into the voucher before it is redeemed
+    fun apply_amendment(registry: &mut VoucherRegistry, voucher: &mut Voucher) {
+        let key = AmendmentKey { voucher_id: object::uid_to_address(&voucher.id) };
+        if (dynamic_field::exists_(&registry.id, key)) {
+            let VoucherAmendment { top_up, expiry_timestamp } = dynamic_field::remove(&mut registry.id, key);
+            voucher.amount = voucher.amount + top_up;
+            if (expiry_timestamp > voucher.expiry_timestamp) {
+                voucher.expiry_timestamp = expiry_timestamp;
+            };
+        };
+    }
+
     /// Check if voucher type is valid
     fun is_valid_voucher_type(voucher_type: u8): bool {
         voucher_type == EDUCATION || 
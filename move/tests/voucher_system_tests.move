@@ -0,0 +1,253 @@
+#[test_only]
+module servicepass::voucher_system_tests {
+    use sui::object;
+    use sui::tx_context;
+    use sui::test_scenario::{Self as ts, Scenario};
+    use servicepass::voucher_system::{Self, AdminCap, VoucherRegistry, Voucher, Merchant};
+
+    const ADMIN: address = @0xA;
+    const HOLDER: address = @0xB;
+    const MERCHANT_KEY: address = @0xC;
+    const STRANGER: address = @0xD;
+
+    // Registers a healthcare merchant redeeming with MERCHANT_KEY and mints HOLDER a 1000 voucher
+    fun setup(): Scenario {
+        let scenario = ts::begin(ADMIN);
+        voucher_system::init_for_testing(ts::ctx(&mut scenario));
+
+        ts::next_tx(&mut scenario, ADMIN);
+        {
+            let cap = ts::take_from_sender<AdminCap>(&scenario);
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            voucher_system::register_merchant(&cap, b"merchant-001", b"Clinic", vector[2], MERCHANT_KEY, ts::ctx(&mut scenario));
+            voucher_system::mint_voucher(&cap, &mut registry, 2, 1000, HOLDER, b"merchant-001", 1000, b"", ts::ctx(&mut scenario));
+            ts::return_shared(registry);
+            ts::return_to_sender(&scenario, cap);
+        };
+
+        scenario
+    }
+
+    fun redeem_as(scenario: &mut Scenario, sender: address) {
+        ts::next_tx(scenario, sender);
+        let registry = ts::take_shared<VoucherRegistry>(scenario);
+        let merchant = ts::take_shared<Merchant>(scenario);
+        let voucher = ts::take_shared<Voucher>(scenario);
+        voucher_system::redeem_voucher(&mut registry, &mut merchant, voucher, ts::ctx(scenario));
+        ts::return_shared(merchant);
+        ts::return_shared(registry);
+    }
+
+    #[test]
+    fun merchant_key_redeems_voucher_held_by_beneficiary() {
+        let scenario = setup();
+        redeem_as(&mut scenario, MERCHANT_KEY);
+
+        ts::next_tx(&mut scenario, ADMIN);
+        assert!(!ts::has_most_recent_shared<Voucher>(), 0);
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun merchant_key_redeems_part_of_voucher_held_by_beneficiary() {
+        let scenario = setup();
+
+        ts::next_tx(&mut scenario, MERCHANT_KEY);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let merchant = ts::take_shared<Merchant>(&scenario);
+            let voucher = ts::take_shared<Voucher>(&scenario);
+            voucher_system::redeem_partial(&mut registry, &mut merchant, &mut voucher, 400, ts::ctx(&mut scenario));
+            assert!(voucher_system::amount(&voucher) == 600, 0);
+            assert!(voucher_system::holder(&voucher) == HOLDER, 1);
+            ts::return_shared(voucher);
+            ts::return_shared(merchant);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 3, location = servicepass::voucher_system)]
+    fun other_keys_cannot_redeem() {
+        let scenario = setup();
+        redeem_as(&mut scenario, STRANGER);
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun rotated_merchant_key_takes_over_redemption() {
+        let scenario = setup();
+
+        ts::next_tx(&mut scenario, ADMIN);
+        {
+            let cap = ts::take_from_sender<AdminCap>(&scenario);
+            let merchant = ts::take_shared<Merchant>(&scenario);
+            voucher_system::set_merchant_signer(&cap, &mut merchant, STRANGER, ts::ctx(&mut scenario));
+            ts::return_shared(merchant);
+            ts::return_to_sender(&scenario, cap);
+        };
+
+        redeem_as(&mut scenario, STRANGER);
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun holder_transfers_voucher() {
+        let scenario = setup();
+
+        ts::next_tx(&mut scenario, HOLDER);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let voucher = ts::take_shared<Voucher>(&scenario);
+            voucher_system::transfer_voucher(&registry, &mut voucher, STRANGER, ts::ctx(&mut scenario));
+            assert!(voucher_system::holder(&voucher) == STRANGER, 0);
+            ts::return_shared(voucher);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 3, location = servicepass::voucher_system)]
+    fun only_holder_can_transfer() {
+        let scenario = setup();
+
+        ts::next_tx(&mut scenario, MERCHANT_KEY);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let voucher = ts::take_shared<Voucher>(&scenario);
+            voucher_system::transfer_voucher(&registry, &mut voucher, MERCHANT_KEY, ts::ctx(&mut scenario));
+            ts::return_shared(voucher);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    fun only_voucher_id(scenario: &mut Scenario): address {
+        ts::next_tx(scenario, ADMIN);
+        let voucher = ts::take_shared<Voucher>(scenario);
+        let voucher_id = object::id_address(&voucher);
+        ts::return_shared(voucher);
+        voucher_id
+    }
+
+    fun revoke(scenario: &mut Scenario, voucher_id: address) {
+        ts::next_tx(scenario, ADMIN);
+        let cap = ts::take_from_sender<AdminCap>(scenario);
+        let registry = ts::take_shared<VoucherRegistry>(scenario);
+        voucher_system::revoke_voucher(&cap, &mut registry, voucher_id, b"fraud", ts::ctx(scenario));
+        ts::return_shared(registry);
+        ts::return_to_sender(scenario, cap);
+    }
+
+    // Splits 400 off HOLDER's voucher to STRANGER, returning (original, split) voucher addresses
+    fun split_to_stranger(scenario: &mut Scenario): (address, address) {
+        ts::next_tx(scenario, HOLDER);
+        let registry = ts::take_shared<VoucherRegistry>(scenario);
+        let voucher = ts::take_shared<Voucher>(scenario);
+        let original_id = object::id_address(&voucher);
+        voucher_system::split_voucher(&mut registry, &mut voucher, 400, STRANGER, ts::ctx(scenario));
+        let split_id = tx_context::last_created_object_id(ts::ctx(scenario));
+        ts::return_shared(voucher);
+        ts::return_shared(registry);
+        (original_id, split_id)
+    }
+
+    #[test, expected_failure(abort_code = 6, location = servicepass::voucher_system)]
+    fun revoked_voucher_cannot_be_transferred() {
+        let scenario = setup();
+
+        let voucher_id = only_voucher_id(&mut scenario);
+        revoke(&mut scenario, voucher_id);
+
+        ts::next_tx(&mut scenario, HOLDER);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let voucher = ts::take_shared<Voucher>(&scenario);
+            voucher_system::transfer_voucher(&registry, &mut voucher, STRANGER, ts::ctx(&mut scenario));
+            ts::return_shared(voucher);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 6, location = servicepass::voucher_system)]
+    fun revoked_voucher_cannot_be_split() {
+        let scenario = setup();
+
+        let voucher_id = only_voucher_id(&mut scenario);
+        revoke(&mut scenario, voucher_id);
+
+        split_to_stranger(&mut scenario);
+        ts::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 6, location = servicepass::voucher_system)]
+    fun revoking_a_voucher_revokes_earlier_splits() {
+        let scenario = setup();
+        let (original_id, split_id) = split_to_stranger(&mut scenario);
+        revoke(&mut scenario, original_id);
+
+        ts::next_tx(&mut scenario, MERCHANT_KEY);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let merchant = ts::take_shared<Merchant>(&scenario);
+            let split = ts::take_shared_by_id<Voucher>(&scenario, object::id_from_address(split_id));
+            voucher_system::redeem_voucher(&mut registry, &mut merchant, split, ts::ctx(&mut scenario));
+            ts::return_shared(merchant);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun revoking_a_split_leaves_the_original_usable() {
+        let scenario = setup();
+        let (original_id, split_id) = split_to_stranger(&mut scenario);
+        revoke(&mut scenario, split_id);
+
+        ts::next_tx(&mut scenario, ADMIN);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            assert!(voucher_system::is_revoked(&registry, split_id), 0);
+            assert!(!voucher_system::is_revoked(&registry, original_id), 1);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+
+    #[test]
+    fun split_keeps_a_pending_top_up() {
+        let scenario = setup();
+        let voucher_id = only_voucher_id(&mut scenario);
+
+        ts::next_tx(&mut scenario, ADMIN);
+        {
+            let cap = ts::take_from_sender<AdminCap>(&scenario);
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            voucher_system::top_up_voucher(&cap, &mut registry, voucher_id, 500, ts::ctx(&mut scenario));
+            ts::return_shared(registry);
+            ts::return_to_sender(&scenario, cap);
+        };
+
+        split_to_stranger(&mut scenario);
+
+        ts::next_tx(&mut scenario, ADMIN);
+        {
+            let registry = ts::take_shared<VoucherRegistry>(&scenario);
+            let voucher = ts::take_shared_by_id<Voucher>(&scenario, object::id_from_address(voucher_id));
+            assert!(voucher_system::amount(&voucher) == 1100, 0);
+            let (top_up, _) = voucher_system::pending_amendment(&registry, voucher_id);
+            assert!(top_up == 0, 1);
+            ts::return_shared(voucher);
+            ts::return_shared(registry);
+        };
+
+        ts::end(scenario);
+    }
+}
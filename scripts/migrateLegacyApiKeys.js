@@ -0,0 +1,47 @@
+/**
+ * Legacy API Key Migration Script
+ *
+ * Moves merchant API keys stored on the Merchant document (apiKey / apiKeyHash)
+ * into the MerchantApiKey collection, then removes the old fields.
+ * Migrated keys keep working with a "legacy_" prefix and every API key scope.
+ * Keys without an expiry get LEGACY_KEY_GRACE_DAYS (90) days; reissue them
+ * before then. Safe to run more than once.
+ *
+ * Run with:
+ *   node scripts/migrateLegacyApiKeys.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables from backend/.env
+dotenv.config({ path: path.join(__dirname, '../backend/.env') });
+
+const { migrateLegacyApiKeys } = require('../backend/src/utils/apiKeyManager');
+
+const runMigration = async () => {
+    try {
+        const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/servicepass';
+        await mongoose.connect(mongoUri);
+        console.log('Connected to MongoDB');
+
+        const { merchants, migrated, cleared } = await migrateLegacyApiKeys();
+
+        console.log(`Merchants with legacy API key fields: ${merchants}`);
+        console.log(`Keys moved to MerchantApiKey: ${migrated}`);
+        console.log(`Merchants cleared of legacy fields: ${cleared}`);
+
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error during legacy API key migration:', error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    runMigration();
+}
+
+module.exports = runMigration;